@@ -14,6 +14,9 @@
  * - Premium status and custom names verified server-side (cannot be faked)
  *
  * [DEPRECATED] Return-to-GameBuddies flow was removed. This document may reference obsolete endpoints and events.
+ *
+ * NEW INTEGRATIONS: use the SDK in shared/sdk (see shared/sdk/README.md),
+ * which wraps sessions, heartbeats, status, game end, XP and return-to-lobby.
  * =====================================================
  */
 
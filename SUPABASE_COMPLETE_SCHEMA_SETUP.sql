@@ -791,9 +791,9 @@ NEXT STEPS:
    - DATABASE_URL should point to this Supabase project
    - Add SUPABASE_URL and SUPABASE_ANON_KEY to your .env
 
-2. Create API keys for external games:
-   INSERT INTO public.api_keys (key_hash, service_name, name) VALUES
-   ('your_hashed_api_key', 'ddf', 'DDF Game API Key');
+2. Run migrations/add_api_key_hashing_and_scopes.sql, then create API keys
+   for external games as an admin with POST /api/admin/api-keys
+   (keys are stored salted and hashed, so they cannot be inserted by hand).
 
 3. Test the setup:
    - Try creating a room: SELECT public.generate_room_code();
@@ -16,8 +16,13 @@ import Premium from './pages/Premium'; // Import Premium
 import PaymentSuccess from './pages/PaymentSuccess'; // Import PaymentSuccess
 import PaymentCancel from './pages/PaymentCancel'; // Import PaymentCancel
 import Account from './pages/Account'; // Import Account
+import Profile from './pages/Profile';
+import Leaderboards from './pages/Leaderboards';
+import Admin from './pages/Admin';
+import Affiliate from './pages/Affiliate';
 // GameBuddiesReturnHandler removed - using simpler URL-based return flow
 import DebugPanel from './components/DebugPanel';
+import ModerationNotice from './components/ModerationNotice';
 import './App.css';
 
 function AppContent() {
@@ -72,6 +77,7 @@ function AppContent() {
         isInLobby={isInLobby}
       />
       <Notification /> {/* Display Notification component here */}
+      <ModerationNotice />
       <DebugPanel />
       <Routes>
         <Route
@@ -97,6 +103,10 @@ function AppContent() {
         <Route path="/password-reset" element={<PasswordReset />} />
         <Route path="/premium" element={<Premium />} />
         <Route path="/account" element={<Account />} />
+        <Route path="/u/:username" element={<Profile />} />
+        <Route path="/leaderboards" element={<Leaderboards />} />
+        <Route path="/admin" element={<Admin />} />
+        <Route path="/affiliate" element={<Affiliate />} />
         <Route path="/payment/success" element={<PaymentSuccess />} />
         <Route path="/payment/cancel" element={<PaymentCancel />} />
         <Route path="/legal" element={<Legal />} />
@@ -0,0 +1,109 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import './AchievementsSection.css';
+
+const RARITY_ICONS = {
+  common: '🥉',
+  rare: '🥈',
+  epic: '🥇',
+  legendary: '🏆'
+};
+
+const AchievementsSection = () => {
+  const { session } = useAuth();
+  const [achievements, setAchievements] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!session?.access_token) return;
+
+    const loadAchievements = async () => {
+      try {
+        const response = await fetch('/api/achievements/me', {
+          headers: { 'Authorization': `Bearer ${session.access_token}` }
+        });
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || 'Failed to load achievements');
+        }
+        setAchievements(data.achievements || []);
+      } catch (err) {
+        console.error('❌ [ACHIEVEMENTS] Failed to load achievements:', err);
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadAchievements();
+  }, [session?.access_token]);
+
+  const earned = achievements.filter(a => a.earnedAt);
+  const inProgress = achievements.filter(a => !a.earnedAt);
+
+  const renderAchievement = (achievement) => {
+    const percent = achievement.requirementValue > 0
+      ? Math.min(100, Math.floor((achievement.progress / achievement.requirementValue) * 100))
+      : 0;
+
+    return (
+      <div
+        key={achievement.id}
+        className={`achievement-card rarity-${achievement.rarity} ${achievement.earnedAt ? 'earned' : 'locked'}`}
+      >
+        <div className="achievement-icon">
+          {achievement.iconUrl
+            ? <img src={achievement.iconUrl} alt="" />
+            : RARITY_ICONS[achievement.rarity] || '🏅'}
+        </div>
+        <div className="achievement-details">
+          <div className="achievement-name">
+            {achievement.name}
+            {achievement.premiumOnly && <span className="achievement-premium"> 💎</span>}
+          </div>
+          <div className="achievement-description">{achievement.description}</div>
+          {achievement.earnedAt ? (
+            <div className="achievement-earned">
+              Earned {new Date(achievement.earnedAt).toLocaleDateString('en-US')} · +{achievement.xpReward} XP
+            </div>
+          ) : (
+            <div className="achievement-progress">
+              <div className="achievement-progress-bar">
+                <div className="achievement-progress-fill" style={{ width: `${percent}%` }} />
+              </div>
+              <span>{achievement.progress} / {achievement.requirementValue}</span>
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className="account-section achievements-section">
+      <h2>Achievements</h2>
+      <p className="section-description">
+        {loading ? 'Loading achievements...' : `${earned.length} of ${achievements.length} unlocked`}
+      </p>
+
+      {error && <p className="achievements-error">{error}</p>}
+
+      {earned.length > 0 && (
+        <>
+          <h3 className="achievements-subtitle">Earned</h3>
+          <div className="achievements-grid">{earned.map(renderAchievement)}</div>
+        </>
+      )}
+
+      {inProgress.length > 0 && (
+        <>
+          <h3 className="achievements-subtitle">In Progress</h3>
+          <div className="achievements-grid">{inProgress.map(renderAchievement)}</div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AchievementsSection;
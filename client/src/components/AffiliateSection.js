@@ -0,0 +1,37 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+
+// Account page teaser for streamers; renders nothing for non-affiliates
+const AffiliateSection = () => {
+  const { session } = useAuth();
+  const [dashboard, setDashboard] = useState(null);
+
+  useEffect(() => {
+    if (!session?.access_token) return;
+
+    fetch('/api/affiliates/me', {
+      headers: { 'Authorization': `Bearer ${session.access_token}` }
+    })
+      .then(response => (response.ok ? response.json() : null))
+      .then(data => setDashboard(data))
+      .catch(err => console.error('❌ [AFFILIATE] Failed to load affiliate summary:', err));
+  }, [session?.access_token]);
+
+  if (!dashboard) return null;
+
+  const pending = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'EUR' }).format(dashboard.totals.pending);
+
+  return (
+    <div className="account-section affiliate-section">
+      <h2>Streamer Program</h2>
+      <p className="section-description">
+        Your code <strong>{dashboard.affiliate.code}</strong> has brought in {dashboard.referrals.length} players.
+        Pending payout: <strong>{pending}</strong>
+      </p>
+      <Link to="/affiliate" className="btn btn-outline">Open dashboard</Link>
+    </div>
+  );
+};
+
+export default AffiliateSection;
@@ -0,0 +1,67 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+const EVENT_LABELS = {
+  created: 'Premium purchased',
+  renewed: 'Subscription renewed',
+  upgraded: 'Upgraded',
+  downgraded: 'Downgraded',
+  cancelled: 'Cancellation scheduled',
+  resumed: 'Subscription resumed',
+  expired: 'Premium ended',
+  payment_failed: 'Payment failed',
+  refunded: 'Refund',
+  gift_purchased: 'Gift purchased',
+  redeemed: 'Code redeemed'
+};
+
+const TIER_LABELS = { free: 'Free', monthly: 'Monthly', lifetime: 'Lifetime' };
+
+const formatAmount = (amount, currency) => {
+  if (amount === null || amount === undefined) return '';
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency: currency || 'EUR' }).format(amount);
+};
+
+// Subscription and payment events recorded from Stripe webhooks and code redemptions; hidden when empty
+const BillingHistorySection = () => {
+  const { session } = useAuth();
+  const [events, setEvents] = useState([]);
+
+  useEffect(() => {
+    if (!session?.access_token) return;
+
+    fetch('/api/stripe/billing-history', {
+      headers: { 'Authorization': `Bearer ${session.access_token}` }
+    })
+      .then(response => (response.ok ? response.json() : { events: [] }))
+      .then(data => setEvents(data.events || []))
+      .catch(err => console.error('❌ [BILLING] Failed to load billing history:', err));
+  }, [session?.access_token]);
+
+  if (events.length === 0) return null;
+
+  return (
+    <div className="account-section billing-history-section">
+      <h2>Billing History</h2>
+      <ul className="billing-history">
+        {events.map(event => (
+          <li key={event.id} className={`billing-event billing-${event.event_type}`}>
+            <span className="billing-date">{new Date(event.created_at).toLocaleDateString()}</span>
+            <span className="billing-label">
+              {EVENT_LABELS[event.event_type] || event.event_type}
+              {event.old_tier && event.old_tier !== event.tier && (
+                <span className="billing-tiers"> ({TIER_LABELS[event.old_tier] || event.old_tier} → {TIER_LABELS[event.tier] || event.tier})</span>
+              )}
+            </span>
+            <span className="billing-amount">
+              {event.event_type === 'refunded' && event.amount ? '-' : ''}
+              {formatAmount(event.amount, event.currency)}
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default BillingHistorySection;
@@ -1,7 +1,18 @@
 import React, { useState, useEffect, useRef } from 'react';
 import './ChatWindow.css';
 
-const ChatWindow = ({ messages, onSendMessage, currentPlayerName }) => {
+const ChatWindow = ({
+  messages,
+  onSendMessage,
+  currentPlayerName,
+  currentUserId,
+  isHost = false,
+  players = [],
+  mutedPlayers = {},
+  onDeleteMessage,
+  onMutePlayer,
+  onUnmutePlayer
+}) => {
   const [newMessage, setNewMessage] = useState('');
   const messagesEndRef = useRef(null);
 
@@ -28,16 +39,54 @@ const ChatWindow = ({ messages, onSendMessage, currentPlayerName }) => {
       </div>
       <div className="chat-messages">
         {messages.map((msg, index) => {
-          const isMe = msg.playerName === currentPlayerName;
+          const isMe = msg.userId ? msg.userId === currentUserId : msg.playerName === currentPlayerName;
           const isSystem = msg.type === 'system';
+          const senderIsHost = players.some(p => p.id === msg.userId && p.isHost);
+          const isMuted = Object.prototype.hasOwnProperty.call(mutedPlayers, msg.userId);
+          const canModerate = isHost && !isSystem && msg.id;
           
           return (
             <div 
               key={msg.id || index} 
               className={`chat-message ${isMe ? 'me' : ''} ${isSystem ? 'system' : ''}`}
             >
-              {!isMe && !isSystem && <span className="chat-sender">{msg.playerName}</span>}
+              {!isMe && !isSystem && (
+                <span className="chat-sender">
+                  {msg.playerName}
+                  {isMuted && <span className="chat-muted-badge" title="Muted by the host">🔇</span>}
+                </span>
+              )}
               <span className="chat-text">{msg.message}</span>
+              {canModerate && (
+                <div className="chat-moderation">
+                  <button
+                    type="button"
+                    onClick={() => onDeleteMessage?.(msg.id)}
+                    title="Delete message"
+                  >
+                    🗑️
+                  </button>
+                  {!isMe && !senderIsHost && msg.userId && (
+                    isMuted ? (
+                      <button
+                        type="button"
+                        onClick={() => onUnmutePlayer?.(msg.userId)}
+                        title={`Unmute ${msg.playerName}`}
+                      >
+                        🔊
+                      </button>
+                    ) : (
+                      <button
+                        type="button"
+                        onClick={() => onMutePlayer?.(msg.userId)}
+                        title={`Mute ${msg.playerName}`}
+                      >
+                        🔇
+                      </button>
+                    )
+                  )}
+                </div>
+              )}
             </div>
           );
         })}
@@ -49,7 +98,7 @@ const ChatWindow = ({ messages, onSendMessage, currentPlayerName }) => {
           placeholder="Type a message..."
           value={newMessage}
           onChange={(e) => setNewMessage(e.target.value)}
-          maxLength={200}
+          maxLength={500}
         />
         <button type="submit" disabled={!newMessage.trim()}>Send</button>
       </form>
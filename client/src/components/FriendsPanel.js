@@ -0,0 +1,311 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { useSocket } from '../contexts/LazySocketContext';
+import { useNotification } from '../contexts/NotificationContext';
+import './FriendsPanel.css';
+
+const PRESENCE_LABELS = {
+  in_game: 'In game',
+  in_lobby: 'In lobby',
+  online: 'Online',
+  offline: 'Offline'
+};
+
+const PRESENCE_ORDER = ['in_lobby', 'in_game', 'online', 'offline'];
+const REFRESH_INTERVAL_MS = 30000;
+
+const FriendsPanel = ({ isInLobby, onLeaveLobby }) => {
+  const navigate = useNavigate();
+  const { user, session } = useAuth();
+  const { socket } = useSocket() || {};
+  const { addNotification } = useNotification();
+  const [isOpen, setIsOpen] = useState(false);
+  const [friends, setFriends] = useState([]);
+  const [incoming, setIncoming] = useState([]);
+  const [outgoing, setOutgoing] = useState([]);
+  const [invitations, setInvitations] = useState([]);
+  const [addUsername, setAddUsername] = useState('');
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const panelRef = useRef(null);
+
+  const apiRequest = useCallback(async (url, options = {}) => {
+    if (!session?.access_token) {
+      throw new Error('Not authenticated');
+    }
+
+    const response = await fetch(url, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${session.access_token}`
+      }
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || 'Request failed');
+    }
+    return data;
+  }, [session?.access_token]);
+
+  const loadFriends = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [data, inviteData] = await Promise.all([
+        apiRequest('/api/friends'),
+        apiRequest('/api/invitations')
+      ]);
+      setFriends(data.friends || []);
+      setIncoming(data.incoming || []);
+      setOutgoing(data.outgoing || []);
+      setInvitations(inviteData.invitations || []);
+      setError(null);
+    } catch (err) {
+      console.error('❌ [FRIENDS] Failed to load friends:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [apiRequest]);
+
+  // Keep the badge fresh for invites sent while we have no socket; refresh faster while open
+  useEffect(() => {
+    if (!session?.access_token || user?.is_guest) return;
+    loadFriends();
+
+    const interval = setInterval(loadFriends, isOpen ? REFRESH_INTERVAL_MS : REFRESH_INTERVAL_MS * 2);
+    return () => clearInterval(interval);
+  }, [isOpen, session?.access_token, user?.is_guest, loadFriends]);
+
+  // Live updates while a socket is connected (in a lobby)
+  useEffect(() => {
+    if (!socket) return;
+    const handleInvite = (invite) => {
+      addNotification(`${invite.invitedBy} invited you to room ${invite.roomCode}`, 'info');
+      loadFriends();
+    };
+
+    socket.on('friend:request', loadFriends);
+    socket.on('friend:accepted', loadFriends);
+    socket.on('roomInvite:received', handleInvite);
+    return () => {
+      socket.off('friend:request', loadFriends);
+      socket.off('friend:accepted', loadFriends);
+      socket.off('roomInvite:received', handleInvite);
+    };
+  }, [socket, loadFriends, addNotification]);
+
+  // Close when clicking outside the panel
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleClickOutside = (e) => {
+      if (panelRef.current && !panelRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  const runAction = async (url, options) => {
+    try {
+      await apiRequest(url, options);
+      await loadFriends();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleAddFriend = async (e) => {
+    e.preventDefault();
+    const username = addUsername.trim();
+    if (!username) return;
+    await runAction('/api/friends/requests', {
+      method: 'POST',
+      body: JSON.stringify({ username })
+    });
+    setAddUsername('');
+  };
+
+  const handleRemove = (friend) => {
+    const name = friend.user.display_name || friend.user.username;
+    if (!window.confirm(`Remove ${name} from your friends?`)) return;
+    runAction(`/api/friends/${friend.friendshipId}`, { method: 'DELETE' });
+  };
+
+  const handleBlock = (friend) => {
+    const name = friend.user.display_name || friend.user.username;
+    if (!window.confirm(`Block ${name}? They won't be able to send you requests.`)) return;
+    runAction('/api/friends/block', {
+      method: 'POST',
+      body: JSON.stringify({ userId: friend.user.id })
+    });
+  };
+
+  const handleJoin = (roomCode) => {
+    setIsOpen(false);
+    const name = user?.display_name || user?.username || '';
+    const lobbyPath = `/lobby/${roomCode}${name ? `?name=${encodeURIComponent(name)}` : ''}`;
+
+    // Leave the current lobby first so the join link isn't ignored
+    if (isInLobby && onLeaveLobby) {
+      onLeaveLobby();
+      setTimeout(() => navigate(lobbyPath), 300);
+    } else {
+      navigate(lobbyPath);
+    }
+  };
+
+  const handleAcceptInvite = async (invitation) => {
+    try {
+      const { roomCode } = await apiRequest(`/api/invitations/${invitation.id}/accept`, { method: 'POST' });
+      setInvitations(prev => prev.filter(inv => inv.id !== invitation.id));
+      handleJoin(roomCode);
+    } catch (err) {
+      setError(err.message);
+      loadFriends();
+    }
+  };
+
+  if (!user || user.is_guest) {
+    return null;
+  }
+
+  const sortedFriends = [...friends].sort(
+    (a, b) => PRESENCE_ORDER.indexOf(a.presence.status) - PRESENCE_ORDER.indexOf(b.presence.status)
+  );
+
+  return (
+    <div className="friends-panel-wrapper" ref={panelRef}>
+      <button
+        className="friends-toggle"
+        onClick={() => setIsOpen(open => !open)}
+        title="Friends"
+      >
+        👥
+        {incoming.length + invitations.length > 0 && (
+          <span className="friends-badge">{incoming.length + invitations.length}</span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="friends-panel">
+          <div className="friends-panel-header">
+            <h3>Friends</h3>
+            {loading && <span className="friends-loading">…</span>}
+          </div>
+
+          <form className="friends-add-form" onSubmit={handleAddFriend}>
+            <input
+              type="text"
+              value={addUsername}
+              onChange={(e) => setAddUsername(e.target.value)}
+              placeholder="Add by username"
+              maxLength={50}
+            />
+            <button type="submit" disabled={!addUsername.trim()}>Add</button>
+          </form>
+
+          {error && <div className="friends-error">{error}</div>}
+
+          {invitations.length > 0 && (
+            <div className="friends-section">
+              <div className="friends-section-title">Room invites</div>
+              {invitations.map(invitation => (
+                <div key={invitation.id} className="friend-row">
+                  <div className="friend-info">
+                    <span className="friend-name">{invitation.invitedBy}</span>
+                    <span className="friend-presence">
+                      Room {invitation.roomCode}
+                      {invitation.message ? ` · "${invitation.message}"` : ''}
+                    </span>
+                  </div>
+                  <div className="friend-actions">
+                    <button onClick={() => handleAcceptInvite(invitation)}>Join</button>
+                    <button
+                      className="secondary"
+                      onClick={() => runAction(`/api/invitations/${invitation.id}/decline`, { method: 'POST' })}
+                    >
+                      Decline
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {incoming.length > 0 && (
+            <div className="friends-section">
+              <div className="friends-section-title">Requests</div>
+              {incoming.map(request => (
+                <div key={request.friendshipId} className="friend-row">
+                  <span className="friend-name">{request.user.display_name || request.user.username}</span>
+                  <div className="friend-actions">
+                    <button onClick={() => runAction(`/api/friends/${request.friendshipId}/accept`, { method: 'POST' })}>
+                      Accept
+                    </button>
+                    <button
+                      className="secondary"
+                      onClick={() => runAction(`/api/friends/${request.friendshipId}/decline`, { method: 'POST' })}
+                    >
+                      Decline
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="friends-section">
+            <div className="friends-section-title">Friends ({friends.length})</div>
+            {sortedFriends.length === 0 && (
+              <div className="friends-empty">No friends yet - add someone by username.</div>
+            )}
+            {sortedFriends.map(friend => (
+              <div key={friend.friendshipId} className="friend-row">
+                <span className={`presence-dot ${friend.presence.status}`} />
+                <div className="friend-info">
+                  <span className="friend-name">{friend.user.display_name || friend.user.username}</span>
+                  <span className="friend-presence">
+                    {PRESENCE_LABELS[friend.presence.status]}
+                    {friend.presence.roomCode ? ` · ${friend.presence.roomCode}` : ''}
+                  </span>
+                </div>
+                <div className="friend-actions">
+                  {friend.presence.status === 'in_lobby' && friend.presence.roomCode && (
+                    <button onClick={() => handleJoin(friend.presence.roomCode)}>Join</button>
+                  )}
+                  <button className="secondary" onClick={() => handleRemove(friend)} title="Remove friend">✕</button>
+                  <button className="secondary" onClick={() => handleBlock(friend)} title="Block">🚫</button>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          {outgoing.length > 0 && (
+            <div className="friends-section">
+              <div className="friends-section-title">Sent</div>
+              {outgoing.map(request => (
+                <div key={request.friendshipId} className="friend-row">
+                  <span className="friend-name">{request.user.display_name || request.user.username}</span>
+                  <div className="friend-actions">
+                    <button
+                      className="secondary"
+                      onClick={() => runAction(`/api/friends/${request.friendshipId}`, { method: 'DELETE' })}
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FriendsPanel;
@@ -2,7 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import './GamePicker.css';
 
-const GamePicker = ({ onGameSelect, isHost, disabled }) => {
+const GamePicker = ({ onGameSelect, isHost, disabled, playerCount = 0 }) => {
   const [games, setGames] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -127,14 +127,20 @@ const GamePicker = ({ onGameSelect, isHost, disabled }) => {
       <div className="games-grid">
         {games.map((game) => {
           console.log('[GamePicker] 🎮 Rendering game:', game.id, game.name);
+          const minPlayers = game.minPlayers || game.min_players || 2;
+          const maxPlayers = game.maxPlayers || game.max_players;
+          // The server rejects games the room has outgrown (TOO_MANY_PLAYERS)
+          const tooManyPlayers = Boolean(maxPlayers) && playerCount > maxPlayers;
+          const isDisabled = disabled || tooManyPlayers;
           return (
           <motion.button
             key={game.id}
-            className="game-option"
+            className={`game-option ${tooManyPlayers ? 'too-many-players' : ''}`}
             onClick={() => onGameSelect(game.id)}
-            disabled={disabled}
-            whileHover={{ scale: disabled ? 1 : 1.05 }}
-            whileTap={{ scale: disabled ? 1 : 0.95 }}
+            disabled={isDisabled}
+            title={tooManyPlayers ? `${game.name} supports at most ${maxPlayers} players` : undefined}
+            whileHover={{ scale: isDisabled ? 1 : 1.05 }}
+            whileTap={{ scale: isDisabled ? 1 : 0.95 }}
           >
             <div className="game-icon">
               {game.thumbnailUrl ? (
@@ -150,8 +156,14 @@ const GamePicker = ({ onGameSelect, isHost, disabled }) => {
             <p className="game-description">{game.description}</p>
             <div className="game-meta">
               <span className="max-players">
-                {(game.min_players || 2)}-{game.max_players || game.maxPlayers} Players
+                {minPlayers}-{maxPlayers} Players
               </span>
+              {playerCount > 0 && playerCount < minPlayers && (
+                <span className="capacity-note">Needs {minPlayers - playerCount} more</span>
+              )}
+              {tooManyPlayers && (
+                <span className="capacity-note">Too many players ({playerCount})</span>
+              )}
             </div>
           </motion.button>
           );
@@ -0,0 +1,186 @@
+import React, { useState } from 'react';
+import './GameSettingsPanel.css';
+
+// Human label for a setting without a title: "roundTime" / "round_time" -> "Round time"
+const toLabel = (key) => {
+  const words = key.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/[_-]+/g, ' ').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+const formatValue = (value) => {
+  if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : '—';
+  if (typeof value === 'boolean') return value ? 'On' : 'Off';
+  if (value === undefined || value === null || value === '') return '—';
+  return String(value);
+};
+
+/**
+ * Lobby settings of the selected game, rendered from its JSON schema
+ * (games.settings_schema). The host edits, everyone else sees the values live.
+ * Changes are sent one field at a time; the server validates them against the
+ * schema and broadcasts the result, so `settings` is always what was stored.
+ */
+const GameSettingsPanel = ({ schema, settings = {}, isHost = false, disabled = false, onChange }) => {
+  // Typed-but-not-committed values of number and text fields
+  const [drafts, setDrafts] = useState({});
+
+  const properties = Object.entries(schema?.properties || {})
+    .filter(([, property]) => property.type !== 'object');
+
+  if (properties.length === 0) return null;
+
+  const setDraft = (key, value) => setDrafts(prev => ({ ...prev, [key]: value }));
+
+  const clearDraft = (key) => setDrafts(prev => {
+    const { [key]: _dropped, ...rest } = prev;
+    return rest;
+  });
+
+  const commit = (key, value) => {
+    clearDraft(key);
+    if (value !== settings[key]) onChange?.({ [key]: value });
+  };
+
+  const commitDraft = (key, property) => {
+    if (!(key in drafts)) return;
+    const draft = drafts[key];
+
+    if (property.type === 'number' || property.type === 'integer') {
+      // Empty or unparsable input goes back to the stored value
+      if (draft === '' || Number.isNaN(Number(draft))) {
+        clearDraft(key);
+        return;
+      }
+      commit(key, Number(draft));
+    } else if (property.type === 'array') {
+      commit(key, draft.split(',').map(item => item.trim()).filter(Boolean));
+    } else {
+      commit(key, draft);
+    }
+  };
+
+  const handleKeyDown = (e, key, property) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      commitDraft(key, property);
+    }
+  };
+
+  const toggleOption = (key, option) => {
+    const current = Array.isArray(settings[key]) ? settings[key] : [];
+    onChange?.({
+      [key]: current.includes(option)
+        ? current.filter(item => item !== option)
+        : [...current, option]
+    });
+  };
+
+  const renderControl = (key, property) => {
+    const value = settings[key];
+
+    if (Array.isArray(property.enum)) {
+      return (
+        <select
+          value={value ?? ''}
+          onChange={(e) => commit(key, property.enum.find(option => String(option) === e.target.value))}
+          disabled={disabled}
+        >
+          {value === undefined && <option value="">Choose...</option>}
+          {property.enum.map(option => (
+            <option key={String(option)} value={String(option)}>{String(option)}</option>
+          ))}
+        </select>
+      );
+    }
+
+    switch (property.type) {
+      case 'boolean':
+        return (
+          <input
+            type="checkbox"
+            checked={Boolean(value)}
+            onChange={(e) => commit(key, e.target.checked)}
+            disabled={disabled}
+          />
+        );
+
+      case 'number':
+      case 'integer':
+        return (
+          <input
+            type="number"
+            value={drafts[key] ?? value ?? ''}
+            min={property.minimum}
+            max={property.maximum}
+            step={property.type === 'integer' ? 1 : 'any'}
+            onChange={(e) => setDraft(key, e.target.value)}
+            onBlur={() => commitDraft(key, property)}
+            onKeyDown={(e) => handleKeyDown(e, key, property)}
+            disabled={disabled}
+          />
+        );
+
+      case 'array':
+        if (Array.isArray(property.items?.enum)) {
+          return (
+            <div className="game-setting-options">
+              {property.items.enum.map(option => (
+                <label key={String(option)} className="game-setting-option">
+                  <input
+                    type="checkbox"
+                    checked={Array.isArray(value) && value.includes(option)}
+                    onChange={() => toggleOption(key, option)}
+                    disabled={disabled}
+                  />
+                  {String(option)}
+                </label>
+              ))}
+            </div>
+          );
+        }
+        return (
+          <input
+            type="text"
+            value={drafts[key] ?? (Array.isArray(value) ? value.join(', ') : '')}
+            placeholder="Comma separated"
+            onChange={(e) => setDraft(key, e.target.value)}
+            onBlur={() => commitDraft(key, property)}
+            onKeyDown={(e) => handleKeyDown(e, key, property)}
+            disabled={disabled}
+          />
+        );
+
+      default:
+        return (
+          <input
+            type="text"
+            value={drafts[key] ?? value ?? ''}
+            maxLength={property.maxLength}
+            onChange={(e) => setDraft(key, e.target.value)}
+            onBlur={() => commitDraft(key, property)}
+            onKeyDown={(e) => handleKeyDown(e, key, property)}
+            disabled={disabled}
+          />
+        );
+    }
+  };
+
+  return (
+    <div className="game-settings-panel">
+      <h5>Game Settings</h5>
+      {properties.map(([key, property]) => (
+        <div key={key} className="game-setting">
+          <div className="game-setting-label">
+            <span>{property.title || toLabel(key)}</span>
+            {property.description && <small>{property.description}</small>}
+          </div>
+          <div className="game-setting-control">
+            {isHost ? renderControl(key, property) : <span className="game-setting-value">{formatValue(settings[key])}</span>}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default GameSettingsPanel;
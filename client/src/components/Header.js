@@ -2,6 +2,8 @@ import React, { useState } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { useAuth } from '../contexts/AuthContext';
+import FriendsPanel from './FriendsPanel';
+import NotificationBell from './NotificationBell';
 import './Header.css';
 
 // Level Curve Configuration (Must match DB)
@@ -141,6 +143,14 @@ const Header = ({ onNavigateHome, onNavigateGames, isInLobby }) => {
                 <button className="nav-link nav-button" onClick={handleGamesClick}>
                   Games
                 </button>
+                <Link to="/leaderboards" className="nav-link">
+                  Leaderboards
+                </Link>
+                {isAuthenticated && ['admin', 'moderator'].includes(user?.role) && (
+                  <Link to="/admin" className="nav-link">
+                    Admin
+                  </Link>
+                )}
               </nav>
 
               <div className="auth-section">
@@ -152,6 +162,9 @@ const Header = ({ onNavigateHome, onNavigateGames, isInLobby }) => {
                 )} */}
                 {isAuthenticated && user ? (
                   <div className="user-section">
+                    <NotificationBell isInLobby={isInLobby} onLeaveLobby={onNavigateHome} />
+                    <FriendsPanel isInLobby={isInLobby} onLeaveLobby={onNavigateHome} />
+
                     {/* Level Badge & XP Bar */}
                     <div className="level-container" title={`Level ${user.level || 1} (${user.xp || 0} / ${nextLevelXp} XP)`}>
                       <div className="level-badge">
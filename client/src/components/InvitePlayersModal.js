@@ -0,0 +1,131 @@
+import React, { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { useAuth } from '../contexts/AuthContext';
+import { useSocket } from '../contexts/LazySocketContext';
+import './InvitePlayersModal.css';
+
+const InvitePlayersModal = ({ isOpen, onClose, players }) => {
+  const { session, isAuthenticated } = useAuth();
+  const { socket } = useSocket();
+  const [friends, setFriends] = useState([]);
+  const [username, setUsername] = useState('');
+  const [message, setMessage] = useState('');
+  const [invitedIds, setInvitedIds] = useState(new Set());
+
+  // Load friends so the host can invite with one click
+  useEffect(() => {
+    if (!isOpen || !isAuthenticated || !session?.access_token) return;
+
+    const loadFriends = async () => {
+      try {
+        const response = await fetch('/api/friends', {
+          headers: { 'Authorization': `Bearer ${session.access_token}` }
+        });
+        if (!response.ok) return;
+        const data = await response.json();
+        setFriends(data.friends || []);
+      } catch (err) {
+        console.error('❌ [INVITE] Failed to load friends:', err);
+      }
+    };
+
+    loadFriends();
+  }, [isOpen, isAuthenticated, session?.access_token]);
+
+  useEffect(() => {
+    if (!socket) return;
+    const handleInviteSent = (data) => {
+      setInvitedIds(prev => new Set(prev).add(data.targetUserId));
+    };
+    socket.on('roomInviteSent', handleInviteSent);
+    return () => socket.off('roomInviteSent', handleInviteSent);
+  }, [socket]);
+
+  if (!isOpen) return null;
+
+  const sendInvite = (target) => {
+    if (!socket) return;
+    socket.emit('sendRoomInvite', { ...target, message: message.trim() || undefined });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!username.trim()) return;
+    sendInvite({ username: username.trim() });
+    setUsername('');
+  };
+
+  const inRoomIds = new Set((players || []).map(p => p.id));
+  const invitableFriends = friends.filter(f => !inRoomIds.has(f.user.id));
+
+  return (
+    <AnimatePresence>
+      <motion.div
+        className="invite-modal-overlay"
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        onClick={(e) => e.target === e.currentTarget && onClose()}
+      >
+        <motion.div
+          className="invite-modal"
+          initial={{ opacity: 0, scale: 0.9, y: 20 }}
+          animate={{ opacity: 1, scale: 1, y: 0 }}
+          exit={{ opacity: 0, scale: 0.9, y: 20 }}
+          transition={{ duration: 0.3 }}
+        >
+          <div className="invite-modal-header">
+            <h2>Invite Players</h2>
+            <button className="close-button" onClick={onClose}>✕</button>
+          </div>
+
+          <div className="invite-modal-content">
+            <form className="invite-form" onSubmit={handleSubmit}>
+              <input
+                type="text"
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+                placeholder="Username"
+                maxLength={50}
+              />
+              <button type="submit" disabled={!username.trim()}>Invite</button>
+            </form>
+            <input
+              className="invite-message-input"
+              type="text"
+              value={message}
+              onChange={(e) => setMessage(e.target.value)}
+              placeholder="Optional message"
+              maxLength={200}
+            />
+
+            {isAuthenticated && (
+              <div className="invite-friends">
+                <div className="invite-friends-title">Friends</div>
+                {invitableFriends.length === 0 && (
+                  <div className="invite-empty">No friends available to invite.</div>
+                )}
+                {invitableFriends.map(friend => (
+                  <div key={friend.friendshipId} className="invite-friend-row">
+                    <span className={`presence-dot ${friend.presence.status}`} />
+                    <span className="invite-friend-name">
+                      {friend.user.display_name || friend.user.username}
+                    </span>
+                    <button
+                      onClick={() => sendInvite({ targetUserId: friend.user.id })}
+                      disabled={invitedIds.has(friend.user.id)}
+                    >
+                      {invitedIds.has(friend.user.id) ? 'Invited' : 'Invite'}
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </motion.div>
+      </motion.div>
+    </AnimatePresence>
+  );
+};
+
+export default InvitePlayersModal;
@@ -100,7 +100,9 @@ const JoinRoom = ({ initialRoomCode = '', initialPlayerName = '', autoJoin = fal
 
       const socket = io(serverUrl, {
         transports: ['websocket', 'polling'],
-        timeout: 10000
+        timeout: 10000,
+        // The server verifies this token before trusting supabaseUserId
+        auth: { token: session?.access_token || null }
       });
 
       // Set up event handlers
@@ -0,0 +1,78 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import './ModerationNotice.css';
+
+// Shows an active ban, and any moderator warnings the user hasn't seen yet
+const ModerationNotice = () => {
+  const { session, user, ban } = useAuth();
+  const [warnings, setWarnings] = useState([]);
+
+  useEffect(() => {
+    if (!session?.access_token || !user?.id) {
+      setWarnings([]);
+      return;
+    }
+
+    let cancelled = false;
+    const loadWarnings = async () => {
+      try {
+        const response = await fetch('/api/moderation/warnings', {
+          headers: { 'Authorization': `Bearer ${session.access_token}` }
+        });
+        if (!response.ok) return;
+        const data = await response.json();
+        if (!cancelled) setWarnings(data.warnings || []);
+      } catch (err) {
+        console.error('❌ [MODERATION] Failed to load warnings:', err);
+      }
+    };
+
+    loadWarnings();
+    return () => { cancelled = true; };
+  }, [session?.access_token, user?.id]);
+
+  const handleAcknowledge = async () => {
+    const [current, ...rest] = warnings;
+    setWarnings(rest);
+    try {
+      await fetch(`/api/moderation/warnings/${current.id}/acknowledge`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${session.access_token}` }
+      });
+    } catch (err) {
+      console.error('❌ [MODERATION] Failed to acknowledge warning:', err);
+    }
+  };
+
+  if (ban) {
+    return (
+      <div className="moderation-ban-banner">
+        <span>🚫 {ban.message}</span>
+        {ban.reason && <span className="moderation-ban-reason">Reason: {ban.reason}</span>}
+      </div>
+    );
+  }
+
+  const warning = warnings[0];
+  if (!warning) return null;
+
+  return (
+    <div className="moderation-warning-overlay">
+      <div className="moderation-warning">
+        <h2>⚠️ Warning from our moderators</h2>
+        <p className="moderation-warning-reason">{warning.reason}</p>
+        <p className="moderation-warning-date">
+          Issued {new Date(warning.issuedAt).toLocaleDateString()}
+        </p>
+        <p className="moderation-warning-hint">
+          Further violations may lead to your account being suspended.
+        </p>
+        <button className="moderation-warning-button" onClick={handleAcknowledge}>
+          I understand
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ModerationNotice;
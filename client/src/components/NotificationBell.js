@@ -0,0 +1,243 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { useSocket } from '../contexts/LazySocketContext';
+import './NotificationBell.css';
+
+const PAGE_SIZE = 10;
+const POLL_INTERVAL_MS = 60000;
+
+const TYPE_ICONS = {
+  level_up: '⬆️',
+  room_invite: '✉️',
+  subscription: '💎',
+  achievement: '🏆',
+  friend_request: '👥'
+};
+
+const formatTimeAgo = (timestamp) => {
+  const seconds = Math.floor((Date.now() - new Date(timestamp).getTime()) / 1000);
+  if (seconds < 60) return 'just now';
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+  return `${Math.floor(seconds / 86400)}d ago`;
+};
+
+const NotificationBell = ({ isInLobby, onLeaveLobby }) => {
+  const navigate = useNavigate();
+  const { user, session } = useAuth();
+  const { socket } = useSocket() || {};
+  const [isOpen, setIsOpen] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const wrapperRef = useRef(null);
+
+  const apiRequest = useCallback(async (url, options = {}) => {
+    if (!session?.access_token) {
+      throw new Error('Not authenticated');
+    }
+
+    const response = await fetch(url, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${session.access_token}`
+      }
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || 'Request failed');
+    }
+    return data;
+  }, [session?.access_token]);
+
+  const loadPage = useCallback(async (pageToLoad) => {
+    try {
+      setLoading(true);
+      const data = await apiRequest(`/api/notifications?page=${pageToLoad}&limit=${PAGE_SIZE}`);
+      setNotifications(prev => (pageToLoad === 1 ? data.notifications : [...prev, ...data.notifications]));
+      setUnreadCount(data.unreadCount);
+      setHasMore(data.pagination.hasMore);
+      setPage(pageToLoad);
+    } catch (err) {
+      console.error('❌ [NOTIFICATIONS] Failed to load notifications:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [apiRequest]);
+
+  const refreshUnreadCount = useCallback(async () => {
+    try {
+      const data = await apiRequest('/api/notifications/unread-count');
+      setUnreadCount(data.unreadCount);
+    } catch (err) {
+      console.error('❌ [NOTIFICATIONS] Failed to load unread count:', err);
+    }
+  }, [apiRequest]);
+
+  // Poll the unread count; the socket pushes updates while we're in a lobby
+  useEffect(() => {
+    if (!session?.access_token || user?.is_guest) return;
+    refreshUnreadCount();
+    const interval = setInterval(refreshUnreadCount, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [session?.access_token, user?.is_guest, refreshUnreadCount]);
+
+  useEffect(() => {
+    if (isOpen) loadPage(1);
+  }, [isOpen, loadPage]);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleNew = (data) => {
+      setUnreadCount(data.unreadCount);
+      if (data.notification) {
+        setNotifications(prev => [data.notification, ...prev.filter(n => n.id !== data.notification.id)]);
+      }
+    };
+    const handleCount = (data) => setUnreadCount(data.unreadCount);
+
+    socket.on('notification:new', handleNew);
+    socket.on('notification:count', handleCount);
+    return () => {
+      socket.off('notification:new', handleNew);
+      socket.off('notification:count', handleCount);
+    };
+  }, [socket]);
+
+  // Close when clicking outside
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleClickOutside = (e) => {
+      if (wrapperRef.current && !wrapperRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  const markRead = async (notification) => {
+    if (notification.is_read) return;
+    try {
+      const data = await apiRequest(`/api/notifications/${notification.id}/read`, { method: 'PATCH' });
+      setNotifications(prev => prev.map(n => (n.id === notification.id ? data.notification : n)));
+      setUnreadCount(count => Math.max(0, count - 1));
+    } catch (err) {
+      console.error('❌ [NOTIFICATIONS] Failed to mark read:', err);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await apiRequest('/api/notifications/read-all', { method: 'POST' });
+      setNotifications(prev => prev.map(n => ({ ...n, is_read: true })));
+      setUnreadCount(0);
+    } catch (err) {
+      console.error('❌ [NOTIFICATIONS] Failed to mark all read:', err);
+    }
+  };
+
+  const handleDelete = async (e, notification) => {
+    e.stopPropagation();
+    try {
+      await apiRequest(`/api/notifications/${notification.id}`, { method: 'DELETE' });
+      setNotifications(prev => prev.filter(n => n.id !== notification.id));
+      if (!notification.is_read) {
+        setUnreadCount(count => Math.max(0, count - 1));
+      }
+    } catch (err) {
+      console.error('❌ [NOTIFICATIONS] Failed to delete notification:', err);
+    }
+  };
+
+  const handleOpenNotification = async (notification) => {
+    await markRead(notification);
+    if (!notification.action_url) return;
+
+    setIsOpen(false);
+    // Joining another lobby needs the current one to be left first
+    if (notification.action_url.startsWith('/lobby/') && isInLobby && onLeaveLobby) {
+      onLeaveLobby();
+      setTimeout(() => navigate(notification.action_url), 300);
+    } else {
+      navigate(notification.action_url);
+    }
+  };
+
+  if (!user || user.is_guest) {
+    return null;
+  }
+
+  return (
+    <div className="notification-bell-wrapper" ref={wrapperRef}>
+      <button
+        className="notification-bell"
+        onClick={() => setIsOpen(open => !open)}
+        title="Notifications"
+      >
+        🔔
+        {unreadCount > 0 && (
+          <span className="notification-bell-badge">{unreadCount > 99 ? '99+' : unreadCount}</span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="notification-dropdown">
+          <div className="notification-dropdown-header">
+            <h3>Notifications</h3>
+            {unreadCount > 0 && (
+              <button className="mark-all-read" onClick={handleMarkAllRead}>Mark all read</button>
+            )}
+          </div>
+
+          {notifications.length === 0 && !loading && (
+            <div className="notification-empty">You're all caught up.</div>
+          )}
+
+          {notifications.map(notification => (
+            <div
+              key={notification.id}
+              className={`notification-item ${notification.is_read ? '' : 'unread'} priority-${notification.priority}`}
+              onClick={() => handleOpenNotification(notification)}
+            >
+              <span className="notification-icon">{TYPE_ICONS[notification.type] || '🔔'}</span>
+              <div className="notification-body">
+                <div className="notification-title">{notification.title}</div>
+                {notification.message && <div className="notification-text">{notification.message}</div>}
+                <div className="notification-meta">
+                  {formatTimeAgo(notification.created_at)}
+                  {notification.action_label && <span className="notification-action"> · {notification.action_label}</span>}
+                </div>
+              </div>
+              <button
+                className="notification-delete"
+                onClick={(e) => handleDelete(e, notification)}
+                title="Delete"
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+
+          {hasMore && (
+            <button
+              className="notification-load-more"
+              onClick={() => loadPage(page + 1)}
+              disabled={loading}
+            >
+              {loading ? 'Loading...' : 'Load more'}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
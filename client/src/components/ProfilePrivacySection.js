@@ -0,0 +1,70 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+
+const PRIVACY_OPTIONS = [
+  { key: 'profilePublic', setting: 'profile_public', label: 'Public profile', description: 'Anyone can see your level, XP and totals, and you appear on leaderboards' },
+  { key: 'statsPublic', setting: 'stats_public', label: 'Game stats', description: 'Show per-game stats and achievements, and appear on leaderboards' },
+  { key: 'historyPublic', setting: 'history_public', label: 'Match history', description: 'Show your recent matches' }
+];
+
+const ProfilePrivacySection = () => {
+  const { user, session, refreshUser } = useAuth();
+  const [saving, setSaving] = useState(null);
+  const [error, setError] = useState(null);
+
+  const isEnabled = (option) => user?.privacy_settings?.[option.setting] !== false;
+
+  const handleToggle = async (option) => {
+    try {
+      setSaving(option.key);
+      setError(null);
+      const response = await fetch('/api/profiles/me/privacy', {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${session.access_token}`
+        },
+        body: JSON.stringify({ [option.key]: !isEnabled(option) })
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to update privacy settings');
+      }
+      await refreshUser();
+    } catch (err) {
+      console.error('❌ [ACCOUNT] Privacy update failed:', err);
+      setError(err.message);
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  return (
+    <div className="account-section privacy-section">
+      <h2>Profile Privacy</h2>
+      <p className="section-description">
+        Choose what others see on <Link to={`/u/${encodeURIComponent(user?.username || '')}`}>your public profile</Link>
+      </p>
+
+      {PRIVACY_OPTIONS.map(option => (
+        <label key={option.key} className="privacy-option">
+          <input
+            type="checkbox"
+            checked={isEnabled(option)}
+            disabled={saving !== null}
+            onChange={() => handleToggle(option)}
+          />
+          <span>
+            <strong>{option.label}</strong>
+            <span className="privacy-description">{option.description}</span>
+          </span>
+        </label>
+      ))}
+
+      {error && <p className="privacy-error">{error}</p>}
+    </div>
+  );
+};
+
+export default ProfilePrivacySection;
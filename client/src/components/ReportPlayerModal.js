@@ -0,0 +1,134 @@
+import React, { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { useAuth } from '../contexts/AuthContext';
+import './ReportPlayerModal.css';
+
+const REPORT_REASONS = [
+  { value: 'harassment', label: 'Harassment' },
+  { value: 'offensive_content', label: 'Offensive messages' },
+  { value: 'inappropriate_name', label: 'Inappropriate name' },
+  { value: 'spam', label: 'Spam' },
+  { value: 'cheating', label: 'Cheating' },
+  { value: 'other', label: 'Something else' }
+];
+
+const ReportPlayerModal = ({ player, roomCode, onClose }) => {
+  const { session } = useAuth();
+  const [reason, setReason] = useState('harassment');
+  const [description, setDescription] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [result, setResult] = useState(null);
+
+  // Start fresh for every reported player
+  useEffect(() => {
+    setReason('harassment');
+    setDescription('');
+    setResult(null);
+  }, [player?.id]);
+
+  if (!player) return null;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!session?.access_token) return;
+
+    try {
+      setSubmitting(true);
+      const response = await fetch('/api/reports', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${session.access_token}`
+        },
+        body: JSON.stringify({
+          reportedUserId: player.id,
+          reason,
+          description: description.trim(),
+          roomCode
+        })
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (response.ok) {
+        setResult({ type: 'success', message: 'Thanks - our moderators will review your report.' });
+      } else {
+        setResult({ type: data.code === 'REPORT_ALREADY_FILED' ? 'success' : 'error', message: data.error || 'Failed to submit report' });
+      }
+    } catch (err) {
+      console.error('❌ [REPORT] Failed to submit report:', err);
+      setResult({ type: 'error', message: 'Failed to submit report' });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <AnimatePresence>
+      <motion.div
+        className="report-modal-overlay"
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        onClick={(e) => e.target === e.currentTarget && onClose()}
+      >
+        <motion.div
+          className="report-modal"
+          initial={{ opacity: 0, scale: 0.9, y: 20 }}
+          animate={{ opacity: 1, scale: 1, y: 0 }}
+          exit={{ opacity: 0, scale: 0.9, y: 20 }}
+          transition={{ duration: 0.3 }}
+        >
+          <div className="report-modal-header">
+            <h2>Report {player.name}</h2>
+            <button className="close-button" onClick={onClose}>✕</button>
+          </div>
+
+          <div className="report-modal-content">
+            {result?.type === 'success' ? (
+              <>
+                <p className="report-result success">{result.message}</p>
+                <button className="report-submit" onClick={onClose}>Close</button>
+              </>
+            ) : (
+              <form onSubmit={handleSubmit}>
+                <label className="report-label">What happened?</label>
+                <div className="report-reasons">
+                  {REPORT_REASONS.map(option => (
+                    <label key={option.value} className="report-reason">
+                      <input
+                        type="radio"
+                        name="report-reason"
+                        value={option.value}
+                        checked={reason === option.value}
+                        onChange={() => setReason(option.value)}
+                      />
+                      {option.label}
+                    </label>
+                  ))}
+                </div>
+
+                <textarea
+                  className="report-description"
+                  value={description}
+                  onChange={(e) => setDescription(e.target.value)}
+                  placeholder="Add details (optional)"
+                  maxLength={1000}
+                  rows={4}
+                />
+                <p className="report-hint">Recent lobby chat is attached to help moderators review.</p>
+
+                {result?.type === 'error' && <p className="report-result error">{result.message}</p>}
+
+                <button type="submit" className="report-submit" disabled={submitting}>
+                  {submitting ? 'Sending...' : 'Submit Report'}
+                </button>
+              </form>
+            )}
+          </div>
+        </motion.div>
+      </motion.div>
+    </AnimatePresence>
+  );
+};
+
+export default ReportPlayerModal;
@@ -3,9 +3,12 @@ import { useSocket } from '../contexts/LazySocketContext';
 import { useNotification } from '../contexts/NotificationContext'; // Import useNotification hook
 import { useAuth } from '../contexts/AuthContext';
 import GamePicker from './GamePicker';
+import GameSettingsPanel from './GameSettingsPanel';
 import ChatWindow from './ChatWindow';
 import TugOfWar from './TugOfWar';
 import ProfileSettingsModal from './ProfileSettingsModal';
+import InvitePlayersModal from './InvitePlayersModal';
+import ReportPlayerModal from './ReportPlayerModal';
 import { useRealtimeSubscription } from '../utils/useRealtimeSubscription';
 import { getSupabaseClient } from '../utils/supabase';
 import Avatar from './Avatar';
@@ -17,6 +20,7 @@ const RoomLobby = ({ roomCode, playerName, isHost, onLeave }) => {
   const { user, isAuthenticated, isPremium } = useAuth(); // Get isPremium from context
   const [players, setPlayers] = useState([]);
   const [selectedGame, setSelectedGame] = useState(null);
+  const [gameSettings, setGameSettings] = useState({}); // rooms.game_settings of the selected game
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null); // This local error state might still be useful for critical, view-blocking errors
   const [roomData, setRoomData] = useState(null);
@@ -27,9 +31,17 @@ const RoomLobby = ({ roomCode, playerName, isHost, onLeave }) => {
   const [disconnectedTimers, setDisconnectedTimers] = useState(new Map()); // Track disconnect timers
   const [showRoomCode, setShowRoomCode] = useState(false); // For streamer mode: toggle room code visibility
   const [showProfileSettings, setShowProfileSettings] = useState(false); // Profile settings modal
+  const [showInviteModal, setShowInviteModal] = useState(false); // Direct invites (host only)
+  const [reportTarget, setReportTarget] = useState(null); // Player being reported
   
   // Lobby Extras State
   const [messages, setMessages] = useState([]);
+  const [mutedPlayers, setMutedPlayers] = useState({}); // userId -> mutedUntil (null = until unmuted)
+
+  // Ready check state (server-driven, see server/lib/readyCheckManager.js)
+  const [readyPlayerIds, setReadyPlayerIds] = useState([]);
+  const [readyCheck, setReadyCheck] = useState(null);
+  const [readyCountdown, setReadyCountdown] = useState(null); // seconds left, null when not counting down
 
   // Debug logging for players
   useEffect(() => {
@@ -50,18 +62,157 @@ const RoomLobby = ({ roomCode, playerName, isHost, onLeave }) => {
       setMessages(prev => [...prev, msg]);
     };
 
+    const handleMessageDeleted = ({ messageId }) => {
+      setMessages(prev => prev.filter(msg => msg.id !== messageId));
+    };
+
+    const handlePlayerMuted = ({ userId, mutedUntil }) => {
+      setMutedPlayers(prev => ({ ...prev, [userId]: mutedUntil }));
+      if (userId === (user?.id || currentUserIdRef.current)) {
+        addNotification(
+          mutedUntil
+            ? `The host muted you in chat until ${new Date(mutedUntil).toLocaleTimeString()}`
+            : 'The host muted you in chat',
+          'warning'
+        );
+      }
+    };
+
+    const handlePlayerUnmuted = ({ userId }) => {
+      setMutedPlayers(prev => {
+        const next = { ...prev };
+        delete next[userId];
+        return next;
+      });
+      if (userId === (user?.id || currentUserIdRef.current)) {
+        addNotification('The host unmuted you in chat', 'info');
+      }
+    };
+
     socket.on('chat:message', handleChatMessage);
+    socket.on('chat:messageDeleted', handleMessageDeleted);
+    socket.on('chat:playerMuted', handlePlayerMuted);
+    socket.on('chat:playerUnmuted', handlePlayerUnmuted);
 
     return () => {
       socket.off('chat:message', handleChatMessage);
+      socket.off('chat:messageDeleted', handleMessageDeleted);
+      socket.off('chat:playerMuted', handlePlayerMuted);
+      socket.off('chat:playerUnmuted', handlePlayerUnmuted);
+    };
+  }, [socket, addNotification, user?.id]);
+
+  // Ready Check Listeners
+  useEffect(() => {
+    if (!socket) return;
+
+    const handlePlayerReadyChanged = (data) => {
+      setReadyPlayerIds(data.readyPlayerIds || []);
+    };
+
+    const handleReadyCheckStarted = (data) => {
+      setReadyCheck(data);
+      setReadyPlayerIds(data.readyPlayerIds || []);
+      setReadyCountdown(null);
+      addNotification(`Ready check! ${data.minPlayers}+ players need to be ready.`, 'info');
+    };
+
+    const handleReadyCheckCountdown = (data) => {
+      const { secondsLeft, ...check } = data;
+      setReadyCheck(check);
+      setReadyCountdown(secondsLeft);
     };
-  }, [socket]);
 
+    const handleReadyCheckCancelled = ({ reason } = {}) => {
+      setReadyCheck(null);
+      setReadyCountdown(null);
+      // The host started the game directly; gameStarted follows
+      if (reason === 'game_started') return;
+      addNotification('The host cancelled the ready check', 'info');
+    };
+
+    const handleReadyCheckFailed = (data) => {
+      setReadyCheck(null);
+      setReadyCountdown(null);
+      addNotification(data.message || 'The ready check failed', 'warning');
+    };
+
+    socket.on('playerReadyChanged', handlePlayerReadyChanged);
+    socket.on('readyCheck:started', handleReadyCheckStarted);
+    socket.on('readyCheck:countdown', handleReadyCheckCountdown);
+    socket.on('readyCheck:cancelled', handleReadyCheckCancelled);
+    socket.on('readyCheck:failed', handleReadyCheckFailed);
+
+    return () => {
+      socket.off('playerReadyChanged', handlePlayerReadyChanged);
+      socket.off('readyCheck:started', handleReadyCheckStarted);
+      socket.off('readyCheck:countdown', handleReadyCheckCountdown);
+      socket.off('readyCheck:cancelled', handleReadyCheckCancelled);
+      socket.off('readyCheck:failed', handleReadyCheckFailed);
+    };
+  }, [socket, addNotification]);
+
+  // Invite Listeners
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleInviteSent = (data) => {
+      addNotification(
+        data.delivered
+          ? `Invite sent to ${data.targetName}`
+          : `${data.targetName} is offline - they'll see the invite next time they visit`,
+        'success'
+      );
+    };
+
+    const handleInviteDeclined = () => {
+      addNotification('A player declined your invite', 'info');
+    };
+
+    socket.on('roomInviteSent', handleInviteSent);
+    socket.on('roomInvite:declined', handleInviteDeclined);
+
+    return () => {
+      socket.off('roomInviteSent', handleInviteSent);
+      socket.off('roomInvite:declined', handleInviteDeclined);
+    };
+  }, [socket, addNotification]);
+
+  // Achievement celebrations for anyone in the room
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleAchievementUnlocked = (data) => {
+      const isMe = data.userId === user?.id;
+      addNotification(
+        isMe
+          ? `🏆 Achievement unlocked: ${data.achievement.name} (+${data.achievement.xpReward} XP)`
+          : `🏆 ${data.playerName} unlocked ${data.achievement.name}!`,
+        'success'
+      );
+    };
+
+    socket.on('achievement:unlocked', handleAchievementUnlocked);
+    return () => {
+      socket.off('achievement:unlocked', handleAchievementUnlocked);
+    };
+  }, [socket, addNotification, user?.id]);
+
+  // The server attaches the sender's name and id from the connection
   const handleSendMessage = (text) => {
-    if (socket) socket.emit('chat:message', { 
-      message: text,
-      playerName: playerNameRef.current
-    });
+    if (socket) socket.emit('chat:message', { message: text });
+  };
+
+  const handleDeleteMessage = (messageId) => {
+    if (socket) socket.emit('chat:deleteMessage', { messageId });
+  };
+
+  const handleMutePlayer = (targetPlayerId, durationMinutes) => {
+    if (socket) socket.emit('chat:mutePlayer', { targetPlayerId, durationMinutes });
+  };
+
+  const handleUnmutePlayer = (targetPlayerId) => {
+    if (socket) socket.emit('chat:unmutePlayer', { targetPlayerId });
   };
 
   const [gamesList, setGamesList] = useState([]);
@@ -82,6 +233,8 @@ const RoomLobby = ({ roomCode, playerName, isHost, onLeave }) => {
     fetchGames();
   }, []);
 
+  const connectedPlayerCount = players.filter(p => p.isConnected !== false).length;
+
   const selectedGameInfo = useMemo(() => {
     if (!selectedGame) return null;
     
@@ -92,7 +245,8 @@ const RoomLobby = ({ roomCode, playerName, isHost, onLeave }) => {
         icon: foundGame.icon || '🎮',
         description: foundGame.description,
         maxPlayers: foundGame.max_players || foundGame.maxPlayers,
-        minPlayers: foundGame.min_players || foundGame.minPlayers || 2
+        minPlayers: foundGame.min_players || foundGame.minPlayers || 2,
+        settingsSchema: foundGame.settingsSchema || null
       };
     }
 
@@ -102,7 +256,8 @@ const RoomLobby = ({ roomCode, playerName, isHost, onLeave }) => {
       icon: '🎮',
       description: 'Loading game details...',
       maxPlayers: null,
-      minPlayers: null
+      minPlayers: null,
+      settingsSchema: null
     };
   }, [selectedGame, gamesList]);
 
@@ -110,6 +265,21 @@ const RoomLobby = ({ roomCode, playerName, isHost, onLeave }) => {
   const roomCodeRef = useRef(roomCode);
   const playerNameRef = useRef(playerName);
   const currentUserIdRef = useRef(null);
+
+  const myUserId = user?.id || currentUserIdRef.current;
+  const isMeReady = readyPlayerIds.includes(myUserId);
+
+  const handleToggleReady = () => {
+    if (socket) socket.emit('playerReady', { isReady: !isMeReady });
+  };
+
+  const handleStartReadyCheck = () => {
+    if (socket) socket.emit('readyCheck:start', {});
+  };
+
+  const handleCancelReadyCheck = () => {
+    if (socket) socket.emit('readyCheck:cancel');
+  };
   const roomIdRef = useRef(null);
   const timerIntervalsRef = useRef(new Map()); // Track timer intervals
   const roomVersionRef = useRef(0); // Latest applied room version
@@ -424,7 +594,13 @@ const RoomLobby = ({ roomCode, playerName, isHost, onLeave }) => {
       setPlayers(mappedPlayers);
       setRoomData(data.room);
       setRoomStatus(data.room?.status || 'waiting_for_players');
+      setMessages(data.chatHistory || []);
+      setReadyPlayerIds((data.players || []).filter(p => p.isReady && p.isConnected !== false).map(p => p.id));
+      setReadyCheck(data.readyCheck || null);
+      setReadyCountdown(null);
+      setMutedPlayers(Object.fromEntries((data.chatMutes || []).map(mute => [mute.userId, mute.mutedUntil])));
       setSelectedGame(data.room?.game_type !== 'lobby' ? data.room.game_type : null);
+      setGameSettings(data.room?.game_settings || {});
       
       // Set room ID for Realtime subscription
       roomIdRef.current = data.room?.id;
@@ -588,6 +764,19 @@ const RoomLobby = ({ roomCode, playerName, isHost, onLeave }) => {
     const handleGameSelected = (data) => {
       console.log('🎮 Game selected:', data.gameType);
       setSelectedGame(data.gameType);
+      setGameSettings(data.settings || {});
+      // Room capacity follows the selected game
+      if (data.maxPlayers) {
+        setRoomData(prev => (prev ? { ...prev, max_players: data.maxPlayers } : prev));
+      }
+    };
+
+    const handleRoomCapacityChanged = (data) => {
+      setRoomData(prev => (prev ? { ...prev, max_players: data.maxPlayers } : prev));
+    };
+
+    const handleGameSettingsUpdated = (data) => {
+      setGameSettings(data.settings || {});
     };
 
     const handleGameStarted = (data) => {
@@ -678,6 +867,17 @@ const RoomLobby = ({ roomCode, playerName, isHost, onLeave }) => {
           userFriendlyMessage = 'Only the host can perform this action.';
           // Don't redirect - just show error popup
           break;
+        case 'CHAT_MUTED':
+          userFriendlyMessage = error.mutedUntil
+            ? `You are muted in this room's chat until ${new Date(error.mutedUntil).toLocaleTimeString()}.`
+            : 'You are muted in this room\'s chat.';
+          break;
+        case 'CHAT_RATE_LIMITED':
+          userFriendlyMessage = 'You are sending messages too quickly. Wait a moment and try again.';
+          break;
+        case 'INVALID_SETTINGS':
+          userFriendlyMessage = `Those game settings are not allowed: ${error.message}`;
+          break;
         default:
           console.error('🔍 [LOBBY DEBUG] Unknown error code:', error.code);
           // For unknown errors, show popup but don't redirect
@@ -861,6 +1061,8 @@ const RoomLobby = ({ roomCode, playerName, isHost, onLeave }) => {
     socket.on('playerDisconnected', handlePlayerDisconnected);
     socket.on('playerStatusUpdated', handlePlayerStatusUpdated);
     socket.on('gameSelected', handleGameSelected);
+    socket.on('roomCapacityChanged', handleRoomCapacityChanged);
+    socket.on('gameSettingsUpdated', handleGameSettingsUpdated);
     socket.on('gameStarted', handleGameStarted);
     socket.on('hostTransferred', handleHostTransferred);
     socket.on('roomStatusChanged', handleRoomStatusChanged);
@@ -891,6 +1093,8 @@ const RoomLobby = ({ roomCode, playerName, isHost, onLeave }) => {
         socket.off('playerDisconnected', handlePlayerDisconnected);
         socket.off('playerStatusUpdated', handlePlayerStatusUpdated);
         socket.off('gameSelected', handleGameSelected);
+        socket.off('roomCapacityChanged', handleRoomCapacityChanged);
+        socket.off('gameSettingsUpdated', handleGameSettingsUpdated);
         socket.off('gameStarted', handleGameStarted);
         socket.off('hostTransferred', handleHostTransferred);
         socket.off('roomStatusChanged', handleRoomStatusChanged);
@@ -935,6 +1139,19 @@ const RoomLobby = ({ roomCode, playerName, isHost, onLeave }) => {
     }
   }, [socket, socketIsConnected, currentIsHost]);
 
+  const handleCapacityChange = useCallback((maxPlayers) => {
+    if (socket && socketIsConnected && currentIsHost) {
+      socket.emit('updateRoomCapacity', { maxPlayers });
+    }
+  }, [socket, socketIsConnected, currentIsHost]);
+
+  // Only the changed fields are sent; the server merges, validates and broadcasts
+  const handleGameSettingsChange = useCallback((settings) => {
+    if (socket && socketIsConnected && currentIsHost) {
+      socket.emit('updateGameSettings', { settings });
+    }
+  }, [socket, socketIsConnected, currentIsHost]);
+
   const handleStartGame = useCallback(() => {
     // Prevent multiple rapid clicks
     if (isStartingGame) {
@@ -997,6 +1214,11 @@ const RoomLobby = ({ roomCode, playerName, isHost, onLeave }) => {
     }
   }, [socket, socketIsConnected, onLeave]);
 
+  // Open profiles in a new tab so the player stays in the lobby
+  const handleOpenProfile = useCallback((player) => {
+    window.open(`/u/${player.id}`, '_blank', 'noopener');
+  }, []);
+
   const handleTransferHost = useCallback((targetPlayerId) => {
     if (socket && socketIsConnected && currentIsHost) {
       console.log('👑 Transferring host to player:', targetPlayerId);
@@ -1308,7 +1530,17 @@ const RoomLobby = ({ roomCode, playerName, isHost, onLeave }) => {
           </div>
         </div>
         
-        <div style={{ width: '180px' }}></div> {/* Spacer for layout balance */}
+        <div style={{ width: '180px' }}>
+          {currentIsHost && (
+            <button
+              className="copy-link-btn"
+              onClick={() => setShowInviteModal(true)}
+              title="Invite a registered player"
+            >
+              ✉️ Invite Players
+            </button>
+          )}
+        </div>
       </div>
 
       {/* Profile Settings Modal */}
@@ -1319,6 +1551,20 @@ const RoomLobby = ({ roomCode, playerName, isHost, onLeave }) => {
         isPremium={isPremium}
       />
 
+      {/* Direct Invites Modal */}
+      <InvitePlayersModal
+        isOpen={showInviteModal}
+        onClose={() => setShowInviteModal(false)}
+        players={players}
+      />
+
+      {/* Report Player Modal */}
+      <ReportPlayerModal
+        player={reportTarget}
+        roomCode={roomCode}
+        onClose={() => setReportTarget(null)}
+      />
+
       <div className="lobby-content">
         {/* Return progress banner */}
         {(() => {
@@ -1401,6 +1647,16 @@ const RoomLobby = ({ roomCode, playerName, isHost, onLeave }) => {
                     key={player.id}
                     className={`player-card ${player.isHost ? 'host' : ''} ${playerStatus.status} ${isDisconnectedWithTimer ? 'disconnecting' : ''} ${player.role === 'admin' ? 'premium-admin' : player.premiumTier === 'lifetime' ? 'premium-lifetime' : player.premiumTier === 'monthly' ? 'premium-monthly' : ''}`}
                   >
+                    {/* Signed-in players can report anyone else */}
+                    {isAuthenticated && player.id !== user?.id && (
+                      <button
+                        className="report-player-btn"
+                        onClick={() => setReportTarget(player)}
+                        title={`Report ${player.name}`}
+                      >
+                        🚩
+                      </button>
+                    )}
                     <div className="player-card-content">
                       <div className="player-avatar">
                         <Avatar
@@ -1420,10 +1676,19 @@ const RoomLobby = ({ roomCode, playerName, isHost, onLeave }) => {
                         )}
                       </div>
                       <div className="player-info">
-                        <span className="player-name">{player.name}</span>
+                        <span
+                          className="player-name player-name-link"
+                          onClick={() => handleOpenProfile(player)}
+                          title={`View ${player.name}'s profile`}
+                        >
+                          {player.name}
+                        </span>
                         <div className="player-badges">
                           <span className="level-badge-lobby" title={`Level ${player.level}`}>Lvl {player.level}</span>
                           {player.isHost && <span className="host-badge">Host</span>}
+                          {readyPlayerIds.includes(player.id) && (
+                            <span className="ready-badge" title={`${player.name} is ready`}>✅ Ready</span>
+                          )}
                           {/* Premium badges */}
                           {player.role === 'admin' ? (
                             <span className="premium-badge lifetime" title="Administrator">
@@ -1490,6 +1755,13 @@ const RoomLobby = ({ roomCode, playerName, isHost, onLeave }) => {
             messages={messages} 
             onSendMessage={handleSendMessage} 
             currentPlayerName={playerNameRef.current} 
+            currentUserId={user?.id || currentUserIdRef.current}
+            isHost={currentIsHost}
+            players={players}
+            mutedPlayers={mutedPlayers}
+            onDeleteMessage={handleDeleteMessage}
+            onMutePlayer={handleMutePlayer}
+            onUnmutePlayer={handleUnmutePlayer}
           />
           <TugOfWar playerName={playerNameRef.current} />
         </div>
@@ -1500,6 +1772,7 @@ const RoomLobby = ({ roomCode, playerName, isHost, onLeave }) => {
             <GamePicker 
               onGameSelect={handleGameSelect}
               isHost={currentIsHost}
+              playerCount={connectedPlayerCount}
               disabled={!socket || !socketIsConnected} // Use socketIsConnected
             />
           ) : (
@@ -1515,7 +1788,48 @@ const RoomLobby = ({ roomCode, playerName, isHost, onLeave }) => {
                     ? `${selectedGameInfo.minPlayers}-${selectedGameInfo.maxPlayers} Players`
                     : `Max ${selectedGameInfo.maxPlayers ?? '??'} Players`}
                 </span>
+                {roomData?.max_players && (
+                  <span className="room-capacity">
+                    {connectedPlayerCount}/{roomData.max_players} in room
+                  </span>
+                )}
+                {currentIsHost && selectedGameInfo.maxPlayers && roomData?.max_players && (
+                  <label className="room-capacity-select">
+                    Room size
+                    <select
+                      value={roomData.max_players}
+                      onChange={(e) => handleCapacityChange(Number(e.target.value))}
+                      disabled={!socket || !socketIsConnected}
+                    >
+                      {Array.from(
+                        { length: selectedGameInfo.maxPlayers - Math.max(selectedGameInfo.minPlayers, connectedPlayerCount) + 1 },
+                        (_, i) => Math.max(selectedGameInfo.minPlayers, connectedPlayerCount) + i
+                      ).map(size => (
+                        <option key={size} value={size}>{size}</option>
+                      ))}
+                    </select>
+                  </label>
+                )}
+                <GameSettingsPanel
+                  schema={selectedGameInfo.settingsSchema}
+                  settings={gameSettings}
+                  isHost={currentIsHost}
+                  disabled={!socket || !socketIsConnected || isStartingGame}
+                  onChange={handleGameSettingsChange}
+                />
               </div>
+              {readyCheck && (
+                <div className="ready-check-banner">
+                  {readyCountdown !== null ? (
+                    <strong className="ready-check-countdown">Starting in {readyCountdown}...</strong>
+                  ) : (
+                    <span>
+                      Ready check: {readyPlayerIds.length}/{readyCheck.minPlayers} ready
+                      {' '}(everyone who isn't ready by then stays in the lobby)
+                    </span>
+                  )}
+                </div>
+              )}
               {currentIsHost && (
                 <div>
                   <button 
@@ -1525,6 +1839,24 @@ const RoomLobby = ({ roomCode, playerName, isHost, onLeave }) => {
                   >
                     {isStartingGame ? 'Starting Game...' : 'Start Game'}
                   </button>
+                  {readyCheck ? (
+                    <button
+                      onClick={handleCancelReadyCheck}
+                      className="ready-check-btn cancel"
+                      disabled={!socket || !socketIsConnected}
+                    >
+                      Cancel Ready Check
+                    </button>
+                  ) : (
+                    <button
+                      onClick={handleStartReadyCheck}
+                      className="ready-check-btn"
+                      disabled={!socket || !socketIsConnected || isStartingGame}
+                      title="Ask everyone to ready up; the game starts after a short countdown"
+                    >
+                      ✋ Ready Check
+                    </button>
+                  )}
                   <button 
                     onClick={() => {
                       setSelectedGame(null);
@@ -1543,6 +1875,13 @@ const RoomLobby = ({ roomCode, playerName, isHost, onLeave }) => {
               {!currentIsHost && (
                 <div style={{ textAlign: 'center' }}>
                   <p>Waiting for host to start the game...</p>
+                  <button
+                    onClick={handleToggleReady}
+                    className={`ready-toggle-btn ${isMeReady ? 'ready' : ''}`}
+                    disabled={!socket || !socketIsConnected}
+                  >
+                    {isMeReady ? '✅ Ready' : 'Ready up'}
+                  </button>
                 </div>
               )}
             </div>
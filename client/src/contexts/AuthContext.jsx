@@ -7,6 +7,7 @@ export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [session, setSession] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [ban, setBan] = useState(null);
 
   useEffect(() => {
     initAuth();
@@ -74,6 +75,7 @@ export const AuthProvider = ({ children }) => {
             fetchUser(session.user.id, session.access_token);
           } else {
             setUser(null);
+            setBan(null);
           }
 
           setLoading(false);
@@ -178,6 +180,14 @@ export const AuthProvider = ({ children }) => {
           return; // Don't throw, just treat as logged out
         }
 
+        // Banned accounts stay signed in so the ban notice can explain why
+        if (response.status === 403 && errorData.code === 'ACCOUNT_BANNED') {
+          console.warn('🚫 [AUTH] Account is banned:', errorData.ban);
+          setBan({ ...errorData.ban, message: errorData.error });
+          setUser(null);
+          return;
+        }
+
         throw new Error(errorData.error || 'Failed to fetch user');
       }
 
@@ -190,6 +200,7 @@ export const AuthProvider = ({ children }) => {
         subscriptionCanceled: data.user.subscription_canceled_at
       });
 
+      setBan(null);
       setUser(data.user);
       console.log('✅ [AUTH DEBUG] User state updated successfully. Premium Tier:', data.user.premium_tier);
     } catch (error) {
@@ -207,6 +218,7 @@ export const AuthProvider = ({ children }) => {
       // Clear local state immediately for instant UI feedback
       setUser(null);
       setSession(null);
+      setBan(null);
 
       // Clear localStorage directly (in case supabase call hangs)
       localStorage.removeItem('gamebuddies-auth');
@@ -237,6 +249,7 @@ export const AuthProvider = ({ children }) => {
     user,
     session,
     loading,
+    ban,
     signOut,
     refreshUser,
     isAuthenticated: !!session,
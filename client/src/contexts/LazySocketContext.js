@@ -1,5 +1,6 @@
 import React, { createContext, useContext, useEffect, useState, useRef, useCallback, useMemo } from 'react';
 import io from 'socket.io-client';
+import { useAuth } from './AuthContext';
 
 const SocketContext = createContext();
 
@@ -16,6 +17,11 @@ export const LazySocketProvider = ({ children }) => {
   const reconnectionAttemptsRef = useRef(0);
   const maxReconnectionAttempts = 3;
   const socketRef = useRef(null);
+  const { session } = useAuth();
+  // Read on every (re)connect, so the handshake always carries the current token
+  const sessionRef = useRef(session);
+  // Account the open connection was verified as
+  const connectedUserIdRef = useRef(null);
 
   // Determine server URL based on environment
   const getServerUrl = useCallback(() => {
@@ -84,7 +90,12 @@ export const LazySocketProvider = ({ children }) => {
       timeout: 20000, // 20 seconds
       reconnection: false, // Disable automatic reconnection
       forceNew: false, // Don't force new connections
-      autoConnect: false // Don't auto-connect
+      autoConnect: false, // Don't auto-connect
+      // The server verifies this token before trusting supabaseUserId in createRoom/joinRoom
+      auth: (cb) => {
+        connectedUserIdRef.current = sessionRef.current?.user?.id || null;
+        cb({ token: sessionRef.current?.access_token || null });
+      }
     });
 
     newSocket.on('connect', () => {
@@ -154,6 +165,16 @@ export const LazySocketProvider = ({ children }) => {
     }
   }, []);
 
+  // Signing in or out changes who the server should treat this socket as, so reconnect with the new token
+  useEffect(() => {
+    sessionRef.current = session;
+    const userId = session?.user?.id || null;
+    if (socketRef.current?.connected && userId !== connectedUserIdRef.current) {
+      console.log('🔐 [LazySocketProvider] Account changed, reconnecting with the new session');
+      socketRef.current.disconnect().connect();
+    }
+  }, [session]);
+
   // Cleanup on component unmount
   useEffect(() => {
     return () => {
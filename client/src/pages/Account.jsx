@@ -4,6 +4,10 @@ import { useAuth } from '../contexts/AuthContext';
 import { getSupabaseClient } from '../utils/supabase';
 import AvatarCustomizer from '../components/AvatarCustomizer';
 import Avatar, { getDiceBearUrl } from '../components/Avatar';
+import AchievementsSection from '../components/AchievementsSection';
+import ProfilePrivacySection from '../components/ProfilePrivacySection';
+import AffiliateSection from '../components/AffiliateSection';
+import BillingHistorySection from '../components/BillingHistorySection';
 import './Account.css';
 
 const Account = () => {
@@ -44,6 +48,12 @@ const Account = () => {
   // Check if user was previously premium (has expiration date but is now free)
   const wasPremium = !isPremium && user?.premium_expires_at;
 
+  // Renewal failed - premium stays active until the grace period ends
+  const isInGracePeriod = isMonthly && user?.grace_period_ends_at && new Date(user.grace_period_ends_at) > new Date();
+
+  // Monthly premium from a gift or promo code - no subscription behind it
+  const isCodePremium = isMonthly && !user?.stripe_subscription_id && !isInGracePeriod;
+
   // Format date
   const formatDate = (dateString) => {
     if (!dateString) return 'N/A';
@@ -217,6 +227,25 @@ const Account = () => {
           <p className="account-subtitle">Manage your profile and subscription</p>
         </div>
 
+        {isInGracePeriod && (
+          <div className="payment-grace-banner">
+            <div className="payment-grace-text">
+              <strong>⚠️ Your last payment failed</strong>
+              <p>
+                Premium stays active until {formatDate(user.grace_period_ends_at)}.
+                Update your payment method before then to keep it.
+              </p>
+            </div>
+            <button
+              onClick={handleManageSubscription}
+              className="btn btn-primary"
+              disabled={loading}
+            >
+              {loading ? 'Loading...' : 'Fix payment'}
+            </button>
+          </div>
+        )}
+
         {/* User Information */}
         <div className="account-section">
           <h2>Profile Information</h2>
@@ -285,6 +314,15 @@ const Account = () => {
           )}
         </div>
 
+        {/* Achievements */}
+        <AchievementsSection />
+
+        {/* Public profile visibility */}
+        <ProfilePrivacySection />
+
+        {/* Streamer referral earnings (affiliates only) */}
+        <AffiliateSection />
+
         {/* Subscription Status */}
         <div className="account-section subscription-section">
           <h2>Subscription Status</h2>
@@ -305,6 +343,7 @@ const Account = () => {
                   {user?.role === 'admin' ? 'You have full administrative access to the platform' :
                    isLifetime ? 'You have lifetime access to all premium features' :
                    isCanceled ? 'Your subscription is canceled and will end at the next billing date' :
+                   isCodePremium ? 'Premium from a gift or promo code - it does not renew' :
                    isMonthly ? 'Your subscription renews automatically each month' :
                    wasPremium ? 'Your premium subscription has ended' :
                    'Upgrade to premium for exclusive features'}
@@ -316,14 +355,14 @@ const Account = () => {
               <div className="subscription-details">
                 <div className="detail-row">
                   <span className="detail-label">Status</span>
-                  <span className={`detail-value ${isCanceled ? 'status-canceled' : 'status-active'}`}>
-                    {isCanceled ? 'Canceled (Active until expiration)' : 'Active'}
+                  <span className={`detail-value ${isCanceled || isInGracePeriod ? 'status-canceled' : 'status-active'}`}>
+                    {isCanceled ? 'Canceled (Active until expiration)' : isInGracePeriod ? 'Payment failed (Grace period)' : 'Active'}
                   </span>
                 </div>
 
                 {isMonthly && user?.premium_expires_at && (
                   <div className="detail-row">
-                    <span className="detail-label">{isCanceled ? 'Access Ends' : 'Next Billing Date'}</span>
+                    <span className="detail-label">{isCanceled || isCodePremium ? 'Access Ends' : 'Next Billing Date'}</span>
                     <span className="detail-value">{formatDate(user.premium_expires_at)}</span>
                   </div>
                 )}
@@ -386,15 +425,18 @@ const Account = () => {
                 </button>
               ) : (
                 <>
-                  <button
-                    onClick={handleManageSubscription}
-                    className="btn btn-secondary"
-                    disabled={loading}
-                  >
-                    {loading ? 'Loading...' : 'Manage Subscription'}
-                  </button>
-
-                  {isMonthly && !isCanceled && (
+                  {/* Premium from a code may have no Stripe customer */}
+                  {user?.stripe_customer_id && (
+                    <button
+                      onClick={handleManageSubscription}
+                      className="btn btn-secondary"
+                      disabled={loading}
+                    >
+                      {loading ? 'Loading...' : 'Manage Subscription'}
+                    </button>
+                  )}
+
+                  {isMonthly && !isCanceled && !isCodePremium && (
                     <button
                       onClick={handleCancelSubscription}
                       className="btn btn-danger"
@@ -415,6 +457,9 @@ const Account = () => {
           </div>
         </div>
 
+        {/* Billing History */}
+        <BillingHistorySection />
+
         {/* Premium Features */}
         {isPremium && (
           <div className="account-section">
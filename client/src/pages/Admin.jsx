@@ -0,0 +1,648 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import './Admin.css';
+
+const STAFF_ROLES = ['admin', 'moderator'];
+
+const TABS = [
+  { value: 'reports', label: 'Reports' },
+  { value: 'bans', label: 'Bans' },
+  { value: 'rooms', label: 'Live Rooms' },
+  { value: 'affiliates', label: 'Affiliates', adminOnly: true },
+  { value: 'codes', label: 'Promo Codes', adminOnly: true }
+];
+
+const REPORT_FILTERS = [
+  { value: 'open', label: 'Open' },
+  { value: 'resolved', label: 'Resolved' },
+  { value: 'dismissed', label: 'Dismissed' },
+  { value: 'all', label: 'All' }
+];
+
+const BAN_DURATIONS = [
+  { value: 24, label: '1 day' },
+  { value: 24 * 7, label: '7 days' },
+  { value: 24 * 30, label: '30 days' }
+];
+
+const displayName = (user) => user?.display_name || user?.username || 'Unknown';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const formatMoney = (amount) =>
+  new Intl.NumberFormat('en-US', { style: 'currency', currency: 'EUR' }).format(Number(amount) || 0);
+
+// Warning / temporary / permanent ban form, used from reports and the bans tab
+const BanForm = ({ userId: fixedUserId, reportId, onSubmit, onCancel }) => {
+  const [userId, setUserId] = useState(fixedUserId || '');
+  const [banType, setBanType] = useState('warning');
+  const [durationHours, setDurationHours] = useState(BAN_DURATIONS[0].value);
+  const [reason, setReason] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    const ok = await onSubmit({
+      userId: userId.trim(),
+      banType,
+      reason: reason.trim(),
+      ...(banType === 'temporary' && { durationHours: Number(durationHours) }),
+      ...(reportId && { reportId })
+    });
+    setSubmitting(false);
+    if (ok) {
+      setReason('');
+      if (!fixedUserId) setUserId('');
+    }
+  };
+
+  return (
+    <form className="admin-ban-form" onSubmit={handleSubmit}>
+      {!fixedUserId && (
+        <input
+          className="admin-input"
+          value={userId}
+          onChange={(e) => setUserId(e.target.value)}
+          placeholder="User ID"
+          required
+        />
+      )}
+      <select className="admin-input" value={banType} onChange={(e) => setBanType(e.target.value)}>
+        <option value="warning">Warning</option>
+        <option value="temporary">Temporary ban</option>
+        <option value="permanent">Permanent ban</option>
+      </select>
+      {banType === 'temporary' && (
+        <select className="admin-input" value={durationHours} onChange={(e) => setDurationHours(e.target.value)}>
+          {BAN_DURATIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      )}
+      <input
+        className="admin-input admin-input-wide"
+        value={reason}
+        onChange={(e) => setReason(e.target.value)}
+        placeholder="Reason (shown to the user)"
+        minLength={3}
+        maxLength={500}
+        required
+      />
+      <button type="submit" className="admin-button danger" disabled={submitting}>
+        {submitting ? 'Saving...' : 'Confirm'}
+      </button>
+      {onCancel && (
+        <button type="button" className="admin-button" onClick={onCancel}>Cancel</button>
+      )}
+    </form>
+  );
+};
+
+// Mint a promo code: lifetime or N days of monthly premium
+const PromoCodeForm = ({ onSubmit }) => {
+  const [code, setCode] = useState('');
+  const [tier, setTier] = useState('monthly');
+  const [durationDays, setDurationDays] = useState(30);
+  const [maxUses, setMaxUses] = useState(1);
+  const [expiresAt, setExpiresAt] = useState('');
+  const [note, setNote] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    const ok = await onSubmit({
+      tier,
+      maxUses: Number(maxUses),
+      ...(code.trim() && { code: code.trim() }),
+      ...(tier === 'monthly' && { durationDays: Number(durationDays) }),
+      ...(expiresAt && { expiresAt: new Date(expiresAt).toISOString() }),
+      ...(note.trim() && { note: note.trim() })
+    });
+    setSubmitting(false);
+    if (ok) {
+      setCode('');
+      setNote('');
+    }
+  };
+
+  return (
+    <form className="admin-ban-form" onSubmit={handleSubmit}>
+      <input
+        className="admin-input"
+        value={code}
+        onChange={(e) => setCode(e.target.value.toUpperCase())}
+        placeholder="Code (blank = random)"
+        pattern="[A-Z0-9\-]{4,32}"
+        maxLength={32}
+      />
+      <select className="admin-input" value={tier} onChange={(e) => setTier(e.target.value)}>
+        <option value="monthly">Monthly</option>
+        <option value="lifetime">Lifetime</option>
+      </select>
+      {tier === 'monthly' && (
+        <label className="admin-muted">
+          Days{' '}
+          <input
+            className="admin-input admin-input-narrow"
+            type="number"
+            min={1}
+            max={3650}
+            value={durationDays}
+            onChange={(e) => setDurationDays(e.target.value)}
+            required
+          />
+        </label>
+      )}
+      <label className="admin-muted">
+        Max uses{' '}
+        <input
+          className="admin-input admin-input-narrow"
+          type="number"
+          min={1}
+          max={100000}
+          value={maxUses}
+          onChange={(e) => setMaxUses(e.target.value)}
+          required
+        />
+      </label>
+      <label className="admin-muted">
+        Expires{' '}
+        <input
+          className="admin-input"
+          type="datetime-local"
+          value={expiresAt}
+          onChange={(e) => setExpiresAt(e.target.value)}
+        />
+      </label>
+      <input
+        className="admin-input admin-input-wide"
+        value={note}
+        onChange={(e) => setNote(e.target.value)}
+        placeholder="Note (campaign, streamer...)"
+        maxLength={200}
+      />
+      <button type="submit" className="admin-button" disabled={submitting}>
+        {submitting ? 'Creating...' : 'Create code'}
+      </button>
+    </form>
+  );
+};
+
+const Admin = () => {
+  const { user, session, loading: authLoading } = useAuth();
+  const [tab, setTab] = useState('reports');
+  const [reportFilter, setReportFilter] = useState('open');
+  const [reports, setReports] = useState([]);
+  const [bans, setBans] = useState([]);
+  const [rooms, setRooms] = useState([]);
+  const [earnings, setEarnings] = useState([]);
+  const [earningFilter, setEarningFilter] = useState('pending');
+  const [promoCodes, setPromoCodes] = useState([]);
+  const [banTarget, setBanTarget] = useState(null); // report id the ban form is open for
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const isStaff = STAFF_ROLES.includes(user?.role);
+  const isAdmin = user?.role === 'admin';
+
+  const apiRequest = useCallback(async (path, options = {}) => {
+    const response = await fetch(path, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${session?.access_token}`
+      }
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || 'Request failed');
+    }
+    return data;
+  }, [session?.access_token]);
+
+  const loadTab = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      if (tab === 'reports') {
+        const data = await apiRequest(`/api/admin/reports?status=${reportFilter}`);
+        setReports(data.reports);
+      } else if (tab === 'bans') {
+        const data = await apiRequest('/api/admin/bans');
+        setBans(data.bans);
+      } else if (tab === 'rooms') {
+        const data = await apiRequest('/api/admin/rooms');
+        setRooms(data.rooms);
+      } else if (tab === 'affiliates') {
+        const data = await apiRequest(`/api/affiliates/admin/earnings?status=${earningFilter}`);
+        setEarnings(data.earnings);
+      } else {
+        const data = await apiRequest('/api/premium/admin/codes');
+        setPromoCodes(data.codes);
+      }
+    } catch (err) {
+      console.error('❌ [ADMIN] Failed to load data:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [tab, reportFilter, earningFilter, apiRequest]);
+
+  useEffect(() => {
+    if (isStaff) loadTab();
+  }, [isStaff, loadTab]);
+
+  // Rooms change quickly; keep the list fresh while it's open
+  useEffect(() => {
+    if (!isStaff || tab !== 'rooms') return;
+    const interval = setInterval(loadTab, 15000);
+    return () => clearInterval(interval);
+  }, [isStaff, tab, loadTab]);
+
+  const runAction = async (request, successMessage) => {
+    try {
+      setError(null);
+      await request();
+      setMessage(successMessage);
+      await loadTab();
+      return true;
+    } catch (err) {
+      console.error('❌ [ADMIN] Action failed:', err);
+      setError(err.message);
+      setMessage(null);
+      return false;
+    }
+  };
+
+  const updateReport = (report, status) => {
+    const resolution = status === 'investigating' ? undefined : window.prompt('Resolution note (optional)', '');
+    if (resolution === null) return;
+    runAction(
+      () => apiRequest(`/api/admin/reports/${report.id}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ status, ...(resolution !== undefined && { resolution }) })
+      }),
+      `Report marked as ${status}`
+    );
+  };
+
+  const issueBan = (payload) => runAction(
+    () => apiRequest('/api/admin/bans', { method: 'POST', body: JSON.stringify(payload) }),
+    payload.banType === 'warning' ? 'Warning issued' : 'Ban issued'
+  ).then(ok => {
+    if (ok) setBanTarget(null);
+    return ok;
+  });
+
+  const liftBan = (ban) => {
+    const reason = window.prompt(`Lift ${ban.ban_type} for ${displayName(ban.user)}? Reason (optional):`, '');
+    if (reason === null) return;
+    runAction(
+      () => apiRequest(`/api/admin/bans/${ban.id}`, { method: 'DELETE', body: JSON.stringify({ reason }) }),
+      'Ban lifted'
+    );
+  };
+
+  const closeRoom = (room) => {
+    const reason = window.prompt(`Close room ${room.room_code}? Everyone will be sent home. Reason (optional):`, '');
+    if (reason === null) return;
+    runAction(
+      () => apiRequest(`/api/admin/rooms/${room.room_code}/close`, { method: 'POST', body: JSON.stringify({ reason }) }),
+      `Room ${room.room_code} closed`
+    );
+  };
+
+  const kickPlayer = (room, participant) => {
+    const name = participant.custom_lobby_name || displayName(participant.user);
+    const reason = window.prompt(`Kick ${name} from ${room.room_code}? Reason (optional):`, '');
+    if (reason === null) return;
+    runAction(
+      () => apiRequest(`/api/admin/rooms/${room.room_code}/kick/${participant.user_id}`, { method: 'POST', body: JSON.stringify({ reason }) }),
+      `${name} was kicked`
+    );
+  };
+
+  const markPaid = (code, entries) => {
+    const total = entries.reduce((sum, entry) => sum + Number(entry.commission_amount), 0);
+    const payoutReference = window.prompt(`Mark ${entries.length} entries (${formatMoney(total)}) for ${code} as paid? Payout reference (optional):`, '');
+    if (payoutReference === null) return;
+    runAction(
+      () => apiRequest('/api/affiliates/admin/payouts', {
+        method: 'POST',
+        body: JSON.stringify({ earningIds: entries.map(entry => entry.id), payoutReference })
+      }),
+      `Payout of ${formatMoney(total)} to ${code} recorded`
+    );
+  };
+
+  const clawback = (entry) => {
+    const reason = window.prompt(`Claw back ${formatMoney(entry.commission_amount)} from ${entry.affiliate?.code}? Reason (refund, cancellation...):`, '');
+    if (!reason) return;
+    runAction(
+      () => apiRequest(`/api/affiliates/admin/earnings/${entry.id}/clawback`, {
+        method: 'POST',
+        body: JSON.stringify({ reason })
+      }),
+      'Commission clawed back'
+    );
+  };
+
+  if (authLoading) {
+    return <div className="admin-page"><p className="admin-message">Loading...</p></div>;
+  }
+
+  if (!isStaff) {
+    return (
+      <div className="admin-page">
+        <div className="admin-container">
+          <p className="admin-message error">You don't have access to this page.</p>
+          <p className="admin-message"><Link to="/">Back to home</Link></p>
+        </div>
+      </div>
+    );
+  }
+
+  const createPromoCode = (payload) => runAction(
+    () => apiRequest('/api/premium/admin/codes', { method: 'POST', body: JSON.stringify(payload) }),
+    'Promo code created'
+  );
+
+  const disablePromoCode = (promo) => {
+    if (!window.confirm(`Disable ${promo.code}? It can no longer be redeemed.`)) return;
+    runAction(
+      () => apiRequest(`/api/premium/admin/codes/${promo.id}/disable`, { method: 'POST' }),
+      `${promo.code} disabled`
+    );
+  };
+
+  const renderReports = () => (
+    <>
+      <div className="admin-toolbar">
+        <select className="admin-input" value={reportFilter} onChange={(e) => setReportFilter(e.target.value)}>
+          {REPORT_FILTERS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+      {reports.length === 0 && !loading && <p className="admin-message">No reports here.</p>}
+      {reports.map(report => (
+        <div key={report.id} className="admin-card">
+          <div className="admin-card-header">
+            <div>
+              <strong>{displayName(report.reported_user)}</strong>
+              <span className="admin-tag">{report.reason.replace(/_/g, ' ')}</span>
+              <span className={`admin-tag status-${report.status}`}>{report.status}</span>
+            </div>
+            <span className="admin-muted">{formatDate(report.created_at)}</span>
+          </div>
+          <p className="admin-muted">
+            Reported by {displayName(report.reporter)}
+            {report.evidence?.room_code && <> in room {report.evidence.room_code}</>}
+            {report.assignee && <> · handled by {displayName(report.assignee)}</>}
+          </p>
+          {report.description && <p className="admin-description">{report.description}</p>}
+          {report.resolution && <p className="admin-muted">Resolution: {report.resolution}</p>}
+
+          {report.evidence?.chat?.length > 0 && (
+            <details className="admin-evidence">
+              <summary>Chat evidence ({report.evidence.chat.length} messages)</summary>
+              {report.evidence.chat.map((msg, index) => (
+                <div
+                  key={index}
+                  className={`admin-chat-line${msg.user_id === report.reported_user?.id ? ' highlighted' : ''}`}
+                >
+                  <span className="admin-muted">{new Date(msg.sent_at).toLocaleTimeString()}</span>
+                  <strong>{msg.player_name}:</strong> {msg.message}
+                </div>
+              ))}
+            </details>
+          )}
+
+          {['pending', 'investigating'].includes(report.status) && (
+            banTarget === report.id ? (
+              <BanForm
+                userId={report.reported_user?.id}
+                reportId={report.id}
+                onSubmit={issueBan}
+                onCancel={() => setBanTarget(null)}
+              />
+            ) : (
+              <div className="admin-actions">
+                {report.status === 'pending' && (
+                  <button className="admin-button" onClick={() => updateReport(report, 'investigating')}>Investigate</button>
+                )}
+                <button className="admin-button" onClick={() => updateReport(report, 'dismissed')}>Dismiss</button>
+                <button className="admin-button" onClick={() => updateReport(report, 'resolved')}>Resolve</button>
+                <button className="admin-button danger" onClick={() => setBanTarget(report.id)}>Warn / Ban</button>
+              </div>
+            )
+          )}
+        </div>
+      ))}
+    </>
+  );
+
+  const renderBans = () => (
+    <>
+      <div className="admin-card">
+        <h3>Issue a warning or ban</h3>
+        <BanForm onSubmit={issueBan} />
+      </div>
+      {bans.length === 0 && !loading && <p className="admin-message">No active bans.</p>}
+      {bans.map(ban => (
+        <div key={ban.id} className="admin-card">
+          <div className="admin-card-header">
+            <div>
+              <strong>{displayName(ban.user)}</strong>
+              <span className={`admin-tag ban-${ban.ban_type}`}>{ban.ban_type}</span>
+            </div>
+            <button className="admin-button" onClick={() => liftBan(ban)}>Lift</button>
+          </div>
+          <p className="admin-description">{ban.reason}</p>
+          <p className="admin-muted">
+            Issued {formatDate(ban.banned_at)} by {displayName(ban.moderator)}
+            {ban.ban_type !== 'permanent' && <> · expires {formatDate(ban.expires_at)}</>}
+          </p>
+        </div>
+      ))}
+    </>
+  );
+
+  const renderRooms = () => (
+    <>
+      {rooms.length === 0 && !loading && <p className="admin-message">No live rooms.</p>}
+      {rooms.map(room => (
+        <div key={room.id} className="admin-card">
+          <div className="admin-card-header">
+            <div>
+              <strong>{room.room_code}</strong>
+              <span className="admin-tag">{room.status.replace(/_/g, ' ')}</span>
+              {room.current_game && <span className="admin-tag">{room.current_game}</span>}
+              {!room.is_public && <span className="admin-tag">private</span>}
+            </div>
+            <button className="admin-button danger" onClick={() => closeRoom(room)}>Close room</button>
+          </div>
+          <p className="admin-muted">
+            Host {displayName(room.host)} · {room.participants?.length || 0}/{room.max_players} players
+            · {room.socketCount} sockets · active {formatDate(room.last_activity)}
+          </p>
+          <ul className="admin-participants">
+            {(room.participants || []).map(participant => (
+              <li key={participant.user_id}>
+                <span className={`admin-presence${participant.is_connected ? ' online' : ''}`} />
+                <Link to={`/u/${participant.user_id}`} target="_blank" rel="noopener noreferrer">
+                  {participant.custom_lobby_name || displayName(participant.user)}
+                </Link>
+                {participant.role === 'host' && <span className="admin-tag">host</span>}
+                {participant.in_game && <span className="admin-tag">in game</span>}
+                {participant.role !== 'host' && (
+                  <button className="admin-link-button" onClick={() => kickPlayer(room, participant)}>Kick</button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+    </>
+  );
+
+  const renderAffiliates = () => {
+    const byAffiliate = earnings.reduce((groups, entry) => {
+      const code = entry.affiliate?.code || 'Unknown';
+      (groups[code] = groups[code] || []).push(entry);
+      return groups;
+    }, {});
+
+    return (
+      <>
+        <div className="admin-toolbar">
+          <select className="admin-input" value={earningFilter} onChange={(e) => setEarningFilter(e.target.value)}>
+            <option value="pending">Pending</option>
+            <option value="paid">Paid</option>
+            <option value="cancelled">Clawed back</option>
+          </select>
+        </div>
+        {earnings.length === 0 && !loading && <p className="admin-message">No earnings here.</p>}
+        {Object.entries(byAffiliate).map(([code, entries]) => {
+          const total = entries.reduce((sum, entry) => sum + Number(entry.commission_amount), 0);
+          return (
+            <div key={code} className="admin-card">
+              <div className="admin-card-header">
+                <div>
+                  <strong>{code}</strong>
+                  <span className="admin-tag">{formatMoney(total)}</span>
+                </div>
+                {earningFilter === 'pending' && (
+                  <button className="admin-button" onClick={() => markPaid(code, entries)} disabled={total <= 0}>
+                    Mark paid
+                  </button>
+                )}
+              </div>
+              {entries[0].affiliate?.payout_details && (
+                <p className="admin-muted">Payout details: {entries[0].affiliate.payout_details}</p>
+              )}
+              <ul className="admin-participants">
+                {entries.map(entry => {
+                  const canClawBack = entry.entry_type === 'commission'
+                    && entry.status !== 'cancelled'
+                    && new Date(entry.clawbackUntil) > new Date();
+                  return (
+                    <li key={entry.id}>
+                      <span>{formatMoney(entry.commission_amount)}</span>
+                      <span className="admin-muted">
+                        {entry.entry_type === 'clawback'
+                          ? `Clawback: ${entry.note || ''}`
+                          : `${formatMoney(entry.transaction_amount)} from ${displayName(entry.source_user)}`}
+                        {' · '}{formatDate(entry.created_at)}
+                        {entry.payout_reference && <> · ref {entry.payout_reference}</>}
+                      </span>
+                      {entry.source_user?.subscription_canceled_at && entry.entry_type === 'commission' && (
+                        <span className="admin-tag status-pending">sub cancelled</span>
+                      )}
+                      {canClawBack && (
+                        <button className="admin-link-button" onClick={() => clawback(entry)}>Claw back</button>
+                      )}
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+          );
+        })}
+      </>
+    );
+  };
+
+  const renderPromoCodes = () => (
+    <>
+      <div className="admin-card">
+        <h3>Create a promo code</h3>
+        <PromoCodeForm onSubmit={createPromoCode} />
+      </div>
+      {promoCodes.length === 0 && !loading && <p className="admin-message">No promo codes yet.</p>}
+      {promoCodes.map(promo => {
+        const isExpired = promo.expires_at && new Date(promo.expires_at) <= new Date();
+        const isUsedUp = promo.use_count >= promo.max_uses;
+        return (
+          <div key={promo.id} className="admin-card">
+            <div className="admin-card-header">
+              <div>
+                <strong>{promo.code}</strong>
+                <span className="admin-tag">{promo.tier === 'lifetime' ? 'lifetime' : `${promo.duration_days} days`}</span>
+                {!promo.is_active && <span className="admin-tag code-inactive">disabled</span>}
+                {promo.is_active && isExpired && <span className="admin-tag code-inactive">expired</span>}
+                {promo.is_active && isUsedUp && <span className="admin-tag status-pending">used up</span>}
+              </div>
+              {promo.is_active && (
+                <button className="admin-button danger" onClick={() => disablePromoCode(promo)}>Disable</button>
+              )}
+            </div>
+            {promo.note && <p className="admin-description">{promo.note}</p>}
+            <p className="admin-muted">
+              {promo.use_count}/{promo.max_uses} used · created {formatDate(promo.created_at)} by {displayName(promo.creator)}
+              {promo.expires_at && <> · expires {formatDate(promo.expires_at)}</>}
+            </p>
+          </div>
+        );
+      })}
+    </>
+  );
+
+  return (
+    <div className="admin-page">
+      <div className="admin-container">
+        <div className="admin-header">
+          <h1>🛡️ Moderation</h1>
+          <div className="admin-tabs">
+            {TABS.filter(option => !option.adminOnly || isAdmin).map(option => (
+              <button
+                key={option.value}
+                className={`admin-tab${tab === option.value ? ' active' : ''}`}
+                onClick={() => { setTab(option.value); setMessage(null); }}
+              >
+                {option.label}
+              </button>
+            ))}
+            <button className="admin-tab" onClick={loadTab} title="Refresh">⟳</button>
+          </div>
+        </div>
+
+        {message && <p className="admin-message success">{message}</p>}
+        {error && <p className="admin-message error">{error}</p>}
+        {loading && <p className="admin-message">Loading...</p>}
+
+        {tab === 'reports' && renderReports()}
+        {tab === 'bans' && renderBans()}
+        {tab === 'rooms' && renderRooms()}
+        {tab === 'affiliates' && isAdmin && renderAffiliates()}
+        {tab === 'codes' && isAdmin && renderPromoCodes()}
+      </div>
+    </div>
+  );
+};
+
+export default Admin;
@@ -0,0 +1,179 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import Avatar from '../components/Avatar';
+import './Affiliate.css';
+
+const formatMoney = (amount) =>
+  new Intl.NumberFormat('en-US', { style: 'currency', currency: 'EUR' }).format(amount || 0);
+
+const formatMonth = (month) =>
+  new Date(`${month}-01T00:00:00Z`).toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+const Affiliate = () => {
+  const navigate = useNavigate();
+  const { isAuthenticated, session, loading: authLoading } = useAuth();
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [notAffiliate, setNotAffiliate] = useState(false);
+
+  useEffect(() => {
+    if (!authLoading && !isAuthenticated) {
+      navigate('/login');
+    }
+  }, [authLoading, isAuthenticated, navigate]);
+
+  useEffect(() => {
+    if (!session?.access_token) return;
+
+    const loadDashboard = async () => {
+      try {
+        setLoading(true);
+        const response = await fetch('/api/affiliates/me', {
+          headers: { 'Authorization': `Bearer ${session.access_token}` }
+        });
+        const result = await response.json().catch(() => ({}));
+        if (response.status === 404 && result.code === 'NOT_AFFILIATE') {
+          setNotAffiliate(true);
+          return;
+        }
+        if (!response.ok) {
+          throw new Error(result.error || 'Failed to load affiliate dashboard');
+        }
+        setData(result);
+      } catch (err) {
+        console.error('❌ [AFFILIATE] Failed to load dashboard:', err);
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadDashboard();
+  }, [session?.access_token]);
+
+  const renderContent = () => {
+    if (loading) return <p className="affiliate-message">Loading...</p>;
+    if (error) return <p className="affiliate-message error">{error}</p>;
+    if (notAffiliate) {
+      return (
+        <div className="affiliate-card">
+          <p className="affiliate-message">
+            You're not part of the streamer program yet. Want your own referral code?
+            Contact <a href="mailto:support@gamebuddies.io">support@gamebuddies.io</a>.
+          </p>
+        </div>
+      );
+    }
+
+    const { affiliate, totals, monthly, referrals, clawbackWindowDays } = data;
+
+    return (
+      <>
+        <div className="affiliate-card affiliate-code-card">
+          <div>
+            <div className="affiliate-label">Your referral code</div>
+            <div className="affiliate-code">{affiliate.code}</div>
+          </div>
+          <div>
+            <div className="affiliate-label">Commission</div>
+            <div className="affiliate-rate">{Math.round(affiliate.commissionRate * 100)}%</div>
+          </div>
+          {affiliate.status !== 'active' && (
+            <span className="affiliate-suspended">Suspended</span>
+          )}
+        </div>
+
+        <div className="affiliate-totals">
+          <div className="affiliate-total">
+            <div className="affiliate-label">Pending payout</div>
+            <div className="affiliate-amount">{formatMoney(totals.pending)}</div>
+          </div>
+          <div className="affiliate-total">
+            <div className="affiliate-label">Paid out</div>
+            <div className="affiliate-amount">{formatMoney(totals.paid)}</div>
+          </div>
+          <div className="affiliate-total">
+            <div className="affiliate-label">Lifetime earnings</div>
+            <div className="affiliate-amount">{formatMoney(totals.lifetime)}</div>
+          </div>
+        </div>
+        <p className="affiliate-note">
+          Commissions are reversed if the purchase is refunded or cancelled within {clawbackWindowDays} days.
+        </p>
+
+        <div className="affiliate-card">
+          <h2>Earnings by month</h2>
+          {monthly.length === 0 ? (
+            <p className="affiliate-message">No sales yet - share your code to get started!</p>
+          ) : (
+            <table className="affiliate-table">
+              <thead>
+                <tr>
+                  <th>Month</th>
+                  <th>Sales</th>
+                  <th>Revenue</th>
+                  <th>Commission</th>
+                  <th>Pending</th>
+                  <th>Paid</th>
+                </tr>
+              </thead>
+              <tbody>
+                {monthly.map(row => (
+                  <tr key={row.month}>
+                    <td>{formatMonth(row.month)}</td>
+                    <td>{row.sales}</td>
+                    <td>{formatMoney(row.revenue)}</td>
+                    <td>{formatMoney(row.commission)}</td>
+                    <td>{formatMoney(row.pending)}</td>
+                    <td>{formatMoney(row.paid)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        <div className="affiliate-card">
+          <h2>Referred players ({referrals.length})</h2>
+          {referrals.length === 0 ? (
+            <p className="affiliate-message">Nobody has used your code yet.</p>
+          ) : (
+            <ul className="affiliate-referrals">
+              {referrals.map(referral => (
+                <li key={referral.user?.id || referral.usedAt}>
+                  <Link to={`/u/${encodeURIComponent(referral.user?.username || referral.user?.id)}`} className="affiliate-referral">
+                    <Avatar
+                      avatarStyle={referral.user?.avatar_style}
+                      avatarSeed={referral.user?.avatar_seed}
+                      avatarOptions={referral.user?.avatar_options}
+                      name={referral.user?.display_name || referral.user?.username}
+                      size={28}
+                    />
+                    <span>{referral.user?.display_name || referral.user?.username || 'Player'}</span>
+                  </Link>
+                  <span className="affiliate-muted">{new Date(referral.usedAt).toLocaleDateString()}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </>
+    );
+  };
+
+  return (
+    <div className="affiliate-page">
+      <div className="affiliate-container">
+        <div className="affiliate-header">
+          <h1>Streamer Dashboard</h1>
+          <p className="affiliate-subtitle">Track the players you bring to GameBuddies and what you've earned</p>
+        </div>
+        {renderContent()}
+      </div>
+    </div>
+  );
+};
+
+export default Affiliate;
@@ -0,0 +1,190 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import Avatar from '../components/Avatar';
+import './Leaderboards.css';
+
+const PERIOD_OPTIONS = [
+  { value: 'all_time', label: 'All Time' },
+  { value: 'weekly', label: 'This Week' },
+  { value: 'monthly', label: 'This Month' }
+];
+
+const METRIC_OPTIONS = [
+  { value: 'wins', label: 'Wins' },
+  { value: 'win_rate', label: 'Win Rate' }
+];
+
+const RANK_MEDALS = { 1: '🥇', 2: '🥈', 3: '🥉' };
+
+const Leaderboards = () => {
+  const { isAuthenticated, session, user } = useAuth();
+  const [games, setGames] = useState([]);
+  const [gameId, setGameId] = useState('');
+  const [period, setPeriod] = useState('all_time');
+  const [metric, setMetric] = useState('wins');
+  const [scope, setScope] = useState('global');
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetch('/api/games')
+      .then(response => response.json())
+      .then(result => setGames(result.games || []))
+      .catch(err => console.error('❌ [LEADERBOARDS] Failed to load games:', err));
+  }, []);
+
+  useEffect(() => {
+    const loadLeaderboard = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+
+        const params = new URLSearchParams({ scope });
+        if (gameId) {
+          params.set('gameId', gameId);
+          params.set('metric', metric);
+        } else {
+          params.set('period', period);
+        }
+
+        const headers = session?.access_token ? { 'Authorization': `Bearer ${session.access_token}` } : {};
+        const response = await fetch(`/api/leaderboards?${params.toString()}`, { headers });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          throw new Error(result.error || 'Failed to load leaderboard');
+        }
+        setData(result);
+      } catch (err) {
+        console.error('❌ [LEADERBOARDS] Failed to load leaderboard:', err);
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadLeaderboard();
+  }, [gameId, period, metric, scope, session?.access_token]);
+
+  const formatScore = (entry) => {
+    if (!data) return '';
+    switch (data.leaderboard.type) {
+      case 'level':
+        return `Lvl ${entry.level} · ${entry.score} XP`;
+      case 'xp':
+        return `+${entry.score} XP`;
+      default:
+        return data.leaderboard.metric === 'win_rate'
+          ? `${entry.score}% (${entry.gamesPlayed} games)`
+          : `${entry.score} wins`;
+    }
+  };
+
+  const renderRow = (entry, isMe) => (
+    <div key={entry.user.id} className={`leaderboard-row ${isMe ? 'me' : ''}`}>
+      <span className="leaderboard-rank">
+        {entry.rank ? RANK_MEDALS[entry.rank] || `#${entry.rank}` : '—'}
+      </span>
+      <Link to={`/u/${encodeURIComponent(entry.user.username || entry.user.id)}`} className="leaderboard-player">
+        <Avatar
+          avatarStyle={entry.user.avatarStyle}
+          avatarSeed={entry.user.avatarSeed}
+          avatarOptions={entry.user.avatarOptions}
+          name={entry.user.displayName}
+          size={36}
+          isPremium={entry.user.role === 'admin' || entry.user.premiumTier !== 'free'}
+          className="leaderboard-avatar"
+        />
+        <span className="leaderboard-name">{entry.user.displayName}</span>
+        {entry.user.premiumTier === 'lifetime' && <span title="Lifetime Premium">⭐</span>}
+        {entry.user.premiumTier === 'monthly' && <span title="Premium">💎</span>}
+      </Link>
+      <span className="leaderboard-score">{formatScore(entry)}</span>
+    </div>
+  );
+
+  const me = data?.me;
+  const meInList = me && data.entries.some(entry => entry.user.id === me.user.id);
+
+  return (
+    <div className="leaderboards-page">
+      <div className="leaderboards-container">
+        <div className="leaderboards-header">
+          <h1>Leaderboards</h1>
+          <p className="leaderboards-subtitle">See who's on top across GameBuddies</p>
+        </div>
+
+        <div className="leaderboards-controls">
+          <select value={gameId} onChange={(e) => setGameId(e.target.value)} className="leaderboards-select">
+            <option value="">Level &amp; XP</option>
+            {games.map(game => (
+              <option key={game.id} value={game.id}>{game.name}</option>
+            ))}
+          </select>
+
+          <div className="leaderboards-tabs">
+            {(gameId ? METRIC_OPTIONS : PERIOD_OPTIONS).map(option => {
+              const active = gameId ? metric === option.value : period === option.value;
+              return (
+                <button
+                  key={option.value}
+                  className={`leaderboards-tab ${active ? 'active' : ''}`}
+                  onClick={() => (gameId ? setMetric(option.value) : setPeriod(option.value))}
+                >
+                  {option.label}
+                </button>
+              );
+            })}
+          </div>
+
+          {isAuthenticated && !user?.is_guest && (
+            <div className="leaderboards-tabs">
+              <button
+                className={`leaderboards-tab ${scope === 'global' ? 'active' : ''}`}
+                onClick={() => setScope('global')}
+              >
+                🌍 Global
+              </button>
+              <button
+                className={`leaderboards-tab ${scope === 'friends' ? 'active' : ''}`}
+                onClick={() => setScope('friends')}
+              >
+                👥 Friends
+              </button>
+            </div>
+          )}
+        </div>
+
+        <div className="leaderboards-card">
+          {loading && <p className="leaderboards-message">Loading leaderboard...</p>}
+          {!loading && error && <p className="leaderboards-message error">{error}</p>}
+          {!loading && !error && data && (
+            <>
+              {data.leaderboard.metric === 'win_rate' && (
+                <p className="leaderboards-note">
+                  Players need at least {data.leaderboard.minGamesForWinRate} games to be ranked by win rate.
+                </p>
+              )}
+
+              {data.entries.length === 0 ? (
+                <p className="leaderboards-message">No rankings yet - go play some games!</p>
+              ) : (
+                data.entries.map(entry => renderRow(entry, entry.user.id === me?.user.id))
+              )}
+
+              {me && !meInList && (
+                <div className="leaderboards-me">
+                  <div className="leaderboards-me-label">Your rank</div>
+                  {renderRow(me, true)}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Leaderboards;
@@ -1,5 +1,5 @@
-import React, { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { useNotification } from '../contexts/NotificationContext'; // Import useNotification
 import { getSupabaseClient } from '../utils/supabase';
@@ -7,7 +7,8 @@ import './Premium.css';
 
 const Premium = () => {
   const navigate = useNavigate();
-  const { user, isAuthenticated } = useAuth();
+  const [searchParams] = useSearchParams();
+  const { user, isAuthenticated, session, refreshUser } = useAuth();
   const [loadingTier, setLoadingTier] = useState(null);
   const [prices, setPrices] = useState(null);
   const [loadingPrices, setLoadingPrices] = useState(true);
@@ -15,6 +16,11 @@ const Premium = () => {
   const [referralCode, setReferralCode] = useState('');
   const [referralCodeValid, setReferralCodeValid] = useState(null); // null=unchecked, true=valid, false=invalid
   const [validatingCode, setValidatingCode] = useState(false);
+  const [premiumCode, setPremiumCode] = useState('');
+  const [redeeming, setRedeeming] = useState(false);
+  const [giftMonths, setGiftMonths] = useState(1);
+  const [gifts, setGifts] = useState([]);
+  const giftPurchased = searchParams.get('gift') === 'purchased';
 
   const isPremium = user?.premium_tier === 'lifetime' || user?.premium_tier === 'monthly';
   const isLifetime = user?.premium_tier === 'lifetime';
@@ -87,6 +93,111 @@ const Premium = () => {
     fetchPrices();
   }, []);
 
+  const loadGifts = useCallback(async () => {
+    if (!session?.access_token) return;
+    try {
+      const response = await fetch('/api/premium/gifts', {
+        headers: { 'Authorization': `Bearer ${session.access_token}` }
+      });
+      const data = await response.json();
+      if (response.ok) setGifts(data.gifts || []);
+    } catch (error) {
+      console.error('❌ [PREMIUM] Failed to load gifts:', error);
+    }
+  }, [session?.access_token]);
+
+  // The gift code is issued by the Stripe webhook, so poll briefly after checkout
+  useEffect(() => {
+    loadGifts();
+    if (!giftPurchased) return undefined;
+    const timer = setInterval(loadGifts, 3000);
+    const stop = setTimeout(() => clearInterval(timer), 30000);
+    return () => {
+      clearInterval(timer);
+      clearTimeout(stop);
+    };
+  }, [loadGifts, giftPurchased]);
+
+  const handleRedeem = async (e) => {
+    e.preventDefault();
+    if (!isAuthenticated) {
+      navigate('/login');
+      return;
+    }
+    if (!premiumCode.trim() || redeeming) return;
+
+    setRedeeming(true);
+    try {
+      const response = await fetch('/api/premium/redeem', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${session.access_token}`
+        },
+        body: JSON.stringify({ code: premiumCode.trim() })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to redeem code');
+      }
+
+      addNotification(
+        data.tier === 'lifetime'
+          ? 'Code redeemed - welcome to Lifetime Premium! ⭐'
+          : `Code redeemed - premium is active until ${new Date(data.expiresAt).toLocaleDateString()}! 💎`,
+        'success'
+      );
+      setPremiumCode('');
+      if (refreshUser) await refreshUser();
+    } catch (error) {
+      console.error('❌ [PREMIUM] Redeem error:', error);
+      addNotification(error.message, 'error');
+    } finally {
+      setRedeeming(false);
+    }
+  };
+
+  const handleBuyGift = async (tier) => {
+    if (!isAuthenticated) {
+      navigate('/login');
+      return;
+    }
+    if (loadingTier) return;
+
+    setLoadingTier(`gift-${tier}`);
+    try {
+      const response = await fetch('/api/stripe/create-gift-checkout', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${session.access_token}`
+        },
+        body: JSON.stringify(tier === 'monthly' ? { tier, months: giftMonths } : { tier })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to create checkout session');
+      }
+
+      window.location.href = data.url;
+    } catch (error) {
+      console.error('❌ [PREMIUM] Gift checkout error:', error);
+      addNotification(`Payment error: ${error.message}`, 'error');
+      setLoadingTier(null);
+    }
+  };
+
+  const copyGiftCode = async (code) => {
+    try {
+      await navigator.clipboard.writeText(code);
+      addNotification('Gift code copied!', 'success');
+    } catch {
+      addNotification(`Your code: ${code}`, 'info');
+    }
+  };
+
   const handleUpgrade = async (priceType) => {
     console.log('🚀 [PREMIUM CLIENT] handleUpgrade called with:', priceType);
     console.log('🔐 [PREMIUM CLIENT] Auth status:', { isAuthenticated, hasUser: !!user, userId: user?.id });
@@ -293,6 +404,29 @@ const Premium = () => {
         </div>
       </div>
 
+      {!isLifetime && (
+        <div className="referral-code-section premium-code-section">
+          <h2>Have a Gift or Promo Code?</h2>
+          <p className="section-description">
+            Redeem it here to unlock premium on your account.
+          </p>
+          <form className="premium-code-form" onSubmit={handleRedeem}>
+            <input
+              type="text"
+              placeholder="GIFT-XXXX-XXXX"
+              value={premiumCode}
+              onChange={(e) => setPremiumCode(e.target.value.toUpperCase())}
+              disabled={redeeming}
+              maxLength={32}
+              className="input"
+            />
+            <button type="submit" className="action-button" disabled={redeeming || !premiumCode.trim()}>
+              {redeeming ? 'Redeeming...' : 'Redeem'}
+            </button>
+          </form>
+        </div>
+      )}
+
       <div className="pricing-tiers">
         {/* Free Tier */}
         <div className={`pricing-card ${!isPremium ? 'current' : ''}`}>
@@ -426,6 +560,83 @@ const Premium = () => {
         </div>
       </div>
 
+      <div className="gift-section">
+        <h2>🎁 Give Premium as a Gift</h2>
+        <p className="section-description">
+          Pay once and get a code to share. Whoever redeems it gets premium on their own account.
+        </p>
+
+        {giftPurchased && (
+          <p className="gift-thanks">Thanks for your gift! Your code shows up below as soon as the payment is confirmed.</p>
+        )}
+
+        <div className="gift-options">
+          <div className="gift-option">
+            <h3>Monthly Premium</h3>
+            <select
+              value={giftMonths}
+              onChange={(e) => setGiftMonths(Number(e.target.value))}
+              disabled={loadingTier !== null}
+              className="gift-months"
+            >
+              {[1, 3, 6, 12].map(months => (
+                <option key={months} value={months}>{months} {months === 1 ? 'month' : 'months'}</option>
+              ))}
+            </select>
+            <div className="gift-price">
+              €{((prices?.monthly?.amount || 4.99) * giftMonths).toFixed(2)}
+            </div>
+            <button
+              onClick={() => handleBuyGift('monthly')}
+              className="action-button"
+              disabled={loadingTier !== null}
+            >
+              {loadingTier === 'gift-monthly' ? 'Processing...' : 'Buy as Gift'}
+            </button>
+          </div>
+
+          <div className="gift-option">
+            <h3>Lifetime Premium</h3>
+            <div className="gift-price">€{prices?.lifetime?.amount || '29.99'}</div>
+            <button
+              onClick={() => handleBuyGift('lifetime')}
+              className="action-button lifetime"
+              disabled={loadingTier !== null}
+            >
+              {loadingTier === 'gift-lifetime' ? 'Processing...' : 'Buy as Gift'}
+            </button>
+          </div>
+        </div>
+
+        {gifts.length > 0 && (
+          <div className="gift-list">
+            <h3>Your Gift Codes</h3>
+            <ul>
+              {gifts.map(gift => {
+                const redemption = gift.redemptions?.[0];
+                return (
+                  <li key={gift.id} className={redemption ? 'redeemed' : ''}>
+                    <span className="gift-code">{gift.code}</span>
+                    <span className="gift-meta">
+                      {gift.tier === 'lifetime' ? 'Lifetime' : `${gift.duration_days} days`}
+                    </span>
+                    {redemption ? (
+                      <span className="gift-meta">
+                        Redeemed by {redemption.user?.display_name || redemption.user?.username || 'a player'}
+                      </span>
+                    ) : (
+                      <button onClick={() => copyGiftCode(gift.code)} className="manage-button">
+                        Copy
+                      </button>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        )}
+      </div>
+
       <div className="premium-faq">
         <h2>Frequently Asked Questions</h2>
 
@@ -455,6 +666,11 @@ const Premium = () => {
             <p>Ad-free experience, custom avatars, exclusive games, advanced stats, priority support, and more!</p>
           </div>
 
+          <div className="faq-item">
+            <h3>🎁 How do gift codes work?</h3>
+            <p>Buy premium as a gift and you get a code to share. Your friend redeems it on this page - no card needed on their side.</p>
+          </div>
+
           <div className="faq-item">
             <h3>💰 Can I upgrade from Monthly to Lifetime?</h3>
             <p>Yes! Just purchase Lifetime. Your monthly subscription will be automatically cancelled.</p>
@@ -0,0 +1,236 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import Avatar from '../components/Avatar';
+import './Profile.css';
+
+const RARITY_ICONS = {
+  common: '🥉',
+  rare: '🥈',
+  epic: '🥇',
+  legendary: '🏆'
+};
+
+const formatDate = (dateString) => {
+  if (!dateString) return 'N/A';
+  return new Date(dateString).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+  });
+};
+
+const formatPlayTime = (minutes) => {
+  if (!minutes) return '0m';
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+};
+
+const Profile = () => {
+  const { username } = useParams();
+  const navigate = useNavigate();
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadProfile = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const response = await fetch(`/api/profiles/${encodeURIComponent(username)}`);
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          throw new Error(response.status === 404 ? 'This player does not have a public profile.' : result.error || 'Failed to load profile');
+        }
+
+        // The lobby links by user id - switch to the readable URL
+        if (result.profile.username !== username) {
+          navigate(`/u/${encodeURIComponent(result.profile.username)}`, { replace: true });
+        }
+        setData(result);
+      } catch (err) {
+        console.error('❌ [PROFILE] Failed to load profile:', err);
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadProfile();
+  }, [username, navigate]);
+
+  if (loading) {
+    return (
+      <div className="profile-page">
+        <div className="profile-container">
+          <p className="profile-message">Loading profile...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error || !data) {
+    return (
+      <div className="profile-page">
+        <div className="profile-container">
+          <p className="profile-message">{error || 'Profile not found.'}</p>
+        </div>
+      </div>
+    );
+  }
+
+  const { profile, isPrivate, stats, recentMatches, achievements } = data;
+  const isPremium = profile.role === 'admin' || profile.premiumTier !== 'free';
+
+  return (
+    <div className="profile-page">
+      <div className="profile-container">
+        <div className="profile-header">
+          <Avatar
+            avatarStyle={profile.avatarStyle}
+            avatarSeed={profile.avatarSeed}
+            avatarOptions={profile.avatarOptions}
+            name={profile.displayName}
+            size={120}
+            isPremium={isPremium}
+            className="profile-avatar"
+          />
+          <div className="profile-identity">
+            <h1>{profile.displayName}</h1>
+            <div className="profile-username">@{profile.username}</div>
+            <div className="profile-badges">
+              {!isPrivate && <span className="profile-level">Lvl {profile.level}</span>}
+              {profile.role === 'admin' ? (
+                <span className="profile-premium lifetime">💻 ADMIN</span>
+              ) : (
+                <>
+                  {profile.premiumTier === 'lifetime' && <span className="profile-premium lifetime">⭐ PREMIUM</span>}
+                  {profile.premiumTier === 'monthly' && <span className="profile-premium monthly">💎 PRO</span>}
+                </>
+              )}
+            </div>
+            {!isPrivate && profile.bio && <p className="profile-bio">{profile.bio}</p>}
+          </div>
+        </div>
+
+        {isPrivate ? (
+          <div className="profile-section">
+            <p className="profile-message">🔒 This profile is private.</p>
+          </div>
+        ) : (
+          <>
+            <div className="profile-section">
+              <div className="profile-summary">
+                <div className="summary-item">
+                  <span className="summary-value">{profile.xp}</span>
+                  <span className="summary-label">XP</span>
+                </div>
+                <div className="summary-item">
+                  <span className="summary-value">{profile.totalGamesPlayed}</span>
+                  <span className="summary-label">Games Played</span>
+                </div>
+                <div className="summary-item">
+                  <span className="summary-value">{profile.totalGamesWon}</span>
+                  <span className="summary-label">Wins</span>
+                </div>
+                <div className="summary-item">
+                  <span className="summary-value">{formatDate(profile.memberSince)}</span>
+                  <span className="summary-label">Member Since</span>
+                </div>
+              </div>
+            </div>
+
+            <div className="profile-section">
+              <h2>Game Stats</h2>
+              {stats === null ? (
+                <p className="profile-message">🔒 Stats are hidden.</p>
+              ) : stats.length === 0 ? (
+                <p className="profile-message">No games played yet.</p>
+              ) : (
+                <table className="profile-table">
+                  <thead>
+                    <tr>
+                      <th>Game</th>
+                      <th>Played</th>
+                      <th>Won</th>
+                      <th>Lost</th>
+                      <th>Win Rate</th>
+                      <th>Time Played</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {stats.map(stat => (
+                      <tr key={stat.gameId}>
+                        <td>{stat.gameName}</td>
+                        <td>{stat.gamesPlayed}</td>
+                        <td>{stat.gamesWon}</td>
+                        <td>{stat.gamesLost}</td>
+                        <td>{stat.winRate}%</td>
+                        <td>{formatPlayTime(stat.timePlayedMinutes)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+
+            <div className="profile-section">
+              <h2>Recent Matches</h2>
+              {recentMatches === null ? (
+                <p className="profile-message">🔒 Match history is hidden.</p>
+              ) : recentMatches.length === 0 ? (
+                <p className="profile-message">No matches recorded yet.</p>
+              ) : (
+                <div className="match-list">
+                  {recentMatches.map(match => (
+                    <div
+                      key={match.id}
+                      className={`match-item ${match.abandoned ? 'abandoned' : match.won ? 'won' : 'lost'}`}
+                    >
+                      <span className="match-result">
+                        {match.abandoned ? 'Left' : match.won ? 'Win' : 'Loss'}
+                      </span>
+                      <span className="match-game">
+                        {match.gameName}
+                        {match.gameMode && <span className="match-mode"> · {match.gameMode}</span>}
+                      </span>
+                      <span className="match-detail">
+                        {match.rank ? `#${match.rank} of ${match.totalPlayers}` : `${match.totalPlayers} players`}
+                        {match.score !== null && ` · ${match.score} pts`}
+                      </span>
+                      <span className="match-date">{formatDate(match.endedAt)}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {achievements && achievements.length > 0 && (
+              <div className="profile-section">
+                <h2>Achievements</h2>
+                <div className="profile-achievements">
+                  {achievements.map(achievement => (
+                    <div
+                      key={achievement.id}
+                      className={`profile-achievement rarity-${achievement.rarity}`}
+                      title={`${achievement.description} · ${formatDate(achievement.earnedAt)}`}
+                    >
+                      <span className="profile-achievement-icon">
+                        {achievement.iconUrl
+                          ? <img src={achievement.iconUrl} alt="" />
+                          : RARITY_ICONS[achievement.rarity] || '🏅'}
+                      </span>
+                      <span>{achievement.name}</span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Profile;
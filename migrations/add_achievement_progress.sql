@@ -0,0 +1,62 @@
+-- Migration: Achievement progress tracking
+-- Lets user_achievements hold in-progress rows (earned_at IS NULL) and maps each
+-- achievement to the server event that advances it (requirement_data.event)
+
+-- 1. In-progress rows have no earned_at
+ALTER TABLE public.user_achievements
+ALTER COLUMN earned_at DROP DEFAULT;
+
+COMMENT ON COLUMN public.user_achievements.earned_at IS 'When the achievement was unlocked; NULL while still in progress';
+COMMENT ON COLUMN public.user_achievements.progress IS 'Current progress towards requirement_value (count, current streak or reached value)';
+
+-- 2. Wire starter achievements to server events
+UPDATE public.achievements SET requirement_data = '{"event": "game_played"}' WHERE id IN ('first_game', 'games_10', 'games_50', 'games_100');
+UPDATE public.achievements SET requirement_data = '{"event": "game_won"}' WHERE id IN ('first_win', 'wins_10');
+UPDATE public.achievements SET requirement_data = '{"event": "game_won"}' WHERE id IN ('win_streak_3', 'win_streak_5');
+UPDATE public.achievements SET requirement_data = '{"event": "co_player"}' WHERE id = 'social_10';
+UPDATE public.achievements SET requirement_data = '{"event": "room_hosted"}' WHERE id = 'host_10';
+UPDATE public.achievements SET requirement_data = '{"event": "premium"}' WHERE id = 'premium_user';
+
+-- 3. Social and level achievements
+INSERT INTO public.achievements (id, name, description, category, requirement_type, requirement_value, requirement_data, xp_reward, rarity, display_order) VALUES
+('friends_1', 'Buddy Up', 'Add your first friend', 'social', 'count', 1, '{"event": "friend_added"}', 50, 'common', 12),
+('friends_10', 'Popular', 'Have 10 friends', 'social', 'count', 10, '{"event": "friend_added"}', 200, 'rare', 13),
+('level_5', 'Rising Star', 'Reach level 5', 'level', 'condition', 5, '{"event": "level_reached"}', 250, 'rare', 14),
+('level_10', 'Legend', 'Reach level 10', 'level', 'condition', 10, '{"event": "level_reached"}', 1000, 'legendary', 15)
+ON CONFLICT (id) DO NOTHING;
+
+-- 4. grant_achievement must ignore in-progress rows
+CREATE OR REPLACE FUNCTION grant_achievement(
+  p_user_id UUID,
+  p_achievement_id VARCHAR,
+  p_room_id UUID DEFAULT NULL,
+  p_game_id VARCHAR DEFAULT NULL
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+  v_requirement INTEGER;
+BEGIN
+  IF EXISTS(
+    SELECT 1 FROM public.user_achievements
+    WHERE user_id = p_user_id AND achievement_id = p_achievement_id AND earned_at IS NOT NULL
+  ) THEN
+    RETURN FALSE;
+  END IF;
+
+  SELECT requirement_value INTO v_requirement
+  FROM public.achievements
+  WHERE id = p_achievement_id;
+
+  INSERT INTO public.user_achievements (user_id, achievement_id, earned_at, progress, earned_in_room_id, earned_in_game)
+  VALUES (p_user_id, p_achievement_id, NOW(), COALESCE(v_requirement, 0), p_room_id, p_game_id)
+  ON CONFLICT (user_id, achievement_id) DO UPDATE SET
+    earned_at = NOW(),
+    progress = GREATEST(public.user_achievements.progress, EXCLUDED.progress),
+    earned_in_room_id = EXCLUDED.earned_in_room_id,
+    earned_in_game = EXCLUDED.earned_in_game;
+
+  RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION grant_achievement IS 'Marks an achievement as earned (XP is awarded by the server via add_xp)';
@@ -0,0 +1,82 @@
+-- Migration: Affiliate payout ledger
+-- Earnings can be paid out in batches and clawed back after refunds or early
+-- cancellations. Clawing back a commission that was already paid adds a
+-- negative 'clawback' entry that is netted against the next payout.
+
+ALTER TABLE public.affiliate_earnings
+ADD COLUMN IF NOT EXISTS entry_type VARCHAR(20) NOT NULL DEFAULT 'commission'
+  CHECK (entry_type IN ('commission', 'clawback')),
+ADD COLUMN IF NOT EXISTS related_earning_id UUID REFERENCES public.affiliate_earnings(id),
+ADD COLUMN IF NOT EXISTS paid_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS payout_reference VARCHAR(100),
+ADD COLUMN IF NOT EXISTS note TEXT;
+
+-- A commission can only be clawed back once
+CREATE UNIQUE INDEX IF NOT EXISTS idx_earnings_single_clawback
+ON public.affiliate_earnings(related_earning_id)
+WHERE entry_type = 'clawback';
+
+CREATE INDEX IF NOT EXISTS idx_earnings_affiliate_status
+ON public.affiliate_earnings(affiliate_id, status);
+
+COMMENT ON COLUMN public.affiliate_earnings.payout_reference IS 'Admin-entered reference for the payout batch, e.g. a PayPal transaction id';
+
+-- Cancel a pending commission or add the negative entry for a paid one, and
+-- take it off affiliates.total_earnings in the same transaction. The commission
+-- row stays locked until commit, so concurrent clawbacks and payouts queue up.
+CREATE OR REPLACE FUNCTION clawback_affiliate_earning(p_earning_id UUID, p_reason TEXT)
+RETURNS JSONB AS $$
+DECLARE
+  v_earning public.affiliate_earnings%ROWTYPE;
+  v_entry public.affiliate_earnings%ROWTYPE;
+BEGIN
+  SELECT * INTO v_earning
+  FROM public.affiliate_earnings
+  WHERE id = p_earning_id AND entry_type = 'commission'
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'EARNING_NOT_FOUND');
+  END IF;
+  IF v_earning.status = 'cancelled' THEN
+    RETURN jsonb_build_object('error', 'ALREADY_CLAWED_BACK');
+  END IF;
+
+  IF v_earning.status = 'pending' THEN
+    UPDATE public.affiliate_earnings
+    SET status = 'cancelled', note = p_reason
+    WHERE id = p_earning_id
+    RETURNING * INTO v_entry;
+  ELSE
+    BEGIN
+      INSERT INTO public.affiliate_earnings (
+        affiliate_id, source_user_id, stripe_session_id, transaction_amount,
+        commission_amount, status, entry_type, related_earning_id, note
+      )
+      VALUES (
+        v_earning.affiliate_id, v_earning.source_user_id, v_earning.stripe_session_id, 0,
+        -v_earning.commission_amount, 'pending', 'clawback', v_earning.id, p_reason
+      )
+      RETURNING * INTO v_entry;
+    EXCEPTION WHEN unique_violation THEN
+      RETURN jsonb_build_object('error', 'ALREADY_CLAWED_BACK');
+    END;
+  END IF;
+
+  UPDATE public.affiliates
+  SET total_earnings = COALESCE(total_earnings, 0) - v_earning.commission_amount
+  WHERE id = v_earning.affiliate_id;
+
+  RETURN jsonb_build_object(
+    'entry', jsonb_build_object('id', v_entry.id, 'status', v_entry.status, 'commission_amount', v_entry.commission_amount),
+    'affiliate_id', v_earning.affiliate_id,
+    'amount', v_earning.commission_amount
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+COMMENT ON FUNCTION clawback_affiliate_earning IS 'Reverse an affiliate commission and its share of total_earnings atomically';
+
+-- Moves money on the ledger; only the server (admin clawback endpoint) may call it
+REVOKE EXECUTE ON FUNCTION clawback_affiliate_earning(UUID, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION clawback_affiliate_earning(UUID, TEXT) TO service_role;
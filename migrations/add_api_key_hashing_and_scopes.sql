@@ -0,0 +1,38 @@
+-- Migration: Salted API key hashes, scopes and rotation
+-- Keys are stored as HMAC-SHA256(key, key_salt) and looked up by a visible
+-- prefix (gb_<service>_<first 8 chars of the secret>). Each key carries its
+-- own scopes and is bound to its service_name game. Rotation keeps the old key
+-- valid until expires_at so games can be redeployed without downtime.
+-- Replaces the hand-edited CREATE_DDF_API_KEY*.sql scripts; keys are now
+-- managed through /api/admin/api-keys.
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+ALTER TABLE public.api_keys
+ADD COLUMN IF NOT EXISTS key_prefix VARCHAR(64),
+ADD COLUMN IF NOT EXISTS key_salt VARCHAR(64),
+ADD COLUMN IF NOT EXISTS scopes TEXT[] NOT NULL DEFAULT ARRAY['rooms:read', 'rooms:write', 'status:write', 'progress:read', 'progress:write'],
+ADD COLUMN IF NOT EXISTS rotated_from_id UUID REFERENCES public.api_keys(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMPTZ;
+
+-- Rows created by the old SQL scripts may lack a service name
+UPDATE public.api_keys SET service_name = game_id WHERE service_name IS NULL AND game_id IS NOT NULL;
+
+-- Plaintext keys (gb_<service>_<secret>) can be hashed right here. Rows that
+-- already hold an unsalted SHA-256, and plaintext keys without the gb_ prefix
+-- (the DDF key from CREATE_DDF_API_KEY.sql), cannot be told apart here; the
+-- server accepts both and salts them the first time they are used
+-- (apiKeyService.authenticateLegacy).
+UPDATE public.api_keys
+SET key_salt = encode(gen_random_bytes(16), 'hex')
+WHERE key_salt IS NULL AND key_hash LIKE 'gb\_%';
+
+UPDATE public.api_keys
+SET
+  key_prefix = left(key_hash, length(key_hash) - length(split_part(reverse(key_hash), '_', 1)) + 8),
+  key_hash = encode(hmac(key_hash, key_salt, 'sha256'), 'hex')
+WHERE key_salt IS NOT NULL AND key_prefix IS NULL AND key_hash LIKE 'gb\_%';
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_prefix
+ON public.api_keys(key_prefix)
+WHERE key_prefix IS NOT NULL;
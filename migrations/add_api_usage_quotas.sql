@@ -0,0 +1,85 @@
+-- Migration: Per-API-key quotas and usage analytics
+-- api_keys.rate_limit becomes the per-minute quota and daily_quota caps calls
+-- per UTC day; both are enforced in validateApiKey. Every API-key call is
+-- logged to api_requests with its response status and latency, and
+-- api_usage_summary() aggregates them for GET /api/admin/api-usage.
+
+ALTER TABLE public.api_keys
+ADD COLUMN IF NOT EXISTS daily_quota INTEGER NOT NULL DEFAULT 100000 CHECK (daily_quota > 0);
+
+COMMENT ON COLUMN public.api_keys.rate_limit IS 'Maximum calls per minute for this key';
+COMMENT ON COLUMN public.api_keys.daily_quota IS 'Maximum calls per UTC day for this key';
+
+-- Daily quota seeding and usage reports filter by key and time
+CREATE INDEX IF NOT EXISTS idx_api_requests_key_time
+ON public.api_requests(api_key_id, requested_at DESC);
+
+CREATE OR REPLACE FUNCTION api_usage_summary(p_since TIMESTAMPTZ, p_api_key_id UUID DEFAULT NULL)
+RETURNS JSONB AS $$
+  WITH scoped AS (
+    SELECT api_key_id, method, endpoint, status_code, response_time_ms
+    FROM public.api_requests
+    WHERE requested_at >= p_since
+      AND (p_api_key_id IS NULL OR api_key_id = p_api_key_id)
+  )
+  SELECT jsonb_build_object(
+    'totals', (
+      SELECT jsonb_build_object(
+        'calls', COUNT(*),
+        'errors', COUNT(*) FILTER (WHERE status_code >= 400),
+        'p50Ms', percentile_cont(0.5) WITHIN GROUP (ORDER BY response_time_ms),
+        'p95Ms', percentile_cont(0.95) WITHIN GROUP (ORDER BY response_time_ms),
+        'p99Ms', percentile_cont(0.99) WITHIN GROUP (ORDER BY response_time_ms)
+      )
+      FROM scoped
+    ),
+    'byKey', COALESCE((
+      SELECT jsonb_agg(row_to_json(k) ORDER BY k.calls DESC)
+      FROM (
+        SELECT
+          s.api_key_id AS "apiKeyId",
+          ak.name,
+          ak.service_name AS "serviceName",
+          ak.key_prefix AS "keyPrefix",
+          COUNT(*) AS calls,
+          COUNT(*) FILTER (WHERE s.status_code >= 400) AS errors,
+          COUNT(*) FILTER (WHERE s.status_code = 429) AS throttled,
+          percentile_cont(0.5) WITHIN GROUP (ORDER BY s.response_time_ms) AS "p50Ms",
+          percentile_cont(0.95) WITHIN GROUP (ORDER BY s.response_time_ms) AS "p95Ms",
+          percentile_cont(0.99) WITHIN GROUP (ORDER BY s.response_time_ms) AS "p99Ms"
+        FROM scoped s
+        LEFT JOIN public.api_keys ak ON ak.id = s.api_key_id
+        GROUP BY s.api_key_id, ak.name, ak.service_name, ak.key_prefix
+      ) k
+    ), '[]'::jsonb),
+    'byEndpoint', COALESCE((
+      SELECT jsonb_agg(row_to_json(e) ORDER BY e.calls DESC)
+      FROM (
+        SELECT
+          method,
+          endpoint,
+          COUNT(*) AS calls,
+          COUNT(*) FILTER (WHERE status_code >= 400) AS errors,
+          percentile_cont(0.5) WITHIN GROUP (ORDER BY response_time_ms) AS "p50Ms",
+          percentile_cont(0.95) WITHIN GROUP (ORDER BY response_time_ms) AS "p95Ms",
+          percentile_cont(0.99) WITHIN GROUP (ORDER BY response_time_ms) AS "p99Ms"
+        FROM scoped
+        GROUP BY method, endpoint
+      ) e
+    ), '[]'::jsonb),
+    'byStatus', COALESCE((
+      SELECT jsonb_agg(row_to_json(st) ORDER BY st."statusCode")
+      FROM (
+        SELECT status_code AS "statusCode", COUNT(*) AS calls
+        FROM scoped
+        GROUP BY status_code
+      ) st
+    ), '[]'::jsonb)
+  );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+COMMENT ON FUNCTION api_usage_summary IS 'API-key call counts and latency percentiles by key, endpoint and status since p_since';
+
+-- Usage data is admin-only (/api/admin/api-usage); keep it out of PostgREST's /rpc
+REVOKE EXECUTE ON FUNCTION api_usage_summary(TIMESTAMPTZ, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION api_usage_summary(TIMESTAMPTZ, UUID) TO service_role;
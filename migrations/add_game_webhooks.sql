@@ -0,0 +1,49 @@
+-- Migration: Signed outbound webhooks for external games
+-- A game can register a webhook URL and secret (PUT /api/v2/webhook) and then
+-- receives HMAC-signed POSTs for room events instead of polling. Every attempt
+-- is tracked in webhook_deliveries; failed deliveries are retried with
+-- exponential backoff and can be redelivered on request.
+
+ALTER TABLE public.games
+ADD COLUMN IF NOT EXISTS webhook_url TEXT,
+ADD COLUMN IF NOT EXISTS webhook_secret VARCHAR(128),
+ADD COLUMN IF NOT EXISTS webhook_events TEXT[] NOT NULL DEFAULT ARRAY['player.joined', 'player.left', 'player.kicked', 'host.transferred', 'room.returned_to_lobby', 'room.closed'],
+ADD COLUMN IF NOT EXISTS webhook_enabled BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE TABLE IF NOT EXISTS public.webhook_deliveries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  -- Stable across redeliveries so games can de-duplicate
+  event_id UUID NOT NULL DEFAULT gen_random_uuid(),
+  game_id VARCHAR(50) NOT NULL REFERENCES public.games(id) ON DELETE CASCADE,
+  event_type VARCHAR(50) NOT NULL,
+  room_code VARCHAR(6),
+  url TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivering', 'delivered', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMPTZ DEFAULT NOW(),
+  last_attempt_at TIMESTAMPTZ,
+  last_status_code INTEGER,
+  last_error TEXT,
+  delivered_at TIMESTAMPTZ,
+  redelivery_of UUID REFERENCES public.webhook_deliveries(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_game
+ON public.webhook_deliveries(game_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due
+ON public.webhook_deliveries(next_attempt_at)
+WHERE status IN ('pending', 'delivering');
+
+ALTER TABLE public.webhook_deliveries ENABLE ROW LEVEL SECURITY;
+
+-- New API key scope for managing the webhook; keys that could do everything keep doing so
+ALTER TABLE public.api_keys
+ALTER COLUMN scopes SET DEFAULT ARRAY['rooms:read', 'rooms:write', 'status:write', 'progress:read', 'progress:write', 'webhooks:manage'];
+
+UPDATE public.api_keys
+SET scopes = array_append(scopes, 'webhooks:manage')
+WHERE NOT ('webhooks:manage' = ANY(scopes))
+  AND scopes @> ARRAY['rooms:read', 'rooms:write', 'status:write', 'progress:read', 'progress:write'];
@@ -0,0 +1,48 @@
+-- Migration: Leaderboard helpers
+-- Weekly/monthly rankings sum xp_history since a cutoff; everything else is
+-- served from indexed columns on users and player_stats
+
+CREATE INDEX IF NOT EXISTS idx_xp_history_created ON public.xp_history(created_at DESC);
+
+-- Players who hid their profile or stats (add_profile_privacy.sql) are left off
+-- every board; missing keys count as public
+ALTER TABLE public.users
+ADD COLUMN IF NOT EXISTS leaderboard_visible BOOLEAN GENERATED ALWAYS AS (
+  (privacy_settings->>'profile_public') IS DISTINCT FROM 'false'
+  AND (privacy_settings->>'stats_public') IS DISTINCT FROM 'false'
+) STORED;
+
+-- Top p_limit players by XP earned since p_since, plus the viewer's own row.
+-- p_user_ids restricts the ranking (friends-only boards). A hidden viewer is
+-- still ranked, so they can see where they would place.
+CREATE OR REPLACE FUNCTION get_xp_window_leaderboard(
+  p_since TIMESTAMPTZ,
+  p_limit INTEGER DEFAULT 25,
+  p_viewer_id UUID DEFAULT NULL,
+  p_user_ids UUID[] DEFAULT NULL
+)
+RETURNS TABLE (user_id UUID, score BIGINT, rank BIGINT) AS $$
+  WITH totals AS (
+    SELECT xh.user_id, SUM(xh.amount)::BIGINT AS score
+    FROM public.xp_history xh
+    JOIN public.users u ON u.id = xh.user_id AND NOT COALESCE(u.is_guest, false)
+      AND (u.leaderboard_visible OR u.id = p_viewer_id)
+    WHERE xh.created_at >= p_since
+      AND (p_user_ids IS NULL OR xh.user_id = ANY(p_user_ids))
+    GROUP BY xh.user_id
+  ),
+  ranked AS (
+    SELECT
+      totals.user_id,
+      totals.score,
+      RANK() OVER (ORDER BY totals.score DESC) AS rank,
+      ROW_NUMBER() OVER (ORDER BY totals.score DESC, totals.user_id) AS position
+    FROM totals
+  )
+  SELECT ranked.user_id, ranked.score, ranked.rank
+  FROM ranked
+  WHERE ranked.position <= p_limit OR ranked.user_id = p_viewer_id
+  ORDER BY ranked.position;
+$$ LANGUAGE sql STABLE;
+
+COMMENT ON FUNCTION get_xp_window_leaderboard IS 'Ranks players by XP gained since p_since (weekly/monthly leaderboards)';
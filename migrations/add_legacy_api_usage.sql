@@ -0,0 +1,35 @@
+-- Migration: Usage counters for the deprecated /api/game endpoints
+-- The legacy external game API is now a thin adapter over /api/v2/game and
+-- answers with Deprecation/Sunset headers. Every call is counted per API key
+-- and endpoint so we can see which games still depend on it before removal
+-- (GET /api/admin/api-usage/legacy).
+
+CREATE TABLE IF NOT EXISTS public.legacy_api_usage (
+  api_key_id UUID NOT NULL REFERENCES public.api_keys(id) ON DELETE CASCADE,
+  endpoint TEXT NOT NULL,
+  call_count BIGINT NOT NULL DEFAULT 0,
+  first_called_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_called_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (api_key_id, endpoint)
+);
+
+CREATE INDEX IF NOT EXISTS idx_legacy_api_usage_last_called
+ON public.legacy_api_usage(last_called_at DESC);
+
+ALTER TABLE public.legacy_api_usage ENABLE ROW LEVEL SECURITY;
+
+CREATE OR REPLACE FUNCTION record_legacy_api_call(p_api_key_id UUID, p_endpoint TEXT)
+RETURNS VOID AS $$
+  INSERT INTO public.legacy_api_usage (api_key_id, endpoint, call_count)
+  VALUES (p_api_key_id, p_endpoint, 1)
+  ON CONFLICT (api_key_id, endpoint) DO UPDATE
+  SET call_count = public.legacy_api_usage.call_count + 1,
+      last_called_at = NOW();
+$$ LANGUAGE sql SECURITY DEFINER SET search_path = public;
+
+COMMENT ON TABLE public.legacy_api_usage IS 'Calls to the deprecated /api/game endpoints per API key and endpoint';
+COMMENT ON FUNCTION record_legacy_api_call IS 'Count one call to a deprecated /api/game endpoint';
+
+-- These counters decide when the legacy endpoints go away; only the server records them
+REVOKE EXECUTE ON FUNCTION record_legacy_api_call(UUID, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION record_legacy_api_call(UUID, TEXT) TO service_role;
@@ -0,0 +1,139 @@
+-- Migration: Record match results from the V2 game-end API
+-- Game servers send a session id with every result so retries can be detected,
+-- player_stats learns to count abandoned games, and a match is stored together
+-- with its players' stats in one transaction
+
+-- 1. Idempotency key for game-end submissions
+ALTER TABLE public.game_matches
+ADD COLUMN IF NOT EXISTS session_id VARCHAR(100);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_game_matches_session
+ON public.game_matches(game_id, session_id)
+WHERE session_id IS NOT NULL;
+
+COMMENT ON COLUMN public.game_matches.session_id IS 'Game-server session/match id; a second result for the same game and session is rejected';
+
+-- 2. Stats update with abandoned games (replaces the 4-argument version)
+DROP FUNCTION IF EXISTS update_player_stats_after_match(UUID, VARCHAR, BOOLEAN, INTEGER);
+
+CREATE OR REPLACE FUNCTION update_player_stats_after_match(
+  p_user_id UUID,
+  p_game_id VARCHAR,
+  p_won BOOLEAN,
+  p_duration_minutes INTEGER,
+  p_abandoned BOOLEAN DEFAULT false
+)
+RETURNS VOID AS $$
+DECLARE
+  v_won INTEGER := CASE WHEN p_won AND NOT p_abandoned THEN 1 ELSE 0 END;
+  v_lost INTEGER := CASE WHEN NOT p_won AND NOT p_abandoned THEN 1 ELSE 0 END;
+  v_abandoned INTEGER := CASE WHEN p_abandoned THEN 1 ELSE 0 END;
+BEGIN
+  INSERT INTO public.player_stats (
+    user_id,
+    game_id,
+    games_played,
+    games_won,
+    games_lost,
+    games_abandoned,
+    total_time_played_minutes,
+    average_game_duration_minutes,
+    last_played_at,
+    first_played_at
+  ) VALUES (
+    p_user_id,
+    p_game_id,
+    1,
+    v_won,
+    v_lost,
+    v_abandoned,
+    p_duration_minutes,
+    p_duration_minutes,
+    NOW(),
+    NOW()
+  )
+  ON CONFLICT (user_id, game_id)
+  DO UPDATE SET
+    games_played = player_stats.games_played + 1,
+    games_won = player_stats.games_won + v_won,
+    games_lost = player_stats.games_lost + v_lost,
+    games_abandoned = player_stats.games_abandoned + v_abandoned,
+    total_time_played_minutes = player_stats.total_time_played_minutes + p_duration_minutes,
+    average_game_duration_minutes = ROUND(
+      (player_stats.total_time_played_minutes + p_duration_minutes)::DECIMAL / (player_stats.games_played + 1), 2
+    ),
+    last_played_at = NOW(),
+    updated_at = NOW();
+
+  -- Update global user stats
+  UPDATE public.users
+  SET
+    total_games_played = total_games_played + 1,
+    total_games_won = total_games_won + v_won
+  WHERE id = p_user_id;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION update_player_stats_after_match IS 'Updates player stats after a game completes (abandoned games count as played, not won or lost)';
+
+-- 3. Store a match and its players' stats together, so a failed stats update
+--    rolls the match back and the game server's retry records everything.
+--    p_match holds the game_matches columns; players[] carries user_id,
+--    is_winner and abandoned. Returns {id, created_at, duplicate}.
+CREATE OR REPLACE FUNCTION record_game_match(p_match JSONB, p_duration_minutes INTEGER)
+RETURNS JSONB AS $$
+DECLARE
+  v_match public.game_matches%ROWTYPE;
+  v_player JSONB;
+BEGIN
+  BEGIN
+    INSERT INTO public.game_matches (
+      room_id,
+      game_id,
+      session_id,
+      started_at,
+      ended_at,
+      total_players,
+      players,
+      winner_id,
+      final_scores,
+      game_mode,
+      game_settings,
+      was_abandoned
+    ) VALUES (
+      (p_match->>'room_id')::UUID,
+      p_match->>'game_id',
+      p_match->>'session_id',
+      (p_match->>'started_at')::TIMESTAMPTZ,
+      (p_match->>'ended_at')::TIMESTAMPTZ,
+      (p_match->>'total_players')::INTEGER,
+      p_match->'players',
+      (p_match->>'winner_id')::UUID,
+      p_match->'final_scores',
+      p_match->>'game_mode',
+      COALESCE(p_match->'game_settings', '{}'::jsonb),
+      COALESCE((p_match->>'was_abandoned')::BOOLEAN, false)
+    )
+    RETURNING * INTO v_match;
+  EXCEPTION WHEN unique_violation THEN
+    -- Lost a race against a concurrent retry of the same session
+    SELECT * INTO v_match FROM public.game_matches
+    WHERE game_id = p_match->>'game_id' AND session_id = p_match->>'session_id';
+    RETURN jsonb_build_object('id', v_match.id, 'created_at', v_match.created_at, 'duplicate', true);
+  END;
+
+  FOR v_player IN SELECT * FROM jsonb_array_elements(p_match->'players') LOOP
+    PERFORM update_player_stats_after_match(
+      (v_player->>'user_id')::UUID,
+      p_match->>'game_id',
+      COALESCE((v_player->>'is_winner')::BOOLEAN, false),
+      p_duration_minutes,
+      COALESCE((v_player->>'abandoned')::BOOLEAN, false)
+    );
+  END LOOP;
+
+  RETURN jsonb_build_object('id', v_match.id, 'created_at', v_match.created_at, 'duplicate', false);
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION record_game_match IS 'Stores a game-end result and updates every player''s stats in one transaction';
@@ -0,0 +1,10 @@
+-- Migration: Admin moderation dashboard
+-- Moderator actions are audited in room_events; bans and report resolutions
+-- can happen outside any room, so room_id becomes optional.
+
+ALTER TABLE public.room_events
+ALTER COLUMN room_id DROP NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_room_events_moderation
+ON public.room_events(created_at DESC)
+WHERE event_type LIKE 'moderator_%';
@@ -0,0 +1,13 @@
+-- Migration: Grace period for failed premium renewals
+-- The first failed renewal opens a grace window during which premium stays
+-- active while Stripe retries the card. A successful payment closes it; the
+-- periodic sweep in server/index.js downgrades users whose window has lapsed.
+
+ALTER TABLE public.users
+ADD COLUMN IF NOT EXISTS payment_failed_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS grace_period_ends_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS dunning_reminder_sent_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_users_grace_period_ends
+ON public.users(grace_period_ends_at)
+WHERE grace_period_ends_at IS NOT NULL;
@@ -0,0 +1,127 @@
+-- Migration: Gift premium and promo codes
+-- Gift codes are created by the Stripe webhook when someone buys premium as a
+-- gift; promo codes are minted by admins. Both are redeemed through
+-- POST /api/premium/redeem, which grants lifetime or N days of monthly premium.
+
+CREATE TABLE IF NOT EXISTS public.premium_codes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  code VARCHAR(32) NOT NULL UNIQUE,
+  kind VARCHAR(10) NOT NULL CHECK (kind IN ('gift', 'promo')),
+  tier VARCHAR(20) NOT NULL CHECK (tier IN ('monthly', 'lifetime')),
+  duration_days INTEGER CHECK (duration_days > 0),
+  max_uses INTEGER NOT NULL DEFAULT 1 CHECK (max_uses > 0),
+  use_count INTEGER NOT NULL DEFAULT 0,
+  expires_at TIMESTAMPTZ,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by UUID REFERENCES public.users(id) ON DELETE SET NULL, -- admin who minted a promo code
+  purchased_by UUID REFERENCES public.users(id) ON DELETE SET NULL, -- buyer of a gift
+  stripe_session_id TEXT UNIQUE, -- one gift per checkout
+  note TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  CONSTRAINT premium_codes_duration_check CHECK (
+    (tier = 'monthly' AND duration_days IS NOT NULL) OR (tier = 'lifetime' AND duration_days IS NULL)
+  )
+);
+
+CREATE INDEX IF NOT EXISTS idx_premium_codes_purchased_by
+ON public.premium_codes(purchased_by, created_at DESC)
+WHERE purchased_by IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS public.premium_code_redemptions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  code_id UUID NOT NULL REFERENCES public.premium_codes(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  redeemed_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (code_id, user_id)
+);
+
+ALTER TABLE public.premium_codes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.premium_code_redemptions ENABLE ROW LEVEL SECURITY;
+
+-- Redeem a code for a user in one transaction: claim one use of the code and
+-- grant its premium, so a failure can't leave a used-up code without premium.
+-- The row locks keep concurrent redemptions from going over max_uses or
+-- stacking the same user's expiry twice. Returns {result} with 'ok' or an API
+-- error code, plus old_tier, premium_expires_at and stripe_subscription_id on
+-- success.
+DROP FUNCTION IF EXISTS redeem_premium_code(UUID, UUID);
+
+CREATE OR REPLACE FUNCTION redeem_premium_code(p_code_id UUID, p_user_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+  v_code public.premium_codes%ROWTYPE;
+  v_user public.users%ROWTYPE;
+  v_expires_at TIMESTAMPTZ;
+BEGIN
+  SELECT * INTO v_code FROM public.premium_codes WHERE id = p_code_id FOR UPDATE;
+
+  IF NOT FOUND OR NOT v_code.is_active THEN
+    RETURN jsonb_build_object('result', 'CODE_NOT_FOUND');
+  END IF;
+  IF v_code.expires_at IS NOT NULL AND v_code.expires_at <= NOW() THEN
+    RETURN jsonb_build_object('result', 'CODE_EXPIRED');
+  END IF;
+  IF EXISTS (SELECT 1 FROM public.premium_code_redemptions WHERE code_id = p_code_id AND user_id = p_user_id) THEN
+    RETURN jsonb_build_object('result', 'ALREADY_REDEEMED');
+  END IF;
+  IF v_code.use_count >= v_code.max_uses THEN
+    RETURN jsonb_build_object('result', 'CODE_USED_UP');
+  END IF;
+
+  SELECT * INTO v_user FROM public.users WHERE id = p_user_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'User % not found', p_user_id;
+  END IF;
+  IF v_user.premium_tier = 'lifetime' THEN
+    RETURN jsonb_build_object('result', 'ALREADY_LIFETIME');
+  END IF;
+  -- Stripe owns the expiry of a running subscription, so we can't extend it
+  IF v_code.tier = 'monthly' AND v_user.stripe_subscription_id IS NOT NULL THEN
+    RETURN jsonb_build_object('result', 'ACTIVE_SUBSCRIPTION');
+  END IF;
+
+  IF v_code.tier = 'monthly' THEN
+    -- Stack on top of premium from an earlier code
+    v_expires_at := GREATEST(
+      NOW(),
+      CASE WHEN v_user.premium_tier = 'monthly' THEN COALESCE(v_user.premium_expires_at, NOW()) ELSE NOW() END
+    ) + make_interval(days => v_code.duration_days);
+  END IF;
+
+  INSERT INTO public.premium_code_redemptions (code_id, user_id) VALUES (p_code_id, p_user_id);
+  UPDATE public.premium_codes SET use_count = use_count + 1 WHERE id = p_code_id;
+
+  UPDATE public.users
+  SET
+    premium_tier = v_code.tier,
+    premium_expires_at = v_expires_at,
+    payment_failed_at = NULL,
+    grace_period_ends_at = NULL,
+    dunning_reminder_sent_at = NULL
+  WHERE id = p_user_id;
+
+  RETURN jsonb_build_object(
+    'result', 'ok',
+    'old_tier', v_user.premium_tier,
+    'premium_expires_at', v_expires_at,
+    'stripe_subscription_id', v_user.stripe_subscription_id
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+COMMENT ON FUNCTION redeem_premium_code IS 'Atomically claims one use of a premium code and grants its premium to a user';
+
+-- p_user_id is trusted, so only the server (service role) may call this;
+-- PostgREST would otherwise expose it to anyone holding the anon key
+REVOKE EXECUTE ON FUNCTION redeem_premium_code(UUID, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION redeem_premium_code(UUID, UUID) TO service_role;
+
+-- 'gift_purchased' for the buyer, 'redeemed' for the recipient
+ALTER TABLE public.subscription_events
+DROP CONSTRAINT IF EXISTS subscription_events_event_type_check;
+
+ALTER TABLE public.subscription_events
+ADD CONSTRAINT subscription_events_event_type_check CHECK (
+  event_type IN ('created', 'renewed', 'upgraded', 'downgraded', 'cancelled', 'resumed', 'expired', 'payment_failed', 'refunded', 'gift_purchased', 'redeemed')
+);
@@ -0,0 +1,10 @@
+-- Migration: Public profile privacy settings
+-- Adds history_public next to profile_public / stats_public; missing keys are treated as public
+
+ALTER TABLE public.users
+ADD COLUMN IF NOT EXISTS privacy_settings JSONB DEFAULT '{"profile_public": true, "stats_public": true, "show_online_status": true}'::jsonb;
+
+ALTER TABLE public.users
+ALTER COLUMN privacy_settings SET DEFAULT '{"profile_public": true, "stats_public": true, "history_public": true, "show_online_status": true}'::jsonb;
+
+COMMENT ON COLUMN public.users.privacy_settings IS 'Public profile visibility: profile_public, stats_public (stats + achievements), history_public (match history), show_online_status';
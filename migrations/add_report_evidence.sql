@@ -0,0 +1,12 @@
+-- Migration: Player reports from the lobby
+-- Stores chat evidence with each report and allows one open report per reporter/player pair
+
+ALTER TABLE public.user_reports
+ADD COLUMN IF NOT EXISTS evidence JSONB DEFAULT '{}'::jsonb;
+
+COMMENT ON COLUMN public.user_reports.evidence IS 'Server-captured context, e.g. {"room_code": "ABC123", "chat": [recent lobby messages]}';
+
+-- Repeat reports are rejected while an earlier one is still open
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_reports_open_per_reporter
+ON public.user_reports(reported_by, reported_user_id)
+WHERE status IN ('pending', 'investigating');
@@ -0,0 +1,37 @@
+-- Migration: Persistent lobby chat with host moderation
+-- Lobby chat used to live only in the sockets of whoever was in the room.
+-- Messages are now stored per room (the last ones are replayed when a player
+-- joins), sender ids come from the server-side connection, and the host can
+-- delete messages or mute players for the rest of the room's life or a while.
+
+CREATE TABLE IF NOT EXISTS public.room_chat_messages (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  room_id UUID NOT NULL REFERENCES public.rooms(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES public.users(id) ON DELETE SET NULL,
+  player_name TEXT NOT NULL,
+  message TEXT NOT NULL,
+  message_type TEXT NOT NULL DEFAULT 'user' CHECK (message_type IN ('user', 'system')),
+  was_filtered BOOLEAN NOT NULL DEFAULT FALSE,
+  deleted_at TIMESTAMPTZ,
+  deleted_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_room_chat_messages_room_created
+ON public.room_chat_messages(room_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS public.room_chat_mutes (
+  room_id UUID NOT NULL REFERENCES public.rooms(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+  muted_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+  muted_until TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (room_id, user_id)
+);
+
+ALTER TABLE public.room_chat_messages ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.room_chat_mutes ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE public.room_chat_messages IS 'Lobby chat per room; deleted messages are kept (deleted_at) but no longer shown';
+COMMENT ON COLUMN public.room_chat_messages.was_filtered IS 'The profanity filter masked part of the message';
+COMMENT ON TABLE public.room_chat_mutes IS 'Players the host muted in a room''s chat; muted_until NULL means until unmuted';
@@ -0,0 +1,39 @@
+-- Migration: Subscription event history from Stripe webhooks
+-- Every handled webhook is claimed in stripe_webhook_events first so Stripe
+-- retries can't apply the same event twice, and lifecycle changes are
+-- appended to subscription_events for the billing history.
+
+CREATE TABLE IF NOT EXISTS public.stripe_webhook_events (
+  id TEXT PRIMARY KEY, -- Stripe event id (evt_...)
+  event_type VARCHAR(100) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'processing' CHECK (
+    status IN ('processing', 'processed', 'failed')
+  ),
+  attempts INTEGER NOT NULL DEFAULT 1,
+  last_error TEXT,
+  received_at TIMESTAMPTZ DEFAULT NOW(),
+  last_attempt_at TIMESTAMPTZ DEFAULT NOW(),
+  processed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_stripe_webhook_events_status
+ON public.stripe_webhook_events(status, last_attempt_at);
+
+ALTER TABLE public.stripe_webhook_events ENABLE ROW LEVEL SECURITY;
+
+-- 'resumed' = a scheduled cancellation was undone
+ALTER TABLE public.subscription_events
+DROP CONSTRAINT IF EXISTS subscription_events_event_type_check;
+
+ALTER TABLE public.subscription_events
+ADD CONSTRAINT subscription_events_event_type_check CHECK (
+  event_type IN ('created', 'renewed', 'upgraded', 'downgraded', 'cancelled', 'resumed', 'expired', 'payment_failed', 'refunded')
+);
+
+-- One lifecycle event per Stripe event
+CREATE UNIQUE INDEX IF NOT EXISTS idx_subscription_events_stripe_event
+ON public.subscription_events(stripe_event_id)
+WHERE stripe_event_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_subscription_events_user_created
+ON public.subscription_events(user_id, created_at DESC);
@@ -1,10 +1,24 @@
 
 const gameApiV2Router = require('./routes/gameApiV2');
+const gameApiLegacyRouter = require('./routes/gameApiLegacy');
 const gameApiV2DDFRouter = require('./routes/gameApiV2_DDFCompatibility');
 const gamesRouter = require('./routes/games');
 const authRouter = require('./routes/auth');
 const stripeRouter = require('./routes/stripe');
 const avatarsRouter = require('./routes/avatars');
+const friendsRouter = require('./routes/friends');
+const invitationsRouter = require('./routes/invitations');
+const notificationsRouter = require('./routes/notifications');
+const achievementsRouter = require('./routes/achievements');
+const profilesRouter = require('./routes/profiles');
+const leaderboardsRouter = require('./routes/leaderboards');
+const reportsRouter = require('./routes/reports');
+const moderationRouter = require('./routes/moderation');
+const adminRouter = require('./routes/admin');
+const apiKeysRouter = require('./routes/apiKeys');
+const apiUsageRouter = require('./routes/apiUsage');
+const affiliatesRouter = require('./routes/affiliates');
+const premiumRouter = require('./routes/premium');
 const express = require('express');
 const path = require('path');
 const cors = require('cors');
@@ -21,8 +35,21 @@ const crypto = require('crypto');
 const ConnectionManager = require('./lib/connectionManager');
 const LobbyManager = require('./lib/lobbyManager');
 const StatusSyncManager = require('./lib/statusSyncManager');
-const { validators, sanitize, rateLimits, validateApiKey } = require('./lib/validation');
+const ReadyCheckManager = require('./lib/readyCheckManager');
+const gameCapacity = require('./lib/gameCapacity');
+const gameSettings = require('./lib/gameSettings');
+const { validators, sanitize, rateLimits } = require('./lib/validation');
+const { buildGameApiSpec } = require('./lib/gameApiContract');
 const gameKeepAlive = require('./services/gameKeepAlive');
+const notificationService = require('./services/notificationService');
+const achievementService = require('./services/achievementService');
+const chatLog = require('./services/chatLog');
+const chatService = require('./services/chatService');
+const { filterMessage } = require('./lib/profanityFilter');
+const banService = require('./services/banService');
+const dunningService = require('./services/dunningService');
+const premiumCodeService = require('./services/premiumCodeService');
+const webhookService = require('./services/webhookService');
 
 const app = express();
 const server = http.createServer(app);
@@ -402,132 +429,8 @@ app.get('/api/stats', (req, res) => {
 
 // ===== GAMEBUDDIES API FOR EXTERNAL GAMES =====
 
-// Middleware for API key validation is provided by lib/validation
-
-// Room validation endpoint
-app.get('/api/game/rooms/:roomCode/validate', validateApiKey, async (req, res) => {
-  try {
-    const { roomCode } = req.params;
-    const { playerName, playerId } = req.query;
-    
-    console.log(`🔍 [API] Validating room ${roomCode} for ${playerName} (service: ${req.apiKey.service_name})`);
-    
-    // Get room with all related data
-    const { data: room, error } = await db.adminClient
-      .from('rooms')
-      .select(`
-        *,
-        participants:room_members(
-          *,
-          user:users(*)
-        )
-      `)
-      .eq('room_code', roomCode)
-      .single();
-    
-    if (error || !room) {
-      console.log(`❌ [API] Room ${roomCode} not found`);
-      return res.status(404).json({ 
-        valid: false, 
-        error: 'Room not found',
-        code: 'ROOM_NOT_FOUND'
-      });
-    }
-    
-    // Check room status - V2 Schema uses 'lobby', 'in_game', 'returning'
-    if (!['lobby', 'in_game', 'returning'].includes(room.status)) {
-      console.log(`❌ [API] Room ${roomCode} has invalid status: ${room.status}`);
-      return res.status(400).json({ 
-        valid: false, 
-        error: `Room is ${room.status}`,
-        code: 'ROOM_NOT_AVAILABLE',
-        status: room.status
-      });
-    }
-    
-    // Check if game type matches or room is in lobby state
-    if (room.current_game && room.current_game !== req.apiKey.service_name) {
-      console.log(`❌ [API] Room ${roomCode} is for game ${room.current_game}, not ${req.apiKey.service_name}`);
-      return res.status(400).json({ 
-        valid: false, 
-        error: 'Room is for a different game',
-        code: 'WRONG_GAME_TYPE',
-        gameType: room.current_game
-      });
-    }
-    
-    // Find participant if playerName or playerId provided
-    let participant = null;
-    if (playerName || playerId) {
-      participant = room.participants?.find(p => 
-        (playerName && p.user?.username === playerName) || 
-        (playerId && p.user_id === playerId)
-      );
-    }
-    
-    // Get latest game state if exists
-    const { data: gameState } = await db.adminClient
-      .from('game_states')
-      .select('*')
-      .eq('room_id', room.id)
-      .order('created_at', { ascending: false })
-      .limit(1)
-      .single();
-    
-    console.log(`✅ [API] Room ${roomCode} validated successfully`);
-    
-    res.json({
-      valid: true,
-      room: {
-        id: room.id,
-        code: room.room_code,
-        gameType: room.current_game,
-        status: room.status,
-        currentPlayers: room.participants?.filter(p => p.is_connected === true).length || 0,
-        maxPlayers: room.max_players,
-        settings: room.settings,
-        metadata: room.metadata,
-        createdAt: room.created_at,
-        startedAt: room.started_at
-      },
-      participant: participant ? {
-        id: participant.user_id,
-        role: participant.role,
-        isHost: participant.role === 'host',
-        isReady: participant.is_ready,
-        gameData: participant.game_specific_data
-      } : null,
-      participants: room.participants
-        ?.filter(p => p.is_connected === true)
-        .map(p => ({
-          id: p.user_id,
-          name: p.custom_lobby_name || p.user?.display_name || p.user?.username,
-          role: p.role,
-          isReady: p.is_ready,
-          status: p.is_connected ? 'connected' : 'disconnected',
-          premiumTier: p.user?.premium_tier || 'free',
-          avatarUrl: p.user?.avatar_url,
-          avatarStyle: p.user?.avatar_style,
-          avatarSeed: p.user?.avatar_seed,
-          avatarOptions: p.user?.avatar_options
-        })),
-      gameState: gameState ? {
-        id: gameState.id,
-        data: gameState.state_data,
-        version: gameState.state_version,
-        createdAt: gameState.created_at
-      } : null
-    });
-    
-  } catch (error) {
-    console.error('❌ [API] Room validation error:', error);
-    res.status(500).json({ 
-      valid: false, 
-      error: 'Server error',
-      code: 'SERVER_ERROR'
-    });
-  }
-});
+// The room endpoints (/api/game/rooms/...) are deprecated adapters over /api/v2/game,
+// see routes/gameApiLegacy.js
 
 // Session verification endpoint - NO API key required (session token is the auth)
 // Games call this to get authenticated player data
@@ -567,1066 +470,97 @@ app.get('/api/game/session/:token', async (req, res) => {
         valid: false,
         error: 'Invalid session token',
         code: 'INVALID_TOKEN'
-      });
-    }
-
-    // Check if session is expired
-    const now = new Date();
-    const expiresAt = new Date(session.expires_at);
-    if (now > expiresAt) {
-      console.log(`❌ [API] Session token expired: ${token.substring(0, 8)}...`);
-      return res.status(401).json({
-        valid: false,
-        error: 'Session expired',
-        code: 'SESSION_EXPIRED',
-        expiredAt: session.expires_at
-      });
-    }
-
-    // Update last_accessed timestamp
-    await db.adminClient
-      .from('game_sessions')
-      .update({ last_accessed: new Date().toISOString() })
-      .eq('session_token', token);
-
-    // Find the player's participant data
-    const participant = session.room?.participants?.find(p => p.user_id === session.player_id);
-
-    if (!participant) {
-      console.log(`❌ [API] Player not found in room for session: ${token.substring(0, 8)}...`);
-      return res.status(404).json({
-        valid: false,
-        error: 'Player not found in room',
-        code: 'PLAYER_NOT_FOUND'
-      });
-    }
-
-    console.log(`✅ [API] Session verified for player: ${participant.user?.username}`);
-
-    // Return authenticated player data
-    res.json({
-      valid: true,
-      session: {
-        id: session.id,
-        createdAt: session.created_at,
-        expiresAt: session.expires_at,
-        gameType: session.game_type,
-        streamerMode: session.streamer_mode
-      },
-      player: {
-        id: session.player_id,
-        name: participant.custom_lobby_name || participant.user?.display_name || participant.user?.username,
-        username: participant.user?.username,
-        displayName: participant.user?.display_name,
-        customLobbyName: participant.custom_lobby_name,
-        premiumTier: participant.user?.premium_tier || 'free',
-        avatarUrl: participant.user?.avatar_url,
-        avatarStyle: participant.user?.avatar_style,
-        avatarSeed: participant.user?.avatar_seed,
-        avatarOptions: participant.user?.avatar_options,
-        isHost: participant.role === 'host',
-        role: participant.role
-      },
-      room: {
-        id: session.room?.id,
-        code: session.streamer_mode ? null : session.room_code, // Hide room code in streamer mode
-        gameType: session.room?.current_game,
-        status: session.room?.status,
-        maxPlayers: session.room?.max_players,
-        settings: session.room?.settings,
-        currentPlayers: session.room?.participants?.filter(p => p.is_connected === true).length || 0
-      },
-      participants: session.room?.participants
-        ?.filter(p => p.is_connected === true)
-        .map(p => ({
-          id: p.user_id,
-          name: p.custom_lobby_name || p.user?.display_name || p.user?.username,
-          role: p.role,
-          isHost: p.role === 'host',
-          premiumTier: p.user?.premium_tier || 'free',
-          avatarUrl: p.user?.avatar_url,
-          avatarStyle: p.user?.avatar_style,
-          avatarSeed: p.user?.avatar_seed,
-          avatarOptions: p.user?.avatar_options
-        })) || []
-    });
-
-  } catch (error) {
-    console.error('❌ [API] Session verification error:', error);
-    res.status(500).json({
-      valid: false,
-      error: 'Server error',
-      code: 'SERVER_ERROR'
-    });
-  }
-});
-
-// Player join/register endpoint
-app.post('/api/game/rooms/:roomCode/join', validateApiKey, async (req, res) => {
-  try {
-    const { roomCode } = req.params;
-    const { playerName, playerId } = req.body;
-    
-    console.log(`🚪 [API] Player ${playerName} joining room ${roomCode} (service: ${req.apiKey.service_name})`);
-    
-    // Get room
-    const { data: room, error: roomError } = await db.adminClient
-      .from('rooms')
-      .select('*')
-      .eq('room_code', roomCode)
-      .single();
-    
-    if (roomError || !room) {
-      console.log(`❌ [API] Room ${roomCode} not found for join`);
-      return res.status(404).json({ error: 'Room not found' });
-    }
-    
-    // Check if room is full - calculate current players from connected members
-    const currentPlayers = room.participants?.filter(p => p.is_connected === true).length || 0;
-    if (currentPlayers >= room.max_players) {
-      console.log(`❌ [API] Room ${roomCode} is full (${currentPlayers}/${room.max_players})`);
-      return res.status(400).json({ 
-        error: 'Room is full',
-        code: 'ROOM_FULL'
-      });
-    }
-    
-    // Get or create user
-    const externalId = playerId || `${req.apiKey.service_name}_${playerName}_${Date.now()}`;
-    const user = await db.getOrCreateUser(externalId, playerName, playerName);
-    
-    // Check if already in room
-    const { data: existingParticipant } = await db.adminClient
-      .from('room_members')
-      .select('*')
-      .eq('room_id', room.id)
-      .eq('user_id', user.id)
-      .single();
-    
-    if (existingParticipant) {
-      console.log(`🔄 [API] Player ${playerName} rejoining room ${roomCode}`);
-      // Update connection status
-      await db.adminClient
-        .from('room_members')
-        .update({
-          is_connected: true,
-          last_ping: new Date().toISOString()
-        })
-        .eq('id', existingParticipant.id);
-        
-      return res.json({
-        success: true,
-        playerId: user.id,
-        role: existingParticipant.role,
-        isRejoining: true
-      });
-    }
-    
-    // Add as new participant
-    const { error: joinError } = await db.adminClient
-      .from('room_members')
-      .insert({
-        room_id: room.id,
-        user_id: user.id,
-        role: 'player',
-        is_connected: true
-      });
-    
-    if (joinError) throw joinError;
-    
-    // Update room to current game if it doesn't have one
-    if (!room.current_game) {
-      await db.adminClient
-        .from('rooms')
-        .update({ 
-          current_game: req.apiKey.service_name,
-          last_activity: new Date().toISOString()
-        })
-        .eq('id', room.id);
-    }
-    
-    // Log event
-    await db.logEvent(room.id, user.id, 'player_joined_via_api', { 
-      playerName, 
-      service: req.apiKey.service_name 
-    });
-    
-    console.log(`✅ [API] Player ${playerName} joined room ${roomCode} successfully`);
-    
-    res.json({
-      success: true,
-      playerId: user.id,
-      role: 'player',
-      isRejoining: false
-    });
-    
-  } catch (error) {
-    console.error('❌ [API] Player join error:', error);
-    res.status(500).json({ error: 'Failed to join room' });
-  }
-});
-
-// Game state sync endpoint
-app.post('/api/game/rooms/:roomCode/state', validateApiKey, async (req, res) => {
-  try {
-    const { roomCode } = req.params;
-    const { playerId, gameState, stateType = 'full' } = req.body;
-    
-    console.log(`📊 [API] Syncing game state for room ${roomCode} by player ${playerId}`);
-    
-    // Get room
-    const { data: room, error: roomError } = await db.adminClient
-      .from('rooms')
-      .select('id, status')
-      .eq('room_code', roomCode)
-      .single();
-    
-    if (roomError || !room) {
-      return res.status(404).json({ error: 'Room not found' });
-    }
-    
-    // Verify player is in room
-    const { data: participant } = await db.adminClient
-      .from('room_members')
-      .select('id, role')
-      .eq('room_id', room.id)
-      .eq('user_id', playerId)
-      .single();
-    
-    if (!participant) {
-      return res.status(403).json({ error: 'Player not in room' });
-    }
-    
-    // Save new state using existing method
-    const savedState = await db.saveGameState(room.id, req.apiKey.service_name, gameState, playerId);
-    
-    // Update room activity
-    await db.adminClient
-      .from('rooms')
-      .update({ 
-        last_activity: new Date().toISOString(),
-        status: 'in_game' // Mark room as in_game when game state is synced
-      })
-      .eq('id', room.id);
-    
-    // Broadcast via Socket.io if available
-    if (io) {
-      io.to(roomCode).emit('gameStateUpdated', {
-        stateId: savedState.id,
-        version: savedState.state_version,
-        updatedBy: playerId,
-        stateType,
-        timestamp: savedState.created_at,
-        roomVersion: Date.now()
-      });
-    }
-    
-    console.log(`✅ [API] Game state synced for room ${roomCode}, version ${savedState.state_version}`);
-    
-    res.json({
-      success: true,
-      stateId: savedState.id,
-      version: savedState.state_version
-    });
-    
-  } catch (error) {
-    console.error('❌ [API] State sync error:', error);
-    res.status(500).json({ error: 'Failed to sync state' });
-  }
-});
-
-// Get latest game state
-app.get('/api/game/rooms/:roomCode/state', validateApiKey, async (req, res) => {
-  try {
-    const { roomCode } = req.params;
-    const { version } = req.query;
-    
-    // Get room
-    const { data: room, error: roomError } = await db.adminClient
-      .from('rooms')
-      .select('id')
-      .eq('room_code', roomCode)
-      .single();
-    
-    if (roomError || !room) {
-      return res.status(404).json({ error: 'Room not found' });
-    }
-    
-    // Get state by version or latest
-    let query = db.adminClient
-      .from('game_states')
-      .select('*')
-      .eq('room_id', room.id);
-    
-    if (version) {
-      query = query.eq('state_version', version);
-    } else {
-      query = query.order('state_version', { ascending: false }).limit(1);
-    }
-    
-    const { data: gameState, error } = await query.single();
-    
-    if (error || !gameState) {
-      return res.status(404).json({ error: 'No game state found' });
-    }
-    
-    res.json({
-      id: gameState.id,
-      version: gameState.state_version,
-      data: gameState.state_data,
-      createdBy: gameState.created_by,
-      createdAt: gameState.created_at
-    });
-    
-  } catch (error) {
-    console.error('❌ [API] Get state error:', error);
-    res.status(500).json({ error: 'Failed to get state' });
-  }
-});
-
-// Player status update (enhanced for external games)
-app.post('/api/game/rooms/:roomCode/players/:playerId/status', validateApiKey, async (req, res) => {
-  try {
-    const { roomCode, playerId } = req.params;
-    const { status, gameData, location, reason } = req.body;
-    
-    console.log(`🎮 [API] External game status update:`, {
-      roomCode,
-      playerId,
-      status,
-      location,
-      reason,
-      gameData: gameData ? 'present' : 'none',
-      apiService: req.apiKey?.name || req.apiKey?.service_name,
-      requestIP: req.ip || req.connection?.remoteAddress,
-      userAgent: req.get('User-Agent'),
-      timestamp: new Date().toISOString()
-    });
-    
-    // Debug request headers and body
-    console.log(`🔍 [API DEBUG] Request details:`, {
-      headers: {
-        'content-type': req.get('Content-Type'),
-        'x-api-key': req.apiKey?.service_name ? `${req.apiKey.service_name} (valid)` : 'invalid',
-        'user-agent': req.get('User-Agent'),
-        'origin': req.get('Origin'),
-        'referer': req.get('Referer')
-      },
-      body: {
-        status,
-        location,
-        reason,
-        gameDataKeys: gameData ? Object.keys(gameData) : null,
-        gameDataSize: gameData ? JSON.stringify(gameData).length : 0
-      },
-      params: { roomCode, playerId }
-    });
-    
-    // Get room
-    const { data: room, error: roomError } = await db.adminClient
-      .from('rooms')
-      .select('id, room_code, status')
-      .eq('room_code', roomCode)
-      .single();
-    
-    console.log(`🔍 [API DEBUG] Room query result:`, {
-      roomCode,
-      hasData: !!room,
-      hasError: !!roomError,
-      error: roomError?.message,
-      errorCode: roomError?.code,
-      errorDetails: roomError?.details
-    });
-    
-    if (!room) {
-      console.log(`❌ [API] Room not found: ${roomCode}`);
-      
-      // Debug: Check if room exists but with different status
-      const { data: anyRoom } = await db.adminClient
-        .from('rooms')
-        .select('id, room_code, status, created_at, last_activity')
-        .eq('room_code', roomCode)
-        .single();
-      
-      if (anyRoom) {
-        console.log(`🔍 [API DEBUG] Room ${roomCode} exists but wasn't returned:`, {
-          id: anyRoom.id,
-          status: anyRoom.status,
-          created_at: anyRoom.created_at,
-          last_activity: anyRoom.last_activity
-        });
-      } else {
-        console.log(`🔍 [API DEBUG] Room ${roomCode} does not exist in database at all`);
-      }
-      
-      return res.status(404).json({ error: 'Room not found' });
-    }
-    
-    // Get current participant data (including role for host transfer logic)
-    const { data: participant } = await db.adminClient
-      .from('room_members')
-      .select('user_id, role, in_game, current_location, is_connected')
-      .eq('room_id', room.id)
-      .eq('user_id', playerId)
-      .single();
-    
-    if (!participant) {
-      console.log(`❌ [API] Player not found in room: ${playerId}`);
-      return res.status(404).json({ error: 'Player not found in room' });
-    }
-    
-    console.log(`🔍 [API] Current participant status:`, {
-      user_id: participant.user_id,
-      role: participant.role,
-      in_game: participant.in_game,
-      current_location: participant.current_location,
-      is_connected: participant.is_connected
-    });
-    
-    // Debug room context
-    console.log(`🏠 [API DEBUG] Room context:`, {
-      room_id: room.id,
-      room_code: room.room_code,
-      room_status: room.status,
-      total_participants: await db.adminClient
-        .from('room_members')
-        .select('user_id', { count: 'exact' })
-        .eq('room_id', room.id)
-        .then(({ count }) => count),
-      connected_participants: await db.adminClient
-        .from('room_members')
-        .select('user_id', { count: 'exact' })
-        .eq('room_id', room.id)
-        .eq('is_connected', true)
-        .then(({ count }) => count),
-      in_game_participants: await db.adminClient
-        .from('room_members')
-        .select('user_id', { count: 'exact' })
-        .eq('room_id', room.id)
-        .eq('in_game', true)
-        .then(({ count }) => count)
-    });
-    
-    // Determine new status based on input
-    let updateData = {
-      last_ping: new Date().toISOString(),
-      game_data: gameData || null
-    };
-    
-    // Handle different status types
-    switch (status) {
-      case 'connected': // Player connected to the external game instance
-        updateData.is_connected = true;
-        updateData.current_location = location || 'game'; // Default to 'game' as per documentation
-        updateData.in_game = true; // Assume connected to game means in_game true
-        if (location === 'lobby') { // Explicitly in lobby via external game
-          updateData.current_location = 'lobby';
-          updateData.in_game = false;
-        }
-        break;
-        
-          case 'disconnected': // Player disconnected from the external game
-            // Room-level grace window: skip disconnects right after return-all
-            try {
-              const { data: roomMeta } = await db.adminClient
-                .from('rooms')
-                .select('metadata')
-                .eq('room_code', roomCode)
-                .single();
-              const graceUntil = roomMeta?.metadata?.return_in_progress_until;
-              if (graceUntil && new Date(graceUntil) > new Date()) {
-                console.log(`⚠️ [API DEBUG] Skipping disconnect for ${playerId} due to active return_in_progress window`);
-                break;
-              }
-            } catch (e) {
-              console.warn('[API DEBUG] Grace window check failed (non-fatal):', e?.message || e);
-            }
-            // Guard: if this player was already in 'lobby' just before this call, don't downgrade
-            try {
-              const { data: prevParticipant } = await db.adminClient
-                .from('room_members')
-                .select('current_location')
-                .eq('user_id', playerId)
-                .eq('room_id', room.id)
-                .single();
-              if (prevParticipant && prevParticipant.current_location === 'lobby') {
-                console.log(`⚠️ [API DEBUG] Skipping disconnect for ${playerId} due to existing lobby state`);
-                // Short-circuit this player update; treat as success to avoid failing the whole op
-                break;
-              }
-            } catch (e) {
-              // Non-fatal: if guard lookup fails, proceed with disconnect
-              console.warn('[API DEBUG] Disconnect guard (single) failed (non-fatal):', e?.message || e);
-            }
-            updateData.is_connected = false;
-            updateData.current_location = 'disconnected';
-            updateData.in_game = false;
-            break;
-        
-      case 'returned_to_lobby': // Player explicitly returned to GameBuddies lobby by external game action
-        updateData.is_connected = true;
-        updateData.current_location = 'lobby';
-        updateData.in_game = false;
-        break;
-        
-      case 'in_game': // Player is actively in the external game
-        updateData.is_connected = true;
-        updateData.current_location = 'game';
-        updateData.in_game = true;
-        break;
-        
-      default: // Fallback for unknown status, treat as potentially disconnected or lobby
-        updateData.is_connected = false; // Default to not connected for unknown status
-        updateData.current_location = location || 'disconnected';
-        updateData.in_game = false;
-        console.warn(`⚠️ [API] Unknown status type received: '${status}'. Defaulting to disconnected.`);
-    }
-    
-    console.log(`📝 [API] Status change analysis:`, {
-      before: {
-        is_connected: participant.is_connected,
-        current_location: participant.current_location,
-        in_game: participant.in_game
-      },
-      after: {
-        is_connected: updateData.is_connected,
-        current_location: updateData.current_location,
-        in_game: updateData.in_game
-      },
-      changes: {
-        connection_changed: participant.is_connected !== updateData.is_connected,
-        location_changed: participant.current_location !== updateData.current_location,
-        game_status_changed: participant.in_game !== updateData.in_game
-      }
-    });
-    
-    console.log(`📝 [API] Updating participant with:`, updateData);
-    
-    // Check if this player was the host before updating
-    const wasHost = participant.role === 'host';
-    const isDisconnecting = updateData.is_connected === false;
-    
-    // Update participant
-    const { error: updateError } = await db.adminClient
-      .from('room_members')
-      .update(updateData)
-      .eq('room_id', room.id)
-      .eq('user_id', playerId);
-    
-    if (updateError) {
-      console.error(`❌ [API] Database update error:`, updateError);
-      throw updateError;
-    }
-    
-    // Handle host transfer if host disconnected via external game
-    let newHost = null;
-    if (wasHost && isDisconnecting) {
-      console.log(`👑 [API] Host ${playerId} disconnected via external game - checking for host transfer`);
-      
-      // Get other connected players who could become host
-      const { data: otherConnectedPlayers } = await db.adminClient
-        .from('room_members')
-        .select('user_id, user:users!inner(username, display_name), role, is_connected')
-        .eq('room_id', room.id)
-        .eq('is_connected', true)
-        .neq('user_id', playerId);
-      
-      if (otherConnectedPlayers && otherConnectedPlayers.length > 0) {
-        // Auto-transfer host to the first connected player
-        newHost = await db.autoTransferHost(room.id, playerId);
-        
-        if (newHost) {
-          console.log(`👑 [API] Host transferred from ${playerId} to ${newHost.user_id} (${newHost.user?.username || newHost.user?.display_name}) via external game disconnect`);
-        } else {
-          console.log(`❌ [API] Failed to transfer host from ${playerId}`);
-        }
-      } else {
-        console.log(`⚠️ [API] Host ${playerId} disconnected but no other connected players - keeping host role`);
-      }
-    }
-    
-    // Log event
-    await db.logEvent(room.id, playerId, 'external_game_status_update', { 
-      status, 
-      location: updateData.current_location,
-      reason,
-      gameData,
-      service: req.apiKey?.service_name
-    });
-    
-    // Get updated room data for broadcasting
-    const updatedRoom = await db.getRoomByCode(roomCode);
-    
-    // Broadcast to GameBuddies lobby with complete player data
-    // Build consolidated players snapshot once for broadcast and status sync
-    const allPlayers = updatedRoom.participants?.map(p => ({
-      id: p.user_id,
-      name: p.custom_lobby_name || p.user?.display_name || p.user?.username,
-      isHost: p.role === 'host',
-      isConnected: p.is_connected,
-      inGame: p.in_game,
-      currentLocation: p.current_location || (p.is_connected ? 'lobby' : 'disconnected'), // Provide default
-      lastPing: p.last_ping,
-      premiumTier: p.user?.premium_tier || 'free',
-      avatarUrl: p.user?.avatar_url,
-      avatarStyle: p.user?.avatar_style,
-      avatarSeed: p.user?.avatar_seed,
-      avatarOptions: p.user?.avatar_options,
-      socketId: null
-    })) || [];
-
-    if (io) {
-      
-      // Debug broadcast details
-      console.log(`📡 [API DEBUG] Broadcasting details:`, {
-        roomCode,
-        socketRoomExists: io.sockets.adapter.rooms.has(roomCode),
-        socketRoomSize: io.sockets.adapter.rooms.get(roomCode)?.size || 0,
-        connectedSockets: Array.from(io.sockets.sockets.keys()).length,
-        playersInUpdate: allPlayers.length,
-        targetPlayerId: playerId,
-        newStatus: updateData.current_location
-      });
-      
-      // Debug player status summary
-      const statusSummary = allPlayers.reduce((acc, p) => {
-        const status = p.currentLocation || 'unknown';
-        acc[status] = (acc[status] || 0) + 1;
-        return acc;
-      }, {});
-      
-      console.log(`👥 [API DEBUG] Player status summary after update:`, statusSummary);
-      
-      console.log(`📡 [API] Broadcasting status update to room ${roomCode}`);
-      const broadcastData = {
-        playerId,
-        status: updateData.current_location,
-        reason,
-        players: allPlayers,
-        room: updatedRoom,
-        source: 'external_game',
-        timestamp: new Date().toISOString()
-      };
-      
-      // Include host transfer information if it occurred
-      if (newHost) {
-        broadcastData.hostTransfer = {
-          oldHostId: playerId,
-          newHostId: newHost.user_id,
-          newHostName: newHost.user?.username || newHost.user?.display_name,
-          reason: 'external_game_disconnect'
-        };
-        console.log(`👑 [API] Including host transfer in broadcast:`, broadcastData.hostTransfer);
-      }
-      
-      broadcastData.roomVersion = Date.now();
-      io.to(roomCode).emit('playerStatusUpdated', broadcastData);
-      
-      // Confirm broadcast was sent
-      console.log(`✅ [API DEBUG] Broadcast sent to ${io.sockets.adapter.rooms.get(roomCode)?.size || 0} connected clients`);
-    } else {
-      console.log(`⚠️ [API DEBUG] Socket.io not available - cannot broadcast status update`);
-    }
-    
-    // Auto-update room status if this player is the host
-    if (wasHost || participant.role === 'host') {
-      console.log(`👑 [API] Player ${playerId} is host - checking for auto room status update`);
-      autoUpdateRoomStatusByHost(room.id, playerId, updateData.current_location);
-    }
-    
-    // Also check if this update should trigger a smart room status update
-    // Get all players for analysis
-    const allPlayersForAnalysis = updatedRoom.participants?.map(p => ({
-      id: p.user_id,
-      isHost: p.role === 'host',
-      isConnected: p.is_connected,
-      inGame: p.in_game,
-      currentLocation: p.current_location
-    })) || [];
-    
-    if (allPlayersForAnalysis.length > 1) {
-      await autoUpdateRoomStatusBasedOnPlayerStates(updatedRoom, allPlayersForAnalysis, reason || 'player_status_change');
-    }
-    
-    console.log(`✅ [API] Successfully updated player ${playerId} status to ${status} (location: ${updateData.current_location})`);
-    
-    res.json({ 
-      success: true,
-      updated: {
-        status: updateData.current_location,
-        is_connected: updateData.is_connected,
-        in_game: updateData.in_game
-      }
-    });
-    
-  } catch (error) {
-    console.error('❌ [API] Status update error:', error);
-    res.status(500).json({ error: 'Failed to update status' });
-  }
-});
-
-// Bulk player status update (for multiple players at once)
-app.post('/api/game/rooms/:roomCode/players/bulk-status', validateApiKey, async (req, res) => {
-  try {
-    const { roomCode } = req.params;
-    const { players, reason } = req.body;
-    
-    console.log(`🎮 [API] Bulk status update for room ${roomCode}:`, {
-      playerCount: players?.length || 0,
-      reason,
-      apiService: req.apiKey?.name || req.apiKey?.service_name,
-      requestIP: req.ip || req.connection?.remoteAddress,
-      userAgent: req.get('User-Agent'),
-      timestamp: new Date().toISOString()
-    });
-    
-    // Debug request details
-    console.log(`🔍 [API DEBUG] Bulk request details:`, {
-      headers: {
-        'content-type': req.get('Content-Type'),
-        'x-api-key': req.apiKey?.service_name ? `${req.apiKey.service_name} (valid)` : 'invalid',
-        'user-agent': req.get('User-Agent'),
-        'origin': req.get('Origin'),
-        'referer': req.get('Referer')
-      },
-      body: {
-        reason,
-        playerCount: players?.length || 0,
-        playerIds: players?.map(p => p.playerId) || [],
-        statusTypes: players?.reduce((acc, p) => {
-          acc[p.status] = (acc[p.status] || 0) + 1;
-          return acc;
-        }, {}) || {},
-        bodySize: JSON.stringify(req.body).length
-      },
-      params: { roomCode }
-    });
-    
-    if (!players || !Array.isArray(players) || players.length === 0) {
-      return res.status(400).json({ error: 'Players array is required' });
-    }
-    
-    // Get room
-    const { data: room } = await db.adminClient
-      .from('rooms')
-      .select('id, room_code, status, metadata')
-      .eq('room_code', roomCode)
-      .single();
-    
-    if (!room) {
-      console.log(`❌ [API] Room not found: ${roomCode}`);
-      return res.status(404).json({ error: 'Room not found' });
-    }
-    
-    const results = [];
-    const lobbyThisBatch = new Set(); // Track players moved to lobby in this bulk request
-    
-    // Debug room context for bulk update
-    const roomParticipants = await db.adminClient
-      .from('room_members')
-      .select('user_id, is_connected, current_location, in_game')
-      .eq('room_id', room.id);
-    
-    console.log(`🏠 [API DEBUG] Room context before bulk update:`, {
-      room_id: room.id,
-      room_code: room.room_code,
-      room_status: room.status,
-      total_participants: roomParticipants.data?.length || 0,
-      current_status_breakdown: roomParticipants.data?.reduce((acc, p) => {
-        const status = p.current_location || 'unknown';
-        acc[status] = (acc[status] || 0) + 1;
-        return acc;
-      }, {}) || {}
-    });
-    
-    // Process each player update
-    for (const playerUpdate of players) {
-      const { playerId, status, gameData, location } = playerUpdate;
-      
-      console.log(`👤 [API DEBUG] Processing player ${playerId}:`, {
-        playerId,
-        requestedStatus: status,
-        requestedLocation: location,
-        hasGameData: !!gameData
-      });
-      
-      try {
-        // Determine update data
-        let updateData = {
-          last_ping: new Date().toISOString(),
-          game_data: gameData || null
-        };
-
-        // Guard against immediate regression to 'disconnected' after a lobby return
-        // Use the preloaded roomParticipants snapshot taken before processing this bulk request
-        try {
-          const prevState = roomParticipants?.data?.find?.(p => p.user_id === playerId);
-          if (status === 'disconnected' && prevState && prevState.current_location === 'lobby') {
-            console.log(`⚠️ [API DEBUG] Skipping disconnect for ${playerId} due to recent lobby state`);
-            results.push({ playerId, success: true, skipped: true, reason: 'recent_lobby_state' });
-            continue; // Do not apply a downgrade to disconnected
-          }
-        } catch (guardErr) {
-          console.warn('[API DEBUG] Disconnect guard check failed (non-fatal):', guardErr?.message || guardErr);
-        }
-        
-        switch (status) {
-      case 'connected': // Player connected to the external game instance
-            updateData.is_connected = true;
-        updateData.current_location = location || 'game'; // Default to 'game' as per documentation
-        updateData.in_game = true; // Assume connected to game means in_game true
-        if (location === 'lobby') { // Explicitly in lobby via external game
-          updateData.current_location = 'lobby';
-          updateData.in_game = false;
-        }
-            break;
-            
-          case 'disconnected': // Player disconnected from the external game
-            // Global grace window after return-all: suppress disconnects briefly
-            try {
-              const graceUntil = room?.metadata?.return_in_progress_until;
-              if (graceUntil && new Date(graceUntil) > new Date()) {
-                console.log(`⚠️ [API DEBUG] Skipping disconnect for ${playerId} due to active return_in_progress window`);
-                results.push({ playerId, success: true, skipped: true, reason: 'return_in_progress' });
-                break;
-              }
-            } catch {}
-            // If this same bulk request already returned this player to lobby, skip downgrade
-            if (lobbyThisBatch.has(playerId)) {
-              console.log(`⚠️ [API DEBUG] Skipping disconnect in same bulk for ${playerId} (already returned_to_lobby)`);
-              results.push({ playerId, success: true, skipped: true, reason: 'already_returned_in_bulk' });
-              break; // Skip applying disconnect
-            }
-            updateData.is_connected = false;
-            updateData.current_location = 'disconnected';
-            updateData.in_game = false;
-            break;
-            
-          case 'returned_to_lobby': // Player explicitly returned to GameBuddies lobby by external game action
-            updateData.is_connected = true;
-            updateData.current_location = 'lobby';
-            updateData.in_game = false;
-            lobbyThisBatch.add(playerId);
-            break;
-            
-          case 'in_game': // Player is actively in the external game
-            updateData.is_connected = true;
-            updateData.current_location = 'game';
-            updateData.in_game = true;
-            break;
-            
-          default: // Fallback for unknown status, treat as potentially disconnected or lobby
-            updateData.is_connected = false; // Default to not connected for unknown status
-            updateData.current_location = location || 'disconnected';
-            updateData.in_game = false;
-            console.warn(`⚠️ [API] Unknown status type received: '${status}'. Defaulting to disconnected.`);
-        }
-        
-        // Update participant
-        const { error: updateError } = await db.adminClient
-          .from('room_members')
-          .update(updateData)
-          .eq('room_id', room.id)
-          .eq('user_id', playerId);
-        
-        if (updateError) {
-          console.error(`❌ [API] Failed to update player ${playerId}:`, {
-            playerId,
-            error: updateError.message,
-            code: updateError.code,
-            details: updateError.details,
-            hint: updateError.hint
-          });
-          results.push({ playerId, success: false, error: updateError.message });
-        } else {
-          console.log(`✅ [API DEBUG] Successfully updated player ${playerId}:`, {
-            playerId,
-            newStatus: updateData.current_location,
-            newConnection: updateData.is_connected,
-            newInGame: updateData.in_game
-          });
-          
-          // Log event
-          await db.logEvent(room.id, playerId, 'external_game_bulk_status_update', { 
-            status, 
-            location: updateData.current_location,
-            reason,
-            gameData,
-            service: req.apiKey?.service_name
-          });
-          
-          results.push({ 
-            playerId, 
-            success: true, 
-            updated: {
-              status: updateData.current_location,
-              is_connected: updateData.is_connected,
-              in_game: updateData.in_game
-            }
-          });
-        }
-        
-      } catch (playerError) {
-        console.error(`❌ [API] Error updating player ${playerId}:`, {
-          playerId,
-          error: playerError.message,
-          stack: playerError.stack,
-          requestedStatus: status,
-          requestedLocation: location
-        });
-        results.push({ playerId, success: false, error: playerError.message });
-      }
-    }
-    
-    // Get updated room data and broadcast
-    let updatedRoom = await db.getRoomByCode(roomCode);
-
-    // If no host is currently assigned, and this bulk update returned at least one player to lobby,
-    // promote the first such player to host so the lobby regains a GM promptly.
-    try {
-      const hasHost = Array.isArray(updatedRoom.participants) && updatedRoom.participants.some(p => p.role === 'host');
-      if (!hasHost) {
-        const lobbyReturnCandidate = results.find(r => r.success && r.updated && r.updated.status === 'lobby');
-        if (lobbyReturnCandidate && lobbyReturnCandidate.playerId) {
-          await db.adminClient
-            .from('room_members')
-            .update({ role: 'host' })
-            .eq('room_id', room.id)
-            .eq('user_id', lobbyReturnCandidate.playerId);
-
-          await db.adminClient
-            .from('rooms')
-            .update({ host_id: lobbyReturnCandidate.playerId })
-            .eq('id', room.id);
-
-          console.log(`✅ [API DEBUG] Restored host to ${lobbyReturnCandidate.playerId} based on bulk returned_to_lobby`);
-          // Refresh room snapshot after promotion
-          const refreshedRoom = await db.getRoomByCode(roomCode);
-          if (refreshedRoom) {
-            updatedRoom = refreshedRoom;
-          }
-        }
-      }
-    } catch (e) {
-      console.error('⚠️ [API DEBUG] Failed to restore host after bulk:', e?.message || e);
-    }
-    
-    if (io) {
-      const allPlayers = updatedRoom.participants?.map(p => ({
-        id: p.user_id,
-        name: p.custom_lobby_name || p.user?.display_name || p.user?.username,
-        isHost: p.role === 'host',
-        isConnected: p.is_connected,
-        inGame: p.in_game,
-        currentLocation: p.current_location || (p.is_connected ? 'lobby' : 'disconnected'), // Provide default
-        lastPing: p.last_ping,
-        socketId: null
-      })) || [];
-      
-      // Debug bulk broadcast details
-      const finalStatusSummary = allPlayers.reduce((acc, p) => {
-        const status = p.currentLocation || 'unknown';
-        acc[status] = (acc[status] || 0) + 1;
-        return acc;
-      }, {});
-      
-      console.log(`📡 [API DEBUG] Bulk broadcast details:`, {
-        roomCode,
-        socketRoomExists: io.sockets.adapter.rooms.has(roomCode),
-        socketRoomSize: io.sockets.adapter.rooms.get(roomCode)?.size || 0,
-        connectedSockets: Array.from(io.sockets.sockets.keys()).length,
-        playersInUpdate: allPlayers.length,
-        finalStatusSummary,
-        successfulUpdates: results.filter(r => r.success).length,
-        failedUpdates: results.filter(r => !r.success).length
-      });
-      
-      console.log(`📡 [API] Broadcasting bulk status update to room ${roomCode}`);
-      io.to(roomCode).emit('playerStatusUpdated', {
-        reason,
-        players: allPlayers,
-        room: updatedRoom,
-        source: 'external_game_bulk',
-        timestamp: new Date().toISOString(),
-        roomVersion: Date.now()
-      });
-      
-      // Confirm bulk broadcast was sent
-      console.log(`✅ [API DEBUG] Bulk broadcast sent to ${io.sockets.adapter.rooms.get(roomCode)?.size || 0} connected clients`);
-    } else {
-      console.log(`⚠️ [API DEBUG] Socket.io not available - cannot broadcast bulk status update`);
-    }
-    
-    // Auto-update room status based on player status changes
-    await autoUpdateRoomStatusBasedOnPlayerStates(room, allPlayers, reason);
-    
-    // Also check host-specific updates (legacy behavior)
-    const hostUpdates = allPlayers.filter(p => p.isHost);
-    if (hostUpdates.length > 0) {
-      const host = hostUpdates[0]; // Should only be one host
-      console.log(`👑 [API] Host ${host.id} status updated in bulk - checking for auto room status update`);
-      autoUpdateRoomStatusByHost(room.id, host.id, host.currentLocation);
-    }
-    
-    const successCount = results.filter(r => r.success).length;
-    console.log(`✅ [API] Bulk update completed: ${successCount}/${results.length} players updated successfully`);
-    
-    res.json({ 
-      success: true,
-      results,
-      summary: {
-        total: results.length,
-        successful: successCount,
-        failed: results.length - successCount
-      }
-    });
-    
-  } catch (error) {
-    console.error('❌ [API] Bulk status update error:', error);
-    res.status(500).json({ error: 'Failed to update player statuses' });
-  }
-});
+      });
+    }
 
-// Game events endpoint
-app.post('/api/game/rooms/:roomCode/events', validateApiKey, async (req, res) => {
-  try {
-    const { roomCode } = req.params;
-    const { playerId, eventType, eventData } = req.body;
-    
-    // Get room
-    const { data: room } = await db.adminClient
-      .from('rooms')
-      .select('id')
-      .eq('room_code', roomCode)
-      .single();
-    
-    if (!room) {
-      return res.status(404).json({ error: 'Room not found' });
+    // Check if session is expired
+    const now = new Date();
+    const expiresAt = new Date(session.expires_at);
+    if (now > expiresAt) {
+      console.log(`❌ [API] Session token expired: ${token.substring(0, 8)}...`);
+      return res.status(401).json({
+        valid: false,
+        error: 'Session expired',
+        code: 'SESSION_EXPIRED',
+        expiredAt: session.expires_at
+      });
     }
-    
-    // Log event
-    await db.logEvent(room.id, playerId, `game_${eventType}`, {
-      ...eventData,
-      service: req.apiKey.service_name,
-      timestamp: new Date().toISOString()
-    });
-    
-    // Broadcast event
-    if (io) {
-      io.to(roomCode).emit('gameEvent', {
-        playerId,
-        eventType,
-        eventData,
-        timestamp: new Date().toISOString(),
-        roomVersion: Date.now()
+
+    // Update last_accessed timestamp
+    await db.adminClient
+      .from('game_sessions')
+      .update({ last_accessed: new Date().toISOString() })
+      .eq('session_token', token);
+
+    // Find the player's participant data
+    const participant = session.room?.participants?.find(p => p.user_id === session.player_id);
+
+    if (!participant) {
+      console.log(`❌ [API] Player not found in room for session: ${token.substring(0, 8)}...`);
+      return res.status(404).json({
+        valid: false,
+        error: 'Player not found in room',
+        code: 'PLAYER_NOT_FOUND'
       });
     }
-    
-    res.json({ success: true });
-    
+
+    console.log(`✅ [API] Session verified for player: ${participant.user?.username}`);
+
+    // Return authenticated player data
+    res.json({
+      valid: true,
+      session: {
+        id: session.id,
+        createdAt: session.created_at,
+        expiresAt: session.expires_at,
+        gameType: session.game_type,
+        streamerMode: session.streamer_mode
+      },
+      player: {
+        id: session.player_id,
+        name: participant.custom_lobby_name || participant.user?.display_name || participant.user?.username,
+        username: participant.user?.username,
+        displayName: participant.user?.display_name,
+        customLobbyName: participant.custom_lobby_name,
+        premiumTier: participant.user?.premium_tier || 'free',
+        avatarUrl: participant.user?.avatar_url,
+        avatarStyle: participant.user?.avatar_style,
+        avatarSeed: participant.user?.avatar_seed,
+        avatarOptions: participant.user?.avatar_options,
+        isHost: participant.role === 'host',
+        role: participant.role
+      },
+      room: {
+        id: session.room?.id,
+        code: session.streamer_mode ? null : session.room_code, // Hide room code in streamer mode
+        gameType: session.room?.current_game,
+        status: session.room?.status,
+        maxPlayers: session.room?.max_players,
+        settings: session.room?.settings,
+        currentPlayers: session.room?.participants?.filter(p => p.is_connected === true).length || 0
+      },
+      participants: session.room?.participants
+        ?.filter(p => p.is_connected === true)
+        .map(p => ({
+          id: p.user_id,
+          name: p.custom_lobby_name || p.user?.display_name || p.user?.username,
+          role: p.role,
+          isHost: p.role === 'host',
+          premiumTier: p.user?.premium_tier || 'free',
+          avatarUrl: p.user?.avatar_url,
+          avatarStyle: p.user?.avatar_style,
+          avatarSeed: p.user?.avatar_seed,
+          avatarOptions: p.user?.avatar_options
+        })) || []
+    });
+
   } catch (error) {
-    console.error('❌ [API] Event logging error:', error);
-    res.status(500).json({ error: 'Failed to log event' });
+    console.error('❌ [API] Session verification error:', error);
+    res.status(500).json({
+      valid: false,
+      error: 'Server error',
+      code: 'SERVER_ERROR'
+    });
   }
 });
 
@@ -1899,15 +833,74 @@ async function autoUpdateRoomStatusBasedOnPlayerStates(room, allPlayers, reason)
 const connectionManager = new ConnectionManager();
 const lobbyManager = new LobbyManager(io, db, connectionManager);
 const statusSyncManager = new StatusSyncManager(db, io, lobbyManager);
+const readyCheckManager = new ReadyCheckManager(io, db, async (roomCode, playerIds) => {
+  const room = await db.getRoomByCode(roomCode);
+  const { error } = await launchGame(room, playerIds);
+  if (error) throw new Error(error);
+});
+notificationService.attach(io, connectionManager);
+achievementService.attach(io, connectionManager);
+chatService.attach(io);
+
+/**
+ * Account behind the access token the client put in the socket handshake
+ * (auth: { token }), or null for guests and invalid tokens. createRoom and
+ * joinRoom trust this instead of the supabaseUserId they are sent.
+ */
+async function getSocketUserId(socket) {
+  if (socket.data.verifiedUserId !== undefined) return socket.data.verifiedUserId;
+
+  const token = socket.handshake.auth?.token;
+  if (typeof token !== 'string' || !token) {
+    socket.data.verifiedUserId = null;
+    return null;
+  }
+
+  try {
+    const { data: { user }, error } = await db.adminClient.auth.getUser(token);
+    socket.data.verifiedUserId = error || !user ? null : user.id;
+  } catch (error) {
+    // Not cached, so the next event tries again
+    console.error('❌ [SOCKET AUTH] Failed to verify access token:', error.message || error);
+    return null;
+  }
+  return socket.data.verifiedUserId;
+}
+
+// supabaseUserId the client claims, checked against its handshake token
+const SESSION_MISMATCH_ERROR = {
+  message: 'Your session could not be verified. Please sign in again.',
+  code: 'AUTH_REQUIRED'
+};
+
+// Name of a room member as the lobby shows it, for system chat messages
+const participantName = (participant) =>
+  participant?.custom_lobby_name || participant?.user?.display_name || participant?.user?.username || 'A player';
 
 
 // API routers
-app.use('/api/v2/game', gameApiV2Router(io, db, connectionManager));
+const gameApiV2 = gameApiV2Router(io, db, connectionManager);
+app.get('/api/v2/openapi.json', (req, res) => res.json(buildGameApiSpec())); // Generated from lib/gameApiContract.js
+app.use('/api/v2/game', gameApiV2);
+app.use('/api/game', gameApiLegacyRouter(gameApiV2.handlers)); // Deprecated, counted per key
 app.use(gameApiV2DDFRouter(io, db, connectionManager, lobbyManager, statusSyncManager));
 app.use('/api/games', gamesRouter);
 app.use('/api/auth', authRouter); // Auth endpoints
 app.use('/api', authRouter); // Mount /users endpoint at /api/users
 app.use('/api/avatars', avatarsRouter); // Mount avatars endpoint
+app.use('/api/friends', friendsRouter(io, connectionManager)); // Friends list, requests and presence
+app.use('/api/invitations', invitationsRouter(io, connectionManager)); // Direct room invitations
+app.use('/api/notifications', notificationsRouter); // Persistent notification center
+app.use('/api/achievements', achievementsRouter); // Achievement progress
+app.use('/api/profiles', profilesRouter); // Public player profiles
+app.use('/api/leaderboards', leaderboardsRouter); // Level/XP and per-game rankings
+app.use('/api/reports', reportsRouter); // Player reports for moderation
+app.use('/api/moderation', moderationRouter); // Ban warnings shown to the user
+app.use('/api/admin/api-keys', apiKeysRouter); // Game API key management (admins)
+app.use('/api/admin/api-usage', apiUsageRouter); // Game API usage analytics (admins)
+app.use('/api/admin', adminRouter(io, connectionManager)); // Moderator dashboard (role-checked)
+app.use('/api/affiliates', affiliatesRouter); // Streamer dashboard and payout ledger
+app.use('/api/premium', premiumRouter); // Gift and promo code redemption
 console.log('🔌 [SERVER] Mounting Stripe API routes at /api/stripe');
 app.use('/api/stripe', stripeRouter); // Stripe payment endpoints
 
@@ -1919,27 +912,318 @@ setInterval(() => {
   }
 }, 60000); // Every minute
 
+// Retry webhook deliveries to game servers whose backoff has elapsed
+setInterval(() => {
+  webhookService.processDueDeliveries().catch((error) => {
+    console.error('❌ Webhook retry error:', error);
+  });
+}, 30 * 1000); // Every 30 seconds
+
 // In-memory state for Tug of War (simple, non-persistent)
 const tugOfWarState = new Map(); // roomCode -> { position: 50, redWins: 0, blueWins: 0 }
 
+/**
+ * Send a room's connected players (or only playerIds, after a ready check)
+ * into the selected game: marks them in_game, creates their game sessions and
+ * emits gameStarted with their session URL
+ * @returns {Promise<{error?: string, participants?: object[]}>}
+ * @throws {CapacityError} when the player count is outside the game's limits
+ */
+async function launchGame(room, playerIds = null) {
+  // Get game proxy configuration
+  const gameProxy = gameProxies[room.current_game];
+  if (!gameProxy) {
+    return { error: 'Game not supported' };
+  }
+
+  // Connected players, or only the ones who readied up
+  const participants = room.participants?.filter(p =>
+    p.is_connected === true && (!playerIds || playerIds.includes(p.user_id))
+  ) || [];
+
+  // Throws a CapacityError outside games.min_players/max_players
+  gameCapacity.assertCanStart(await gameCapacity.getGameLimits(room.current_game), participants.length);
+
+  // Update room status and mark the launched participants as in_game
+  await db.updateRoom(room.id, {
+    status: 'in_game',
+    game_started_at: new Date().toISOString()
+  });
+
+  // The room is in_game now, so a direct start ends any ready check still running
+  // (a finished check already removed itself)
+  readyCheckManager.cancel(room.id, 'game_started');
+
+  for (const participant of participants) {
+    await db.adminClient
+      .from('room_members')
+      .update({ 
+        in_game: true,
+        current_location: 'game'
+      })
+      .eq('user_id', participant.user_id)
+      .eq('room_id', room.id);
+  }
+
+  // Ready flags only count for one start
+  await db.adminClient
+    .from('room_members')
+    .update({ is_ready: false })
+    .eq('room_id', room.id);
+  
+  console.log(`🎮 [START GAME DEBUG] Marked ${participants.length} participants as in_game and in 'game' location`);
+
+  // Send game URLs to participants with delay for non-hosts
+  // Check if room is in streamer mode
+  const isStreamerMode = room.streamer_mode || false;
+
+  // ALWAYS generate secure session tokens for ALL players (not just streamer mode)
+  const sessionTokens = {};
+
+  for (const participant of participants) {
+    const sessionToken = crypto.randomBytes(32).toString('hex');
+
+    // Insert session token into database
+    const { error: sessionInsertError } = await db.adminClient
+      .from('game_sessions')
+      .insert({
+        session_token: sessionToken,
+        room_id: room.id,
+        room_code: room.room_code,
+        player_id: participant.user_id,
+        game_type: room.current_game,
+        streamer_mode: isStreamerMode,
+        expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(), // 24 hour expiration
+        metadata: {
+          player_name: participant.custom_lobby_name || participant.user?.display_name || participant.user?.username,
+          is_host: participant.role === 'host',
+          total_players: participants.length,
+          premium_tier: participant.user?.premium_tier || 'free',
+          avatar_url: participant.user?.avatar_url,
+          avatar_style: participant.user?.avatar_style,
+          avatar_seed: participant.user?.avatar_seed,
+          avatar_options: participant.user?.avatar_options
+        }
+      });
+
+    if (sessionInsertError) {
+      console.error(`❌ [SECURE SESSION] Failed to insert session for ${participant.user?.username}:`, sessionInsertError);
+    }
+
+    sessionTokens[participant.user_id] = sessionToken;
+
+    console.log(`🔐 [SECURE SESSION] Generated session token for ${participant.user?.username}:`, sessionToken.substring(0, 8) + '...');
+  }
+
+  participants.forEach(p => {
+    // SECURE: Only pass session token - games must call API to get player data
+    const sessionToken = sessionTokens[p.user_id];
+    const roleParam = p.role === 'host' ? '&role=gm' : '';
+
+    // Simple secure URL - only session token + role
+    const gameUrl = `${gameProxy.path}?session=${sessionToken}${roleParam}`;
+
+    console.log(`🔐 [SECURE URL] Game URL for ${p.user?.username} - session-based authentication`);
+    
+    const delay = p.role === 'host' ? 0 : 2000; // 2 second delay for players
+    
+    // Find the MOST RECENT socket ID for this user from connectionManager
+    const userConnections = connectionManager.getUserConnections(p.user_id);
+    
+    // Get the most recent connection (they're already sorted by activity)
+    const userConnection = userConnections.length > 0 ? userConnections[0] : null;
+    
+    const currentSocketId = userConnection ? userConnection.socketId : null;
+    
+    console.log(`🚀 [START GAME DEBUG] Sending game event to ${p.user?.username}:`, {
+      user_id: p.user_id,
+      role: p.role,
+      username: p.user?.username,
+      is_connected: p.is_connected,
+      hasUserConnection: !!userConnection,
+      totalUserConnections: userConnections.length,
+      allUserSocketIds: userConnections.map(conn => conn.socketId), 
+      selectedSocketId: currentSocketId,
+      gameUrl,
+      delay
+    });
+    
+    if (currentSocketId) {
+      setTimeout(() => {
+        console.log(`📤 [START GAME DEBUG] Emitting gameStarted to ${p.user?.username} (${currentSocketId})`);
+      io.to(currentSocketId).emit('gameStarted', {
+        gameUrl,
+        gameType: room.current_game,
+        isHost: p.role === 'host',
+        roomCode: room.room_code,
+        roomVersion: Date.now()
+      });
+      }, delay);
+    } else {
+      console.error(`❌ [START GAME DEBUG] No socket connection found for ${p.user?.username} (${p.user_id})`);
+      const allConnections = Array.from(connectionManager.activeConnections.entries());
+      console.error(`❌ [START GAME DEBUG] ActiveConnections dump:`, allConnections.map(([socketId, conn]) => ({
+        socketId,
+        userId: conn.userId,
+        username: conn.username,
+        roomId: conn.roomId
+      })));
+    }
+  });
+
+  chatService.postSystemMessage(room, `${await chatService.getGameName(room.current_game)} started`);
+
+  return { participants };
+}
+
 io.on('connection', async (socket) => {
   console.log(`🔌 User connected: ${socket.id}`);
   
   // Store connection info
   connectionManager.addConnection(socket.id);
 
-  // Chat Handler (Lobby)
-  socket.on('chat:message', (data) => {
-    const rooms = Array.from(socket.rooms).filter(r => r !== socket.id);
-    if (rooms.length > 0) {
-      const roomCode = rooms[0];
-      io.to(roomCode).emit('chat:message', {
-        id: crypto.randomUUID(),
-        playerName: data.playerName || 'Player',
-        message: data.message,
-        timestamp: Date.now(),
-        type: 'user'
+  // Chat Handler (Lobby) - sender and room come from the connection, never the client
+  socket.on('chat:message', async (data) => {
+    try {
+      const connection = connectionManager.getConnection(socket.id);
+      if (!connection?.roomId || !connection?.userId) {
+        socket.emit('error', { message: 'Not in a room', code: 'NOT_IN_ROOM' });
+        return;
+      }
+
+      if (connectionManager.isRateLimited(socket.id, 'sendMessage', rateLimits.sendMessage.max)) {
+        socket.emit('error', { message: 'You are sending messages too quickly', code: 'CHAT_RATE_LIMITED' });
+        return;
+      }
+
+      const validation = await validators.sendMessage(data);
+      if (!validation.isValid) {
+        socket.emit('error', { message: validation.message, code: 'INVALID_INPUT' });
+        return;
+      }
+
+      const text = sanitize.message(validation.value.message);
+      if (!text) return;
+
+      const mute = await chatService.getMute(connection.roomId, connection.userId);
+      if (mute) {
+        socket.emit('error', {
+          message: 'The host has muted you in this room',
+          code: 'CHAT_MUTED',
+          mutedUntil: mute.mutedUntil
+        });
+        return;
+      }
+
+      const { text: filteredText, filtered } = filterMessage(text);
+      const chatMessage = await chatService.postMessage({
+        roomId: connection.roomId,
+        userId: connection.userId,
+        playerName: connection.displayName || connection.username || 'Player',
+        message: filteredText,
+        filtered
       });
+
+      io.to(connection.roomCode).emit('chat:message', chatMessage);
+      // Player reports get what was actually typed, before filtering
+      chatLog.record(connection.roomCode, { ...chatMessage, message: text });
+    } catch (error) {
+      console.error('❌ Error sending chat message:', error);
+      socket.emit('error', { message: 'Failed to send message', code: 'CHAT_FAILED' });
+    }
+  });
+
+  // Resolve the room of a host-only chat action, or report why it is not allowed
+  const getChatModerationRoom = async (eventName) => {
+    const connection = connectionManager.getConnection(socket.id);
+    if (!connection?.roomId || !connection?.userId) {
+      socket.emit('error', { message: 'Not in a room', code: 'NOT_IN_ROOM' });
+      return null;
+    }
+
+    const room = await db.getRoomByCode(connection.roomCode);
+    const participant = room?.participants?.find(p => p.user_id === connection.userId);
+    if (!participant || participant.role !== 'host') {
+      socket.emit('error', { message: 'Only the host can moderate the chat', code: 'NOT_HOST' });
+      return null;
+    }
+
+    console.log(`🛡️ Chat moderation (${eventName}) by ${connection.userId} in room ${connection.roomCode}`);
+    return { connection, room };
+  };
+
+  socket.on('chat:deleteMessage', async (data) => {
+    try {
+      const validation = await validators.deleteChatMessage(data);
+      if (!validation.isValid) {
+        socket.emit('error', { message: validation.message, code: 'INVALID_INPUT' });
+        return;
+      }
+
+      const context = await getChatModerationRoom('deleteMessage');
+      if (!context) return;
+
+      const { messageId } = validation.value;
+      const deleted = await chatService.deleteMessage(context.room.id, messageId, context.connection.userId);
+      if (!deleted) {
+        socket.emit('error', { message: 'Message not found', code: 'MESSAGE_NOT_FOUND' });
+        return;
+      }
+
+      io.to(context.room.room_code).emit('chat:messageDeleted', { messageId });
+    } catch (error) {
+      console.error('❌ Error deleting chat message:', error);
+      socket.emit('error', { message: 'Failed to delete message', code: 'CHAT_FAILED' });
+    }
+  });
+
+  socket.on('chat:mutePlayer', async (data) => {
+    try {
+      const validation = await validators.muteChatPlayer(data);
+      if (!validation.isValid) {
+        socket.emit('error', { message: validation.message, code: 'INVALID_INPUT' });
+        return;
+      }
+
+      const context = await getChatModerationRoom('mutePlayer');
+      if (!context) return;
+
+      const { targetPlayerId, durationMinutes } = validation.value;
+      const target = context.room.participants?.find(p => p.user_id === targetPlayerId);
+      if (!target) {
+        socket.emit('error', { message: 'Target player not found in room', code: 'PLAYER_NOT_FOUND' });
+        return;
+      }
+      if (target.role === 'host') {
+        socket.emit('error', { message: 'The host cannot be muted', code: 'CANNOT_MUTE_HOST' });
+        return;
+      }
+
+      const mute = await chatService.mute(context.room.id, targetPlayerId, context.connection.userId, durationMinutes);
+      io.to(context.room.room_code).emit('chat:playerMuted', mute);
+    } catch (error) {
+      console.error('❌ Error muting player:', error);
+      socket.emit('error', { message: 'Failed to mute player', code: 'CHAT_FAILED' });
+    }
+  });
+
+  socket.on('chat:unmutePlayer', async (data) => {
+    try {
+      const validation = await validators.unmuteChatPlayer(data);
+      if (!validation.isValid) {
+        socket.emit('error', { message: validation.message, code: 'INVALID_INPUT' });
+        return;
+      }
+
+      const context = await getChatModerationRoom('unmutePlayer');
+      if (!context) return;
+
+      const { targetPlayerId } = validation.value;
+      await chatService.unmute(context.room.id, targetPlayerId);
+      io.to(context.room.room_code).emit('chat:playerUnmuted', { userId: targetPlayerId });
+    } catch (error) {
+      console.error('❌ Error unmuting player:', error);
+      socket.emit('error', { message: 'Failed to unmute player', code: 'CHAT_FAILED' });
     }
   });
 
@@ -2016,13 +1300,26 @@ io.on('connection', async (socket) => {
         });
         return;
       }
+
+      // A signed-in socket always acts as its account, even if the client leaves supabaseUserId out
+      const supabaseUserId = await getSocketUserId(socket);
+      if (data.supabaseUserId && data.supabaseUserId !== supabaseUserId) {
+        socket.emit('error', SESSION_MISMATCH_ERROR);
+        return;
+      }
+
+      // Banned accounts can't host
+      const createBan = await banService.getActiveBan(supabaseUserId);
+      if (createBan) {
+        socket.emit('error', banService.toErrorPayload(createBan));
+        return;
+      }
       
       // Sanitize input
       const playerName = sanitize.playerName(data.playerName);
       const customLobbyName = data.customLobbyName ? sanitize.playerName(data.customLobbyName) : null;
       const streamerMode = data.streamerMode || false;
       const isPublic = data.isPublic !== undefined ? data.isPublic : true; // Default to public if not specified
-      const supabaseUserId = data.supabaseUserId || null;
 
       console.log(`🏠 [SUPABASE] Creating room for ${playerName}`, {
         customLobbyName,
@@ -2077,7 +1374,7 @@ io.on('connection', async (socket) => {
         current_game: null, // Will be updated when game is selected
         status: 'lobby',
         is_public: isPublic,
-        max_players: 10,
+        max_players: await gameCapacity.getLobbyCapacity(),
         streamer_mode: streamerMode,
         game_settings: {},
         metadata: {
@@ -2131,6 +1428,7 @@ io.on('connection', async (socket) => {
       connectionManager.updateConnection(socket.id, {
         userId: user.id,
         username: playerName,
+        displayName: customLobbyName || user.display_name || playerName,
         roomId: room.id,
         roomCode: room.room_code
       });
@@ -2163,6 +1461,9 @@ io.on('connection', async (socket) => {
 
       console.log(`🎉 [SUCCESS] Room ${room.room_code} created by ${playerName} using SUPABASE storage`);
 
+      // Host achievements (fire and forget - never blocks room creation)
+      achievementService.track(user.id, 'room_hosted', { roomId: room.id, roomCode: room.room_code });
+
     } catch (error) {
       console.error('❌ [ERROR] Room creation failed:', error);
       console.error('🔍 [DEBUG] Error details:', {
@@ -2286,12 +1587,25 @@ io.on('connection', async (socket) => {
         });
         return;
       }
+
+      // A signed-in socket always acts as its account, even if the client leaves supabaseUserId out
+      const supabaseUserId = await getSocketUserId(socket);
+      if (data.supabaseUserId && data.supabaseUserId !== supabaseUserId) {
+        socket.emit('error', SESSION_MISMATCH_ERROR);
+        return;
+      }
+
+      // Banned accounts can't join
+      const joinBan = await banService.getActiveBan(supabaseUserId);
+      if (joinBan) {
+        socket.emit('error', banService.toErrorPayload(joinBan));
+        return;
+      }
       
       // Sanitize input
       const playerName = sanitize.playerName(data.playerName);
       const customLobbyName = data.customLobbyName ? sanitize.playerName(data.customLobbyName) : null;
       const roomCode = sanitize.roomCode(data.roomCode);
-      const supabaseUserId = data.supabaseUserId || null;
 
       console.log(`🚪 [JOIN] Join request:`, {
         playerName,
@@ -2424,6 +1738,15 @@ io.on('connection', async (socket) => {
       const existingParticipant = supabaseUserId
         ? room.participants?.find(p => p.user_id === supabaseUserId)
         : room.participants?.find(p => p.user?.username === data.playerName);
+
+      // Rejoining by name resumes that member's account, so its ban applies too
+      if (existingParticipant && existingParticipant.user_id !== supabaseUserId) {
+        const memberBan = await banService.getActiveBan(existingParticipant.user_id);
+        if (memberBan) {
+          socket.emit('error', banService.toErrorPayload(memberBan));
+          return;
+        }
+      }
       
       console.log(`🔍 [REJOINING DEBUG] Checking for existing participant:`, {
         searchingFor: data.playerName,
@@ -2635,6 +1958,7 @@ io.on('connection', async (socket) => {
           name: p.custom_lobby_name || p.user?.display_name || p.user?.username,
           isHost: p.role === 'host',
           isConnected: p.is_connected,
+          isReady: p.is_ready || false,
           inGame: p.in_game,
           currentLocation: p.current_location || (p.is_connected ? 'lobby' : 'disconnected'),
           lastPing: p.last_ping,
@@ -2677,6 +2001,33 @@ io.on('connection', async (socket) => {
       });
       
       io.to(data.roomCode).emit('playerJoined', { ...joinEventData, roomVersion: Date.now() });
+      webhookService.roomEvent(updatedRoom, 'player.joined', {
+        player: { id: user.id, name: joinEventData.player.name, isHost },
+        rejoined: Boolean(existingParticipant),
+        playerCount: players.length
+      });
+
+      // Chat shows the same name as the player list
+      const chatName = players.find(p => p.id === user.id)?.name || joinEventData.player.name;
+      connectionManager.updateConnection(socket.id, { displayName: chatName });
+
+      // Timeline entry; posted before the history is read so the joiner sees it once
+      if (!existingParticipant) {
+        await chatService.postSystemMessage(updatedRoom, `${chatName} joined the room`);
+      } else if (existingParticipant.in_game || existingParticipant.current_location === 'game') {
+        await chatService.postSystemMessage(updatedRoom, `${chatName} is back from the game`);
+      } else if (!existingParticipant.is_connected) {
+        await chatService.postSystemMessage(updatedRoom, `${chatName} reconnected`);
+      }
+
+      // Recent chat, so the joining player sees the conversation so far
+      const [chatHistory, chatMutes] = await Promise.all([
+        chatService.getHistory(updatedRoom.id),
+        chatService.getMutes(updatedRoom.id)
+      ]).catch((error) => {
+        console.error('❌ Failed to load chat history:', error);
+        return [[], []];
+      });
 
       // Send success response to joining player
       const joinSuccessData = {
@@ -2684,6 +2035,9 @@ io.on('connection', async (socket) => {
         isHost: isHost,
         players: players,
         room: updatedRoom,
+        chatHistory,
+        chatMutes,
+        readyCheck: readyCheckManager.getCheck(updatedRoom.id),
         roomVersion: Date.now()
       };
       
@@ -2751,28 +2105,174 @@ io.on('connection', async (socket) => {
         socket.emit('error', { message: 'Not in a room' });
       return;
     }
-    
+
+      const validation = await validators.selectGame(data);
+      if (!validation.isValid) {
+        socket.emit('error', { message: validation.message, code: 'INVALID_INPUT' });
+        return;
+      }
+      const { gameType, maxPlayers, settings } = validation.value;
+
+      const room = await db.getRoomById(connection.roomId);
+      const participant = room?.participants?.find(p => p.user_id === connection.userId);
+      if (!participant || participant.role !== 'host') {
+        socket.emit('error', { message: 'Only the host can select a game', code: 'NOT_HOST' });
+        return;
+      }
+
+      // Room capacity follows the game; deselecting goes back to the lobby capacity
+      const playerCount = room.participants.filter(p => p.is_connected === true).length;
+      let game = null;
+      let capacity;
+      let resolvedSettings = {};
+      if (gameType && gameType !== 'lobby') {
+        game = await gameCapacity.getGameLimits(gameType);
+        gameCapacity.assertCanSelect(game, playerCount);
+        capacity = gameCapacity.resolveCapacity(game, playerCount, maxPlayers);
+        resolvedSettings = await gameSettings.resolveSettings(gameType, settings);
+      } else {
+        capacity = Math.max(await gameCapacity.getLobbyCapacity(), playerCount);
+      }
+
+      // A ready check was for the previous game
+      readyCheckManager.cancel(room.id, 'game_changed');
+
       // Update room with selected game
       const updatedRoom = await db.updateRoom(connection.roomId, {
-        current_game: data.gameType,
-        game_settings: data.settings || {}
+        current_game: game ? gameType : null,
+        game_settings: resolvedSettings,
+        max_players: capacity
       });
 
       // Notify all players in room
       io.to(updatedRoom.room_code).emit('gameSelected', {
-        gameType: data.gameType,
-        settings: data.settings,
+        gameType: game ? gameType : null,
+        settings: resolvedSettings,
+        minPlayers: game?.minPlayers ?? null,
+        maxPlayers: capacity,
+        gameMaxPlayers: game?.maxPlayers ?? null,
         roomVersion: Date.now()
       });
+      if (game) {
+        chatService.postSystemMessage(updatedRoom, `${connection.displayName || 'The host'} picked ${game.name}`);
+      }
 
-      console.log(`🎮 Game selected: ${data.gameType} for room ${updatedRoom.room_code}`);
+      console.log(`🎮 Game selected: ${gameType} for room ${updatedRoom.room_code} (capacity ${capacity})`);
 
     } catch (error) {
+      if (error instanceof gameCapacity.CapacityError || error instanceof gameSettings.SettingsError) {
+        socket.emit('error', { message: error.message, code: error.code, ...error.details });
+        return;
+      }
       console.error('❌ Error selecting game:', error);
       socket.emit('error', { message: 'Failed to select game' });
     }
   });
 
+  // Host changes the room size within the selected game's player limits
+  socket.on('updateRoomCapacity', async (data) => {
+    try {
+      const validation = await validators.updateRoomCapacity(data);
+      if (!validation.isValid) {
+        socket.emit('error', { message: validation.message, code: 'INVALID_INPUT' });
+        return;
+      }
+
+      const connection = connectionManager.getConnection(socket.id);
+      if (!connection?.roomId || !connection?.userId) {
+        socket.emit('error', { message: 'Not in a room', code: 'NOT_IN_ROOM' });
+        return;
+      }
+
+      const room = await db.getRoomById(connection.roomId);
+      const participant = room?.participants?.find(p => p.user_id === connection.userId);
+      if (!participant || participant.role !== 'host') {
+        socket.emit('error', { message: 'Only the host can change the room size', code: 'NOT_HOST' });
+        return;
+      }
+      if (!room.current_game || room.current_game === 'lobby') {
+        socket.emit('error', { message: 'Select a game before changing the room size', code: 'NO_GAME_SELECTED' });
+        return;
+      }
+
+      const game = await gameCapacity.getGameLimits(room.current_game);
+      const playerCount = room.participants.filter(p => p.is_connected === true).length;
+      const capacity = gameCapacity.resolveCapacity(game, playerCount, validation.value.maxPlayers);
+
+      await db.updateRoom(room.id, { max_players: capacity });
+      io.to(room.room_code).emit('roomCapacityChanged', {
+        maxPlayers: capacity,
+        minPlayers: game.minPlayers,
+        gameMaxPlayers: game.maxPlayers,
+        roomVersion: Date.now()
+      });
+
+      console.log(`👥 Room ${room.room_code} capacity set to ${capacity}`);
+    } catch (error) {
+      if (error instanceof gameCapacity.CapacityError) {
+        socket.emit('error', { message: error.message, code: error.code, ...error.details });
+        return;
+      }
+      console.error('❌ Error updating room capacity:', error);
+      socket.emit('error', { message: 'Failed to update room size', code: 'CAPACITY_UPDATE_FAILED' });
+    }
+  });
+
+  // Host edits the selected game's settings; everyone in the lobby sees them live
+  socket.on('updateGameSettings', async (data) => {
+    try {
+      const validation = await validators.updateGameSettings(data);
+      if (!validation.isValid) {
+        socket.emit('error', { message: validation.message, code: 'INVALID_INPUT' });
+        return;
+      }
+
+      const connection = connectionManager.getConnection(socket.id);
+      if (!connection?.roomId || !connection?.userId) {
+        socket.emit('error', { message: 'Not in a room', code: 'NOT_IN_ROOM' });
+        return;
+      }
+
+      const room = await db.getRoomById(connection.roomId);
+      const participant = room?.participants?.find(p => p.user_id === connection.userId);
+      if (!participant || participant.role !== 'host') {
+        socket.emit('error', { message: 'Only the host can change game settings', code: 'NOT_HOST' });
+        return;
+      }
+      if (!room.current_game || room.current_game === 'lobby') {
+        socket.emit('error', { message: 'Select a game before changing its settings', code: 'NO_GAME_SELECTED' });
+        return;
+      }
+      if (room.status === 'in_game') {
+        socket.emit('error', { message: 'Settings cannot change while the game is running', code: 'GAME_IN_PROGRESS' });
+        return;
+      }
+
+      const settings = await gameSettings.resolveSettings(
+        room.current_game,
+        validation.value.settings,
+        room.game_settings || {}
+      );
+
+      await db.updateRoom(room.id, { game_settings: settings });
+      io.to(room.room_code).emit('gameSettingsUpdated', {
+        gameType: room.current_game,
+        settings,
+        updatedBy: connection.userId,
+        roomVersion: Date.now()
+      });
+
+      console.log(`⚙️ Game settings updated for room ${room.room_code}:`, settings);
+    } catch (error) {
+      if (error instanceof gameSettings.SettingsError) {
+        socket.emit('error', { message: error.message, code: error.code, ...error.details });
+        return;
+      }
+      console.error('❌ Error updating game settings:', error);
+      socket.emit('error', { message: 'Failed to update game settings', code: 'SETTINGS_UPDATE_FAILED' });
+    }
+  });
+
   // Handle game start
   socket.on('startGame', async (data) => {
     console.log(`🚀 [START GAME SERVER] ============ START GAME EVENT RECEIVED ============`);
@@ -2858,146 +2358,113 @@ io.on('connection', async (socket) => {
       
       console.log(`✅ [START GAME SERVER] Host validation passed - proceeding with game start`);
     
-      // Update room status and mark all connected participants as in_game
-      await db.updateRoom(room.id, {
-        status: 'in_game',
-        game_started_at: new Date().toISOString()
-      });
-
-      // Mark all connected participants as in_game and in 'game' location
-      const connectedParticipants = room.participants?.filter(p => p.is_connected === true) || [];
-      for (const participant of connectedParticipants) {
-        await db.adminClient
-          .from('room_members')
-          .update({ 
-            in_game: true,
-            current_location: 'game'
-          })
-          .eq('user_id', participant.user_id)
-          .eq('room_id', room.id);
+      let launch;
+      try {
+        launch = await launchGame(room);
+      } catch (error) {
+        if (!(error instanceof gameCapacity.CapacityError)) throw error;
+        socket.emit('error', { message: error.message, code: error.code, ...error.details });
+        return;
+      }
+      const { error: launchError, participants } = launch;
+      if (launchError) {
+        socket.emit('error', { message: launchError });
+        return;
       }
-      
-      console.log(`🎮 [START GAME DEBUG] Marked ${connectedParticipants.length} participants as in_game and in 'game' location`);
 
-      // Get game proxy configuration
-      const gameProxy = gameProxies[room.current_game];
-      if (!gameProxy) {
-        socket.emit('error', { message: 'Game not supported' });
-      return;
+      console.log(`🚀 [START GAME SERVER] Game start complete: ${room.current_game} for room ${room.room_code}`);
+      console.log(`🚀 [START GAME SERVER] Total participants processed: ${participants.length}`);
+      console.log(`🚀 [START GAME SERVER] ============ END START GAME PROCESSING ============`);
+
+    } catch (error) {
+      console.error('❌ [START GAME SERVER] CRITICAL ERROR starting game:', error);
+      console.error('❌ [START GAME SERVER] Error stack:', error.stack);
+      console.log(`❌ [START GAME SERVER] ============ START GAME FAILED ============`);
+      socket.emit('error', { message: 'Failed to start game' });
     }
-    
-      // Send game URLs to participants with delay for non-hosts
-      const participants = room.participants?.filter(p =>
-        p.is_connected === true
-      ) || [];
-
-      // Check if room is in streamer mode
-      const isStreamerMode = room.streamer_mode || false;
-
-      // ALWAYS generate secure session tokens for ALL players (not just streamer mode)
-      const crypto = require('crypto');
-      const sessionTokens = {};
-
-      for (const participant of participants) {
-        const sessionToken = crypto.randomBytes(32).toString('hex');
-
-        // Insert session token into database
-        const { error: sessionInsertError } = await db.adminClient
-          .from('game_sessions')
-          .insert({
-            session_token: sessionToken,
-            room_id: room.id,
-            room_code: room.room_code,
-            player_id: participant.user_id,
-            game_type: room.current_game,
-            streamer_mode: isStreamerMode,
-            expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(), // 24 hour expiration
-            metadata: {
-              player_name: participant.custom_lobby_name || participant.user?.display_name || participant.user?.username,
-              is_host: participant.role === 'host',
-              total_players: participants.length,
-              premium_tier: participant.user?.premium_tier || 'free',
-              avatar_url: participant.user?.avatar_url,
-              avatar_style: participant.user?.avatar_style,
-              avatar_seed: participant.user?.avatar_seed,
-              avatar_options: participant.user?.avatar_options
-            }
-          });
+  });
 
-        if (sessionInsertError) {
-          console.error(`❌ [SECURE SESSION] Failed to insert session for ${participant.user?.username}:`, sessionInsertError);
-        }
+  // Ask everyone to ready up; the game starts after a server countdown (lib/readyCheckManager.js)
+  socket.on('readyCheck:start', async (data = {}) => {
+    try {
+      const validation = await validators.startReadyCheck(data);
+      if (!validation.isValid) {
+        socket.emit('error', { message: validation.message, code: 'INVALID_INPUT' });
+        return;
+      }
 
-        sessionTokens[participant.user_id] = sessionToken;
+      const connection = connectionManager.getConnection(socket.id);
+      if (!connection?.roomId || !connection?.userId) {
+        socket.emit('error', { message: 'Not in a room', code: 'NOT_IN_ROOM' });
+        return;
+      }
 
-        console.log(`🔐 [SECURE SESSION] Generated session token for ${participant.user?.username}:`, sessionToken.substring(0, 8) + '...');
+      const room = await db.getRoomById(connection.roomId);
+      const participant = room?.participants?.find(p => p.user_id === connection.userId);
+      if (!participant || participant.role !== 'host') {
+        socket.emit('error', { message: 'Only the host can start a ready check', code: 'NOT_HOST' });
+        return;
       }
 
-      participants.forEach(p => {
-        // SECURE: Only pass session token - games must call API to get player data
-        const sessionToken = sessionTokens[p.user_id];
-        const roleParam = p.role === 'host' ? '&role=gm' : '';
+      await readyCheckManager.start(room, connection.userId, validation.value.timeoutSeconds);
+      chatService.postSystemMessage(room, `${participantName(participant)} started a ready check`);
+    } catch (error) {
+      if (error instanceof ReadyCheckManager.ReadyCheckError || error instanceof gameCapacity.CapacityError) {
+        socket.emit('error', { message: error.message, code: error.code });
+        return;
+      }
+      console.error('❌ Error starting ready check:', error);
+      socket.emit('error', { message: 'Failed to start ready check', code: 'READY_CHECK_FAILED' });
+    }
+  });
 
-        // Simple secure URL - only session token + role
-        const gameUrl = `${gameProxy.path}?session=${sessionToken}${roleParam}`;
+  socket.on('readyCheck:cancel', async () => {
+    try {
+      const connection = connectionManager.getConnection(socket.id);
+      if (!connection?.roomId || !connection?.userId) {
+        socket.emit('error', { message: 'Not in a room', code: 'NOT_IN_ROOM' });
+        return;
+      }
 
-        console.log(`🔐 [SECURE URL] Game URL for ${p.user?.username} - session-based authentication`);
-        
-        const delay = p.role === 'host' ? 0 : 2000; // 2 second delay for players
-        
-        // Find the MOST RECENT socket ID for this user from connectionManager
-        const userConnections = connectionManager.getUserConnections(p.user_id);
-        
-        // Get the most recent connection (they're already sorted by activity)
-        const userConnection = userConnections.length > 0 ? userConnections[0] : null;
-        
-        const currentSocketId = userConnection ? userConnection.socketId : null;
-        
-        console.log(`🚀 [START GAME DEBUG] Sending game event to ${p.user?.username}:`, {
-          user_id: p.user_id,
-          role: p.role,
-          username: p.user?.username,
-          is_connected: p.is_connected,
-          hasUserConnection: !!userConnection,
-          totalUserConnections: userConnections.length,
-          allUserSocketIds: userConnections.map(conn => conn.socketId), 
-          selectedSocketId: currentSocketId,
-          gameUrl,
-          delay
-        });
-        
-        if (currentSocketId) {
-          setTimeout(() => {
-            console.log(`📤 [START GAME DEBUG] Emitting gameStarted to ${p.user?.username} (${currentSocketId})`);
-          io.to(currentSocketId).emit('gameStarted', {
-            gameUrl,
-            gameType: room.current_game,
-            isHost: p.role === 'host',
-            roomCode: room.room_code,
-            roomVersion: Date.now()
-          });
-          }, delay);
-        } else {
-          console.error(`❌ [START GAME DEBUG] No socket connection found for ${p.user?.username} (${p.user_id})`);
-          const allConnections = Array.from(connectionManager.activeConnections.entries());
-          console.error(`❌ [START GAME DEBUG] ActiveConnections dump:`, allConnections.map(([socketId, conn]) => ({
-            socketId,
-            userId: conn.userId,
-            username: conn.username,
-            roomId: conn.roomId
-          })));
-        }
-      });
+      const room = await db.getRoomById(connection.roomId);
+      const participant = room?.participants?.find(p => p.user_id === connection.userId);
+      if (!participant || participant.role !== 'host') {
+        socket.emit('error', { message: 'Only the host can cancel the ready check', code: 'NOT_HOST' });
+        return;
+      }
 
-      console.log(`🚀 [START GAME SERVER] Game start complete: ${room.current_game} for room ${room.room_code}`);
-      console.log(`🚀 [START GAME SERVER] Total participants processed: ${participants.length}`);
-      console.log(`🚀 [START GAME SERVER] ============ END START GAME PROCESSING ============`);
+      readyCheckManager.cancel(room.id, 'host_cancelled');
+    } catch (error) {
+      console.error('❌ Error cancelling ready check:', error);
+      socket.emit('error', { message: 'Failed to cancel ready check', code: 'READY_CHECK_FAILED' });
+    }
+  });
+
+  // Players toggle ready in the lobby (persisted on room_members.is_ready)
+  socket.on('playerReady', async (data) => {
+    try {
+      const validation = await validators.playerReady(data);
+      if (!validation.isValid) {
+        socket.emit('error', { message: validation.message, code: 'INVALID_INPUT' });
+        return;
+      }
+
+      const connection = connectionManager.getConnection(socket.id);
+      if (!connection?.roomId || !connection?.userId) {
+        socket.emit('error', { message: 'Not in a room', code: 'NOT_IN_ROOM' });
+        return;
+      }
+
+      const room = await db.getRoomById(connection.roomId);
+      if (!room) {
+        socket.emit('error', { message: 'Room not found', code: 'ROOM_NOT_FOUND' });
+        return;
+      }
 
+      await readyCheckManager.setReady(room, connection.userId, validation.value.isReady);
     } catch (error) {
-      console.error('❌ [START GAME SERVER] CRITICAL ERROR starting game:', error);
-      console.error('❌ [START GAME SERVER] Error stack:', error.stack);
-      console.log(`❌ [START GAME SERVER] ============ START GAME FAILED ============`);
-      socket.emit('error', { message: 'Failed to start game' });
+      console.error('❌ Error updating ready state:', error);
+      socket.emit('error', { message: 'Failed to update ready state', code: 'READY_UPDATE_FAILED' });
     }
   });
 
@@ -3060,6 +2527,12 @@ io.on('connection', async (socket) => {
         room: updatedRoom,
         roomVersion: Date.now()
       });
+          webhookService.roomEvent(updatedRoom, 'host.transferred', {
+            oldHostId: connection.userId,
+            newHostId: newHost.user_id,
+            reason: 'original_host_left'
+          });
+          chatService.postSystemMessage(updatedRoom, `${participantName(newHost)} is now the host`);
           console.log(`👑 [LEAVE] Instantly transferred host to ${newHost.user?.display_name || newHost.user?.username}`);
         }
 
@@ -3071,6 +2544,15 @@ io.on('connection', async (socket) => {
         wasHost: isLeavingHost,
         roomVersion: Date.now()
       });
+        webhookService.roomEvent(updatedRoom, 'player.left', {
+          playerId: connection.userId,
+          wasHost: isLeavingHost,
+          playerCount: allPlayers.length
+        });
+        chatService.postSystemMessage(updatedRoom, `${participantName(leavingParticipant)} left the room`);
+        readyCheckManager.playerLeft(updatedRoom.id).catch((error) => {
+          console.error('❌ [READY CHECK] Re-check after leave failed:', error);
+        });
 
         // If no connected players left, mark room as abandoned
         const connectedPlayers = allPlayers.filter(p => p.isConnected);
@@ -3079,6 +2561,7 @@ io.on('connection', async (socket) => {
           await db.updateRoom(connection.roomId, {
             status: 'abandoned'
           });
+          webhookService.roomEvent(updatedRoom, 'room.closed', { reason: 'empty' });
         }
       }
 
@@ -3136,6 +2619,9 @@ io.on('connection', async (socket) => {
         roomVersion: Date.now()
       });
 
+      const returningParticipant = updatedRoom?.participants?.find(p => p.user_id === connection.userId);
+      chatService.postSystemMessage(updatedRoom, `${participantName(returningParticipant)} is back in the lobby`);
+
       console.log(`✅ Player ${data.playerName} marked as returned to lobby`);
 
     } catch (error) {
@@ -3209,6 +2695,15 @@ io.on('connection', async (socket) => {
         room: updatedRoom,
         roomVersion: Date.now()
       });
+      webhookService.roomEvent(updatedRoom, 'host.transferred', {
+        oldHostId: connection.userId,
+        newHostId: data.targetUserId,
+        reason: 'manual'
+      });
+      chatService.postSystemMessage(
+        updatedRoom,
+        `${participantName(currentParticipant)} made ${participantName(targetParticipant)} the host`
+      );
 
       console.log(`👑 Host transferred from ${currentParticipant.user?.display_name} to ${targetParticipant.user?.display_name}`);
 
@@ -3369,6 +2864,18 @@ io.on('connection', async (socket) => {
         room: updatedRoom, // Also send updated room data
         isNotification: true // Flag to distinguish from personal kick notification
       });
+      webhookService.roomEvent(updatedRoom, 'player.kicked', {
+        playerId: data.targetUserId,
+        kickedBy: connection.userId,
+        playerCount: allPlayers.length
+      });
+      chatService.postSystemMessage(
+        updatedRoom,
+        `${participantName(targetParticipant)} was kicked by ${participantName(currentParticipant)}`
+      );
+      readyCheckManager.playerLeft(updatedRoom.id).catch((error) => {
+        console.error('❌ [READY CHECK] Re-check after kick failed:', error);
+      });
 
       // Clear connection tracking for kicked player
       if (targetConnection) {
@@ -3397,6 +2904,138 @@ io.on('connection', async (socket) => {
     }
   });
 
+  // Handle direct room invitation to a registered user
+  socket.on('sendRoomInvite', async (data) => {
+    try {
+      const connection = connectionManager.getConnection(socket.id);
+      if (!connection?.roomId || !connection?.userId) {
+        socket.emit('error', { message: 'Not in a room', code: 'NOT_IN_ROOM' });
+        return;
+      }
+
+      if (connectionManager.isRateLimited(socket.id, 'sendRoomInvite', rateLimits.sendInvite.max)) {
+        socket.emit('error', {
+          message: 'Too many invites. Please wait a moment.',
+          code: 'RATE_LIMITED'
+        });
+        return;
+      }
+
+      const room = await db.getRoomById(connection.roomId);
+      if (!room) {
+        socket.emit('error', { message: 'Room not found', code: 'INVITE_FAILED' });
+        return;
+      }
+
+      const hostParticipant = room.participants?.find(p => p.user_id === connection.userId);
+      if (!hostParticipant || hostParticipant.role !== 'host') {
+        socket.emit('error', { message: 'Only the host can send invites', code: 'NOT_HOST' });
+        return;
+      }
+
+      // Resolve target by id (friends list) or username
+      let targetQuery = db.adminClient.from('users').select('id, username, display_name, is_guest');
+      if (data?.targetUserId) {
+        targetQuery = targetQuery.eq('id', data.targetUserId);
+      } else if (data?.username) {
+        targetQuery = targetQuery.ilike('username', sanitize.likePattern(sanitize.playerName(data.username)));
+      } else {
+        socket.emit('error', { message: 'No player selected to invite', code: 'INVALID_INPUT' });
+        return;
+      }
+      const { data: targetUser } = await targetQuery.maybeSingle();
+
+      if (!targetUser || targetUser.is_guest) {
+        socket.emit('error', { message: 'Only registered players can be invited', code: 'USER_NOT_FOUND' });
+        return;
+      }
+      if (targetUser.id === connection.userId) {
+        socket.emit('error', { message: 'You cannot invite yourself', code: 'INVALID_INPUT' });
+        return;
+      }
+      if (room.participants?.some(p => p.user_id === targetUser.id)) {
+        socket.emit('error', { message: `${targetUser.display_name || targetUser.username} is already in the room`, code: 'ALREADY_IN_ROOM' });
+        return;
+      }
+
+      // Respect blocks in either direction
+      const [pairA, pairB] = [connection.userId, targetUser.id].sort();
+      const { data: block } = await db.adminClient
+        .from('friendships')
+        .select('id')
+        .eq('user_id', pairA)
+        .eq('friend_id', pairB)
+        .eq('status', 'blocked')
+        .maybeSingle();
+      if (block) {
+        socket.emit('error', { message: 'This player cannot be invited', code: 'INVITE_BLOCKED' });
+        return;
+      }
+
+      // One invitation row per (room, user): re-inviting refreshes it
+      const { data: invitation, error: inviteError } = await db.adminClient
+        .from('room_invitations')
+        .upsert({
+          room_id: room.id,
+          invited_by: connection.userId,
+          invited_user: targetUser.id,
+          status: 'pending',
+          message: data.message ? sanitize.message(data.message) : null,
+          expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+          created_at: new Date().toISOString(),
+          responded_at: null
+        }, { onConflict: 'room_id,invited_user' })
+        .select()
+        .single();
+
+      if (inviteError) throw inviteError;
+
+      const invitePayload = {
+        id: invitation.id,
+        roomCode: room.room_code,
+        invitedBy: hostParticipant.custom_lobby_name || hostParticipant.user?.display_name || hostParticipant.user?.username,
+        gameType: room.current_game,
+        message: invitation.message,
+        expiresAt: invitation.expires_at
+      };
+
+      // Deliver live if the invited user has an open socket; otherwise it waits in their invite list
+      const targetConnections = connectionManager.getUserConnections(targetUser.id);
+      targetConnections.forEach(conn => {
+        io.to(conn.socketId).emit('roomInvite:received', invitePayload);
+      });
+
+      await notificationService.notify(targetUser.id, {
+        type: 'room_invite',
+        title: `${invitePayload.invitedBy} invited you to play`,
+        message: invitation.message || `Join room ${room.room_code}`,
+        actionUrl: `/lobby/${room.room_code}`,
+        actionLabel: 'Join',
+        relatedUserId: connection.userId,
+        relatedRoomId: room.id,
+        expiresAt: invitation.expires_at,
+        metadata: { invitationId: invitation.id, roomCode: room.room_code }
+      });
+
+      await db.logEvent(room.id, connection.userId, 'room_invite_sent', {
+        invitedUserId: targetUser.id,
+        delivered: targetConnections.length > 0
+      });
+
+      socket.emit('roomInviteSent', {
+        invitationId: invitation.id,
+        targetUserId: targetUser.id,
+        targetName: targetUser.display_name || targetUser.username,
+        delivered: targetConnections.length > 0
+      });
+
+      console.log(`✉️ [INVITE] ${connection.userId} invited ${targetUser.id} to ${room.room_code} (online: ${targetConnections.length > 0})`);
+    } catch (error) {
+      console.error('❌ [INVITE] Error sending room invite:', error);
+      socket.emit('error', { message: 'Failed to send invite', code: 'SERVER_ERROR' });
+    }
+  });
+
   // Handle room status change
   socket.on('changeRoomStatus', async (data) => {
     try {
@@ -3677,6 +3316,20 @@ io.on('connection', async (socket) => {
             room: updatedRoom,
             roomVersion: Date.now()
           });
+          webhookService.roomEvent(updatedRoom, 'host.transferred', {
+            oldHostId: connection.userId,
+            newHostId: newHost.user_id,
+            reason: 'original_host_disconnected'
+          });
+          chatService.postSystemMessage(updatedRoom, `${participantName(newHost)} is now the host`);
+          }
+
+          // Leaving for the external game is not a disconnect worth a chat line
+          if (connectionStatus === 'disconnected') {
+            chatService.postSystemMessage(updatedRoom, `${participantName(disconnectingParticipant)} disconnected`);
+            readyCheckManager.playerLeft(connection.roomId).catch((error) => {
+              console.error('❌ [READY CHECK] Re-check after disconnect failed:', error);
+            });
           }
 
           // Then send player disconnected event
@@ -3706,6 +3359,7 @@ io.on('connection', async (socket) => {
               console.error(`❌ [ROOM CLEANUP] Failed to mark room ${room.room_code} as abandoned:`, updateError);
             } else {
               console.log(`✅ [ROOM CLEANUP] Room ${room.room_code} marked as abandoned`);
+              webhookService.roomEvent(updatedRoom, 'room.closed', { reason: 'empty' });
             }
           }
         }
@@ -3937,6 +3591,13 @@ app.get('/api/game-sessions/:token', async (req, res) => {
       return res.status(404).json({ error: 'Session not found or expired' });
     }
 
+    // Banned players can't resolve sessions into a game
+    const sessionBan = await banService.getActiveBan(session.player_id);
+    if (sessionBan) {
+      console.log('🚫 [SESSION LOOKUP] Player is banned:', { playerId: session.player_id });
+      return res.status(403).json(banService.toErrorPayload(sessionBan));
+    }
+
     console.log('✅ [SESSION LOOKUP] Found session:', {
       token: token.substring(0, 8) + '...',
       roomCode: session.room_code,
@@ -3957,6 +3618,13 @@ app.get('/api/game-sessions/:token', async (req, res) => {
       playerName = user?.display_name || user?.username || null;
     }
 
+    // Settings the host picked in the lobby (validated against the game's schema on save)
+    const { data: sessionRoom } = await db.adminClient
+      .from('rooms')
+      .select('game_settings')
+      .eq('id', session.room_id)
+      .maybeSingle();
+
     // Update last accessed timestamp
     await db.adminClient
       .from('game_sessions')
@@ -3978,6 +3646,7 @@ app.get('/api/game-sessions/:token', async (req, res) => {
       streamerMode: session.streamer_mode,
       playerId: session.player_id,
       playerName: playerName,
+      settings: sessionRoom?.game_settings || {},
       metadata: session.metadata,
       expiresAt: session.expires_at
     });
@@ -4030,6 +3699,30 @@ setInterval(async () => {
     // Clean up stale connections
     await db.cleanupStaleConnections();
     await db.refreshActiveRoomsView();
+
+    // Expire room invitations past their deadline
+    const expiredInvites = await db.expireRoomInvitations();
+    if (expiredInvites > 0) {
+      console.log(`🧹 Periodic cleanup: ${expiredInvites} room invitations expired`);
+    }
+
+    // Forget chat evidence for rooms that have gone quiet
+    chatLog.pruneStale();
+    chatService.pruneStale();
+
+    // Warn about and downgrade lapsed payment grace periods; must not hold up room cleanup
+    try {
+      await dunningService.processGracePeriods();
+    } catch (error) {
+      console.error('❌ Periodic cleanup: grace period processing failed:', error.message || error);
+    }
+
+    // End monthly premium granted by gift and promo codes; must not hold up room cleanup
+    try {
+      await premiumCodeService.expireCodePremium();
+    } catch (error) {
+      console.error('❌ Periodic cleanup: code premium expiry failed:', error.message || error);
+    }
     
     // Clean up inactive rooms (less aggressive than manual)
     const roomCleanup = await db.cleanupInactiveRooms({
@@ -0,0 +1,427 @@
+/**
+ * Game API V2 contract
+ *
+ * Every route of routes/gameApiV2.js with its request schema (by name, from
+ * lib/validation.js) and its response schemas per status code. The response
+ * schemas are strict Joi objects: a handler that adds, drops or retypes a
+ * field no longer matches. They are the source of /api/v2/openapi.json and
+ * are checked against the real handlers by scripts/check-api-contract.js.
+ */
+
+const Joi = require('joi');
+const { schemas: requestSchemas } = require('./validation');
+const { buildOpenApiDocument } = require('./openapi');
+const webhookService = require('../services/webhookService');
+
+const BASE_PATH = '/api/v2/game';
+
+const timestamp = Joi.string().isoDate();
+const jsonObject = Joi.object().unknown(true);
+const location = Joi.string().valid('game', 'lobby', 'disconnected');
+
+const responseSchemas = {
+  ApiError: Joi.object({
+    success: Joi.boolean().valid(false),
+    valid: Joi.boolean().valid(false),
+    error: Joi.string().required(),
+    code: Joi.string(),
+    details: Joi.array().items(Joi.object({ field: Joi.string().allow(''), message: Joi.string() }))
+  }).unknown(true).description('Errors carry error and usually code; some add context fields'),
+
+  RoomValidation: Joi.object({
+    valid: Joi.boolean().valid(true).required(),
+    version: Joi.string().valid('2.0').required(),
+    room: Joi.object({
+      id: Joi.string().required(),
+      code: Joi.string().required(),
+      gameType: Joi.string().allow(null).required(),
+      status: Joi.string().valid('lobby', 'in_game', 'returning').required(),
+      currentPlayers: Joi.number().integer().min(0).required(),
+      maxPlayers: Joi.number().integer().required(),
+      settings: jsonObject.allow(null).required(),
+      metadata: jsonObject.allow(null).required(),
+      createdAt: timestamp.required(),
+      startedAt: timestamp.allow(null).required(),
+      lastActivity: timestamp.allow(null).required()
+    }).required(),
+    participant: Joi.object({
+      id: Joi.string().required(),
+      role: Joi.string().valid('host', 'player', 'spectator').required(),
+      isHost: Joi.boolean().required(),
+      isConnected: Joi.boolean().required(),
+      currentLocation: location.allow(null).required(),
+      inGame: Joi.boolean().required(),
+      isReady: Joi.boolean().required(),
+      sessionValid: Joi.boolean().required(),
+      gameData: jsonObject.allow(null).required()
+    }).allow(null).required(),
+    participants: Joi.array().items(Joi.object({
+      id: Joi.string().required(),
+      name: Joi.string().required(),
+      role: Joi.string().valid('host', 'player', 'spectator').required(),
+      isHost: Joi.boolean().required(),
+      isReady: Joi.boolean().required(),
+      currentLocation: location.allow(null).required(),
+      inGame: Joi.boolean().required(),
+      lastPing: timestamp.allow(null).required(),
+      premiumTier: Joi.string().required(),
+      avatarUrl: Joi.string().allow(null),
+      avatarStyle: Joi.string().allow(null),
+      avatarSeed: Joi.string().allow(null),
+      avatarOptions: jsonObject.allow(null)
+    })).required(),
+    gameState: Joi.object({
+      id: Joi.string().required(),
+      data: jsonObject.required(),
+      version: Joi.number().integer().required(),
+      createdAt: timestamp.required()
+    }).allow(null).required(),
+    sessionInfo: Joi.object({ valid: Joi.boolean().required() }).allow(null).required()
+  }),
+
+  StatusUpdate: Joi.object({
+    success: Joi.boolean().valid(true).required(),
+    skipped: Joi.boolean().description('The disconnect was ignored because the player is (being) returned to the lobby'),
+    reason: Joi.string().valid('return_in_progress', 'recent_lobby_state'),
+    updated: Joi.object({
+      status: Joi.string().required(),
+      location: location.allow(null).required(),
+      timestamp: timestamp.required()
+    }).required(),
+    conflicts: Joi.array().required(),
+    sessionToken: Joi.string().allow(null).required(),
+    queued: Joi.boolean().required()
+  }),
+
+  BulkStatusUpdate: Joi.object({
+    success: Joi.boolean().valid(true).required(),
+    results: Joi.array().items(Joi.object({
+      playerId: Joi.string().required(),
+      success: Joi.boolean().required(),
+      skipped: Joi.boolean(),
+      reason: Joi.string().valid('return_in_progress', 'recent_lobby_state', 'already_returned_in_bulk')
+    })).required(),
+    errors: Joi.array().items(Joi.object({
+      playerId: Joi.string().required(),
+      error: Joi.string().required()
+    })).required(),
+    summary: Joi.object({
+      total: Joi.number().integer().required(),
+      successful: Joi.number().integer().required(),
+      failed: Joi.number().integer().required(),
+      skipped: Joi.number().integer().required()
+    }).required(),
+    gameStateSaved: Joi.boolean().required(),
+    returnInitiated: Joi.boolean().required()
+  }),
+
+  JoinRoom: Joi.object({
+    success: Joi.boolean().valid(true).required(),
+    playerId: Joi.string().required(),
+    role: Joi.string().valid('host', 'player', 'spectator').required(),
+    isRejoining: Joi.boolean().required()
+  }),
+
+  GameStateSaved: Joi.object({
+    success: Joi.boolean().valid(true).required(),
+    stateId: Joi.string().required(),
+    version: Joi.number().integer().min(1).required()
+  }),
+
+  GameState: Joi.object({
+    success: Joi.boolean().valid(true).required(),
+    state: Joi.object({
+      id: Joi.string().required(),
+      version: Joi.number().integer().required(),
+      data: jsonObject.required(),
+      createdBy: Joi.string().allow(null).required(),
+      createdAt: timestamp.required()
+    }).required()
+  }),
+
+  Success: Joi.object({
+    success: Joi.boolean().valid(true).required()
+  }),
+
+  SessionRecovered: Joi.object({
+    success: Joi.boolean().valid(true).required(),
+    playerId: Joi.string().required(),
+    roomCode: Joi.string().required(),
+    playerState: jsonObject.required()
+  }),
+
+  RoomSync: Joi.object({
+    success: Joi.boolean().valid(true).required(),
+    synced: Joi.boolean().required(),
+    playersCount: Joi.number().integer().min(0).required(),
+    timestamp: timestamp.required()
+  }),
+
+  ReturnAll: Joi.object({
+    success: Joi.boolean().valid(true).required(),
+    updated: Joi.number().integer().min(0).required().description('Players now in the lobby'),
+    roomCode: Joi.string().required(),
+    roomStatus: Joi.string().required()
+  }),
+
+  Heartbeat: Joi.object({
+    success: Joi.boolean().valid(true).required(),
+    nextHeartbeat: Joi.number().integer().required().description('Milliseconds until the next heartbeat is expected')
+  }),
+
+  GameEnd: Joi.object({
+    success: Joi.boolean().valid(true).required(),
+    playersReturned: Joi.number().integer().min(0).required(),
+    players: Joi.array().items(Joi.string()),
+    matchId: Joi.string().allow(null).required()
+  }),
+
+  ProgressEvent: Joi.object({
+    success: Joi.boolean().valid(true).required(),
+    progress: Joi.object({
+      user_id: Joi.string().required(),
+      old_level: Joi.number().integer().required(),
+      new_level: Joi.number().integer().required(),
+      current_xp: Joi.number().integer().required(),
+      next_level_at: Joi.number().integer().required(),
+      leveled_up: Joi.boolean().required(),
+      is_max_level: Joi.boolean()
+    }).required()
+  }),
+
+  PlayerProgress: Joi.object({
+    userId: Joi.string().required(),
+    level: Joi.number().integer().required(),
+    xp: Joi.number().integer().required(),
+    nextLevelXp: Joi.number().integer().required(),
+    progressPercent: Joi.number().integer().min(0).max(100).required()
+  }),
+
+  WebhookConfig: Joi.object({
+    success: Joi.boolean().valid(true).required(),
+    webhook: Joi.object({
+      url: Joi.string().allow(null).required(),
+      events: Joi.array().items(Joi.string().valid(...webhookService.events)).allow(null).required(),
+      enabled: Joi.boolean().required(),
+      hasSecret: Joi.boolean().required()
+    }).required(),
+    availableEvents: Joi.array().items(Joi.string()).required()
+  }),
+
+  WebhookConfigured: Joi.object({
+    success: Joi.boolean().valid(true).required(),
+    webhook: Joi.object({
+      url: Joi.string().required(),
+      events: Joi.array().items(Joi.string().valid(...webhookService.events)).required(),
+      enabled: Joi.boolean().required(),
+      hasSecret: Joi.boolean().valid(true).required(),
+      secret: Joi.string().description('Only when the secret was generated or changed')
+    }).required()
+  }),
+
+  WebhookDeliveries: Joi.object({
+    success: Joi.boolean().valid(true).required(),
+    deliveries: Joi.array().items(Joi.object({
+      id: Joi.string().required(),
+      event_id: Joi.string().required(),
+      game_id: Joi.string().required(),
+      event_type: Joi.string().valid(...webhookService.events).required(),
+      room_code: Joi.string().allow(null).required(),
+      url: Joi.string().required(),
+      status: Joi.string().valid('pending', 'delivering', 'delivered', 'failed').required(),
+      attempts: Joi.number().integer().required(),
+      next_attempt_at: timestamp.allow(null).required(),
+      last_attempt_at: timestamp.allow(null).required(),
+      last_status_code: Joi.number().integer().allow(null).required(),
+      last_error: Joi.string().allow(null).required(),
+      delivered_at: timestamp.allow(null).required(),
+      redelivery_of: Joi.string().allow(null).required(),
+      created_at: timestamp.required()
+    })).required()
+  }),
+
+  WebhookRedelivery: Joi.object({
+    success: Joi.boolean().valid(true).required(),
+    delivery: Joi.object({
+      id: Joi.string().required(),
+      event_id: Joi.string().required(),
+      game_id: Joi.string().required(),
+      event_type: Joi.string().valid(...webhookService.events).required(),
+      room_code: Joi.string().allow(null).required(),
+      url: Joi.string().required(),
+      status: Joi.string().valid('pending', 'delivering', 'delivered', 'failed').required(),
+      attempts: Joi.number().integer().required(),
+      next_attempt_at: timestamp.allow(null).required(),
+      last_attempt_at: timestamp.allow(null).required(),
+      last_status_code: Joi.number().integer().allow(null).required(),
+      last_error: Joi.string().allow(null).required(),
+      delivered_at: timestamp.allow(null).required(),
+      redelivery_of: Joi.string().allow(null).required(),
+      created_at: timestamp.required()
+    }).allow(null).required().description('null if another worker is already sending it')
+  }),
+
+  Health: Joi.object({
+    status: Joi.string().valid('healthy').required(),
+    version: Joi.string().required(),
+    timestamp: timestamp.required(),
+    features: Joi.array().items(Joi.string()).required()
+  })
+};
+
+// Every API-key route can also answer 401 (missing/invalid key), 403 (scope or
+// room game mismatch) and 429 (quota)
+const API_KEY_ERRORS = { 401: 'ApiError', 403: 'ApiError', 429: 'ApiError' };
+
+const routes = [
+  {
+    method: 'get', path: '/rooms/:roomCode/validate', operationId: 'validateRoom', tag: 'Rooms', scope: 'rooms:read',
+    summary: 'Check a room can be played and get its players and latest game state',
+    query: 'validateRoomQuery',
+    responses: { 200: 'RoomValidation', 400: 'ApiError', 404: 'ApiError', 500: 'ApiError' }
+  },
+  {
+    method: 'post', path: '/rooms/:roomCode/join', operationId: 'joinRoom', tag: 'Rooms', scope: 'rooms:write',
+    summary: 'Add a player to the room from the game server, or reconnect them',
+    body: 'gameApiJoin',
+    responses: { 200: 'JoinRoom', 400: 'ApiError', 404: 'ApiError', 500: 'ApiError' }
+  },
+  {
+    method: 'post', path: '/rooms/:roomCode/state', operationId: 'saveGameState', tag: 'Game state', scope: 'rooms:write',
+    summary: 'Save a new version of the game state',
+    body: 'gameStateSave',
+    responses: { 200: 'GameStateSaved', 400: 'ApiError', 403: 'ApiError', 404: 'ApiError', 500: 'ApiError' }
+  },
+  {
+    method: 'get', path: '/rooms/:roomCode/state', operationId: 'getGameState', tag: 'Game state', scope: 'rooms:read',
+    summary: 'Latest game state of this game in the room, or a specific version',
+    query: 'gameStateQuery',
+    responses: { 200: 'GameState', 400: 'ApiError', 404: 'ApiError', 500: 'ApiError' }
+  },
+  {
+    method: 'post', path: '/rooms/:roomCode/events', operationId: 'logGameEvent', tag: 'Game state', scope: 'rooms:write',
+    summary: 'Record a game event and forward it to the lobby',
+    body: 'gameEvent',
+    responses: { 200: 'Success', 400: 'ApiError', 404: 'ApiError', 500: 'ApiError' }
+  },
+  {
+    method: 'post', path: '/rooms/:roomCode/players/:playerId/status', operationId: 'updatePlayerStatus', tag: 'Status', scope: 'status:write',
+    summary: 'Report where a player is (game, lobby or disconnected)',
+    body: 'playerStatusUpdate',
+    responses: { 200: 'StatusUpdate', 400: 'ApiError', 404: 'ApiError', 500: 'ApiError' }
+  },
+  {
+    method: 'post', path: '/rooms/:roomCode/bulk-status', operationId: 'bulkUpdatePlayerStatus', tag: 'Status', scope: 'status:write',
+    summary: 'Report the location of several players at once',
+    body: 'bulkStatusUpdate',
+    responses: { 200: 'BulkStatusUpdate', 400: 'ApiError', 404: 'ApiError', 500: 'ApiError' }
+  },
+  {
+    method: 'post', path: '/rooms/:roomCode/players/:playerId/heartbeat', operationId: 'heartbeat', tag: 'Status', scope: 'status:write',
+    summary: 'Tell the platform a player is still in the game',
+    body: 'heartbeat',
+    responses: { 200: 'Heartbeat', 400: 'ApiError', 500: 'ApiError' }
+  },
+  {
+    method: 'post', path: '/sessions/recover', operationId: 'recoverSession', tag: 'Status', auth: false,
+    summary: 'Reconnect a player with their session token',
+    body: 'sessionRecover',
+    responses: { 200: 'SessionRecovered', 400: 'ApiError', 401: 'ApiError' }
+  },
+  {
+    method: 'post', path: '/rooms/:roomCode/sync', operationId: 'syncRoom', tag: 'Rooms', scope: 'rooms:write',
+    summary: 'Push the full room state to everyone in the lobby',
+    responses: { 200: 'RoomSync', 500: 'ApiError' }
+  },
+  {
+    method: 'post', path: '/rooms/:roomCode/return-all', operationId: 'returnAllToLobby', tag: 'Rooms', scope: 'rooms:write',
+    summary: 'Send every player back to the lobby',
+    responses: { 200: 'ReturnAll', 404: 'ApiError', 500: 'ApiError' }
+  },
+  {
+    method: 'post', path: '/rooms/:roomCode/game-end', operationId: 'reportGameEnd', tag: 'Matches', scope: 'rooms:write',
+    summary: 'Report the end of a match, optionally with results for stats and achievements',
+    body: 'gameEnd',
+    responses: { 200: 'GameEnd', 400: 'ApiError', 404: 'ApiError', 409: 'ApiError', 500: 'ApiError' }
+  },
+  {
+    method: 'post', path: '/progress/event', operationId: 'awardXp', tag: 'Progress', scope: 'progress:write',
+    summary: 'Award XP to a player',
+    body: 'progressEvent',
+    responses: { 200: 'ProgressEvent', 400: 'ApiError', 403: 'ApiError', 500: 'ApiError' }
+  },
+  {
+    method: 'get', path: '/progress/:userId', operationId: 'getProgress', tag: 'Progress', scope: 'progress:read',
+    summary: 'A player\'s level and XP',
+    responses: { 200: 'PlayerProgress', 404: 'ApiError', 500: 'ApiError' }
+  },
+  {
+    method: 'get', path: '/webhook', operationId: 'getWebhook', tag: 'Webhooks', scope: 'webhooks:manage',
+    summary: 'The webhook registered for the API key\'s game',
+    responses: { 200: 'WebhookConfig', 404: 'ApiError', 500: 'ApiError' }
+  },
+  {
+    method: 'put', path: '/webhook', operationId: 'configureWebhook', tag: 'Webhooks', scope: 'webhooks:manage',
+    summary: 'Register or change the webhook; the secret is only returned when it changes',
+    body: 'configureWebhook',
+    responses: { 200: 'WebhookConfigured', 400: 'ApiError', 404: 'ApiError', 500: 'ApiError' }
+  },
+  {
+    method: 'get', path: '/webhook/deliveries', operationId: 'listWebhookDeliveries', tag: 'Webhooks', scope: 'webhooks:manage',
+    summary: 'Webhook delivery log, newest first',
+    query: 'webhookDeliveriesQuery',
+    responses: { 200: 'WebhookDeliveries', 400: 'ApiError', 500: 'ApiError' }
+  },
+  {
+    method: 'post', path: '/webhook/deliveries/:deliveryId/redeliver', operationId: 'redeliverWebhook', tag: 'Webhooks', scope: 'webhooks:manage',
+    summary: 'Send an earlier webhook event again',
+    responses: { 202: 'WebhookRedelivery', 404: 'ApiError', 409: 'ApiError', 500: 'ApiError' }
+  },
+  {
+    method: 'get', path: '/health', operationId: 'health', tag: 'Health', auth: false,
+    summary: 'API health and feature list',
+    responses: { 200: 'Health' }
+  }
+].map(route => ({
+  ...route,
+  auth: route.auth !== false,
+  responses: route.auth === false ? route.responses : { ...API_KEY_ERRORS, ...route.responses }
+}));
+
+let cachedDocument = null;
+
+/**
+ * The OpenAPI document served at /api/v2/openapi.json
+ */
+function buildGameApiSpec() {
+  if (!cachedDocument) {
+    cachedDocument = buildOpenApiDocument({
+      info: {
+        title: 'GameBuddies Game API',
+        version: '2.0',
+        description: 'Server-to-server API for external games. Send the game\'s API key in the x-api-key header; each operation lists the scope it needs in x-required-scope.'
+      },
+      basePath: BASE_PATH,
+      routes,
+      requestSchemas,
+      responseSchemas,
+      securitySchemes: {
+        apiKey: { type: 'apiKey', in: 'header', name: 'x-api-key' }
+      },
+      pathParams: {
+        roomCode: 'Six character room code',
+        playerId: 'GameBuddies user id of the player',
+        userId: 'GameBuddies user id',
+        deliveryId: 'Webhook delivery id'
+      }
+    });
+  }
+  return cachedDocument;
+}
+
+module.exports = {
+  BASE_PATH,
+  routes,
+  responseSchemas,
+  buildGameApiSpec
+};
@@ -0,0 +1,140 @@
+/**
+ * Game capacity
+ *
+ * Room capacity follows the selected game: games.min_players/max_players
+ * bound how many players may be in a room when a game is selected or started,
+ * and rooms.max_players (what joins are checked against) defaults to the
+ * game's maximum. Hosts may lower it, but not below the game's minimum or the
+ * players already in the room.
+ *
+ * Violations throw a CapacityError whose code and details go straight into
+ * the socket error payload.
+ */
+
+const { supabaseAdmin } = require('./supabase');
+
+const LIMITS_CACHE_MS = 5 * 60 * 1000;
+const DEFAULT_MIN_PLAYERS = 2;
+const DEFAULT_MAX_PLAYERS = 10;
+const ROOM_CAPACITY_LIMIT = 50; // rooms.max_players CHECK constraint
+
+class CapacityError extends Error {
+  /**
+   * @param {string} code - GAME_NOT_FOUND | GAME_UNAVAILABLE | NOT_ENOUGH_PLAYERS | TOO_MANY_PLAYERS | INVALID_CAPACITY
+   * @param {string} message
+   * @param {object} [details] - minPlayers, maxPlayers, playerCount...
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'CapacityError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+let gamesCache = null;
+let gamesFetchedAt = 0;
+
+async function loadGames() {
+  if (gamesCache && Date.now() - gamesFetchedAt < LIMITS_CACHE_MS) {
+    return gamesCache;
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from('games')
+    .select('id, name, display_name, min_players, max_players, is_active, maintenance_mode');
+
+  if (error) throw error;
+
+  gamesCache = new Map((data || []).map(game => [game.id, {
+    id: game.id,
+    name: game.display_name || game.name,
+    minPlayers: game.min_players || DEFAULT_MIN_PLAYERS,
+    maxPlayers: Math.min(game.max_players || DEFAULT_MAX_PLAYERS, ROOM_CAPACITY_LIMIT),
+    available: game.is_active !== false && !game.maintenance_mode
+  }]));
+  gamesFetchedAt = Date.now();
+  return gamesCache;
+}
+
+/**
+ * Player limits of a game
+ * @returns {Promise<{id: string, name: string, minPlayers: number, maxPlayers: number, available: boolean}>}
+ */
+async function getGameLimits(gameId) {
+  const game = (await loadGames()).get(gameId);
+  if (!game) {
+    throw new CapacityError('GAME_NOT_FOUND', 'Game not found', { gameType: gameId });
+  }
+  return game;
+}
+
+/**
+ * Capacity of a room without a game: room for the largest available game
+ */
+async function getLobbyCapacity() {
+  const available = [...(await loadGames()).values()].filter(game => game.available);
+  return available.length > 0
+    ? Math.max(...available.map(game => game.maxPlayers))
+    : DEFAULT_MAX_PLAYERS;
+}
+
+/**
+ * Capacity a host asked for, checked against the game and the current room size
+ * @param {object} game - from getGameLimits
+ * @param {number} playerCount - players currently in the room
+ * @param {number} [requested] - host's choice; the game's maximum when omitted
+ * @returns {number}
+ */
+function resolveCapacity(game, playerCount, requested) {
+  const capacity = requested ?? game.maxPlayers;
+  const lowest = Math.max(game.minPlayers, playerCount);
+
+  if (capacity < lowest || capacity > game.maxPlayers) {
+    throw new CapacityError(
+      'INVALID_CAPACITY',
+      `Room size for ${game.name} must be between ${lowest} and ${game.maxPlayers}`,
+      { minPlayers: game.minPlayers, maxPlayers: game.maxPlayers, playerCount, requested: capacity }
+    );
+  }
+  return capacity;
+}
+
+/**
+ * A game may be selected when it is available and the room is not already too big for it
+ */
+function assertCanSelect(game, playerCount) {
+  if (!game.available) {
+    throw new CapacityError('GAME_UNAVAILABLE', `${game.name} is currently unavailable`, { gameType: game.id });
+  }
+  if (playerCount > game.maxPlayers) {
+    throw new CapacityError(
+      'TOO_MANY_PLAYERS',
+      `${game.name} supports at most ${game.maxPlayers} players (${playerCount} in the room)`,
+      { minPlayers: game.minPlayers, maxPlayers: game.maxPlayers, playerCount }
+    );
+  }
+}
+
+/**
+ * A game may start with between min_players and max_players players
+ */
+function assertCanStart(game, playerCount) {
+  assertCanSelect(game, playerCount);
+  if (playerCount < game.minPlayers) {
+    throw new CapacityError(
+      'NOT_ENOUGH_PLAYERS',
+      `${game.name} needs at least ${game.minPlayers} players (only ${playerCount} would play)`,
+      { minPlayers: game.minPlayers, maxPlayers: game.maxPlayers, playerCount }
+    );
+  }
+}
+
+module.exports = {
+  CapacityError,
+  getGameLimits,
+  getLobbyCapacity,
+  resolveCapacity,
+  assertCanSelect,
+  assertCanStart
+};
@@ -0,0 +1,169 @@
+/**
+ * Game settings
+ *
+ * Games describe their lobby settings with a JSON schema in
+ * games.settings_schema and ship defaults in games.default_settings (see
+ * ADDING_NEW_GAMES.md). Whatever a host picks is checked against that schema
+ * before it is stored in rooms.game_settings, so games can trust the settings
+ * they receive through /api/game-sessions/:token.
+ *
+ * Supported schema keywords: type (string, number, integer, boolean, array,
+ * object), enum, minimum/maximum, minLength/maxLength, pattern,
+ * minItems/maxItems, items, properties, required and default. Settings the
+ * schema does not mention are dropped. Games without a schema keep whatever
+ * the host sent, sanitized.
+ */
+
+const Joi = require('joi');
+const { supabaseAdmin } = require('./supabase');
+const { sanitize } = require('./validation');
+
+const SCHEMA_CACHE_MS = 5 * 60 * 1000;
+
+class SettingsError extends Error {
+  /**
+   * @param {string} code - GAME_NOT_FOUND | INVALID_SETTINGS
+   * @param {string} message
+   * @param {object} [details] - errors: [{ field, message }]
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'SettingsError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+let gamesCache = null;
+let gamesFetchedAt = 0;
+
+async function loadGames() {
+  if (gamesCache && Date.now() - gamesFetchedAt < SCHEMA_CACHE_MS) {
+    return gamesCache;
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from('games')
+    .select('id, settings_schema, default_settings');
+
+  if (error) throw error;
+
+  gamesCache = new Map((data || []).map(game => {
+    const schema = game.settings_schema || {};
+    return [game.id, {
+      defaults: { ...schemaDefaults(schema), ...(game.default_settings || {}) },
+      validator: hasProperties(schema) ? toJoi(schema) : null
+    }];
+  }));
+  gamesFetchedAt = Date.now();
+  return gamesCache;
+}
+
+const hasProperties = (schema) => Boolean(schema?.properties) && Object.keys(schema.properties).length > 0;
+
+/**
+ * Defaults declared on the schema's properties ("default" keyword)
+ */
+function schemaDefaults(schema) {
+  const defaults = {};
+  for (const [key, property] of Object.entries(schema?.properties || {})) {
+    if (property.default !== undefined) defaults[key] = property.default;
+  }
+  return defaults;
+}
+
+/**
+ * Translate a JSON schema (sub)tree into Joi
+ */
+function toJoi(schema = {}) {
+  if (Array.isArray(schema.enum)) {
+    return Joi.any().valid(...schema.enum);
+  }
+
+  let rule;
+
+  switch (schema.type) {
+    case 'integer':
+    case 'number':
+      rule = schema.type === 'integer' ? Joi.number().integer() : Joi.number();
+      if (schema.minimum !== undefined) rule = rule.min(schema.minimum);
+      if (schema.maximum !== undefined) rule = rule.max(schema.maximum);
+      break;
+
+    case 'string':
+      // Joi rejects empty strings unless told otherwise; JSON schema only does with minLength
+      rule = schema.minLength ? Joi.string().min(schema.minLength) : Joi.string().allow('');
+      if (schema.maxLength !== undefined) rule = rule.max(schema.maxLength);
+      if (schema.pattern) rule = rule.pattern(new RegExp(schema.pattern));
+      break;
+
+    case 'boolean':
+      rule = Joi.boolean();
+      break;
+
+    case 'array':
+      rule = Joi.array();
+      if (schema.items) rule = rule.items(toJoi(schema.items));
+      if (schema.minItems !== undefined) rule = rule.min(schema.minItems);
+      if (schema.maxItems !== undefined) rule = rule.max(schema.maxItems);
+      break;
+
+    case 'object': {
+      const keys = {};
+      const required = schema.required || [];
+      for (const [key, property] of Object.entries(schema.properties || {})) {
+        keys[key] = required.includes(key) ? toJoi(property).required() : toJoi(property);
+      }
+      rule = Joi.object(keys);
+      break;
+    }
+
+    default:
+      rule = Joi.any();
+  }
+
+  return rule;
+}
+
+async function getGame(gameId) {
+  const game = (await loadGames()).get(gameId);
+  if (!game) {
+    throw new SettingsError('GAME_NOT_FOUND', 'Game not found', { gameType: gameId });
+  }
+  return game;
+}
+
+/**
+ * Validate settings for a game and fill in its defaults
+ * @param {string} gameId
+ * @param {object} [changes] - settings the host picked
+ * @param {object} [current] - settings already stored on the room
+ * @returns {Promise<object>} settings to store in rooms.game_settings
+ * @throws {SettingsError} INVALID_SETTINGS with one entry per offending field
+ */
+async function resolveSettings(gameId, changes = {}, current = {}) {
+  const game = await getGame(gameId);
+  const settings = sanitize.gameSettings({ ...game.defaults, ...current, ...changes });
+
+  if (!game.validator) return settings;
+
+  const { error, value } = game.validator.validate(settings, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+    throw new SettingsError('INVALID_SETTINGS', errors.map(e => e.message).join(', '), { errors });
+  }
+
+  return value;
+}
+
+module.exports = {
+  SettingsError,
+  resolveSettings
+};
@@ -0,0 +1,238 @@
+/**
+ * OpenAPI generation from Joi schemas
+ *
+ * joiToJsonSchema() turns a Joi schema (via schema.describe()) into the JSON
+ * Schema dialect used by OpenAPI 3.1. It covers what our schemas use: objects
+ * (including .or() and .unknown()), strings with formats and patterns,
+ * numbers, booleans, dates, arrays, alternatives, valid()/allow() and
+ * defaults. Conditional rules (.when()) are left out of the document and only
+ * enforced by Joi.
+ *
+ * buildOpenApiDocument() assembles a document from a route table such as
+ * lib/gameApiContract.js, taking request schemas from lib/validation.js.
+ */
+
+const STRING_FORMATS = {
+  guid: 'uuid',
+  uuid: 'uuid',
+  email: 'email',
+  uri: 'uri',
+  isoDate: 'date-time',
+  hostname: 'hostname'
+};
+
+const withNull = (jsonSchema) => {
+  if (jsonSchema.type) {
+    return { ...jsonSchema, type: [].concat(jsonSchema.type, 'null') };
+  }
+  return { anyOf: [jsonSchema, { type: 'null' }] };
+};
+
+const ruleArg = (rule, name = 'limit') => rule.args?.[name];
+
+// "/^[a-z]+$/i" as printed by describe() -> "^[a-z]+$"
+const regexSource = (regex) => {
+  const source = typeof regex === 'string' ? regex : String(regex);
+  const match = source.match(/^\/(.*)\/[a-z]*$/s);
+  return match ? match[1] : source;
+};
+
+function describedToJsonSchema(desc) {
+  const flags = desc.flags || {};
+  const rules = desc.rules || [];
+  let schema;
+
+  switch (desc.type) {
+    case 'object': {
+      schema = { type: 'object' };
+      const keys = Object.entries(desc.keys || {}).filter(([, child]) => child.flags?.presence !== 'forbidden');
+      if (desc.keys) {
+        schema.properties = Object.fromEntries(keys.map(([name, child]) => [name, describedToJsonSchema(child)]));
+        const required = keys.filter(([, child]) => child.flags?.presence === 'required').map(([name]) => name);
+        if (required.length) schema.required = required;
+        if (!flags.unknown) schema.additionalProperties = false;
+      }
+      for (const dependency of desc.dependencies || []) {
+        if (dependency.rel === 'or') {
+          schema.anyOf = dependency.peers.map(peer => ({ required: [peer] }));
+        }
+      }
+      for (const rule of rules) {
+        if (rule.name === 'min') schema.minProperties = ruleArg(rule);
+        if (rule.name === 'max') schema.maxProperties = ruleArg(rule);
+        if (rule.name === 'length') {
+          schema.minProperties = ruleArg(rule);
+          schema.maxProperties = ruleArg(rule);
+        }
+      }
+      break;
+    }
+
+    case 'string': {
+      schema = { type: 'string' };
+      for (const rule of rules) {
+        if (rule.name === 'min') schema.minLength = ruleArg(rule);
+        if (rule.name === 'max') schema.maxLength = ruleArg(rule);
+        if (rule.name === 'length') {
+          schema.minLength = ruleArg(rule);
+          schema.maxLength = ruleArg(rule);
+        }
+        if (rule.name === 'pattern') schema.pattern = regexSource(ruleArg(rule, 'regex'));
+        if (rule.name === 'alphanum') schema.pattern = '^[a-zA-Z0-9]*$';
+        if (STRING_FORMATS[rule.name]) schema.format = STRING_FORMATS[rule.name];
+      }
+      break;
+    }
+
+    case 'number': {
+      schema = { type: rules.some(rule => rule.name === 'integer') ? 'integer' : 'number' };
+      for (const rule of rules) {
+        if (rule.name === 'min') schema.minimum = ruleArg(rule);
+        if (rule.name === 'max') schema.maximum = ruleArg(rule);
+        if (rule.name === 'greater') schema.exclusiveMinimum = ruleArg(rule);
+        if (rule.name === 'less') schema.exclusiveMaximum = ruleArg(rule);
+      }
+      break;
+    }
+
+    case 'boolean':
+      schema = { type: 'boolean' };
+      break;
+
+    case 'date':
+      schema = { type: 'string', format: 'date-time' };
+      break;
+
+    case 'array': {
+      schema = { type: 'array' };
+      const items = (desc.items || []).map(describedToJsonSchema);
+      if (items.length === 1) schema.items = items[0];
+      if (items.length > 1) schema.items = { anyOf: items };
+      for (const rule of rules) {
+        if (rule.name === 'min') schema.minItems = ruleArg(rule);
+        if (rule.name === 'max') schema.maxItems = ruleArg(rule);
+        if (rule.name === 'length') {
+          schema.minItems = ruleArg(rule);
+          schema.maxItems = ruleArg(rule);
+        }
+        if (rule.name === 'unique') schema.uniqueItems = true;
+      }
+      break;
+    }
+
+    case 'alternatives':
+      schema = { anyOf: (desc.matches || []).filter(match => match.schema).map(match => describedToJsonSchema(match.schema)) };
+      break;
+
+    default:
+      schema = {};
+  }
+
+  const allowed = desc.allow || [];
+  if (flags.only) {
+    schema.enum = allowed;
+  } else if (allowed.includes(null)) {
+    schema = withNull(schema);
+  }
+
+  if (flags.description) schema.description = flags.description;
+  if (flags.default !== undefined && typeof flags.default !== 'function') schema.default = flags.default;
+
+  return schema;
+}
+
+/**
+ * @param {import('joi').Schema} joiSchema
+ * @returns {object} JSON Schema (OpenAPI 3.1 dialect)
+ */
+function joiToJsonSchema(joiSchema) {
+  return describedToJsonSchema(joiSchema.describe());
+}
+
+// Express paths (/rooms/:roomCode) -> OpenAPI paths (/rooms/{roomCode})
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+// Query schemas become one parameter per key
+function queryParameters(jsonSchema) {
+  return Object.entries(jsonSchema.properties || {}).map(([name, schema]) => ({
+    name,
+    in: 'query',
+    required: (jsonSchema.required || []).includes(name),
+    ...(schema.description && { description: schema.description }),
+    schema
+  }));
+}
+
+/**
+ * Build an OpenAPI 3.1 document
+ * @param {object} options
+ * @param {object} options.info - OpenAPI info object
+ * @param {string} options.basePath - prefix of every route, e.g. /api/v2/game
+ * @param {Array} options.routes - { method, path, operationId, summary, tag, auth, scope, query, body, responses, pathParams }
+ * @param {object} options.requestSchemas - Joi schemas referenced by name from route.query / route.body
+ * @param {object} options.responseSchemas - Joi schemas referenced by name from route.responses
+ */
+function buildOpenApiDocument({ info, basePath, routes, requestSchemas, responseSchemas, securitySchemes = {}, pathParams = {} }) {
+  const components = {
+    schemas: {},
+    securitySchemes
+  };
+
+  const ref = (name, source) => {
+    if (!components.schemas[name]) {
+      if (!source[name]) throw new Error(`OpenAPI: unknown schema ${name}`);
+      components.schemas[name] = joiToJsonSchema(source[name]);
+    }
+    return { $ref: `#/components/schemas/${name}` };
+  };
+
+  const paths = {};
+  for (const route of routes) {
+    const path = toOpenApiPath(route.path);
+    const parameters = [...route.path.matchAll(/:(\w+)/g)].map(([, name]) => ({
+      name,
+      in: 'path',
+      required: true,
+      schema: { type: 'string' },
+      ...(pathParams[name] && { description: pathParams[name] })
+    }));
+    if (route.query) {
+      parameters.push(...queryParameters(joiToJsonSchema(requestSchemas[route.query])));
+    }
+
+    const operation = {
+      operationId: route.operationId,
+      summary: route.summary,
+      ...(route.tag && { tags: [route.tag] }),
+      ...(parameters.length && { parameters }),
+      ...(route.body && {
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: ref(route.body, requestSchemas) } }
+        }
+      }),
+      responses: Object.fromEntries(Object.entries(route.responses).map(([status, name]) => [status, {
+        description: name,
+        content: { 'application/json': { schema: ref(name, responseSchemas) } }
+      }])),
+      security: route.auth ? [{ apiKey: [] }] : [],
+      ...(route.scope && { 'x-required-scope': route.scope })
+    };
+
+    paths[path] = { ...paths[path], [route.method]: operation };
+  }
+
+  return {
+    openapi: '3.1.0',
+    info,
+    servers: [{ url: basePath }],
+    paths,
+    components
+  };
+}
+
+module.exports = {
+  joiToJsonSchema,
+  buildOpenApiDocument,
+  toOpenApiPath
+};
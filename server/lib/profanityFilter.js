@@ -0,0 +1,97 @@
+/**
+ * Profanity filter for lobby chat
+ *
+ * Masks blocked words with asterisks instead of rejecting the message, so a
+ * stray word does not swallow the rest of what someone said. Matching is
+ * whole-word and case-insensitive, tolerates common letter substitutions
+ * (a->@/4, e->3, i->1/!, o->0, s->$/5) and a few suffixes (s, es, ed, er, ing).
+ *
+ * Configuration:
+ *   CHAT_PROFANITY_FILTER=off   disable filtering entirely
+ *   CHAT_BLOCKED_WORDS=a,b,c    extra words on top of the default list
+ */
+
+const DEFAULT_BLOCKED_WORDS = [
+  'asshole',
+  'bastard',
+  'bitch',
+  'bollocks',
+  'cunt',
+  'dick',
+  'fag',
+  'faggot',
+  'fuck',
+  'motherfucker',
+  'nigger',
+  'nigga',
+  'retard',
+  'shit',
+  'slut',
+  'twat',
+  'whore'
+];
+
+const SUBSTITUTIONS = {
+  a: '[a@4]',
+  e: '[e3]',
+  i: '[i1!]',
+  l: '[l1]',
+  o: '[o0]',
+  s: '[s$5]',
+  t: '[t7]'
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const wordPattern = (word) => [...word]
+  .map(char => SUBSTITUTIONS[char] || escapeRegExp(char))
+  .join('');
+
+function buildPattern(words) {
+  if (words.length === 0) return null;
+
+  // Longest first so "motherfucker" wins over "fuck"
+  const alternatives = [...words]
+    .sort((a, b) => b.length - a.length)
+    .map(wordPattern)
+    .join('|');
+
+  // Word boundaries by hand: \b does not treat @, $ or ! as word characters
+  return new RegExp(`(^|[^\\p{L}\\p{N}])((?:${alternatives})(?:s|es|ed|er|ing)?)(?=$|[^\\p{L}\\p{N}])`, 'giu');
+}
+
+function loadBlockedWords() {
+  const extra = (process.env.CHAT_BLOCKED_WORDS || '')
+    .split(',')
+    .map(word => word.trim().toLowerCase())
+    .filter(Boolean);
+
+  return [...new Set([...DEFAULT_BLOCKED_WORDS, ...extra])];
+}
+
+const enabled = (process.env.CHAT_PROFANITY_FILTER || 'on').toLowerCase() !== 'off';
+const pattern = enabled ? buildPattern(loadBlockedWords()) : null;
+
+/**
+ * Mask blocked words in a chat message
+ * @param {string} text - already sanitized message
+ * @returns {{text: string, filtered: boolean}}
+ */
+function filterMessage(text) {
+  if (!pattern || typeof text !== 'string') {
+    return { text, filtered: false };
+  }
+
+  let filtered = false;
+  const result = text.replace(pattern, (match, prefix, word) => {
+    filtered = true;
+    return prefix + '*'.repeat(word.length);
+  });
+
+  return { text: result, filtered };
+}
+
+module.exports = {
+  filterMessage,
+  isEnabled: () => Boolean(pattern)
+};
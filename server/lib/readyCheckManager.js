@@ -0,0 +1,306 @@
+/**
+ * Ready Check Manager
+ *
+ * Runs the optional ready check a host can use instead of starting a game
+ * straight away, so AFK players are not dragged into it:
+ *
+ * 1. start()     the host asks everyone to ready up; is_ready is reset on
+ *                room_members (the host counts as ready) and a timeout is armed
+ * 2. setReady()  players toggle is_ready; once every connected player is ready
+ *                the countdown starts early
+ * 3. timeout     with at least games.min_players ready the countdown starts and
+ *                everyone else stays in the lobby; otherwise the check fails
+ * 4. countdown   the server ticks once a second; at zero the members are read
+ *                again and the game launches for the ready players if there are
+ *                still enough of them
+ *
+ * Room events: playerReadyChanged, readyCheck:started, readyCheck:countdown,
+ * readyCheck:cancelled, readyCheck:failed
+ */
+
+const { getGameLimits } = require('./gameCapacity');
+
+const DEFAULT_TIMEOUT_SECONDS = 30;
+const COUNTDOWN_SECONDS = 5;
+
+class ReadyCheckError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ReadyCheckError';
+    this.code = code;
+  }
+}
+
+class ReadyCheckManager {
+  /**
+   * @param {object} io - Socket.IO server
+   * @param {object} db - DatabaseService from lib/supabase
+   * @param {function(string, string[]): Promise<void>} launch - starts the room's game for these user ids
+   */
+  constructor(io, db, launch) {
+    this.io = io;
+    this.db = db;
+    this.launch = launch;
+    this.checks = new Map(); // roomId -> check
+  }
+
+  async getMembers(roomId) {
+    const { data, error } = await this.db.adminClient
+      .from('room_members')
+      .select('user_id, role, is_ready, is_connected')
+      .eq('room_id', roomId);
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  readyPlayerIds(members) {
+    return members.filter(m => m.is_connected && m.is_ready).map(m => m.user_id);
+  }
+
+  /**
+   * Client view of a room's check, or null when none is running
+   */
+  getCheck(roomId) {
+    const check = this.checks.get(roomId);
+    if (!check) return null;
+
+    return {
+      gameType: check.gameType,
+      minPlayers: check.minPlayers,
+      startedBy: check.startedBy,
+      expiresAt: new Date(check.expiresAt).toISOString(),
+      countdownEndsAt: check.countdown ? new Date(check.countdown.endsAt).toISOString() : null
+    };
+  }
+
+  /**
+   * Ask everyone in the room to ready up
+   * @param {object} room - room with current_game
+   * @param {string} hostId
+   * @param {number} [timeoutSeconds]
+   */
+  async start(room, hostId, timeoutSeconds = DEFAULT_TIMEOUT_SECONDS) {
+    if (this.checks.has(room.id)) {
+      throw new ReadyCheckError('READY_CHECK_ACTIVE', 'A ready check is already running');
+    }
+    if (!room.current_game || room.current_game === 'lobby') {
+      throw new ReadyCheckError('NO_GAME_SELECTED', 'Select a game before starting a ready check');
+    }
+    if (room.status === 'in_game') {
+      throw new ReadyCheckError('GAME_IN_PROGRESS', 'The game has already started');
+    }
+
+    const { minPlayers } = await getGameLimits(room.current_game);
+    const members = await this.getMembers(room.id);
+    const connected = members.filter(m => m.is_connected);
+    if (connected.length < minPlayers) {
+      throw new ReadyCheckError(
+        'NOT_ENOUGH_PLAYERS',
+        `This game needs at least ${minPlayers} players (${connected.length} connected)`
+      );
+    }
+
+    await this.db.adminClient
+      .from('room_members')
+      .update({ is_ready: false })
+      .eq('room_id', room.id);
+    await this.db.adminClient
+      .from('room_members')
+      .update({ is_ready: true })
+      .eq('room_id', room.id)
+      .eq('user_id', hostId);
+
+    const check = {
+      roomId: room.id,
+      roomCode: room.room_code,
+      gameType: room.current_game,
+      minPlayers,
+      startedBy: hostId,
+      expiresAt: Date.now() + timeoutSeconds * 1000,
+      timeout: null,
+      countdown: null
+    };
+    this.armTimeout(check);
+    this.checks.set(room.id, check);
+
+    console.log(`✋ [READY CHECK] Started in ${room.room_code} (min ${minPlayers} players, ${timeoutSeconds}s)`);
+    this.io.to(room.room_code).emit('readyCheck:started', {
+      ...this.getCheck(room.id),
+      readyPlayerIds: [hostId],
+      roomVersion: Date.now()
+    });
+
+    return this.getCheck(room.id);
+  }
+
+  /**
+   * Persist a player's ready flag and move the room's check along
+   */
+  async setReady(room, userId, isReady) {
+    const { error } = await this.db.adminClient
+      .from('room_members')
+      .update({ is_ready: isReady })
+      .eq('room_id', room.id)
+      .eq('user_id', userId);
+
+    if (error) throw error;
+
+    const members = await this.getMembers(room.id);
+    this.io.to(room.room_code).emit('playerReadyChanged', {
+      playerId: userId,
+      isReady,
+      readyPlayerIds: this.readyPlayerIds(members),
+      roomVersion: Date.now()
+    });
+
+    await this.evaluate(room.id, members);
+  }
+
+  /**
+   * Re-check a running ready check after someone left or disconnected
+   */
+  async playerLeft(roomId) {
+    if (!this.checks.has(roomId)) return;
+    await this.evaluate(roomId);
+  }
+
+  async evaluate(roomId, members = null) {
+    const check = this.checks.get(roomId);
+    if (!check) return;
+
+    members = members || await this.getMembers(roomId);
+    const ready = this.readyPlayerIds(members);
+    const connected = members.filter(m => m.is_connected);
+
+    if (check.countdown) {
+      if (ready.length < check.minPlayers) {
+        this.stopCountdown(check);
+        if (Date.now() >= check.expiresAt) {
+          this.fail(check, 'NOT_ENOUGH_READY', ready.length);
+        } else {
+          // Back to waiting for players; secondsLeft null halts the client countdown
+          this.armTimeout(check);
+          this.io.to(check.roomCode).emit('readyCheck:countdown', {
+            ...this.getCheck(roomId),
+            secondsLeft: null
+          });
+        }
+      }
+      return;
+    }
+
+    if (ready.length >= check.minPlayers && ready.length === connected.length) {
+      this.startCountdown(check);
+    }
+  }
+
+  armTimeout(check) {
+    check.timeout = setTimeout(() => {
+      this.handleTimeout(check.roomId).catch((error) => {
+        console.error('❌ [READY CHECK] Timeout handling failed:', error);
+      });
+    }, Math.max(check.expiresAt - Date.now(), 0));
+  }
+
+  async handleTimeout(roomId) {
+    const check = this.checks.get(roomId);
+    if (!check) return;
+    check.timeout = null;
+    if (check.countdown) return;
+
+    const ready = this.readyPlayerIds(await this.getMembers(roomId));
+    if (ready.length >= check.minPlayers) {
+      this.startCountdown(check);
+    } else {
+      this.fail(check, 'NOT_ENOUGH_READY', ready.length);
+    }
+  }
+
+  startCountdown(check) {
+    if (check.timeout) {
+      clearTimeout(check.timeout);
+      check.timeout = null;
+    }
+
+    let secondsLeft = COUNTDOWN_SECONDS;
+    const tick = () => {
+      this.io.to(check.roomCode).emit('readyCheck:countdown', {
+        ...this.getCheck(check.roomId),
+        secondsLeft
+      });
+    };
+
+    check.countdown = { endsAt: Date.now() + COUNTDOWN_SECONDS * 1000, interval: null };
+    tick();
+    check.countdown.interval = setInterval(() => {
+      secondsLeft -= 1;
+      if (secondsLeft > 0) {
+        tick();
+        return;
+      }
+      this.stopCountdown(check);
+      this.finish(check).catch((error) => {
+        console.error('❌ [READY CHECK] Launch failed:', error);
+        // Capacity errors (lib/gameCapacity.js) carry a code players can act on
+        this.fail(check, error.code || 'LAUNCH_FAILED', null, error.code ? error.message : null);
+      });
+    }, 1000);
+
+    console.log(`⏳ [READY CHECK] Countdown started in ${check.roomCode}`);
+  }
+
+  stopCountdown(check) {
+    if (check.countdown?.interval) clearInterval(check.countdown.interval);
+    check.countdown = null;
+  }
+
+  async finish(check) {
+    const ready = this.readyPlayerIds(await this.getMembers(check.roomId));
+    if (ready.length < check.minPlayers) {
+      this.fail(check, 'NOT_ENOUGH_READY', ready.length);
+      return;
+    }
+
+    this.clear(check.roomId);
+    console.log(`🚀 [READY CHECK] Launching ${check.gameType} in ${check.roomCode} for ${ready.length} ready players`);
+    await this.launch(check.roomCode, ready);
+  }
+
+  fail(check, code, readyCount = null, message = null) {
+    this.clear(check.roomId);
+    message = message || (code === 'NOT_ENOUGH_READY'
+      ? `Not enough players ready (${readyCount}/${check.minPlayers})`
+      : 'The game could not be started');
+
+    console.log(`❌ [READY CHECK] Failed in ${check.roomCode}: ${code}`);
+    this.io.to(check.roomCode).emit('readyCheck:failed', { code, message, minPlayers: check.minPlayers });
+  }
+
+  /**
+   * Host called the check off, started the game directly or the room went away
+   */
+  cancel(roomId, reason = 'host_cancelled') {
+    const check = this.checks.get(roomId);
+    if (!check) return false;
+
+    this.clear(roomId);
+    this.io.to(check.roomCode).emit('readyCheck:cancelled', { reason });
+    return true;
+  }
+
+  /**
+   * Forget a room's check without notifying anyone (the game is starting anyway)
+   */
+  clear(roomId) {
+    const check = this.checks.get(roomId);
+    if (!check) return;
+
+    if (check.timeout) clearTimeout(check.timeout);
+    this.stopCountdown(check);
+    this.checks.delete(roomId);
+  }
+}
+
+module.exports = ReadyCheckManager;
+module.exports.ReadyCheckError = ReadyCheckError;
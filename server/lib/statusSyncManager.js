@@ -475,7 +475,11 @@ class StatusSyncManager {
       );
 
       console.log(`✅ [STATUS] Game end handled: ${result.summary.successful} players returned to lobby`);
-      return { success: true, playersReturned: result.summary.successful };
+      return {
+        success: true,
+        playersReturned: result.summary.successful,
+        players: playersInGame.map(player => player.user_id)
+      };
 
     } catch (error) {
       console.error(`❌ [STATUS] Failed to handle game end:`, error);
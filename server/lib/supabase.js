@@ -485,22 +485,24 @@ class DatabaseService {
   // Game state management
   async saveGameState(roomId, gameType, stateData, createdBy) {
     try {
-      // Get current max version
-      const { data: maxVersion } = await this.adminClient
-        .from('game_sessions')
-        .select('id')
+      // Versions count up per room and game
+      const { data: latest } = await this.adminClient
+        .from('game_states')
+        .select('state_version')
         .eq('room_id', roomId)
-        .order('started_at', { ascending: false })
+        .eq('game_name', gameType)
+        .order('state_version', { ascending: false })
         .limit(1)
-        .single();
+        .maybeSingle();
 
       const { data: gameState, error } = await this.adminClient
-        .from('game_sessions')
+        .from('game_states')
         .insert([{
           room_id: roomId,
-          game_id: gameType,
-          game_state: stateData,
-          participants: [{ user_id: createdBy }]
+          game_name: gameType,
+          state_data: stateData || {},
+          state_version: (latest?.state_version || 0) + 1,
+          created_by: createdBy
         }])
         .select()
         .single();
@@ -513,17 +515,18 @@ class DatabaseService {
     }
   }
 
-  async getLatestGameState(roomId) {
+  async getLatestGameState(roomId, gameType) {
     try {
       const { data: gameState, error } = await this.adminClient
-        .from('game_sessions')
+        .from('game_states')
         .select('*')
         .eq('room_id', roomId)
-        .order('started_at', { ascending: false })
+        .eq('game_name', gameType)
+        .order('state_version', { ascending: false })
         .limit(1)
-        .single();
+        .maybeSingle();
 
-      if (error && error.code !== 'PGRST116') throw error;
+      if (error) throw error;
       return gameState;
     } catch (error) {
       console.error('Error getting game state:', error);
@@ -546,6 +549,23 @@ class DatabaseService {
     }
   }
 
+  async expireRoomInvitations() {
+    try {
+      const { data, error } = await this.adminClient
+        .from('room_invitations')
+        .update({ status: 'expired' })
+        .eq('status', 'pending')
+        .lt('expires_at', new Date().toISOString())
+        .select('id');
+
+      if (error) throw error;
+      return data?.length || 0;
+    } catch (error) {
+      console.error('Error expiring room invitations:', error);
+      return 0;
+    }
+  }
+
   async refreshActiveRoomsView() {
     try {
       // This would refresh a materialized view if we had one
@@ -715,6 +735,8 @@ class DatabaseService {
           });
           
           await this.deleteRoom(room.id);
+          // Required here: the webhook service itself depends on this module
+          require('../services/webhookService').roomEvent(room, 'room.closed', { reason: 'inactive' });
           cleanedCount++;
           cleanedRooms.push(room.room_code);
           console.log(`✅ [CLEANUP DEBUG] Successfully cleaned up room: ${room.room_code}`);
@@ -2,6 +2,9 @@
 const Joi = require('joi');
 const rateLimit = require('express-rate-limit');
 const { db } = require('./supabase');
+const apiKeyService = require('../services/apiKeyService');
+const apiUsageService = require('../services/apiUsageService');
+const webhookService = require('../services/webhookService');
 
 // Player name validation
 const playerNameSchema = Joi.string()
@@ -91,6 +94,28 @@ const gameTypeSchema = Joi.string()
     'external': 'Invalid game type selected'
   });
 
+// Game result reported by a game server (V2 game-end API)
+const gameResultSchema = Joi.object({
+  sessionId: Joi.string().trim().min(1).max(100).required(),
+  startedAt: Joi.date().iso().max('now').optional(),
+  endedAt: Joi.date().iso().optional()
+    .when('startedAt', { is: Joi.exist(), then: Joi.date().greater(Joi.ref('startedAt')) }),
+  durationSeconds: Joi.number().integer().min(1).max(86400).optional(),
+  gameMode: Joi.string().max(50).optional(),
+  wasAbandoned: Joi.boolean().default(false),
+  players: Joi.array().items(Joi.object({
+    userId: Joi.string().uuid().required(),
+    rank: Joi.number().integer().min(1).optional(),
+    score: Joi.number().optional(),
+    isWinner: Joi.boolean().default(false),
+    abandoned: Joi.boolean().default(false)
+  })).min(1).max(100).unique('userId').required()
+}).or('durationSeconds', 'startedAt')
+  .messages({
+    'object.missing': 'Either durationSeconds or startedAt is required',
+    'array.unique': 'Each player may only appear once'
+  });
+
 // Validation schemas for different socket events
 const schemas = {
   // Create room validation
@@ -109,8 +134,22 @@ const schemas = {
 
   // Select game validation
   selectGame: Joi.object({
-    roomCode: roomCodeSchema.required(),
-    gameType: gameTypeSchema.required()
+    roomCode: roomCodeSchema.optional(),
+    gameType: gameTypeSchema.allow(null).required(),
+    maxPlayers: Joi.number().integer().min(2).max(50).optional(),
+    settings: Joi.object().optional()
+  }),
+
+  // Host-chosen room size within the selected game's player limits
+  updateRoomCapacity: Joi.object({
+    roomCode: roomCodeSchema.optional(),
+    maxPlayers: Joi.number().integer().min(2).max(50).required()
+  }),
+
+  // Host changes the selected game's settings (checked against the game's schema in lib/gameSettings.js)
+  updateGameSettings: Joi.object({
+    roomCode: roomCodeSchema.optional(),
+    settings: Joi.object().required()
   }),
 
   // Start game validation
@@ -145,15 +184,34 @@ const schemas = {
 
   // Player ready validation
   playerReady: Joi.object({
-    roomCode: roomCodeSchema.required(),
+    roomCode: roomCodeSchema.optional(),
     isReady: Joi.boolean().required()
   }),
 
-  // Chat message validation
+  // Host ready check before a game starts
+  startReadyCheck: Joi.object({
+    roomCode: roomCodeSchema.optional(),
+    timeoutSeconds: Joi.number().integer().min(10).max(120).optional()
+  }),
+
+  // Chat message validation (room and sender come from the connection)
   sendMessage: Joi.object({
-    roomCode: roomCodeSchema.required(),
-    message: Joi.string().min(1).max(500).required(),
-    type: Joi.string().valid('chat', 'system', 'game').optional()
+    roomCode: roomCodeSchema.optional(),
+    message: Joi.string().trim().min(1).max(500).required()
+  }),
+
+  // Host chat moderation
+  deleteChatMessage: Joi.object({
+    messageId: Joi.string().uuid().required()
+  }),
+
+  muteChatPlayer: Joi.object({
+    targetPlayerId: Joi.string().uuid().required(),
+    durationMinutes: Joi.number().integer().min(1).max(1440).optional()
+  }),
+
+  unmuteChatPlayer: Joi.object({
+    targetPlayerId: Joi.string().uuid().required()
   }),
 
   // Return to lobby validation
@@ -165,6 +223,188 @@ const schemas = {
   // Auto update room status validation
   autoUpdateRoomStatus: Joi.object({
     roomCode: roomCodeSchema.required()
+  }),
+
+  // Game result reported by a game server (V2 game-end API)
+  gameResult: gameResultSchema,
+
+  // Player report validation
+  reportPlayer: Joi.object({
+    reportedUserId: Joi.string().uuid().required(),
+    reason: Joi.string().valid('harassment', 'cheating', 'spam', 'inappropriate_name', 'offensive_content', 'other').required(),
+    description: Joi.string().trim().max(1000).allow('').optional(),
+    roomCode: roomCodeSchema.optional()
+  }),
+
+  // Admin moderation validation
+  updateReport: Joi.object({
+    status: Joi.string().valid('investigating', 'resolved', 'dismissed').required(),
+    resolution: Joi.string().trim().max(1000).allow('').optional()
+  }),
+
+  issueBan: Joi.object({
+    userId: Joi.string().uuid().required(),
+    banType: Joi.string().valid('warning', 'temporary', 'permanent').required(),
+    reason: Joi.string().trim().min(3).max(500).required(),
+    durationHours: Joi.when('banType', {
+      is: 'temporary',
+      then: Joi.number().integer().min(1).max(24 * 365).required(),
+      otherwise: Joi.forbidden()
+    }),
+    reportId: Joi.string().uuid().optional()
+  }),
+
+  moderatorAction: Joi.object({
+    reason: Joi.string().trim().max(500).allow('').optional()
+  }),
+
+  // Affiliate payout validation
+  affiliatePayout: Joi.object({
+    earningIds: Joi.array().items(Joi.string().uuid()).min(1).max(500).unique().required(),
+    payoutReference: Joi.string().trim().max(100).allow('').optional()
+  }),
+
+  affiliateClawback: Joi.object({
+    reason: Joi.string().trim().min(3).max(500).required()
+  }),
+
+  // Gift premium and promo code validation
+  giftCheckout: Joi.object({
+    tier: Joi.string().valid('monthly', 'lifetime').required(),
+    months: Joi.when('tier', {
+      is: 'monthly',
+      then: Joi.number().integer().min(1).max(12).default(1),
+      otherwise: Joi.forbidden()
+    })
+  }),
+
+  redeemPremiumCode: Joi.object({
+    code: Joi.string().trim().uppercase().min(4).max(32).pattern(/^[A-Z0-9-]+$/).required()
+      .messages({ 'string.pattern.base': 'Codes only contain letters, numbers and dashes' })
+  }),
+
+  createPromoCode: Joi.object({
+    code: Joi.string().trim().uppercase().min(4).max(32).pattern(/^[A-Z0-9-]+$/).optional()
+      .messages({ 'string.pattern.base': 'Codes only contain letters, numbers and dashes' }),
+    tier: Joi.string().valid('monthly', 'lifetime').required(),
+    durationDays: Joi.when('tier', {
+      is: 'monthly',
+      then: Joi.number().integer().min(1).max(3650).required(),
+      otherwise: Joi.forbidden()
+    }),
+    maxUses: Joi.number().integer().min(1).max(100000).default(1),
+    expiresAt: Joi.date().iso().greater('now').optional(),
+    note: Joi.string().trim().max(200).allow('').optional()
+  }),
+
+  // API key management validation
+  createApiKey: Joi.object({
+    name: Joi.string().trim().min(2).max(100).required(),
+    serviceName: Joi.string().trim().lowercase().pattern(/^[a-z0-9-]+$/).max(50).required()
+      .messages({ 'string.pattern.base': 'serviceName must be a game id (lowercase letters, numbers, dashes)' }),
+    scopes: Joi.array().items(Joi.string().valid(...apiKeyService.scopes)).min(1).unique().default([...apiKeyService.scopes]),
+    description: Joi.string().trim().max(500).allow('').optional(),
+    expiresAt: Joi.date().iso().greater('now').optional(),
+    rateLimit: Joi.number().integer().min(1).max(1000000).optional(),
+    dailyQuota: Joi.number().integer().min(1).max(100000000).optional()
+  }),
+
+  updateApiKeyQuotas: Joi.object({
+    rateLimit: Joi.number().integer().min(1).max(1000000).optional(),
+    dailyQuota: Joi.number().integer().min(1).max(100000000).optional()
+  }).or('rateLimit', 'dailyQuota'),
+
+  configureWebhook: Joi.object({
+    url: Joi.string().trim().uri({ scheme: process.env.NODE_ENV === 'production' ? ['https'] : ['http', 'https'] }).max(500).required(),
+    secret: Joi.string().min(16).max(128).optional(),
+    events: Joi.array().items(Joi.string().valid(...webhookService.events)).min(1).unique().optional(),
+    enabled: Joi.boolean().default(true)
+  }),
+
+  webhookDeliveriesQuery: Joi.object({
+    status: Joi.string().valid('pending', 'delivering', 'delivered', 'failed').optional(),
+    event: Joi.string().valid(...webhookService.events).optional(),
+    limit: Joi.number().integer().min(1).max(200).default(50)
+  }),
+
+  apiUsageQuery: Joi.object({
+    hours: Joi.number().integer().min(1).max(24 * 30).default(24),
+    keyId: Joi.string().guid().optional()
+  }),
+
+  rotateApiKey: Joi.object({
+    overlapHours: Joi.number().min(0).max(24 * 30).default(24)
+  }),
+
+  // V2 game API requests - these also generate /api/v2/openapi.json
+  validateRoomQuery: Joi.object({
+    playerName: Joi.string().trim().max(50).optional(),
+    playerId: Joi.string().trim().max(100).optional(),
+    sessionToken: Joi.string().max(200).optional()
+  }),
+
+  playerStatusUpdate: Joi.object({
+    status: Joi.string().valid('connected', 'disconnected', 'in_game', 'returning', 'lobby').required(),
+    location: Joi.string().valid('game', 'lobby', 'disconnected').optional()
+      .description('Defaults to the location the status implies'),
+    metadata: Joi.object().unknown(true).default({}),
+    syncSession: Joi.boolean().default(false).description('Return a fresh player session token')
+  }),
+
+  bulkStatusUpdate: Joi.object({
+    players: Joi.array().items(Joi.object({
+      playerId: Joi.string().trim().max(100).required(),
+      location: Joi.string().valid('game', 'lobby', 'disconnected').default('lobby'),
+      reason: Joi.string().max(200).optional(),
+      gameData: Joi.object().unknown(true).optional()
+    })).min(1).max(100).required(),
+    reason: Joi.string().max(200).optional(),
+    gameState: Joi.object().unknown(true).optional(),
+    returnToLobby: Joi.boolean().default(false)
+  }),
+
+  gameApiJoin: Joi.object({
+    playerName: Joi.string().trim().min(1).max(50).optional(),
+    playerId: Joi.string().trim().max(100).optional()
+      .description('GameBuddies user id, or your own id for players without an account')
+  }).or('playerName', 'playerId'),
+
+  gameStateSave: Joi.object({
+    playerId: Joi.string().trim().max(100).required(),
+    gameState: Joi.object().unknown(true).required(),
+    stateType: Joi.string().max(20).default('full')
+  }),
+
+  gameStateQuery: Joi.object({
+    version: Joi.number().integer().min(1).optional()
+  }),
+
+  gameEvent: Joi.object({
+    playerId: Joi.string().trim().max(100).allow(null).optional(),
+    eventType: Joi.string().trim().min(1).max(100).required().description('Logged as game_<eventType>'),
+    eventData: Joi.object().unknown(true).default({})
+  }),
+
+  sessionRecover: Joi.object({
+    sessionToken: Joi.string().max(200).required(),
+    socketId: Joi.string().max(100).optional()
+  }),
+
+  heartbeat: Joi.object({
+    metadata: Joi.object().unknown(true).default({})
+  }),
+
+  gameEnd: Joi.object({
+    gameResult: gameResultSchema.optional().description('Omit (or send {}) to only return players to the lobby'),
+    returnPlayers: Joi.boolean().default(true)
+  }),
+
+  progressEvent: Joi.object({
+    userId: Joi.string().uuid().required(),
+    amount: Joi.number().integer().min(1).max(100000).required(),
+    source: Joi.string().max(50).optional(),
+    gameId: Joi.string().max(50).optional().description('Must be the API key\'s own game'),
+    metadata: Joi.object().unknown(true).optional()
   })
 };
 
@@ -213,6 +453,9 @@ const sanitize = {
       .substring(0, 20);
   },
 
+  // Escape LIKE/ILIKE wildcards so a value only matches itself (case-insensitively with ilike)
+  likePattern: (value) => String(value ?? '').replace(/[\\%_]/g, '\\$&'),
+
   // Sanitize room code
   roomCode: (code) => {
     if (!code) return '';
@@ -264,6 +507,7 @@ const rateLimits = {
   joinRoom: { max: 10, window: 60000 }, // 10 join attempts per minute
   sendMessage: { max: 30, window: 60000 }, // 30 messages per minute
   startGame: { max: 3, window: 60000 }, // 3 game starts per minute
+  sendInvite: { max: 10, window: 60000 }, // 10 room invites per minute
   default: { max: 60, window: 60000 } // 60 requests per minute default
 };
 
@@ -272,7 +516,9 @@ const apiRateLimiterConfig = {
   statusUpdates: { windowMs: 60 * 1000, max: 180 },
   bulkUpdates: { windowMs: 60 * 1000, max: 30 },
   polling: { windowMs: 60 * 1000, max: 60 },
-  heartbeats: { windowMs: 60 * 1000, max: 300 }
+  heartbeats: { windowMs: 60 * 1000, max: 300 },
+  // Per signed-in user, so a shared IP doesn't block a whole household
+  reports: { windowMs: 60 * 60 * 1000, max: 10, keyGenerator: (req) => req.user?.id || req.ip }
 };
 
 const createRateLimiter = (config = {}) => rateLimit({
@@ -280,6 +526,7 @@ const createRateLimiter = (config = {}) => rateLimit({
   max: config.max ?? 60,
   standardHeaders: true,
   legacyHeaders: false,
+  ...(config.keyGenerator ? { keyGenerator: config.keyGenerator } : {}),
   message: {
     success: false,
     error: 'Too many requests',
@@ -307,14 +554,9 @@ async function validateApiKey(req, res, next) {
   }
 
   try {
-    const { data: keyRecord, error } = await db.adminClient
-      .from('api_keys')
-      .select('*')
-      .eq('key_hash', apiKey)
-      .eq('is_active', true)
-      .single();
+    const keyRecord = await apiKeyService.authenticate(apiKey);
 
-    if (error || !keyRecord) {
+    if (!keyRecord) {
       return res.status(401).json({
         success: false,
         error: 'Invalid API key',
@@ -323,31 +565,35 @@ async function validateApiKey(req, res, next) {
     }
 
     req.apiKey = keyRecord;
-
-    const nowIso = new Date().toISOString();
+    apiUsageService.trackRequest(req, res, keyRecord);
 
     try {
       await db.adminClient
         .from('api_keys')
-        .update({ last_used: nowIso })
+        .update({ last_used: new Date().toISOString() })
         .eq('id', keyRecord.id);
     } catch (updateError) {
       console.warn('[API AUTH] Failed to update API key usage timestamp:', updateError);
     }
 
-    try {
-      await db.adminClient
-        .from('api_requests')
-        .insert({
-          api_key_id: keyRecord.id,
-          endpoint: req.path,
-          method: req.method,
-          ip_address: req.ip,
-          user_agent: req.get('User-Agent') || '',
-          created_at: nowIso
-        });
-    } catch (logError) {
-      console.warn('[API AUTH] Failed to log API request:', logError);
+    const quota = await apiUsageService.consume(keyRecord);
+    res.set({
+      'X-Quota-Window': quota.window,
+      'X-Quota-Limit': String(quota.limit),
+      'X-Quota-Remaining': String(quota.remaining),
+      'X-Quota-Reset': String(Math.ceil(quota.resetAt / 1000))
+    });
+
+    if (!quota.allowed) {
+      const retryAfter = Math.max(1, Math.ceil((quota.resetAt - Date.now()) / 1000));
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: `API key ${quota.window} quota of ${quota.limit} calls exceeded`,
+        code: 'QUOTA_EXCEEDED',
+        window: quota.window,
+        retryAfter
+      });
     }
 
     return next();
@@ -361,6 +607,58 @@ async function validateApiKey(req, res, next) {
   }
 }
 
+// Per-route authorization for API keys (after validateApiKey): the key needs
+// the scope, and a key may only touch rooms playing its own game. Write scopes
+// also need the room to have selected that game (not none or the lobby).
+function requireApiScope(scope) {
+  return async (req, res, next) => {
+    const keyScopes = req.apiKey?.scopes || [];
+    if (!keyScopes.includes(scope)) {
+      return res.status(403).json({
+        success: false,
+        error: `API key is missing the ${scope} scope`,
+        code: 'INSUFFICIENT_SCOPE',
+        requiredScope: scope
+      });
+    }
+
+    // DDF-style endpoints pass the room in the body
+    const roomCode = req.params.roomCode || req.body?.roomCode;
+    if (!roomCode || typeof roomCode !== 'string') return next();
+
+    try {
+      const { data: room, error } = await db.adminClient
+        .from('rooms')
+        .select('current_game')
+        .eq('room_code', roomCode)
+        .maybeSingle();
+
+      if (error) throw error;
+
+      // Missing rooms are reported by the route itself
+      const isWrite = scope.endsWith(':write');
+      if (room && (room.current_game || isWrite) && room.current_game !== req.apiKey.service_name) {
+        return res.status(403).json({
+          success: false,
+          error: 'API key is not allowed to access this room',
+          code: 'ROOM_GAME_MISMATCH',
+          expectedGame: req.apiKey.service_name,
+          actualGame: room.current_game || null
+        });
+      }
+
+      return next();
+    } catch (err) {
+      console.error('[API AUTH] Room access check error:', err);
+      return res.status(500).json({
+        success: false,
+        error: 'API key validation failed',
+        code: 'API_KEY_VALIDATION_FAILED'
+      });
+    }
+  };
+}
+
 // Clear game types cache (useful after adding new games)
 function clearGameTypesCache() {
   validGameTypesCache = null;
@@ -373,6 +671,7 @@ module.exports = {
   createValidator,
   sanitize,
   validateApiKey,
+  requireApiScope,
   rateLimits,
   getValidGameTypes,
   clearGameTypesCache,
@@ -382,13 +681,46 @@ module.exports = {
     createRoom: createValidator('createRoom'),
     joinRoom: createValidator('joinRoom'),
     selectGame: createValidator('selectGame'),
+    updateRoomCapacity: createValidator('updateRoomCapacity'),
+    updateGameSettings: createValidator('updateGameSettings'),
     startGame: createValidator('startGame'),
     transferHost: createValidator('transferHost'),
     kickPlayer: createValidator('kickPlayer'),
     changeRoomStatus: createValidator('changeRoomStatus'),
     leaveRoom: createValidator('leaveRoom'),
     playerReady: createValidator('playerReady'),
+    startReadyCheck: createValidator('startReadyCheck'),
     sendMessage: createValidator('sendMessage'),
+    deleteChatMessage: createValidator('deleteChatMessage'),
+    muteChatPlayer: createValidator('muteChatPlayer'),
+    unmuteChatPlayer: createValidator('unmuteChatPlayer'),
+    gameResult: createValidator('gameResult'),
+    reportPlayer: createValidator('reportPlayer'),
+    updateReport: createValidator('updateReport'),
+    issueBan: createValidator('issueBan'),
+    moderatorAction: createValidator('moderatorAction'),
+    affiliatePayout: createValidator('affiliatePayout'),
+    affiliateClawback: createValidator('affiliateClawback'),
+    giftCheckout: createValidator('giftCheckout'),
+    redeemPremiumCode: createValidator('redeemPremiumCode'),
+    createPromoCode: createValidator('createPromoCode'),
+    createApiKey: createValidator('createApiKey'),
+    rotateApiKey: createValidator('rotateApiKey'),
+    updateApiKeyQuotas: createValidator('updateApiKeyQuotas'),
+    apiUsageQuery: createValidator('apiUsageQuery'),
+    configureWebhook: createValidator('configureWebhook'),
+    webhookDeliveriesQuery: createValidator('webhookDeliveriesQuery'),
+    validateRoomQuery: createValidator('validateRoomQuery'),
+    playerStatusUpdate: createValidator('playerStatusUpdate'),
+    bulkStatusUpdate: createValidator('bulkStatusUpdate'),
+    gameApiJoin: createValidator('gameApiJoin'),
+    gameStateSave: createValidator('gameStateSave'),
+    gameStateQuery: createValidator('gameStateQuery'),
+    gameEvent: createValidator('gameEvent'),
+    sessionRecover: createValidator('sessionRecover'),
+    heartbeat: createValidator('heartbeat'),
+    gameEnd: createValidator('gameEnd'),
+    progressEvent: createValidator('progressEvent'),
 
     autoUpdateRoomStatus: createValidator('autoUpdateRoomStatus')
   }
@@ -4,6 +4,7 @@
  */
 
 const { supabaseAdmin } = require('../lib/supabase');
+const banService = require('../services/banService');
 
 /**
  * Middleware to verify Supabase auth token
@@ -49,6 +50,13 @@ async function requireAuth(req, res, next) {
       role: user.role
     });
 
+    // Banned accounts can't use authenticated endpoints
+    const ban = await banService.getActiveBan(user.id);
+    if (ban) {
+      console.warn(`🚫 [AUTH MIDDLEWARE] Blocked banned user ${user.id} (${ban.ban_type})`);
+      return res.status(403).json(banService.toErrorPayload(ban));
+    }
+
     // Attach user to request
     req.user = user;
     next();
@@ -89,7 +97,63 @@ function requireOwnAccount(req, res, next) {
   next();
 }
 
+/**
+ * Middleware for public endpoints that personalise results when signed in
+ * Attaches req.user if a valid token is sent, otherwise continues anonymously
+ */
+async function optionalAuth(req, res, next) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return next();
+  }
+
+  try {
+    const { data: { user }, error } = await supabaseAdmin.auth.getUser(authHeader.substring(7));
+    if (!error && user) {
+      req.user = user;
+    }
+  } catch (error) {
+    console.error('❌ [AUTH MIDDLEWARE] Optional auth failed:', error.message);
+  }
+  next();
+}
+
+/**
+ * Middleware factory restricting a route to users with one of the given
+ * public.users roles. Use after requireAuth; attaches req.userRole.
+ */
+function requireRole(...roles) {
+  return async (req, res, next) => {
+    if (!req.user?.id) {
+      return res.status(401).json({ error: 'Unauthorized - Not authenticated' });
+    }
+
+    try {
+      const { data: publicUser, error } = await supabaseAdmin
+        .from('users')
+        .select('role')
+        .eq('id', req.user.id)
+        .maybeSingle();
+
+      if (error) throw error;
+
+      if (!publicUser || !roles.includes(publicUser.role)) {
+        console.warn(`⚠️ [AUTH] User ${req.user.id} tried to access ${req.method} ${req.originalUrl} without role (${roles.join('/')})`);
+        return res.status(403).json({ error: 'Forbidden - Insufficient permissions', code: 'FORBIDDEN' });
+      }
+
+      req.userRole = publicUser.role;
+      next();
+    } catch (error) {
+      console.error('❌ [AUTH MIDDLEWARE] Role check failed:', error);
+      return res.status(500).json({ error: 'Failed to verify permissions' });
+    }
+  };
+}
+
 module.exports = {
   requireAuth,
-  requireOwnAccount
+  requireOwnAccount,
+  optionalAuth,
+  requireRole
 };
@@ -0,0 +1,26 @@
+const express = require('express');
+const { requireAuth } = require('../middlewares/auth');
+const achievementService = require('../services/achievementService');
+const router = express.Router();
+
+/**
+ * GET /api/achievements/me
+ * All visible achievements with the current user's progress and unlock dates
+ */
+router.get('/me', requireAuth, async (req, res) => {
+  try {
+    const achievements = await achievementService.getUserAchievements(req.user.id);
+
+    res.json({
+      success: true,
+      achievements,
+      earnedCount: achievements.filter(a => a.earnedAt).length,
+      totalCount: achievements.length
+    });
+  } catch (error) {
+    console.error('❌ [ACHIEVEMENTS] Error loading achievements:', error);
+    res.status(500).json({ error: 'Failed to load achievements' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,505 @@
+const express = require('express');
+const { supabaseAdmin, db } = require('../lib/supabase');
+const { requireAuth, requireRole } = require('../middlewares/auth');
+const { validators } = require('../lib/validation');
+const banService = require('../services/banService');
+const webhookService = require('../services/webhookService');
+const chatService = require('../services/chatService');
+
+const OPEN_REPORT_STATUSES = ['pending', 'investigating'];
+const REPORT_STATUSES = ['pending', 'investigating', 'resolved', 'dismissed'];
+const LIVE_ROOM_STATUSES = ['lobby', 'in_game', 'returning'];
+const WARNING_TTL_DAYS = 90; // user_bans requires an expiry for non-permanent rows
+const LIST_LIMIT = 100;
+
+const USER_FIELDS = 'id, username, display_name, avatar_url, role';
+
+/**
+ * Admin moderation API
+ * Every route requires an admin or moderator; every action that changes
+ * something is audited in room_events as a moderator_* event.
+ */
+module.exports = (io, connectionManager) => {
+  const router = express.Router();
+
+  // Per-route rather than router.use so the older /api/admin maintenance
+  // endpoints registered in index.js aren't caught by this router
+  const staffOnly = [requireAuth, requireRole('admin', 'moderator')];
+
+  const audit = (roomId, moderatorId, action, data = {}) =>
+    db.logEvent(roomId || null, moderatorId, `moderator_${action}`, data);
+
+  const toLobbyPlayers = (room) => (room?.participants || []).map(p => ({
+    id: p.user_id,
+    name: p.custom_lobby_name || p.user?.display_name || p.user?.username,
+    isHost: p.role === 'host',
+    isConnected: p.is_connected,
+    inGame: p.in_game,
+    currentLocation: p.current_location || (p.is_connected ? 'lobby' : 'disconnected'),
+    lastPing: p.last_ping,
+    premiumTier: p.user?.premium_tier || 'free',
+    role: p.user?.role || 'user',
+    avatarUrl: p.user?.avatar_url,
+    avatarStyle: p.user?.avatar_style,
+    avatarSeed: p.user?.avatar_seed,
+    avatarOptions: p.user?.avatar_options,
+    socketId: null
+  }));
+
+  /**
+   * Remove a player from a room, the same way a host kick does
+   */
+  const kickFromRoom = async (room, userId, reason) => {
+    const target = room.participants?.find(p => p.user_id === userId);
+    await db.removeParticipant(room.id, userId);
+
+    for (const connection of connectionManager.getUserConnections(userId)) {
+      if (connection.roomId !== room.id) continue;
+
+      io.to(connection.socketId).emit('playerKicked', {
+        reason,
+        kickedBy: 'a moderator',
+        roomCode: room.room_code
+      });
+      io.sockets.sockets.get(connection.socketId)?.leave(room.room_code);
+      connection.roomId = null;
+      connection.userId = null;
+    }
+
+    const updatedRoom = await db.getRoomByCode(room.room_code);
+    io.to(room.room_code).emit('playerKicked', {
+      targetUserId: userId,
+      targetName: target?.custom_lobby_name || target?.user?.display_name || target?.user?.username,
+      kickedBy: 'a moderator',
+      players: toLobbyPlayers(updatedRoom),
+      room: updatedRoom,
+      isNotification: true
+    });
+    webhookService.roomEvent(room, 'player.kicked', { playerId: userId, kickedBy: 'moderator', reason });
+    chatService.postSystemMessage(room, `${target?.custom_lobby_name || target?.user?.display_name || target?.user?.username || 'A player'} was removed by a moderator`);
+  };
+
+  /**
+   * Send everyone home and abandon the room
+   */
+  const closeRoom = async (room, reason) => {
+    io.to(room.room_code).emit('playerKicked', {
+      reason,
+      kickedBy: 'a moderator',
+      roomCode: room.room_code
+    });
+    io.in(room.room_code).socketsLeave(room.room_code);
+
+    for (const connection of connectionManager.getRoomConnections(room.id)) {
+      connection.roomId = null;
+      connection.userId = null;
+    }
+
+    const { error: membersError } = await supabaseAdmin
+      .from('room_members')
+      .delete()
+      .eq('room_id', room.id);
+    if (membersError) throw membersError;
+
+    await db.updateRoom(room.id, { status: 'abandoned' });
+    webhookService.roomEvent(room, 'room.closed', { reason: 'moderator' });
+  };
+
+  // ===== REPORTS =====
+
+  /**
+   * GET /api/admin/reports
+   * Reports queue. ?status=open (default: pending + investigating), a single
+   * status, or all
+   */
+  router.get('/reports', staffOnly, async (req, res) => {
+    try {
+      const { status = 'open' } = req.query;
+      if (status !== 'open' && status !== 'all' && !REPORT_STATUSES.includes(status)) {
+        return res.status(400).json({ error: 'Invalid status filter', code: 'INVALID_FILTER' });
+      }
+
+      let query = supabaseAdmin
+        .from('user_reports')
+        .select(`
+          id, reason, description, status, resolution, evidence,
+          occurred_in_room_id, created_at, resolved_at,
+          reported_user:users!reported_user_id(${USER_FIELDS}),
+          reporter:users!reported_by(${USER_FIELDS}),
+          assignee:users!assigned_to(id, username, display_name)
+        `)
+        .order('created_at', { ascending: status === 'open' })
+        .limit(LIST_LIMIT);
+
+      if (status === 'open') {
+        query = query.in('status', OPEN_REPORT_STATUSES);
+      } else if (status !== 'all') {
+        query = query.eq('status', status);
+      }
+
+      const { data: reports, error } = await query;
+      if (error) throw error;
+
+      res.json({ success: true, reports: reports || [] });
+    } catch (error) {
+      console.error('❌ [ADMIN] Error listing reports:', error);
+      res.status(500).json({ error: 'Failed to load reports' });
+    }
+  });
+
+  /**
+   * PATCH /api/admin/reports/:reportId
+   * Pick up, resolve or dismiss a report
+   */
+  router.patch('/reports/:reportId', staffOnly, async (req, res) => {
+    try {
+      const validation = await validators.updateReport(req.body || {});
+      if (!validation.isValid) {
+        return res.status(400).json({ error: validation.message, code: 'INVALID_REPORT_UPDATE' });
+      }
+      const { status, resolution } = validation.value;
+      const isClosing = status === 'resolved' || status === 'dismissed';
+
+      const updates = {
+        status,
+        assigned_to: req.user.id,
+        resolved_at: isClosing ? new Date().toISOString() : null
+      };
+      if (resolution !== undefined) updates.resolution = resolution;
+
+      const { data: report, error } = await supabaseAdmin
+        .from('user_reports')
+        .update(updates)
+        .eq('id', req.params.reportId)
+        .select('id, status, resolution, resolved_at, reported_user_id, occurred_in_room_id')
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!report) {
+        return res.status(404).json({ error: 'Report not found', code: 'REPORT_NOT_FOUND' });
+      }
+
+      await audit(report.occurred_in_room_id, req.user.id, 'report_updated', {
+        report_id: report.id,
+        reported_user_id: report.reported_user_id,
+        status,
+        resolution: resolution || null
+      });
+
+      console.log(`🛡️ [ADMIN] ${req.user.id} marked report ${report.id} as ${status}`);
+      res.json({ success: true, report });
+    } catch (error) {
+      console.error('❌ [ADMIN] Error updating report:', error);
+      res.status(500).json({ error: 'Failed to update report' });
+    }
+  });
+
+  // ===== BANS =====
+
+  /**
+   * GET /api/admin/bans
+   * Active bans and warnings (?userId= to see one user's full history)
+   */
+  router.get('/bans', staffOnly, async (req, res) => {
+    try {
+      let query = supabaseAdmin
+        .from('user_bans')
+        .select(`
+          id, ban_type, reason, banned_at, expires_at, is_active,
+          lifted_at, lift_reason, related_report_id,
+          user:users!user_id(${USER_FIELDS}),
+          moderator:users!banned_by(id, username, display_name)
+        `)
+        .order('banned_at', { ascending: false })
+        .limit(LIST_LIMIT);
+
+      if (req.query.userId) {
+        query = query.eq('user_id', req.query.userId);
+      } else {
+        query = query.eq('is_active', true);
+      }
+
+      const { data: bans, error } = await query;
+      if (error) throw error;
+
+      res.json({ success: true, bans: bans || [] });
+    } catch (error) {
+      console.error('❌ [ADMIN] Error listing bans:', error);
+      res.status(500).json({ error: 'Failed to load bans' });
+    }
+  });
+
+  /**
+   * POST /api/admin/bans
+   * Issue a warning, temporary or permanent ban. Banned users are removed
+   * from any room they're in (rooms they host are closed).
+   */
+  router.post('/bans', staffOnly, async (req, res) => {
+    try {
+      const validation = await validators.issueBan(req.body || {});
+      if (!validation.isValid) {
+        return res.status(400).json({ error: validation.message, code: 'INVALID_BAN' });
+      }
+      const { userId, banType, reason, durationHours, reportId } = validation.value;
+
+      if (userId === req.user.id) {
+        return res.status(400).json({ error: 'You cannot ban yourself', code: 'SELF_BAN' });
+      }
+
+      const { data: target, error: targetError } = await supabaseAdmin
+        .from('users')
+        .select('id, username, role')
+        .eq('id', userId)
+        .maybeSingle();
+
+      if (targetError) throw targetError;
+      if (!target) {
+        return res.status(404).json({ error: 'User not found', code: 'USER_NOT_FOUND' });
+      }
+      if (target.role === 'admin' || (target.role === 'moderator' && req.userRole !== 'admin')) {
+        return res.status(403).json({ error: 'You cannot ban this user', code: 'FORBIDDEN' });
+      }
+
+      let report = null;
+      if (reportId) {
+        const { data, error: reportError } = await supabaseAdmin
+          .from('user_reports')
+          .select('id, status, occurred_in_room_id')
+          .eq('id', reportId)
+          .eq('reported_user_id', userId)
+          .maybeSingle();
+
+        if (reportError) throw reportError;
+        if (!data) {
+          return res.status(404).json({ error: 'Report not found for this user', code: 'REPORT_NOT_FOUND' });
+        }
+        report = data;
+      }
+
+      let expiresAt = null;
+      if (banType === 'temporary') {
+        expiresAt = new Date(Date.now() + durationHours * 60 * 60 * 1000).toISOString();
+      } else if (banType === 'warning') {
+        expiresAt = new Date(Date.now() + WARNING_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+      }
+
+      const { data: ban, error: banError } = await supabaseAdmin
+        .from('user_bans')
+        .insert({
+          user_id: userId,
+          ban_type: banType,
+          reason,
+          expires_at: expiresAt,
+          banned_by: req.user.id,
+          related_report_id: reportId || null
+        })
+        .select('id, ban_type, reason, banned_at, expires_at')
+        .single();
+
+      if (banError) throw banError;
+      banService.invalidate(userId);
+
+      // Close out the report this ban was issued for
+      if (report && OPEN_REPORT_STATUSES.includes(report.status)) {
+        const { error: reportUpdateError } = await supabaseAdmin
+          .from('user_reports')
+          .update({
+            status: 'resolved',
+            assigned_to: req.user.id,
+            resolution: `${banType === 'warning' ? 'Warning' : 'Ban'} issued: ${reason}`,
+            resolved_at: new Date().toISOString()
+          })
+          .eq('id', report.id);
+        if (reportUpdateError) throw reportUpdateError;
+      }
+
+      await audit(report?.occurred_in_room_id, req.user.id, 'ban_issued', {
+        ban_id: ban.id,
+        user_id: userId,
+        ban_type: banType,
+        reason,
+        expires_at: expiresAt,
+        report_id: reportId || null
+      });
+
+      if (banType !== 'warning') {
+        const roomIds = [...new Set(connectionManager.getUserConnections(userId).map(c => c.roomId).filter(Boolean))];
+        for (const roomId of roomIds) {
+          const { data: roomRow } = await supabaseAdmin.from('rooms').select('room_code').eq('id', roomId).maybeSingle();
+          const room = roomRow && await db.getRoomByCode(roomRow.room_code);
+          if (!room) continue;
+
+          const isHost = room.participants?.some(p => p.user_id === userId && p.role === 'host');
+          if (isHost) {
+            await closeRoom(room, 'The host of this room was banned');
+            await audit(room.id, req.user.id, 'room_closed', { reason: 'host_banned', ban_id: ban.id });
+          } else {
+            await kickFromRoom(room, userId, banService.describe(ban));
+            await audit(room.id, req.user.id, 'player_kicked', { user_id: userId, reason: 'banned', ban_id: ban.id });
+          }
+        }
+      }
+
+      console.log(`🔨 [ADMIN] ${req.user.id} issued ${banType} to ${target.username} (${userId})`);
+      res.status(201).json({ success: true, ban });
+    } catch (error) {
+      console.error('❌ [ADMIN] Error issuing ban:', error);
+      res.status(500).json({ error: 'Failed to issue ban' });
+    }
+  });
+
+  /**
+   * DELETE /api/admin/bans/:banId
+   * Lift a ban or withdraw a warning
+   */
+  router.delete('/bans/:banId', staffOnly, async (req, res) => {
+    try {
+      const validation = await validators.moderatorAction(req.body || {});
+      if (!validation.isValid) {
+        return res.status(400).json({ error: validation.message, code: 'INVALID_REQUEST' });
+      }
+      const { reason = '' } = validation.value;
+
+      const { data: ban, error } = await supabaseAdmin
+        .from('user_bans')
+        .update({
+          is_active: false,
+          lifted_at: new Date().toISOString(),
+          lifted_by: req.user.id,
+          lift_reason: reason || null
+        })
+        .eq('id', req.params.banId)
+        .eq('is_active', true)
+        .select('id, user_id, ban_type')
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!ban) {
+        return res.status(404).json({ error: 'Active ban not found', code: 'BAN_NOT_FOUND' });
+      }
+
+      banService.invalidate(ban.user_id);
+      await audit(null, req.user.id, 'ban_lifted', {
+        ban_id: ban.id,
+        user_id: ban.user_id,
+        ban_type: ban.ban_type,
+        reason: reason || null
+      });
+
+      console.log(`🕊️ [ADMIN] ${req.user.id} lifted ${ban.ban_type} ${ban.id} for ${ban.user_id}`);
+      res.json({ success: true });
+    } catch (error) {
+      console.error('❌ [ADMIN] Error lifting ban:', error);
+      res.status(500).json({ error: 'Failed to lift ban' });
+    }
+  });
+
+  // ===== LIVE ROOMS =====
+
+  /**
+   * GET /api/admin/rooms
+   * Live rooms with their participants and open socket count
+   */
+  router.get('/rooms', staffOnly, async (req, res) => {
+    try {
+      const { data: rooms, error } = await supabaseAdmin
+        .from('rooms')
+        .select(`
+          id, room_code, status, current_game, is_public, max_players,
+          created_at, last_activity,
+          host:users!host_id(id, username, display_name),
+          participants:room_members(
+            user_id, role, is_connected, in_game, current_location, custom_lobby_name,
+            user:users(${USER_FIELDS})
+          )
+        `)
+        .in('status', LIVE_ROOM_STATUSES)
+        .order('last_activity', { ascending: false })
+        .limit(LIST_LIMIT);
+
+      if (error) throw error;
+
+      res.json({
+        success: true,
+        rooms: (rooms || []).map(room => ({
+          ...room,
+          socketCount: connectionManager.getRoomConnections(room.id).length
+        }))
+      });
+    } catch (error) {
+      console.error('❌ [ADMIN] Error listing rooms:', error);
+      res.status(500).json({ error: 'Failed to load rooms' });
+    }
+  });
+
+  /**
+   * POST /api/admin/rooms/:roomCode/close
+   * Force-close a room: everyone is sent back and the room is abandoned
+   */
+  router.post('/rooms/:roomCode/close', staffOnly, async (req, res) => {
+    try {
+      const validation = await validators.moderatorAction(req.body || {});
+      if (!validation.isValid) {
+        return res.status(400).json({ error: validation.message, code: 'INVALID_REQUEST' });
+      }
+      const { reason = '' } = validation.value;
+
+      const room = await db.getRoomByCode(req.params.roomCode.toUpperCase());
+      if (!room) {
+        return res.status(404).json({ error: 'Room not found', code: 'ROOM_NOT_FOUND' });
+      }
+
+      // Audit first so the record names who was in the room
+      await audit(room.id, req.user.id, 'room_closed', {
+        reason: reason || null,
+        participant_ids: (room.participants || []).map(p => p.user_id)
+      });
+      await closeRoom(room, reason ? `This room was closed by a moderator: ${reason}` : 'This room was closed by a moderator');
+
+      console.log(`🛑 [ADMIN] ${req.user.id} force-closed room ${room.room_code}`);
+      res.json({ success: true });
+    } catch (error) {
+      console.error('❌ [ADMIN] Error closing room:', error);
+      res.status(500).json({ error: 'Failed to close room' });
+    }
+  });
+
+  /**
+   * POST /api/admin/rooms/:roomCode/kick/:userId
+   * Remove a player from a room. Hosts can't be kicked - close the room instead.
+   */
+  router.post('/rooms/:roomCode/kick/:userId', staffOnly, async (req, res) => {
+    try {
+      const validation = await validators.moderatorAction(req.body || {});
+      if (!validation.isValid) {
+        return res.status(400).json({ error: validation.message, code: 'INVALID_REQUEST' });
+      }
+      const { reason = '' } = validation.value;
+      const { userId } = req.params;
+
+      const room = await db.getRoomByCode(req.params.roomCode.toUpperCase());
+      if (!room) {
+        return res.status(404).json({ error: 'Room not found', code: 'ROOM_NOT_FOUND' });
+      }
+
+      const target = room.participants?.find(p => p.user_id === userId);
+      if (!target) {
+        return res.status(404).json({ error: 'Player not found in room', code: 'PLAYER_NOT_FOUND' });
+      }
+      if (target.role === 'host') {
+        return res.status(409).json({ error: 'Cannot kick the host - close the room instead', code: 'CANNOT_KICK_HOST' });
+      }
+
+      await kickFromRoom(room, userId, reason ? `Removed by a moderator: ${reason}` : 'You have been removed from the room by a moderator');
+      await audit(room.id, req.user.id, 'player_kicked', { user_id: userId, reason: reason || null });
+
+      console.log(`👢 [ADMIN] ${req.user.id} kicked ${userId} from room ${room.room_code}`);
+      res.json({ success: true });
+    } catch (error) {
+      console.error('❌ [ADMIN] Error kicking player:', error);
+      res.status(500).json({ error: 'Failed to kick player' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,129 @@
+const express = require('express');
+const router = express.Router();
+const { supabaseAdmin } = require('../lib/supabase');
+const { requireAuth, requireRole } = require('../middlewares/auth');
+const { validators } = require('../lib/validation');
+const affiliateService = require('../services/affiliateService');
+
+const EARNING_STATUSES = ['pending', 'paid', 'cancelled'];
+const ADMIN_LIST_LIMIT = 500;
+
+const CLAWBACK_ERRORS = {
+  EARNING_NOT_FOUND: { status: 404, error: 'Commission not found' },
+  ALREADY_CLAWED_BACK: { status: 409, error: 'This commission was already clawed back' },
+  CLAWBACK_WINDOW_EXPIRED: { status: 409, error: 'The clawback window for this commission has passed' }
+};
+
+/**
+ * GET /api/affiliates/me
+ * The signed-in streamer's affiliate dashboard
+ */
+router.get('/me', requireAuth, async (req, res) => {
+  try {
+    const affiliate = await affiliateService.getAffiliateForUser(req.user.id);
+    if (!affiliate) {
+      return res.status(404).json({ error: 'You are not an affiliate', code: 'NOT_AFFILIATE' });
+    }
+
+    const dashboard = await affiliateService.getDashboard(affiliate);
+    res.json({ success: true, ...dashboard });
+  } catch (error) {
+    console.error('❌ [AFFILIATES] Error loading dashboard:', error);
+    res.status(500).json({ error: 'Failed to load affiliate dashboard' });
+  }
+});
+
+// ===== ADMIN: PAYOUTS & CLAWBACKS =====
+
+/**
+ * GET /api/affiliates/admin/earnings
+ * Ledger entries across affiliates (?status=pending by default, ?affiliateId=)
+ */
+router.get('/admin/earnings', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const { status = 'pending', affiliateId } = req.query;
+    if (!EARNING_STATUSES.includes(status)) {
+      return res.status(400).json({ error: 'Invalid status filter', code: 'INVALID_FILTER' });
+    }
+
+    let query = supabaseAdmin
+      .from('affiliate_earnings')
+      .select(`
+        id, entry_type, transaction_amount, commission_amount, status,
+        created_at, paid_at, payout_reference, note, related_earning_id,
+        affiliate:affiliates!affiliate_id(id, code, payout_details),
+        source_user:users!source_user_id(id, username, display_name, premium_tier, subscription_canceled_at)
+      `)
+      .eq('status', status)
+      .order('created_at', { ascending: true })
+      .limit(ADMIN_LIST_LIMIT);
+
+    if (affiliateId) {
+      query = query.eq('affiliate_id', affiliateId);
+    }
+
+    const { data: earnings, error } = await query;
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      earnings: (earnings || []).map(entry => ({
+        ...entry,
+        clawbackUntil: entry.entry_type === 'commission' ? affiliateService.clawbackDeadline(entry.created_at) : null
+      }))
+    });
+  } catch (error) {
+    console.error('❌ [AFFILIATES] Error listing earnings:', error);
+    res.status(500).json({ error: 'Failed to load earnings' });
+  }
+});
+
+/**
+ * POST /api/affiliates/admin/payouts
+ * Mark a batch of pending earnings as paid. Entries that aren't pending any
+ * more are skipped.
+ */
+router.post('/admin/payouts', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const validation = await validators.affiliatePayout(req.body || {});
+    if (!validation.isValid) {
+      return res.status(400).json({ error: validation.message, code: 'INVALID_PAYOUT' });
+    }
+    const { earningIds, payoutReference } = validation.value;
+
+    const result = await affiliateService.markPaid(earningIds, payoutReference || null);
+
+    console.log(`💸 [AFFILIATES] ${req.user.id} marked ${result.count} earnings as paid (${result.total})`);
+    res.json({ success: true, ...result, skipped: earningIds.length - result.count });
+  } catch (error) {
+    console.error('❌ [AFFILIATES] Error marking payout:', error);
+    res.status(500).json({ error: 'Failed to mark earnings as paid' });
+  }
+});
+
+/**
+ * POST /api/affiliates/admin/earnings/:earningId/clawback
+ * Reverse a commission after a refund or a cancellation inside the window
+ */
+router.post('/admin/earnings/:earningId/clawback', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const validation = await validators.affiliateClawback(req.body || {});
+    if (!validation.isValid) {
+      return res.status(400).json({ error: validation.message, code: 'INVALID_CLAWBACK' });
+    }
+
+    const result = await affiliateService.clawback(req.params.earningId, validation.value.reason);
+    if (result.error) {
+      const { status, error } = CLAWBACK_ERRORS[result.error];
+      return res.status(status).json({ error, code: result.error });
+    }
+
+    console.log(`↩️ [AFFILIATES] ${req.user.id} clawed back ${result.amount} from affiliate ${result.affiliateId}`);
+    res.json({ success: true, entry: result.entry });
+  } catch (error) {
+    console.error('❌ [AFFILIATES] Error clawing back commission:', error);
+    res.status(500).json({ error: 'Failed to claw back commission' });
+  }
+});
+
+module.exports = router;
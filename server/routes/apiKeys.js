@@ -0,0 +1,124 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth, requireRole } = require('../middlewares/auth');
+const { validators, getValidGameTypes } = require('../lib/validation');
+const apiKeyService = require('../services/apiKeyService');
+
+const adminOnly = [requireAuth, requireRole('admin')];
+
+/**
+ * GET /api/admin/api-keys
+ * All API keys (prefix, scopes and status - never the key or its hash)
+ */
+router.get('/', adminOnly, async (req, res) => {
+  try {
+    const keys = await apiKeyService.list();
+    res.json({ success: true, keys, availableScopes: apiKeyService.scopes });
+  } catch (error) {
+    console.error('❌ [API KEYS] Error listing keys:', error);
+    res.status(500).json({ error: 'Failed to load API keys' });
+  }
+});
+
+/**
+ * POST /api/admin/api-keys
+ * Create a key for one game. The raw key is only returned in this response.
+ */
+router.post('/', adminOnly, async (req, res) => {
+  try {
+    const validation = await validators.createApiKey(req.body || {});
+    if (!validation.isValid) {
+      return res.status(400).json({ error: validation.message, code: 'INVALID_API_KEY_REQUEST' });
+    }
+    const { serviceName } = validation.value;
+
+    const gameTypes = await getValidGameTypes();
+    if (serviceName === 'lobby' || !gameTypes.includes(serviceName)) {
+      return res.status(400).json({ error: `Unknown game: ${serviceName}`, code: 'UNKNOWN_GAME' });
+    }
+
+    const { key, apiKey } = await apiKeyService.create({ ...validation.value, createdBy: req.user.id });
+
+    console.log(`🔑 [API KEYS] ${req.user.id} created key ${key.key_prefix} for ${serviceName} [${key.scopes.join(', ')}]`);
+    res.status(201).json({ success: true, key, apiKey });
+  } catch (error) {
+    console.error('❌ [API KEYS] Error creating key:', error);
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+/**
+ * POST /api/admin/api-keys/:keyId/rotate
+ * Issue a replacement key; the old one keeps working for overlapHours
+ */
+router.post('/:keyId/rotate', adminOnly, async (req, res) => {
+  try {
+    const validation = await validators.rotateApiKey(req.body || {});
+    if (!validation.isValid) {
+      return res.status(400).json({ error: validation.message, code: 'INVALID_API_KEY_REQUEST' });
+    }
+
+    const result = await apiKeyService.rotate(req.params.keyId, {
+      overlapHours: validation.value.overlapHours,
+      rotatedBy: req.user.id
+    });
+
+    if (result.error === 'API_KEY_NOT_FOUND') {
+      return res.status(404).json({ error: 'API key not found', code: result.error });
+    }
+    if (result.error) {
+      return res.status(409).json({ error: 'Only active keys can be rotated', code: result.error });
+    }
+
+    console.log(`🔄 [API KEYS] ${req.user.id} rotated key ${req.params.keyId} → ${result.key.key_prefix} (old key valid until ${result.previousKeyExpiresAt})`);
+    res.status(201).json({ success: true, key: result.key, apiKey: result.apiKey, previousKeyExpiresAt: result.previousKeyExpiresAt });
+  } catch (error) {
+    console.error('❌ [API KEYS] Error rotating key:', error);
+    res.status(500).json({ error: 'Failed to rotate API key' });
+  }
+});
+
+/**
+ * PATCH /api/admin/api-keys/:keyId/quotas
+ * Change a key's per-minute (rateLimit) and per-day (dailyQuota) quotas
+ */
+router.patch('/:keyId/quotas', adminOnly, async (req, res) => {
+  try {
+    const validation = await validators.updateApiKeyQuotas(req.body || {});
+    if (!validation.isValid) {
+      return res.status(400).json({ error: validation.message, code: 'INVALID_API_KEY_REQUEST' });
+    }
+
+    const key = await apiKeyService.updateQuotas(req.params.keyId, validation.value);
+    if (!key) {
+      return res.status(404).json({ error: 'API key not found', code: 'API_KEY_NOT_FOUND' });
+    }
+
+    console.log(`📊 [API KEYS] ${req.user.id} set quotas for ${key.key_prefix || key.id}: ${key.rate_limit}/min, ${key.daily_quota}/day`);
+    res.json({ success: true, key });
+  } catch (error) {
+    console.error('❌ [API KEYS] Error updating quotas:', error);
+    res.status(500).json({ error: 'Failed to update API key quotas' });
+  }
+});
+
+/**
+ * DELETE /api/admin/api-keys/:keyId
+ * Revoke a key immediately
+ */
+router.delete('/:keyId', adminOnly, async (req, res) => {
+  try {
+    const key = await apiKeyService.revoke(req.params.keyId);
+    if (!key) {
+      return res.status(404).json({ error: 'Active API key not found', code: 'API_KEY_NOT_FOUND' });
+    }
+
+    console.log(`🚫 [API KEYS] ${req.user.id} revoked key ${key.key_prefix || key.id}`);
+    res.json({ success: true, key });
+  } catch (error) {
+    console.error('❌ [API KEYS] Error revoking key:', error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+module.exports = router;
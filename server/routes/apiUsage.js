@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth, requireRole } = require('../middlewares/auth');
+const { validators } = require('../lib/validation');
+const apiUsageService = require('../services/apiUsageService');
+
+/**
+ * GET /api/admin/api-usage?hours=24&keyId=<uuid>
+ * Game API calls by key, endpoint and status code with latency percentiles
+ */
+router.get('/', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const validation = await validators.apiUsageQuery(req.query);
+    if (!validation.isValid) {
+      return res.status(400).json({ error: validation.message, code: 'INVALID_USAGE_QUERY' });
+    }
+    const { hours, keyId } = validation.value;
+
+    const since = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+    const usage = await apiUsageService.getUsage({ since, apiKeyId: keyId || null });
+
+    res.json({ success: true, since, ...usage });
+  } catch (error) {
+    console.error('❌ [API USAGE] Error loading usage:', error);
+    res.status(500).json({ error: 'Failed to load API usage' });
+  }
+});
+
+/**
+ * GET /api/admin/api-usage/legacy
+ * Which keys still call the deprecated /api/game endpoints, and how often
+ */
+router.get('/legacy', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const usage = await apiUsageService.getLegacyUsage();
+    res.json({ success: true, usage });
+  } catch (error) {
+    console.error('❌ [API USAGE] Error loading legacy usage:', error);
+    res.status(500).json({ error: 'Failed to load legacy API usage' });
+  }
+});
+
+module.exports = router;
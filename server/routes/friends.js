@@ -0,0 +1,375 @@
+const express = require('express');
+const { supabaseAdmin } = require('../lib/supabase');
+const { requireAuth } = require('../middlewares/auth');
+const { sanitize } = require('../lib/validation');
+const achievementService = require('../services/achievementService');
+
+const FRIEND_USER_FIELDS = 'id, username, display_name, avatar_url, avatar_style, avatar_seed, avatar_options, premium_tier, level, is_guest';
+
+// friendships stores each pair once with the smaller UUID in user_id
+const orderPair = (a, b) => (a < b ? [a, b] : [b, a]);
+
+const getFriendship = async (userId, otherUserId) => {
+  const [first, second] = orderPair(userId, otherUserId);
+  const { data, error } = await supabaseAdmin
+    .from('friendships')
+    .select('*')
+    .eq('user_id', first)
+    .eq('friend_id', second)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+module.exports = (io, connectionManager) => {
+  const router = express.Router();
+
+  // Push a friend event to every socket the target user currently has open
+  const emitToUser = (userId, event, payload) => {
+    connectionManager.getUserConnections(userId).forEach(conn => {
+      io.to(conn.socketId).emit(event, payload);
+    });
+  };
+
+  // Resolve presence for a set of users from live sockets and room_members
+  const getPresence = async (userIds) => {
+    const presence = {};
+    if (userIds.length === 0) return presence;
+
+    userIds.forEach(id => {
+      presence[id] = {
+        status: connectionManager.getUserConnections(id).length > 0 ? 'online' : 'offline',
+        roomCode: null
+      };
+    });
+
+    const { data: memberships, error } = await supabaseAdmin
+      .from('room_members')
+      .select('user_id, current_location, is_connected, last_ping, room:rooms(room_code, status)')
+      .in('user_id', userIds)
+      .eq('is_connected', true)
+      .in('current_location', ['lobby', 'game'])
+      .order('last_ping', { ascending: false });
+
+    if (error) {
+      console.error('❌ [FRIENDS] Failed to load presence:', error);
+      return presence;
+    }
+
+    const seen = new Set();
+    (memberships || []).forEach(member => {
+      if (seen.has(member.user_id) || !member.room) return;
+      if (!['lobby', 'in_game', 'returning'].includes(member.room.status)) return;
+      seen.add(member.user_id);
+      presence[member.user_id] = {
+        status: member.current_location === 'game' ? 'in_game' : 'in_lobby',
+        roomCode: member.room.room_code
+      };
+    });
+
+    return presence;
+  };
+
+  /**
+   * GET /api/friends
+   * List accepted friends with presence, plus incoming/outgoing pending requests
+   */
+  router.get('/', requireAuth, async (req, res) => {
+    try {
+      const userId = req.user.id;
+
+      const { data: rows, error } = await supabaseAdmin
+        .from('friendships')
+        .select('*')
+        .or(`user_id.eq.${userId},friend_id.eq.${userId}`)
+        .in('status', ['accepted', 'pending', 'blocked']);
+
+      if (error) throw error;
+
+      const otherIds = [...new Set((rows || []).map(row => (row.user_id === userId ? row.friend_id : row.user_id)))];
+      let usersById = {};
+      if (otherIds.length > 0) {
+        const { data: users, error: usersError } = await supabaseAdmin
+          .from('users')
+          .select(FRIEND_USER_FIELDS)
+          .in('id', otherIds);
+
+        if (usersError) throw usersError;
+        usersById = Object.fromEntries((users || []).map(u => [u.id, u]));
+      }
+
+      const accepted = (rows || []).filter(row => row.status === 'accepted');
+      const presence = await getPresence(accepted.map(row => (row.user_id === userId ? row.friend_id : row.user_id)));
+
+      const toEntry = (row) => {
+        const otherId = row.user_id === userId ? row.friend_id : row.user_id;
+        return {
+          friendshipId: row.id,
+          user: usersById[otherId] || { id: otherId },
+          status: row.status,
+          requestedAt: row.requested_at,
+          acceptedAt: row.accepted_at
+        };
+      };
+
+      res.json({
+        success: true,
+        friends: accepted.map(row => {
+          const otherId = row.user_id === userId ? row.friend_id : row.user_id;
+          return { ...toEntry(row), presence: presence[otherId] || { status: 'offline', roomCode: null } };
+        }),
+        incoming: (rows || [])
+          .filter(row => row.status === 'pending' && row.requested_by !== userId)
+          .map(toEntry),
+        outgoing: (rows || [])
+          .filter(row => row.status === 'pending' && row.requested_by === userId)
+          .map(toEntry),
+        blocked: (rows || [])
+          .filter(row => row.status === 'blocked' && row.requested_by === userId)
+          .map(toEntry)
+      });
+    } catch (error) {
+      console.error('❌ [FRIENDS] Error listing friends:', error);
+      res.status(500).json({ error: 'Failed to load friends' });
+    }
+  });
+
+  /**
+   * POST /api/friends/requests
+   * Send a friend request by username or userId
+   */
+  router.post('/requests', requireAuth, async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const { username, userId: targetIdParam } = req.body || {};
+
+      if (!username && !targetIdParam) {
+        return res.status(400).json({ error: 'username or userId is required', code: 'TARGET_REQUIRED' });
+      }
+
+      let query = supabaseAdmin.from('users').select('id, username, display_name, is_guest');
+      query = targetIdParam ? query.eq('id', targetIdParam) : query.ilike('username', sanitize.likePattern(String(username).trim()));
+      const { data: target, error: targetError } = await query.maybeSingle();
+
+      if (targetError) throw targetError;
+      if (!target || target.is_guest) {
+        return res.status(404).json({ error: 'User not found', code: 'USER_NOT_FOUND' });
+      }
+      if (target.id === userId) {
+        return res.status(400).json({ error: 'You cannot add yourself', code: 'SELF_FRIEND_REQUEST' });
+      }
+
+      const existing = await getFriendship(userId, target.id);
+
+      if (existing?.status === 'blocked') {
+        return res.status(403).json({ error: 'Friend request not allowed', code: 'FRIENDSHIP_BLOCKED' });
+      }
+      if (existing?.status === 'accepted') {
+        return res.status(409).json({ error: 'Already friends', code: 'ALREADY_FRIENDS' });
+      }
+      if (existing?.status === 'pending') {
+        if (existing.requested_by === userId) {
+          return res.status(409).json({ error: 'Friend request already sent', code: 'REQUEST_PENDING' });
+        }
+        return res.status(409).json({
+          error: 'This user already sent you a request - accept it instead',
+          code: 'INCOMING_REQUEST_PENDING',
+          friendshipId: existing.id
+        });
+      }
+
+      const now = new Date().toISOString();
+      let friendship;
+
+      if (existing) {
+        // Previously declined - reopen the same row
+        const { data, error } = await supabaseAdmin
+          .from('friendships')
+          .update({
+            status: 'pending',
+            requested_by: userId,
+            requested_at: now,
+            accepted_at: null,
+            declined_at: null
+          })
+          .eq('id', existing.id)
+          .select()
+          .single();
+        if (error) throw error;
+        friendship = data;
+      } else {
+        const [first, second] = orderPair(userId, target.id);
+        const { data, error } = await supabaseAdmin
+          .from('friendships')
+          .insert({
+            user_id: first,
+            friend_id: second,
+            status: 'pending',
+            requested_by: userId,
+            requested_at: now
+          })
+          .select()
+          .single();
+        if (error) throw error;
+        friendship = data;
+      }
+
+      console.log(`👋 [FRIENDS] ${userId} sent friend request to ${target.id}`);
+      emitToUser(target.id, 'friend:request', { friendshipId: friendship.id, fromUserId: userId });
+
+      res.status(201).json({ success: true, friendship });
+    } catch (error) {
+      console.error('❌ [FRIENDS] Error sending friend request:', error);
+      res.status(500).json({ error: 'Failed to send friend request' });
+    }
+  });
+
+  /**
+   * POST /api/friends/:friendshipId/accept
+   * Accept an incoming friend request
+   */
+  router.post('/:friendshipId/accept', requireAuth, async (req, res) => {
+    await respondToRequest(req, res, 'accepted');
+  });
+
+  /**
+   * POST /api/friends/:friendshipId/decline
+   * Decline an incoming friend request
+   */
+  router.post('/:friendshipId/decline', requireAuth, async (req, res) => {
+    await respondToRequest(req, res, 'declined');
+  });
+
+  const respondToRequest = async (req, res, status) => {
+    try {
+      const userId = req.user.id;
+      const { friendshipId } = req.params;
+
+      const { data: friendship, error } = await supabaseAdmin
+        .from('friendships')
+        .select('*')
+        .eq('id', friendshipId)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!friendship || (friendship.user_id !== userId && friendship.friend_id !== userId)) {
+        return res.status(404).json({ error: 'Friend request not found', code: 'REQUEST_NOT_FOUND' });
+      }
+      if (friendship.status !== 'pending' || friendship.requested_by === userId) {
+        return res.status(400).json({ error: 'No incoming request to respond to', code: 'INVALID_REQUEST_STATE' });
+      }
+
+      const now = new Date().toISOString();
+      const { data: updated, error: updateError } = await supabaseAdmin
+        .from('friendships')
+        .update(status === 'accepted' ? { status, accepted_at: now } : { status, declined_at: now })
+        .eq('id', friendshipId)
+        .select()
+        .single();
+
+      if (updateError) throw updateError;
+
+      console.log(`🤝 [FRIENDS] ${userId} ${status} request ${friendshipId}`);
+      if (status === 'accepted') {
+        emitToUser(friendship.requested_by, 'friend:accepted', { friendshipId, userId });
+        for (const memberId of [friendship.user_id, friendship.friend_id]) {
+          const { count } = await supabaseAdmin
+            .from('friendships')
+            .select('id', { count: 'exact', head: true })
+            .or(`user_id.eq.${memberId},friend_id.eq.${memberId}`)
+            .eq('status', 'accepted');
+          await achievementService.track(memberId, 'friend_added', { value: count || 0 });
+        }
+      }
+
+      res.json({ success: true, friendship: updated });
+    } catch (error) {
+      console.error(`❌ [FRIENDS] Error responding (${status}) to friend request:`, error);
+      res.status(500).json({ error: 'Failed to update friend request' });
+    }
+  };
+
+  /**
+   * POST /api/friends/block
+   * Block a user; replaces any existing friendship or pending request
+   */
+  router.post('/block', requireAuth, async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const { userId: targetId } = req.body || {};
+
+      if (!targetId || targetId === userId) {
+        return res.status(400).json({ error: 'A valid userId is required', code: 'TARGET_REQUIRED' });
+      }
+
+      const existing = await getFriendship(userId, targetId);
+      if (existing?.status === 'blocked' && existing.requested_by !== userId) {
+        // Already blocked by the other side - nothing more to store
+        return res.json({ success: true });
+      }
+
+      const now = new Date().toISOString();
+      const [first, second] = orderPair(userId, targetId);
+      const { error } = await supabaseAdmin
+        .from('friendships')
+        .upsert({
+          user_id: first,
+          friend_id: second,
+          status: 'blocked',
+          requested_by: userId,
+          requested_at: now,
+          accepted_at: null
+        }, { onConflict: 'user_id,friend_id' });
+
+      if (error) throw error;
+
+      console.log(`🚫 [FRIENDS] ${userId} blocked ${targetId}`);
+      res.json({ success: true });
+    } catch (error) {
+      console.error('❌ [FRIENDS] Error blocking user:', error);
+      res.status(500).json({ error: 'Failed to block user' });
+    }
+  });
+
+  /**
+   * DELETE /api/friends/:friendshipId
+   * Remove a friend, cancel an outgoing request or unblock a user
+   */
+  router.delete('/:friendshipId', requireAuth, async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const { friendshipId } = req.params;
+
+      const { data: friendship, error } = await supabaseAdmin
+        .from('friendships')
+        .select('*')
+        .eq('id', friendshipId)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!friendship || (friendship.user_id !== userId && friendship.friend_id !== userId)) {
+        return res.status(404).json({ error: 'Friendship not found', code: 'FRIENDSHIP_NOT_FOUND' });
+      }
+      // Only the blocker can lift a block
+      if (friendship.status === 'blocked' && friendship.requested_by !== userId) {
+        return res.status(404).json({ error: 'Friendship not found', code: 'FRIENDSHIP_NOT_FOUND' });
+      }
+
+      const { error: deleteError } = await supabaseAdmin
+        .from('friendships')
+        .delete()
+        .eq('id', friendshipId);
+
+      if (deleteError) throw deleteError;
+
+      console.log(`🗑️ [FRIENDS] ${userId} removed friendship ${friendshipId} (${friendship.status})`);
+      res.json({ success: true });
+    } catch (error) {
+      console.error('❌ [FRIENDS] Error removing friendship:', error);
+      res.status(500).json({ error: 'Failed to remove friend' });
+    }
+  });
+
+  return router;
+};
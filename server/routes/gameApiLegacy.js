@@ -0,0 +1,207 @@
+const express = require('express');
+const { validateApiKey, requireApiScope } = require('../lib/validation');
+const apiUsageService = require('../services/apiUsageService');
+
+/**
+ * Deprecated external game API (/api/game/rooms/...)
+ *
+ * Every endpoint here is a thin adapter over the /api/v2/game handlers: the
+ * old request is rewritten for the V2 handler and a successful V2 response is
+ * mapped back onto the old shape (errors keep the V2 shape). Responses carry
+ * Deprecation, Sunset and successor Link headers, and each call is counted per
+ * API key (GET /api/admin/api-usage/legacy) so we can see who still has to
+ * move to V2 before these are removed.
+ *
+ * GET /api/game/session/:token is not part of this API and stays in index.js.
+ */
+
+const DEPRECATED_AT = new Date('2026-10-18T00:00:00Z');
+const SUNSET_AT = new Date('2027-04-30T00:00:00Z');
+
+// Legacy status values and the V2 location each one means
+const LEGACY_STATUS_LOCATIONS = {
+  connected: 'game',
+  in_game: 'game',
+  returned_to_lobby: 'lobby',
+  disconnected: 'disconnected'
+};
+const V2_STATUS_FOR_LOCATION = { game: 'in_game', lobby: 'lobby', disconnected: 'disconnected' };
+const LOCATION_FLAGS = {
+  game: { is_connected: true, in_game: true },
+  lobby: { is_connected: true, in_game: false },
+  disconnected: { is_connected: false, in_game: false }
+};
+
+// Unknown statuses were always treated as a disconnect
+const legacyLocation = ({ status, location }) => {
+  if (status === 'connected' && location === 'lobby') return 'lobby';
+  return LEGACY_STATUS_LOCATIONS[status] || 'disconnected';
+};
+
+const legacyUpdated = (location) => ({ status: location, ...LOCATION_FLAGS[location] });
+
+const deprecated = (successor) => (req, res, next) => {
+  res.set({
+    Deprecation: `@${Math.floor(DEPRECATED_AT.getTime() / 1000)}`,
+    Sunset: SUNSET_AT.toUTCString(),
+    Link: `<${successor(req.params)}>; rel="successor-version"`
+  });
+  next();
+};
+
+const countCall = (req, res, next) => {
+  apiUsageService.recordLegacyCall(req.apiKey, `${req.method} ${req.baseUrl}${req.route.path}`);
+  next();
+};
+
+// Run a V2 handler on a rewritten request, mapping successful responses back
+const adapt = (handler, { request, response } = {}) => (req, res) => {
+  if (request) request(req);
+  if (response) {
+    const json = res.json.bind(res);
+    res.json = (body) => json(res.statusCode < 400 ? response(body, req) : body);
+  }
+  return handler(req, res);
+};
+
+const toLegacyValidation = ({ valid, room, participant, participants, gameState }) => ({
+  valid,
+  room: {
+    id: room.id,
+    code: room.code,
+    gameType: room.gameType,
+    status: room.status,
+    currentPlayers: room.currentPlayers,
+    maxPlayers: room.maxPlayers,
+    settings: room.settings,
+    metadata: room.metadata,
+    createdAt: room.createdAt,
+    startedAt: room.startedAt
+  },
+  participant: participant ? {
+    id: participant.id,
+    role: participant.role,
+    isHost: participant.isHost,
+    isReady: participant.isReady,
+    gameData: participant.gameData
+  } : null,
+  participants: participants?.map(p => ({
+    id: p.id,
+    name: p.name,
+    role: p.role,
+    isReady: p.isReady,
+    status: 'connected',
+    premiumTier: p.premiumTier,
+    avatarUrl: p.avatarUrl,
+    avatarStyle: p.avatarStyle,
+    avatarSeed: p.avatarSeed,
+    avatarOptions: p.avatarOptions
+  })),
+  gameState
+});
+
+module.exports = (v2) => {
+  const router = express.Router();
+  const v2Room = (path) => (params) => `/api/v2/game/rooms/${params.roomCode}${path}`;
+
+  /**
+   * GET /api/game/rooms/:roomCode/validate
+   * Deprecated: GET /api/v2/game/rooms/:roomCode/validate
+   */
+  router.get('/rooms/:roomCode/validate',
+    deprecated(v2Room('/validate')), validateApiKey, requireApiScope('rooms:read'), countCall,
+    adapt(v2.validateRoom, { response: toLegacyValidation }));
+
+  /**
+   * POST /api/game/rooms/:roomCode/join
+   * Deprecated: POST /api/v2/game/rooms/:roomCode/join
+   */
+  router.post('/rooms/:roomCode/join',
+    deprecated(v2Room('/join')), validateApiKey, requireApiScope('rooms:write'), countCall,
+    adapt(v2.joinRoom));
+
+  /**
+   * POST /api/game/rooms/:roomCode/state
+   * Deprecated: POST /api/v2/game/rooms/:roomCode/state
+   */
+  router.post('/rooms/:roomCode/state',
+    deprecated(v2Room('/state')), validateApiKey, requireApiScope('rooms:write'), countCall,
+    adapt(v2.saveGameState));
+
+  /**
+   * GET /api/game/rooms/:roomCode/state?version=
+   * Deprecated: GET /api/v2/game/rooms/:roomCode/state (wraps the state in { success, state })
+   */
+  router.get('/rooms/:roomCode/state',
+    deprecated(v2Room('/state')), validateApiKey, requireApiScope('rooms:read'), countCall,
+    adapt(v2.getGameState, { response: ({ state }) => state }));
+
+  /**
+   * POST /api/game/rooms/:roomCode/players/:playerId/status
+   * Deprecated: POST /api/v2/game/rooms/:roomCode/players/:playerId/status
+   * Legacy statuses: connected, in_game, returned_to_lobby, disconnected
+   */
+  router.post('/rooms/:roomCode/players/:playerId/status',
+    deprecated(params => `/api/v2/game/rooms/${params.roomCode}/players/${params.playerId}/status`),
+    validateApiKey, requireApiScope('status:write'), countCall,
+    adapt(v2.updatePlayerStatus, {
+      request: (req) => {
+        const { gameData, reason } = req.body;
+        const location = legacyLocation(req.body);
+        req.body = {
+          status: V2_STATUS_FOR_LOCATION[location],
+          location,
+          // Legacy callers expect the update to be applied before the response
+          metadata: { ...(gameData && typeof gameData === 'object' ? gameData : {}), reason, immediate: true }
+        };
+      },
+      response: (body) => ({
+        success: true,
+        ...(body.skipped && { skipped: true, reason: body.reason }),
+        updated: legacyUpdated(body.updated.location)
+      })
+    }));
+
+  /**
+   * POST /api/game/rooms/:roomCode/players/bulk-status
+   * Deprecated: POST /api/v2/game/rooms/:roomCode/bulk-status (players[].location instead of status)
+   */
+  router.post('/rooms/:roomCode/players/bulk-status',
+    deprecated(v2Room('/bulk-status')), validateApiKey, requireApiScope('status:write'), countCall,
+    adapt(v2.bulkUpdatePlayerStatus, {
+      request: (req) => {
+        const { players, reason } = req.body;
+        if (!Array.isArray(players)) return;
+        req.body = {
+          reason,
+          players: players.map(p => ({
+            playerId: p.playerId,
+            location: legacyLocation(p),
+            reason: p.reason,
+            gameData: p.gameData
+          }))
+        };
+      },
+      response: (body, req) => {
+        const locations = new Map(req.body.players.map(p => [p.playerId, p.location]));
+        return {
+          success: true,
+          results: [
+            ...body.results.map(r => (r.skipped ? r : { ...r, updated: legacyUpdated(locations.get(r.playerId)) })),
+            ...body.errors.map(e => ({ playerId: e.playerId, success: false, error: e.error }))
+          ],
+          summary: body.summary
+        };
+      }
+    }));
+
+  /**
+   * POST /api/game/rooms/:roomCode/events
+   * Deprecated: POST /api/v2/game/rooms/:roomCode/events
+   */
+  router.post('/rooms/:roomCode/events',
+    deprecated(v2Room('/events')), validateApiKey, requireApiScope('rooms:write'), countCall,
+    adapt(v2.logGameEvent));
+
+  return router;
+};
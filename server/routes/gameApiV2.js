@@ -2,7 +2,11 @@
 const router = express.Router();
 const LobbyManager = require('../lib/lobbyManager');
 const StatusSyncManager = require('../lib/statusSyncManager');
-const { validateApiKey, rateLimits } = require('../lib/validation');
+const achievementService = require('../services/achievementService');
+const chatService = require('../services/chatService');
+const matchService = require('../services/matchService');
+const webhookService = require('../services/webhookService');
+const { validateApiKey, requireApiScope, rateLimits, validators } = require('../lib/validation');
 const apiKeyMiddleware = typeof validateApiKey === 'function' ? validateApiKey : (req, res, next) => next();
 
 module.exports = (io, db, connectionManager) => {
@@ -14,11 +18,75 @@ module.exports = (io, db, connectionManager) => {
   const lobbyManager = new LobbyManager(io, db, connectionManager);
   const statusSyncManager = new StatusSyncManager(db, io, lobbyManager);
 
+  const invalidRequest = (res, validation, extra = {}) => res.status(400).json({
+    ...extra,
+    error: validation.message,
+    code: 'INVALID_REQUEST',
+    details: validation.errors
+  });
+
+  const locationForStatus = (status) => {
+    if (status === 'disconnected') return 'disconnected';
+    if (status === 'lobby' || status === 'returning') return 'lobby';
+    return 'game';
+  };
+
+  // Games report players as disconnected while tearing down after a return to
+  // the lobby; those reports must not undo the return
+  const disconnectSkipReason = (room, member) => {
+    const graceUntil = room?.metadata?.return_in_progress_until;
+    if (graceUntil && new Date(graceUntil) > new Date()) return 'return_in_progress';
+    if (member?.current_location === 'lobby') return 'recent_lobby_state';
+    return null;
+  };
+
+  // Give the lobby a new host when the host drops out of the external game
+  const transferHostAfterDisconnect = async (room, oldHostId) => {
+    const { count: connectedOthers } = await db.adminClient
+      .from('room_members')
+      .select('id', { count: 'exact', head: true })
+      .eq('room_id', room.id)
+      .eq('is_connected', true)
+      .neq('user_id', oldHostId);
+
+    if (!connectedOthers) return null;
+
+    const newHost = await db.autoTransferHost(room.id, oldHostId);
+    if (!newHost) return null;
+
+    const snapshot = await lobbyManager.getRoomWithParticipants(room.room_code);
+    io.to(room.room_code).emit('hostTransferred', {
+      oldHostId,
+      newHostId: newHost.user_id,
+      newHostName: newHost.user?.display_name || newHost.user?.username,
+      reason: 'external_game_disconnect',
+      players: snapshot?.players || [],
+      room: snapshot?.room,
+      roomVersion: Date.now()
+    });
+    webhookService.roomEvent(room, 'host.transferred', {
+      oldHostId,
+      newHostId: newHost.user_id,
+      reason: 'external_game_disconnect'
+    });
+    chatService.postSystemMessage(
+      room,
+      `${newHost.custom_lobby_name || newHost.user?.display_name || newHost.user?.username} is now the host`
+    );
+
+    console.log(`👑 [API V2] Host ${oldHostId} left the game, transferred to ${newHost.user_id}`);
+    return newHost;
+  };
+
   // V2 Room validation with enhanced session support
-  router.get('/rooms/:roomCode/validate', apiKeyMiddleware, getRateLimiter('apiCalls'), async (req, res) => {
+  async function validateRoom(req, res) {
     try {
       const { roomCode } = req.params;
-      const { playerName, playerId, sessionToken } = req.query;
+      const validation = await validators.validateRoomQuery(req.query);
+      if (!validation.isValid) {
+        return invalidRequest(res, validation, { valid: false });
+      }
+      const { playerName, playerId, sessionToken } = validation.value;
 
       console.log(`ðŸ” [API V2] Validating room ${roomCode} for service ${req.apiKey.service_name}`);
 
@@ -113,6 +181,7 @@ module.exports = (io, db, connectionManager) => {
           settings: room.game_settings,
           metadata: room.metadata,
           createdAt: room.created_at,
+          startedAt: room.game_started_at,
           lastActivity: room.last_activity
         },
         participant: participant ? {
@@ -122,6 +191,7 @@ module.exports = (io, db, connectionManager) => {
           isConnected: participant.is_connected,
           currentLocation: participant.current_location,
           inGame: participant.in_game,
+          isReady: participant.is_ready,
           sessionValid,
           gameData: participant.game_data
         } : null,
@@ -129,12 +199,18 @@ module.exports = (io, db, connectionManager) => {
           ?.filter(p => p.is_connected === true)
           .map(p => ({
             id: p.user_id,
-            name: p.user?.display_name || p.user?.username,
+            name: p.custom_lobby_name || p.user?.display_name || p.user?.username,
             role: p.role,
             isHost: p.role === 'host',
+            isReady: p.is_ready,
             currentLocation: p.current_location,
             inGame: p.in_game,
-            lastPing: p.last_ping
+            lastPing: p.last_ping,
+            premiumTier: p.user?.premium_tier || 'free',
+            avatarUrl: p.user?.avatar_url,
+            avatarStyle: p.user?.avatar_style,
+            avatarSeed: p.user?.avatar_seed,
+            avatarOptions: p.user?.avatar_options
           })),
         gameState: gameState ? {
           id: gameState.id,
@@ -153,31 +229,56 @@ module.exports = (io, db, connectionManager) => {
         code: 'SERVER_ERROR'
       });
     }
-  });
+  }
+  router.get('/rooms/:roomCode/validate', apiKeyMiddleware, requireApiScope('rooms:read'), getRateLimiter('apiCalls'), validateRoom);
 
   // V2 Enhanced player status update
-  router.post('/rooms/:roomCode/players/:playerId/status', apiKeyMiddleware, getRateLimiter('statusUpdates'), async (req, res) => {
+  async function updatePlayerStatus(req, res) {
     try {
       const { roomCode, playerId } = req.params;
-      const { status, location, metadata = {}, syncSession = false } = req.body;
+      const validation = await validators.playerStatusUpdate(req.body);
+      if (!validation.isValid) {
+        return invalidRequest(res, validation);
+      }
+      const { status, location, metadata, syncSession } = validation.value;
 
       console.log(`ðŸ”„ [API V2] Updating player ${playerId} status: ${status}/${location}`);
 
-      // Validate status and location values
-      const validStatuses = ['connected', 'disconnected', 'in_game', 'returning', 'lobby'];
-      const validLocations = ['game', 'lobby', 'disconnected'];
+      const { data: room } = await db.adminClient
+        .from('rooms')
+        .select('id, room_code, current_game, metadata')
+        .eq('room_code', roomCode)
+        .single();
 
-      if (!validStatuses.includes(status)) {
-        return res.status(400).json({
-          error: 'Invalid status',
-          validStatuses
-        });
+      if (!room) {
+        return res.status(404).json({ error: 'Room not found', code: 'ROOM_NOT_FOUND' });
       }
 
-      if (location && !validLocations.includes(location)) {
-        return res.status(400).json({
-          error: 'Invalid location',
-          validLocations
+      const { data: member } = await db.adminClient
+        .from('room_members')
+        .select('user_id, role, current_location')
+        .eq('room_id', room.id)
+        .eq('user_id', playerId)
+        .single();
+
+      if (!member) {
+        return res.status(404).json({ error: 'Player not found in room', code: 'PLAYER_NOT_FOUND' });
+      }
+
+      const newLocation = location || locationForStatus(status);
+      const timestamp = new Date().toISOString();
+
+      const skipReason = newLocation === 'disconnected' ? disconnectSkipReason(room, member) : null;
+      if (skipReason) {
+        console.log(`⏭️ [API V2] Ignoring disconnect of ${playerId} in ${roomCode} (${skipReason})`);
+        return res.json({
+          success: true,
+          skipped: true,
+          reason: skipReason,
+          updated: { status, location: member.current_location, timestamp },
+          conflicts: [],
+          sessionToken: null,
+          queued: false
         });
       }
 
@@ -186,7 +287,7 @@ module.exports = (io, db, connectionManager) => {
         ...metadata,
         apiVersion: '2.0',
         service: req.apiKey.service_name,
-        timestamp: new Date().toISOString(),
+        timestamp,
         source: 'external_game_api_v2'
       };
 
@@ -194,24 +295,19 @@ module.exports = (io, db, connectionManager) => {
       const result = await statusSyncManager.updatePlayerLocation(
         playerId,
         roomCode,
-        location || (status === 'disconnected' ? 'disconnected' : 'game'),
+        newLocation,
         enhancedMetadata
       );
 
+      if (member.role === 'host' && newLocation === 'disconnected') {
+        await transferHostAfterDisconnect(room, playerId);
+      }
+
       // Session sync if requested
       let sessionToken = null;
       if (syncSession) {
         try {
-          // Get room ID for session creation
-          const { data: room } = await db.adminClient
-            .from('rooms')
-            .select('id')
-            .eq('room_code', roomCode)
-            .single();
-
-          if (room) {
-            sessionToken = await lobbyManager.createPlayerSession(playerId, room.id, `api_${Date.now()}`);
-          }
+          sessionToken = await lobbyManager.createPlayerSession(playerId, room.id, `api_${Date.now()}`);
         } catch (sessionError) {
           console.warn('âš ï¸ [API V2] Session sync failed:', sessionError);
         }
@@ -223,8 +319,8 @@ module.exports = (io, db, connectionManager) => {
         success: true,
         updated: {
           status,
-          location,
-          timestamp: enhancedMetadata.timestamp
+          location: newLocation,
+          timestamp
         },
         conflicts: result.conflicts || [],
         sessionToken,
@@ -238,69 +334,78 @@ module.exports = (io, db, connectionManager) => {
         code: 'UPDATE_FAILED'
       });
     }
-  });
+  }
+  router.post('/rooms/:roomCode/players/:playerId/status', apiKeyMiddleware, requireApiScope('status:write'), getRateLimiter('statusUpdates'), updatePlayerStatus);
 
   // V2 Bulk status update with enhanced features
-  router.post('/rooms/:roomCode/bulk-status', apiKeyMiddleware, getRateLimiter('bulkUpdates'), async (req, res) => {
+  async function bulkUpdatePlayerStatus(req, res) {
     try {
       const { roomCode } = req.params;
-      const { reason, players, gameState, returnToLobby = false } = req.body;
+      const validation = await validators.bulkStatusUpdate(req.body);
+      if (!validation.isValid) {
+        return invalidRequest(res, validation);
+      }
+      const { reason, players, gameState, returnToLobby } = validation.value;
 
-      console.log(`ðŸ“¦ [API V2] Bulk updating ${players?.length || 0} players in room ${roomCode}`);
+      console.log(`ðŸ“¦ [API V2] Bulk updating ${players.length} players in room ${roomCode}`);
 
-      if (!players || !Array.isArray(players) || players.length === 0) {
-        return res.status(400).json({
-          error: 'Players array is required and must not be empty'
-        });
+      const { data: room } = await db.adminClient
+        .from('rooms')
+        .select('id, metadata, participants:room_members(user_id, current_location)')
+        .eq('room_code', roomCode)
+        .single();
+
+      if (!room) {
+        return res.status(404).json({ error: 'Room not found', code: 'ROOM_NOT_FOUND' });
       }
 
-      // Validate player data
-      for (const player of players) {
-        if (!player.playerId) {
-          return res.status(400).json({
-            error: 'Each player must have a playerId'
+      // Disconnects are checked against the room as it was before this batch
+      const returnedInBatch = new Set(players.filter(p => p.location === 'lobby').map(p => p.playerId));
+      const skipped = [];
+      const updates = [];
+      for (const p of players) {
+        const location = p.location;
+        const member = room.participants?.find(m => m.user_id === p.playerId);
+        const skipReason = location !== 'disconnected' ? null
+          : returnedInBatch.has(p.playerId) ? 'already_returned_in_bulk'
+          : disconnectSkipReason(room, member);
+
+        if (skipReason) {
+          skipped.push({ playerId: p.playerId, success: true, skipped: true, reason: skipReason });
+        } else {
+          updates.push({
+            playerId: p.playerId,
+            location,
+            reason: p.reason || reason || 'Bulk update',
+            gameData: p.gameData
           });
         }
       }
 
       // Process bulk update
-      const result = await statusSyncManager.bulkUpdatePlayerStatus(
-        roomCode,
-        players.map(p => ({
-          playerId: p.playerId,
-          location: p.location || 'lobby',
-          reason: p.reason || reason || 'Bulk update',
-          gameData: p.gameData
-        })),
-        reason
-      );
+      const result = await statusSyncManager.bulkUpdatePlayerStatus(roomCode, updates, reason);
 
       // Handle game state if provided
       if (gameState) {
-        const { data: room, error: roomLookupError } = await db.adminClient
-          .from('rooms')
-          .select('id')
-          .eq('room_code', roomCode)
-          .single();
-
-        if (roomLookupError) {
-          console.warn('[API V2] Room lookup failed during game state save:', roomLookupError);
-        } else if (room) {
-          try {
-            await db.saveGameState(room.id, req.apiKey.service_name, gameState, null);
-          } catch (stateError) {
-            console.warn('[API V2] Game state save failed:', stateError);
-          }
+        try {
+          await db.saveGameState(room.id, req.apiKey.service_name, gameState, null);
+        } catch (stateError) {
+          console.warn('[API V2] Game state save failed:', stateError);
         }
       }
 
-      console.log(`[API V2] Bulk update completed: ${result.summary.successful}/${result.summary.total} successful`);
+      console.log(`[API V2] Bulk update completed: ${result.summary.successful}/${result.summary.total} successful, ${skipped.length} skipped`);
 
       return res.json({
         success: true,
-        results: result.results,
+        results: [...skipped, ...result.results],
         errors: result.errors,
-        summary: result.summary,
+        summary: {
+          total: players.length,
+          successful: result.summary.successful + skipped.length,
+          failed: result.summary.failed,
+          skipped: skipped.length
+        },
         gameStateSaved: !!gameState,
         returnInitiated: returnToLobby
       });
@@ -312,19 +417,287 @@ module.exports = (io, db, connectionManager) => {
         code: 'BULK_UPDATE_FAILED'
       });
     }
-  });
+  }
+  router.post('/rooms/:roomCode/bulk-status', apiKeyMiddleware, requireApiScope('status:write'), getRateLimiter('bulkUpdates'), bulkUpdatePlayerStatus);
 
-  // V2 Session recovery endpoint
-  router.post('/sessions/recover', async (req, res) => {
+  // V2 Add a player to the room from the game server (or reconnect them)
+  async function joinRoom(req, res) {
     try {
-      const { sessionToken, socketId } = req.body;
+      const { roomCode } = req.params;
+      const validation = await validators.gameApiJoin(req.body);
+      if (!validation.isValid) {
+        return invalidRequest(res, validation);
+      }
+      const { playerName, playerId } = validation.value;
 
-      if (!sessionToken) {
-        return res.status(400).json({
-          error: 'Session token is required'
+      console.log(`🚪 [API V2] Player ${playerName || playerId} joining room ${roomCode} (service: ${req.apiKey.service_name})`);
+
+      const { data: room } = await db.adminClient
+        .from('rooms')
+        .select('id, current_game, max_players')
+        .eq('room_code', roomCode)
+        .single();
+
+      if (!room) {
+        return res.status(404).json({ error: 'Room not found', code: 'ROOM_NOT_FOUND' });
+      }
+
+      // A GameBuddies user id joins as that user; anything else gets (or reuses) a named user
+      const { data: knownUser } = playerId
+        ? await db.adminClient.from('users').select('*').eq('id', playerId).maybeSingle()
+        : { data: null };
+      const externalId = playerId || `${req.apiKey.service_name}_${playerName}_${Date.now()}`;
+      const name = playerName || playerId;
+      const user = knownUser || await db.getOrCreateUser(externalId, name, name);
+
+      const { data: existingMember } = await db.adminClient
+        .from('room_members')
+        .select('id, role')
+        .eq('room_id', room.id)
+        .eq('user_id', user.id)
+        .maybeSingle();
+
+      if (existingMember) {
+        await db.adminClient
+          .from('room_members')
+          .update({
+            is_connected: true,
+            last_ping: new Date().toISOString()
+          })
+          .eq('id', existingMember.id);
+
+        return res.json({
+          success: true,
+          playerId: user.id,
+          role: existingMember.role,
+          isRejoining: true
         });
       }
 
+      const { count: connectedPlayers } = await db.adminClient
+        .from('room_members')
+        .select('id', { count: 'exact', head: true })
+        .eq('room_id', room.id)
+        .eq('is_connected', true);
+
+      if (connectedPlayers >= room.max_players) {
+        return res.status(400).json({ error: 'Room is full', code: 'ROOM_FULL' });
+      }
+
+      const { error: joinError } = await db.adminClient
+        .from('room_members')
+        .insert({
+          room_id: room.id,
+          user_id: user.id,
+          role: 'player',
+          is_connected: true
+        });
+
+      if (joinError) throw joinError;
+
+      if (!room.current_game) {
+        await db.adminClient
+          .from('rooms')
+          .update({
+            current_game: req.apiKey.service_name,
+            last_activity: new Date().toISOString()
+          })
+          .eq('id', room.id);
+      }
+
+      await db.logEvent(room.id, user.id, 'player_joined_via_api', {
+        playerName,
+        service: req.apiKey.service_name
+      });
+
+      console.log(`✅ [API V2] Player ${playerName || playerId} joined room ${roomCode}`);
+
+      res.json({
+        success: true,
+        playerId: user.id,
+        role: 'player',
+        isRejoining: false
+      });
+
+    } catch (error) {
+      console.error('❌ [API V2] Player join error:', error);
+      res.status(500).json({ error: 'Failed to join room', code: 'JOIN_FAILED' });
+    }
+  }
+  router.post('/rooms/:roomCode/join', apiKeyMiddleware, requireApiScope('rooms:write'), getRateLimiter('apiCalls'), joinRoom);
+
+  // V2 Save a new version of the game state and tell the lobby
+  async function saveGameState(req, res) {
+    try {
+      const { roomCode } = req.params;
+      const validation = await validators.gameStateSave(req.body);
+      if (!validation.isValid) {
+        return invalidRequest(res, validation);
+      }
+      const { playerId, gameState, stateType } = validation.value;
+
+      const { data: room } = await db.adminClient
+        .from('rooms')
+        .select('id')
+        .eq('room_code', roomCode)
+        .single();
+
+      if (!room) {
+        return res.status(404).json({ error: 'Room not found', code: 'ROOM_NOT_FOUND' });
+      }
+
+      const { data: member } = await db.adminClient
+        .from('room_members')
+        .select('id')
+        .eq('room_id', room.id)
+        .eq('user_id', playerId)
+        .maybeSingle();
+
+      if (!member) {
+        return res.status(403).json({ error: 'Player not in room', code: 'PLAYER_NOT_IN_ROOM' });
+      }
+
+      const savedState = await db.saveGameState(room.id, req.apiKey.service_name, gameState, playerId);
+
+      await db.adminClient
+        .from('rooms')
+        .update({
+          last_activity: new Date().toISOString(),
+          status: 'in_game'
+        })
+        .eq('id', room.id);
+
+      io.to(roomCode).emit('gameStateUpdated', {
+        stateId: savedState.id,
+        version: savedState.state_version,
+        updatedBy: playerId,
+        stateType,
+        timestamp: savedState.created_at,
+        roomVersion: Date.now()
+      });
+
+      console.log(`📊 [API V2] Game state for room ${roomCode} saved as version ${savedState.state_version}`);
+
+      res.json({
+        success: true,
+        stateId: savedState.id,
+        version: savedState.state_version
+      });
+
+    } catch (error) {
+      console.error('❌ [API V2] State save error:', error);
+      res.status(500).json({ error: 'Failed to save state', code: 'STATE_SAVE_FAILED' });
+    }
+  }
+  router.post('/rooms/:roomCode/state', apiKeyMiddleware, requireApiScope('rooms:write'), getRateLimiter('apiCalls'), saveGameState);
+
+  // V2 Latest game state of this game in the room, or a specific ?version=
+  async function getGameState(req, res) {
+    try {
+      const { roomCode } = req.params;
+      const validation = await validators.gameStateQuery(req.query);
+      if (!validation.isValid) {
+        return invalidRequest(res, validation);
+      }
+      const { version } = validation.value;
+
+      const { data: room } = await db.adminClient
+        .from('rooms')
+        .select('id')
+        .eq('room_code', roomCode)
+        .single();
+
+      if (!room) {
+        return res.status(404).json({ error: 'Room not found', code: 'ROOM_NOT_FOUND' });
+      }
+
+      let query = db.adminClient
+        .from('game_states')
+        .select('*')
+        .eq('room_id', room.id)
+        .eq('game_name', req.apiKey.service_name);
+
+      query = version
+        ? query.eq('state_version', version)
+        : query.order('state_version', { ascending: false }).limit(1);
+
+      const { data: gameState } = await query.maybeSingle();
+
+      if (!gameState) {
+        return res.status(404).json({ error: 'No game state found', code: 'STATE_NOT_FOUND' });
+      }
+
+      res.json({
+        success: true,
+        state: {
+          id: gameState.id,
+          version: gameState.state_version,
+          data: gameState.state_data,
+          createdBy: gameState.created_by,
+          createdAt: gameState.created_at
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ [API V2] Get state error:', error);
+      res.status(500).json({ error: 'Failed to get state', code: 'STATE_LOAD_FAILED' });
+    }
+  }
+  router.get('/rooms/:roomCode/state', apiKeyMiddleware, requireApiScope('rooms:read'), getRateLimiter('apiCalls'), getGameState);
+
+  // V2 Record a game event and forward it to the lobby
+  async function logGameEvent(req, res) {
+    try {
+      const { roomCode } = req.params;
+      const validation = await validators.gameEvent(req.body);
+      if (!validation.isValid) {
+        return invalidRequest(res, validation);
+      }
+      const { playerId, eventType, eventData } = validation.value;
+
+      const { data: room } = await db.adminClient
+        .from('rooms')
+        .select('id')
+        .eq('room_code', roomCode)
+        .single();
+
+      if (!room) {
+        return res.status(404).json({ error: 'Room not found', code: 'ROOM_NOT_FOUND' });
+      }
+
+      const timestamp = new Date().toISOString();
+      await db.logEvent(room.id, playerId || null, `game_${eventType}`, {
+        ...eventData,
+        service: req.apiKey.service_name,
+        timestamp
+      });
+
+      io.to(roomCode).emit('gameEvent', {
+        playerId,
+        eventType,
+        eventData,
+        timestamp,
+        roomVersion: Date.now()
+      });
+
+      res.json({ success: true });
+
+    } catch (error) {
+      console.error('❌ [API V2] Event logging error:', error);
+      res.status(500).json({ error: 'Failed to log event', code: 'EVENT_FAILED' });
+    }
+  }
+  router.post('/rooms/:roomCode/events', apiKeyMiddleware, requireApiScope('rooms:write'), getRateLimiter('apiCalls'), logGameEvent);
+
+  // V2 Session recovery endpoint
+  router.post('/sessions/recover', async (req, res) => {
+    try {
+      const validation = await validators.sessionRecover(req.body);
+      if (!validation.isValid) {
+        return invalidRequest(res, validation);
+      }
+      const { sessionToken, socketId } = validation.value;
+
       console.log(`ðŸ”„ [API V2] Attempting session recovery for token: ${sessionToken.substring(0, 8)}...`);
 
       const result = await lobbyManager.recoverSession(sessionToken, socketId || `api_${Date.now()}`);
@@ -343,7 +716,7 @@ module.exports = (io, db, connectionManager) => {
   });
 
   // V2 Room status sync endpoint
-  router.post('/rooms/:roomCode/sync', apiKeyMiddleware, getRateLimiter('apiCalls'), async (req, res) => {
+  router.post('/rooms/:roomCode/sync', apiKeyMiddleware, requireApiScope('rooms:write'), getRateLimiter('apiCalls'), async (req, res) => {
     try {
       const { roomCode } = req.params;
 
@@ -368,7 +741,7 @@ module.exports = (io, db, connectionManager) => {
   });
 
   // V2 Return all players to lobby (atomic)
-  router.post('/rooms/:roomCode/return-all', apiKeyMiddleware, getRateLimiter('apiCalls'), async (req, res) => {
+  router.post('/rooms/:roomCode/return-all', apiKeyMiddleware, requireApiScope('rooms:write'), getRateLimiter('apiCalls'), async (req, res) => {
     try {
       const { roomCode } = req.params;
       const now = new Date().toISOString();
@@ -476,6 +849,12 @@ module.exports = (io, db, connectionManager) => {
           timestamp: now
         });
       }
+      chatService.postSystemMessage(updatedRoom, `Everyone is back from ${await chatService.getGameName(room.current_game)}`);
+      webhookService.roomEvent(room, 'room.returned_to_lobby', {
+        initiatedBy: req.apiKey?.service_name,
+        reason: 'return_all',
+        playerCount: allPlayers.length
+      });
 
       return res.json({
         success: true,
@@ -491,10 +870,14 @@ module.exports = (io, db, connectionManager) => {
   });
 
   // V2 Heartbeat endpoint for external games
-  router.post('/rooms/:roomCode/players/:playerId/heartbeat', apiKeyMiddleware, getRateLimiter('heartbeats'), async (req, res) => {
+  router.post('/rooms/:roomCode/players/:playerId/heartbeat', apiKeyMiddleware, requireApiScope('status:write'), getRateLimiter('heartbeats'), async (req, res) => {
     try {
       const { roomCode, playerId } = req.params;
-      const { metadata = {} } = req.body;
+      const validation = await validators.heartbeat(req.body || {});
+      if (!validation.isValid) {
+        return invalidRequest(res, validation, { nextHeartbeat: 30000 });
+      }
+      const { metadata } = validation.value;
 
       const result = await statusSyncManager.handleHeartbeat(
         playerId,
@@ -519,13 +902,76 @@ module.exports = (io, db, connectionManager) => {
   });
 
   // V2 Game end handler
-  router.post('/rooms/:roomCode/game-end', apiKeyMiddleware, getRateLimiter('apiCalls'), async (req, res) => {
+  router.post('/rooms/:roomCode/game-end', apiKeyMiddleware, requireApiScope('rooms:write'), getRateLimiter('apiCalls'), async (req, res) => {
     try {
       const { roomCode } = req.params;
-      const { gameResult = {}, returnPlayers = true } = req.body;
+      // Older game servers send an empty gameResult when they have no results
+      const body = { ...(req.body || {}) };
+      if (body.gameResult && typeof body.gameResult === 'object' && Object.keys(body.gameResult).length === 0) {
+        delete body.gameResult;
+      }
 
       console.log(`ðŸŽ® [API V2] Game end reported for room ${roomCode}`);
 
+      // Results are optional for older game servers; when sent they must be complete
+      const validation = await validators.gameEnd(body);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          error: validation.message,
+          code: 'INVALID_GAME_RESULT',
+          details: validation.errors
+        });
+      }
+      const { returnPlayers } = validation.value;
+      const validatedResult = validation.value.gameResult || null;
+      const gameResult = validatedResult || {};
+
+      const { data: roomRow, error: roomError } = await db.adminClient
+        .from('rooms')
+        .select('id, game_settings')
+        .eq('room_code', roomCode)
+        .maybeSingle();
+
+      if (roomError) throw roomError;
+      if (!roomRow) {
+        return res.status(404).json({ error: 'Room not found', code: 'ROOM_NOT_FOUND' });
+      }
+
+      // Record the match first - a duplicate session must not return players or award anything twice
+      let match = null;
+      if (validatedResult) {
+        const recorded = await matchService.recordMatch({
+          roomId: roomRow.id,
+          gameId: req.apiKey.service_name,
+          gameSettings: roomRow.game_settings,
+          result: validatedResult
+        });
+
+        if (recorded.unknownPlayerIds) {
+          return res.status(400).json({
+            error: 'Game result contains unknown players',
+            code: 'UNKNOWN_PLAYERS',
+            playerIds: recorded.unknownPlayerIds
+          });
+        }
+        if (recorded.playersNotInRoom) {
+          return res.status(400).json({
+            error: 'Game result contains players who are not in this room',
+            code: 'PLAYERS_NOT_IN_ROOM',
+            playerIds: recorded.playersNotInRoom
+          });
+        }
+        if (recorded.duplicate) {
+          console.log(`♻️ [API V2] Duplicate game result for session ${validatedResult.sessionId}`);
+          return res.status(409).json({
+            error: 'A result for this session was already recorded',
+            code: 'DUPLICATE_GAME_RESULT',
+            matchId: recorded.match?.id
+          });
+        }
+        match = recorded.match;
+      }
+
       let result = { success: true, playersReturned: 0 };
 
       if (returnPlayers) {
@@ -534,18 +980,30 @@ module.exports = (io, db, connectionManager) => {
 
       // Log event
       await db.logEvent(
-        (await db.adminClient.from('rooms').select('id').eq('room_code', roomCode).single()).data?.id,
+        roomRow.id,
         null,
         'game_ended_api_v2',
         {
           gameResult,
           returnPlayers,
           playersReturned: result.playersReturned,
+          matchId: match?.id,
           service: req.apiKey.service_name
         }
       );
 
-      res.json(result);
+      // Achievements: participants come from the recorded result, or the players we returned
+      const participants = validatedResult
+        ? validatedResult.players.map(p => ({ userId: p.userId, won: p.isWinner && !p.abandoned }))
+        : (result.players || []).map(userId => ({ userId }));
+      achievementService.handleGameEnd({
+        roomId: roomRow.id,
+        roomCode,
+        gameId: req.apiKey.service_name,
+        participants
+      }).catch(err => console.error('❌ [API V2] Achievement evaluation failed:', err));
+
+      res.json({ ...result, matchId: match?.id || null });
 
     } catch (error) {
       console.error('âŒ [API V2] Game end error:', error);
@@ -557,23 +1015,28 @@ module.exports = (io, db, connectionManager) => {
   });
 
   // V2 Progress Event (XP Gain)
-  router.post('/progress/event', apiKeyMiddleware, getRateLimiter('apiCalls'), async (req, res) => {
+  router.post('/progress/event', apiKeyMiddleware, requireApiScope('progress:write'), getRateLimiter('apiCalls'), async (req, res) => {
     try {
-      const { userId, amount, source, gameId, metadata } = req.body;
+      const validation = await validators.progressEvent(req.body);
+      if (!validation.isValid) {
+        return invalidRequest(res, validation);
+      }
+      const { userId, amount, source, gameId } = validation.value;
 
-      if (!userId || !amount) {
-        return res.status(400).json({ error: 'Missing userId or amount' });
+      // Keys are bound to their own game
+      if (gameId && gameId !== req.apiKey.service_name) {
+        return res.status(403).json({ error: 'API key is not allowed to award XP for this game', code: 'GAME_MISMATCH' });
       }
 
       console.log(`📈 [API V2] XP Event for ${userId}: +${amount} (${source})`);
 
-      // Call the SQL function add_xp
-      const { data: result, error } = await db.adminClient.rpc('add_xp', {
-        p_user_id: userId,
-        p_amount: amount,
-        p_game_id: gameId || req.apiKey.service_name, // Fallback to API key service name
-        p_source: source || 'api_event'
-      });
+      // Call the SQL function add_xp (level-up notifications and level achievements included)
+      const { data: result, error } = await achievementService.awardXp(
+        userId,
+        amount,
+        gameId || req.apiKey.service_name, // Fallback to API key service name
+        source || 'api_event'
+      );
 
       if (error) {
         console.error('❌ [API V2] XP Add Error:', error);
@@ -592,7 +1055,7 @@ module.exports = (io, db, connectionManager) => {
   });
 
   // V2 Get Progress
-  router.get('/progress/:userId', apiKeyMiddleware, getRateLimiter('apiCalls'), async (req, res) => {
+  router.get('/progress/:userId', apiKeyMiddleware, requireApiScope('progress:read'), getRateLimiter('apiCalls'), async (req, res) => {
     try {
       const { userId } = req.params;
 
@@ -624,6 +1087,80 @@ module.exports = (io, db, connectionManager) => {
     }
   });
 
+  // V2 Webhook registration for the API key's game
+  router.get('/webhook', apiKeyMiddleware, requireApiScope('webhooks:manage'), getRateLimiter('apiCalls'), async (req, res) => {
+    try {
+      const webhook = await webhookService.getConfig(req.apiKey.service_name);
+      if (!webhook) {
+        return res.status(404).json({ error: 'Game not found', code: 'GAME_NOT_FOUND' });
+      }
+
+      res.json({ success: true, webhook, availableEvents: webhookService.events });
+    } catch (error) {
+      console.error('[API V2] Error loading webhook:', error);
+      res.status(500).json({ error: 'Failed to load webhook', code: 'WEBHOOK_LOAD_FAILED' });
+    }
+  });
+
+  // V2 Register or update the webhook. The secret is only returned when it changes.
+  router.put('/webhook', apiKeyMiddleware, requireApiScope('webhooks:manage'), getRateLimiter('apiCalls'), async (req, res) => {
+    try {
+      const validation = await validators.configureWebhook(req.body || {});
+      if (!validation.isValid) {
+        return res.status(400).json({ error: validation.message, code: 'INVALID_WEBHOOK', details: validation.errors });
+      }
+
+      const webhook = await webhookService.configure(req.apiKey.service_name, validation.value);
+      if (!webhook) {
+        return res.status(404).json({ error: 'Game not found', code: 'GAME_NOT_FOUND' });
+      }
+
+      console.log(`🪝 [API V2] ${req.apiKey.service_name} webhook set to ${webhook.url} (${webhook.enabled ? 'enabled' : 'disabled'})`);
+      res.json({ success: true, webhook });
+    } catch (error) {
+      if (error instanceof webhookService.WebhookUrlError) {
+        return res.status(400).json({ error: error.message, code: error.code });
+      }
+      console.error('[API V2] Error configuring webhook:', error);
+      res.status(500).json({ error: 'Failed to configure webhook', code: 'WEBHOOK_CONFIG_FAILED' });
+    }
+  });
+
+  // V2 Webhook delivery log, newest first
+  router.get('/webhook/deliveries', apiKeyMiddleware, requireApiScope('webhooks:manage'), getRateLimiter('apiCalls'), async (req, res) => {
+    try {
+      const validation = await validators.webhookDeliveriesQuery(req.query);
+      if (!validation.isValid) {
+        return res.status(400).json({ error: validation.message, code: 'INVALID_QUERY' });
+      }
+      const { status, event, limit } = validation.value;
+
+      const deliveries = await webhookService.listDeliveries(req.apiKey.service_name, { status, eventType: event, limit });
+      res.json({ success: true, deliveries });
+    } catch (error) {
+      console.error('[API V2] Error loading webhook deliveries:', error);
+      res.status(500).json({ error: 'Failed to load deliveries', code: 'WEBHOOK_LOAD_FAILED' });
+    }
+  });
+
+  // V2 Send an earlier webhook event again
+  router.post('/webhook/deliveries/:deliveryId/redeliver', apiKeyMiddleware, requireApiScope('webhooks:manage'), getRateLimiter('apiCalls'), async (req, res) => {
+    try {
+      const result = await webhookService.redeliver(req.apiKey.service_name, req.params.deliveryId);
+      if (result.error === 'DELIVERY_NOT_FOUND') {
+        return res.status(404).json({ error: 'Delivery not found', code: result.error });
+      }
+      if (result.error) {
+        return res.status(409).json({ error: 'No webhook is configured for this game', code: result.error });
+      }
+
+      res.status(202).json({ success: true, delivery: result.delivery });
+    } catch (error) {
+      console.error('[API V2] Error redelivering webhook:', error);
+      res.status(500).json({ error: 'Failed to redeliver webhook', code: 'WEBHOOK_REDELIVERY_FAILED' });
+    }
+  });
+
   // V2 Connection health check
   router.get('/health', (req, res) => {
     res.json({
@@ -636,11 +1173,23 @@ module.exports = (io, db, connectionManager) => {
         'conflict_resolution',
         'bulk_updates',
         'heartbeat_monitoring',
-        'optimistic_updates'
+        'optimistic_updates',
+        'signed_webhooks'
       ]
     });
   });
 
+  // The deprecated /api/game routes (routes/gameApiLegacy.js) adapt to these
+  router.handlers = {
+    validateRoom,
+    updatePlayerStatus,
+    bulkUpdatePlayerStatus,
+    joinRoom,
+    saveGameState,
+    getGameState,
+    logGameEvent
+  };
+
   return router;
 };
 
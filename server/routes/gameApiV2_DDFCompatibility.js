@@ -1,11 +1,12 @@
 const express = require('express');
 const router = express.Router();
-const { validateApiKey, rateLimits } = require('../lib/validation');
+const { validateApiKey, requireApiScope, rateLimits } = require('../lib/validation');
+const webhookService = require('../services/webhookService');
 const apiKeyMiddleware = typeof validateApiKey === 'function' ? validateApiKey : (req, res, next) => next();
 
 module.exports = (io, db, connectionManager, lobbyManager, statusSyncManager) => {
   // Primary endpoint used by external games (e.g. DDF) to trigger a return flow.
-  router.post('/api/v2/external/return', apiKeyMiddleware, rateLimits.apiCalls, async (req, res) => {
+  router.post('/api/v2/external/return', apiKeyMiddleware, requireApiScope('rooms:write'), rateLimits.apiCalls, async (req, res) => {
     try {
       const {
         roomCode,
@@ -149,6 +150,14 @@ module.exports = (io, db, connectionManager, lobbyManager, statusSyncManager) =>
           console.warn('[DDF Compat] Failed to broadcast return-to-gb event:', broadcastError);
         }
       }
+      // requireApiScope already checked that the room is playing the key's game
+      if (returnAll) {
+        webhookService.roomEvent(
+          { room_code: roomCode, current_game: req.apiKey?.service_name },
+          'room.returned_to_lobby',
+          { initiatedBy: initiatedSource, reason, playersReturned }
+        );
+      }
 
       // For streamer mode, use session-only URL to hide room code
       const returnUrl = room.streamer_mode && sessionToken
@@ -187,7 +196,7 @@ module.exports = (io, db, connectionManager, lobbyManager, statusSyncManager) =>
   });
 
   // Polling endpoint for external games to check return status
-  router.get('/api/v2/rooms/:roomCode/return-status', apiKeyMiddleware, rateLimits.polling, async (req, res) => {
+  router.get('/api/v2/rooms/:roomCode/return-status', apiKeyMiddleware, requireApiScope('rooms:read'), rateLimits.polling, async (req, res) => {
     try {
       const { roomCode } = req.params;
       const { playerId } = req.query;
@@ -264,7 +273,7 @@ module.exports = (io, db, connectionManager, lobbyManager, statusSyncManager) =>
   });
 
   // Legacy room validation endpoint for backward compatibility
-  router.get('/api/rooms/:roomCode/validate', apiKeyMiddleware, rateLimits.apiCalls, async (req, res) => {
+  router.get('/api/rooms/:roomCode/validate', apiKeyMiddleware, requireApiScope('rooms:read'), rateLimits.apiCalls, async (req, res) => {
     try {
       const { roomCode } = req.params;
       const { playerName, playerId } = req.query;
@@ -302,7 +311,7 @@ module.exports = (io, db, connectionManager, lobbyManager, statusSyncManager) =>
   });
 
   // Enhanced room validation endpoint with session token generation
-  router.get('/api/v2/rooms/:roomCode/validate-with-session', apiKeyMiddleware, rateLimits.apiCalls, async (req, res) => {
+  router.get('/api/v2/rooms/:roomCode/validate-with-session', apiKeyMiddleware, requireApiScope('rooms:read'), rateLimits.apiCalls, async (req, res) => {
     try {
       const { roomCode } = req.params;
       const { playerId, playerName } = req.query;
@@ -345,7 +354,7 @@ module.exports = (io, db, connectionManager, lobbyManager, statusSyncManager) =>
   });
 
   // Heartbeat endpoint for external games to maintain connection awareness
-  router.post('/api/v2/external-heartbeat', apiKeyMiddleware, rateLimits.heartbeats, async (req, res) => {
+  router.post('/api/v2/external-heartbeat', apiKeyMiddleware, requireApiScope('status:write'), rateLimits.heartbeats, async (req, res) => {
     try {
       const { roomCode, playerId, gameData = {} } = req.body;
 
@@ -0,0 +1,155 @@
+const express = require('express');
+const { supabaseAdmin } = require('../lib/supabase');
+const { requireAuth } = require('../middlewares/auth');
+
+const JOINABLE_ROOM_STATUSES = ['lobby', 'in_game', 'returning'];
+
+module.exports = (io, connectionManager) => {
+  const router = express.Router();
+
+  const isExpired = (invitation) =>
+    invitation.expires_at && new Date(invitation.expires_at).getTime() < Date.now();
+
+  const markExpired = async (ids) => {
+    if (ids.length === 0) return;
+    const { error } = await supabaseAdmin
+      .from('room_invitations')
+      .update({ status: 'expired' })
+      .in('id', ids);
+    if (error) {
+      console.error('❌ [INVITES] Failed to mark invitations expired:', error);
+    }
+  };
+
+  // Load an invitation addressed to the current user, enforcing expiry
+  const getOwnPendingInvitation = async (invitationId, userId) => {
+    const { data: invitation, error } = await supabaseAdmin
+      .from('room_invitations')
+      .select('*, room:rooms(id, room_code, status, current_game)')
+      .eq('id', invitationId)
+      .eq('invited_user', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!invitation) {
+      return { status: 404, body: { error: 'Invitation not found', code: 'INVITATION_NOT_FOUND' } };
+    }
+    if (invitation.status !== 'pending') {
+      return { status: 409, body: { error: `Invitation already ${invitation.status}`, code: 'INVITATION_NOT_PENDING' } };
+    }
+    if (isExpired(invitation)) {
+      await markExpired([invitation.id]);
+      return { status: 410, body: { error: 'Invitation has expired', code: 'INVITATION_EXPIRED' } };
+    }
+    return { invitation };
+  };
+
+  /**
+   * GET /api/invitations
+   * Pending, unexpired room invitations for the current user
+   */
+  router.get('/', requireAuth, async (req, res) => {
+    try {
+      const { data: invitations, error } = await supabaseAdmin
+        .from('room_invitations')
+        .select(`
+          id, message, expires_at, created_at,
+          room:rooms(room_code, status, current_game),
+          inviter:users!room_invitations_invited_by_fkey(id, username, display_name)
+        `)
+        .eq('invited_user', req.user.id)
+        .eq('status', 'pending')
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+
+      const expiredIds = (invitations || []).filter(isExpired).map(inv => inv.id);
+      await markExpired(expiredIds);
+
+      res.json({
+        success: true,
+        invitations: (invitations || [])
+          .filter(inv => !isExpired(inv) && inv.room && JOINABLE_ROOM_STATUSES.includes(inv.room.status))
+          .map(inv => ({
+            id: inv.id,
+            roomCode: inv.room.room_code,
+            gameType: inv.room.current_game,
+            invitedBy: inv.inviter?.display_name || inv.inviter?.username,
+            message: inv.message,
+            expiresAt: inv.expires_at,
+            createdAt: inv.created_at
+          }))
+      });
+    } catch (error) {
+      console.error('❌ [INVITES] Error listing invitations:', error);
+      res.status(500).json({ error: 'Failed to load invitations' });
+    }
+  });
+
+  /**
+   * POST /api/invitations/:invitationId/accept
+   * Accept an invitation; the client then runs the normal joinRoom flow with the returned roomCode
+   */
+  router.post('/:invitationId/accept', requireAuth, async (req, res) => {
+    try {
+      const result = await getOwnPendingInvitation(req.params.invitationId, req.user.id);
+      if (!result.invitation) {
+        return res.status(result.status).json(result.body);
+      }
+
+      const { invitation } = result;
+      if (!invitation.room || !JOINABLE_ROOM_STATUSES.includes(invitation.room.status)) {
+        await markExpired([invitation.id]);
+        return res.status(410).json({ error: 'The room is no longer available', code: 'ROOM_NOT_AVAILABLE' });
+      }
+
+      const { error } = await supabaseAdmin
+        .from('room_invitations')
+        .update({ status: 'accepted', responded_at: new Date().toISOString() })
+        .eq('id', invitation.id);
+
+      if (error) throw error;
+
+      console.log(`✅ [INVITES] ${req.user.id} accepted invitation to ${invitation.room.room_code}`);
+      res.json({ success: true, roomCode: invitation.room.room_code });
+    } catch (error) {
+      console.error('❌ [INVITES] Error accepting invitation:', error);
+      res.status(500).json({ error: 'Failed to accept invitation' });
+    }
+  });
+
+  /**
+   * POST /api/invitations/:invitationId/decline
+   * Decline an invitation and let the inviter know if they're online
+   */
+  router.post('/:invitationId/decline', requireAuth, async (req, res) => {
+    try {
+      const result = await getOwnPendingInvitation(req.params.invitationId, req.user.id);
+      if (!result.invitation) {
+        return res.status(result.status).json(result.body);
+      }
+
+      const { invitation } = result;
+      const { error } = await supabaseAdmin
+        .from('room_invitations')
+        .update({ status: 'declined', responded_at: new Date().toISOString() })
+        .eq('id', invitation.id);
+
+      if (error) throw error;
+
+      connectionManager.getUserConnections(invitation.invited_by).forEach(conn => {
+        io.to(conn.socketId).emit('roomInvite:declined', {
+          invitationId: invitation.id,
+          userId: req.user.id
+        });
+      });
+
+      res.json({ success: true });
+    } catch (error) {
+      console.error('❌ [INVITES] Error declining invitation:', error);
+      res.status(500).json({ error: 'Failed to decline invitation' });
+    }
+  });
+
+  return router;
+};
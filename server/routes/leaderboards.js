@@ -0,0 +1,277 @@
+const express = require('express');
+const router = express.Router();
+const { supabaseAdmin } = require('../lib/supabase');
+const { optionalAuth } = require('../middlewares/auth');
+
+const LEADERBOARD_USER_FIELDS = 'id, username, display_name, avatar_url, avatar_style, avatar_seed, avatar_options, premium_tier, role, level, xp';
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+// Matches idx_player_stats_win_rate - fewer games make win rate meaningless
+const MIN_GAMES_FOR_WIN_RATE = 10;
+
+const PERIODS = ['all_time', 'weekly', 'monthly'];
+const METRICS = ['wins', 'win_rate'];
+const SCOPES = ['global', 'friends'];
+
+// Windows reset at the start of the calendar week (Monday) / month, in UTC
+const getPeriodStart = (period) => {
+  const now = new Date();
+  if (period === 'monthly') {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  }
+  const daysSinceMonday = (now.getUTCDay() + 6) % 7;
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() - daysSinceMonday));
+};
+
+const toPublicUser = (user) => ({
+  id: user.id,
+  username: user.username,
+  displayName: user.display_name || user.username,
+  avatarUrl: user.avatar_url,
+  avatarStyle: user.avatar_style,
+  avatarSeed: user.avatar_seed,
+  avatarOptions: user.avatar_options,
+  premiumTier: user.premium_tier || 'free',
+  role: user.role || 'user',
+  level: user.level || 1
+});
+
+// Competition ranking (1, 2, 2, 4) over rows already sorted best-first
+const assignRanks = (rows, isTie) => rows.map((row, index) => {
+  row.rank = index > 0 && isTie(rows[index - 1], row) ? rows[index - 1].rank : index + 1;
+  return row;
+});
+
+const getFriendIds = async (userId) => {
+  const { data, error } = await supabaseAdmin
+    .from('friendships')
+    .select('user_id, friend_id')
+    .or(`user_id.eq.${userId},friend_id.eq.${userId}`)
+    .eq('status', 'accepted');
+
+  if (error) throw error;
+  return (data || []).map(row => (row.user_id === userId ? row.friend_id : row.user_id));
+};
+
+// Boards and rank counts skip players who hid their profile or stats
+// (users.leaderboard_visible); viewers still get their own rank in `me`
+const getLevelLeaderboard = async ({ limit, viewerId, userIds }) => {
+  let query = supabaseAdmin
+    .from('users')
+    .select(LEADERBOARD_USER_FIELDS)
+    .eq('is_guest', false)
+    .eq('leaderboard_visible', true)
+    .order('level', { ascending: false })
+    .order('xp', { ascending: false })
+    .limit(limit);
+  if (userIds) query = query.in('id', userIds);
+
+  const { data: users, error } = await query;
+  if (error) throw error;
+
+  const entries = assignRanks(
+    (users || []).map(user => ({ user: toPublicUser(user), score: user.xp || 0, level: user.level || 1 })),
+    (a, b) => a.level === b.level && a.score === b.score
+  );
+
+  let me = null;
+  if (viewerId) {
+    me = entries.find(entry => entry.user.id === viewerId) || null;
+    if (!me) {
+      const { data: viewer } = await supabaseAdmin
+        .from('users')
+        .select(LEADERBOARD_USER_FIELDS)
+        .eq('id', viewerId)
+        .maybeSingle();
+
+      if (viewer) {
+        const level = viewer.level || 1;
+        const xp = viewer.xp || 0;
+        let countQuery = supabaseAdmin
+          .from('users')
+          .select('id', { count: 'exact', head: true })
+          .eq('is_guest', false)
+          .eq('leaderboard_visible', true)
+          .or(`level.gt.${level},and(level.eq.${level},xp.gt.${xp})`);
+        if (userIds) countQuery = countQuery.in('id', userIds);
+
+        const { count, error: countError } = await countQuery;
+        if (countError) throw countError;
+        me = { user: toPublicUser(viewer), score: xp, level, rank: (count || 0) + 1 };
+      }
+    }
+  }
+
+  return { entries, me };
+};
+
+const getXpWindowLeaderboard = async ({ period, limit, viewerId, userIds }) => {
+  const { data: rows, error } = await supabaseAdmin.rpc('get_xp_window_leaderboard', {
+    p_since: getPeriodStart(period).toISOString(),
+    p_limit: limit,
+    p_viewer_id: viewerId || null,
+    p_user_ids: userIds || null
+  });
+
+  if (error) throw error;
+
+  const ids = (rows || []).map(row => row.user_id);
+  if (viewerId && !ids.includes(viewerId)) ids.push(viewerId);
+
+  let usersById = {};
+  if (ids.length > 0) {
+    const { data: users, error: usersError } = await supabaseAdmin
+      .from('users')
+      .select(LEADERBOARD_USER_FIELDS)
+      .in('id', ids);
+
+    if (usersError) throw usersError;
+    usersById = Object.fromEntries((users || []).map(user => [user.id, user]));
+  }
+
+  const toEntry = (row) => ({
+    user: toPublicUser(usersById[row.user_id] || { id: row.user_id }),
+    score: Number(row.score),
+    rank: Number(row.rank)
+  });
+
+  // The function appends the viewer's row after the top rows when they rank lower
+  const entries = (rows || []).slice(0, limit).map(toEntry);
+  const viewerRow = (rows || []).find(row => row.user_id === viewerId);
+  let me = null;
+  if (viewerRow) {
+    me = toEntry(viewerRow);
+  } else if (viewerId && usersById[viewerId]) {
+    // No XP earned in this window yet
+    me = { user: toPublicUser(usersById[viewerId]), score: 0, rank: null };
+  }
+
+  return { entries, me };
+};
+
+const getGameLeaderboard = async ({ gameId, metric, limit, viewerId, userIds }) => {
+  const column = metric === 'win_rate' ? 'win_rate' : 'games_won';
+  const toEntry = (row) => ({
+    user: toPublicUser(row.user),
+    score: Number(row[column]) || 0,
+    gamesPlayed: row.games_played,
+    gamesWon: row.games_won,
+    winRate: Number(row.win_rate) || 0
+  });
+
+  let query = supabaseAdmin
+    .from('player_stats')
+    .select(`user_id, games_played, games_won, win_rate, user:users!inner(${LEADERBOARD_USER_FIELDS}, is_guest, leaderboard_visible)`)
+    .eq('game_id', gameId)
+    .eq('user.is_guest', false)
+    .eq('user.leaderboard_visible', true)
+    .order(column, { ascending: false })
+    .order('games_played', { ascending: false })
+    .limit(limit);
+  if (metric === 'win_rate') query = query.gte('games_played', MIN_GAMES_FOR_WIN_RATE);
+  else query = query.gt('games_won', 0);
+  if (userIds) query = query.in('user_id', userIds);
+
+  const { data: rows, error } = await query;
+  if (error) throw error;
+
+  const entries = assignRanks((rows || []).map(toEntry), (a, b) => a.score === b.score);
+
+  let me = null;
+  if (viewerId) {
+    me = entries.find(entry => entry.user.id === viewerId) || null;
+    if (!me) {
+      const { data: viewerRow } = await supabaseAdmin
+        .from('player_stats')
+        .select(`user_id, games_played, games_won, win_rate, user:users!inner(${LEADERBOARD_USER_FIELDS})`)
+        .eq('game_id', gameId)
+        .eq('user_id', viewerId)
+        .maybeSingle();
+
+      const ranked = viewerRow && (metric === 'win_rate'
+        ? viewerRow.games_played >= MIN_GAMES_FOR_WIN_RATE
+        : viewerRow.games_won > 0);
+
+      if (ranked) {
+        let countQuery = supabaseAdmin
+          .from('player_stats')
+          .select('user_id, user:users!inner(is_guest, leaderboard_visible)', { count: 'exact', head: true })
+          .eq('game_id', gameId)
+          .eq('user.is_guest', false)
+          .eq('user.leaderboard_visible', true)
+          .gt(column, viewerRow[column]);
+        if (metric === 'win_rate') countQuery = countQuery.gte('games_played', MIN_GAMES_FOR_WIN_RATE);
+        if (userIds) countQuery = countQuery.in('user_id', userIds);
+
+        const { count, error: countError } = await countQuery;
+        if (countError) throw countError;
+        me = { ...toEntry(viewerRow), rank: (count || 0) + 1 };
+      } else if (viewerRow) {
+        me = { ...toEntry(viewerRow), rank: null };
+      }
+    }
+  }
+
+  return { entries, me };
+};
+
+/**
+ * GET /api/leaderboards
+ * Query: gameId (per-game board, else level/XP), metric (wins|win_rate),
+ * period (all_time|weekly|monthly, level/XP only), scope (global|friends), limit
+ * Signed-in callers also get their own rank in `me`, even outside the top N
+ */
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const {
+      gameId,
+      metric = 'wins',
+      period = 'all_time',
+      scope = 'global'
+    } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const viewerId = req.user?.id || null;
+
+    if (!PERIODS.includes(period) || !METRICS.includes(metric) || !SCOPES.includes(scope)) {
+      return res.status(400).json({ error: 'Invalid leaderboard options', code: 'INVALID_LEADERBOARD' });
+    }
+    if (gameId && period !== 'all_time') {
+      return res.status(400).json({ error: 'Game leaderboards are all-time only', code: 'INVALID_LEADERBOARD' });
+    }
+    if (scope === 'friends' && !viewerId) {
+      return res.status(401).json({ error: 'Sign in to see your friends leaderboard', code: 'AUTH_REQUIRED' });
+    }
+
+    const userIds = scope === 'friends' ? [viewerId, ...(await getFriendIds(viewerId))] : null;
+    const options = { gameId, metric, period, limit, viewerId, userIds };
+
+    let result;
+    if (gameId) {
+      result = await getGameLeaderboard(options);
+    } else if (period === 'all_time') {
+      result = await getLevelLeaderboard(options);
+    } else {
+      result = await getXpWindowLeaderboard(options);
+    }
+
+    res.json({
+      success: true,
+      leaderboard: {
+        type: gameId ? 'game' : period === 'all_time' ? 'level' : 'xp',
+        gameId: gameId || null,
+        metric: gameId ? metric : null,
+        period,
+        scope,
+        periodStart: period === 'all_time' ? null : getPeriodStart(period).toISOString(),
+        minGamesForWinRate: MIN_GAMES_FOR_WIN_RATE
+      },
+      entries: result.entries,
+      me: result.me
+    });
+  } catch (error) {
+    console.error('❌ [LEADERBOARDS] Error loading leaderboard:', error);
+    res.status(500).json({ error: 'Failed to load leaderboard' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middlewares/auth');
+const banService = require('../services/banService');
+
+/**
+ * GET /api/moderation/warnings
+ * Moderator warnings the signed-in user hasn't seen yet
+ */
+router.get('/warnings', requireAuth, async (req, res) => {
+  try {
+    const warnings = await banService.getPendingWarnings(req.user.id);
+    res.json({ success: true, warnings });
+  } catch (error) {
+    console.error('❌ [MODERATION] Error loading warnings:', error);
+    res.status(500).json({ error: 'Failed to load warnings' });
+  }
+});
+
+/**
+ * POST /api/moderation/warnings/:warningId/acknowledge
+ * Mark a warning as seen so it is only shown once
+ */
+router.post('/warnings/:warningId/acknowledge', requireAuth, async (req, res) => {
+  try {
+    const acknowledged = await banService.acknowledgeWarning(req.user.id, req.params.warningId);
+    if (!acknowledged) {
+      return res.status(404).json({ error: 'Warning not found', code: 'WARNING_NOT_FOUND' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ [MODERATION] Error acknowledging warning:', error);
+    res.status(500).json({ error: 'Failed to acknowledge warning' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,144 @@
+const express = require('express');
+const { supabaseAdmin } = require('../lib/supabase');
+const { requireAuth } = require('../middlewares/auth');
+const notificationService = require('../services/notificationService');
+const router = express.Router();
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+/**
+ * GET /api/notifications
+ * Paginated notifications for the current user (newest first)
+ * Query: page (1-based), limit, unreadOnly
+ */
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE));
+    const from = (page - 1) * limit;
+
+    let query = supabaseAdmin
+      .from('notifications')
+      .select('*', { count: 'exact' })
+      .eq('user_id', req.user.id)
+      .or(`expires_at.is.null,expires_at.gt.${new Date().toISOString()}`)
+      .order('created_at', { ascending: false })
+      .range(from, from + limit - 1);
+
+    if (req.query.unreadOnly === 'true') {
+      query = query.eq('is_read', false);
+    }
+
+    const { data: notifications, count, error } = await query;
+    if (error) throw error;
+
+    const unreadCount = await notificationService.getUnreadCount(req.user.id);
+
+    res.json({
+      success: true,
+      notifications: notifications || [],
+      unreadCount,
+      pagination: {
+        page,
+        limit,
+        total: count || 0,
+        hasMore: from + (notifications?.length || 0) < (count || 0)
+      }
+    });
+  } catch (error) {
+    console.error('❌ [NOTIFICATIONS] Error listing notifications:', error);
+    res.status(500).json({ error: 'Failed to load notifications' });
+  }
+});
+
+/**
+ * GET /api/notifications/unread-count
+ * Lightweight unread counter for the header bell
+ */
+router.get('/unread-count', requireAuth, async (req, res) => {
+  try {
+    const unreadCount = await notificationService.getUnreadCount(req.user.id);
+    res.json({ success: true, unreadCount });
+  } catch (error) {
+    console.error('❌ [NOTIFICATIONS] Error counting notifications:', error);
+    res.status(500).json({ error: 'Failed to count notifications' });
+  }
+});
+
+/**
+ * POST /api/notifications/read-all
+ * Mark every unread notification as read
+ */
+router.post('/read-all', requireAuth, async (req, res) => {
+  try {
+    const { error } = await supabaseAdmin
+      .from('notifications')
+      .update({ is_read: true, read_at: new Date().toISOString() })
+      .eq('user_id', req.user.id)
+      .eq('is_read', false);
+
+    if (error) throw error;
+
+    await notificationService.push(req.user.id, 'notification:count');
+    res.json({ success: true, unreadCount: 0 });
+  } catch (error) {
+    console.error('❌ [NOTIFICATIONS] Error marking all read:', error);
+    res.status(500).json({ error: 'Failed to update notifications' });
+  }
+});
+
+/**
+ * PATCH /api/notifications/:notificationId/read
+ * Mark a single notification as read
+ */
+router.patch('/:notificationId/read', requireAuth, async (req, res) => {
+  try {
+    const { data: notification, error } = await supabaseAdmin
+      .from('notifications')
+      .update({ is_read: true, read_at: new Date().toISOString() })
+      .eq('id', req.params.notificationId)
+      .eq('user_id', req.user.id)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found', code: 'NOTIFICATION_NOT_FOUND' });
+    }
+
+    await notificationService.push(req.user.id, 'notification:count');
+    res.json({ success: true, notification });
+  } catch (error) {
+    console.error('❌ [NOTIFICATIONS] Error marking notification read:', error);
+    res.status(500).json({ error: 'Failed to update notification' });
+  }
+});
+
+/**
+ * DELETE /api/notifications/:notificationId
+ * Delete a notification
+ */
+router.delete('/:notificationId', requireAuth, async (req, res) => {
+  try {
+    const { data: deleted, error } = await supabaseAdmin
+      .from('notifications')
+      .delete()
+      .eq('id', req.params.notificationId)
+      .eq('user_id', req.user.id)
+      .select('id');
+
+    if (error) throw error;
+    if (!deleted || deleted.length === 0) {
+      return res.status(404).json({ error: 'Notification not found', code: 'NOTIFICATION_NOT_FOUND' });
+    }
+
+    await notificationService.push(req.user.id, 'notification:count');
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ [NOTIFICATIONS] Error deleting notification:', error);
+    res.status(500).json({ error: 'Failed to delete notification' });
+  }
+});
+
+module.exports = router;
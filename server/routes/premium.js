@@ -0,0 +1,113 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth, requireRole } = require('../middlewares/auth');
+const { validators } = require('../lib/validation');
+const premiumCodes = require('../services/premiumCodeService');
+
+const REDEEM_ERRORS = {
+  CODE_NOT_FOUND: { status: 404, error: 'This code does not exist' },
+  CODE_EXPIRED: { status: 410, error: 'This code has expired' },
+  CODE_USED_UP: { status: 409, error: 'This code has already been used' },
+  ALREADY_REDEEMED: { status: 409, error: 'You have already redeemed this code' },
+  ALREADY_LIFETIME: { status: 409, error: 'You already have lifetime premium' },
+  ACTIVE_SUBSCRIPTION: { status: 409, error: 'You have an active monthly subscription. Cancel it first or redeem the code once it ends.' }
+};
+
+/**
+ * POST /api/premium/redeem
+ * Redeem a gift or promo code for the signed-in user
+ */
+router.post('/redeem', requireAuth, async (req, res) => {
+  try {
+    const validation = await validators.redeemPremiumCode(req.body || {});
+    if (!validation.isValid) {
+      return res.status(400).json({ error: validation.message, code: 'INVALID_CODE' });
+    }
+
+    const result = await premiumCodes.redeem(req.user.id, validation.value.code);
+    if (result.error) {
+      const { status, error } = REDEEM_ERRORS[result.error];
+      return res.status(status).json({ error, code: result.error });
+    }
+
+    res.json({ success: true, tier: result.tier, expiresAt: result.expiresAt });
+  } catch (error) {
+    console.error('❌ [PREMIUM] Error redeeming code:', error);
+    res.status(500).json({ error: 'Failed to redeem code' });
+  }
+});
+
+/**
+ * GET /api/premium/gifts
+ * Gift codes the signed-in user has bought
+ */
+router.get('/gifts', requireAuth, async (req, res) => {
+  try {
+    const gifts = await premiumCodes.listGiftsForUser(req.user.id);
+    res.json({ success: true, gifts });
+  } catch (error) {
+    console.error('❌ [PREMIUM] Error loading gifts:', error);
+    res.status(500).json({ error: 'Failed to load gifts' });
+  }
+});
+
+// ===== ADMIN: PROMO CODES =====
+
+/**
+ * GET /api/premium/admin/codes
+ * All promo codes, newest first
+ */
+router.get('/admin/codes', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const codes = await premiumCodes.listPromoCodes();
+    res.json({ success: true, codes });
+  } catch (error) {
+    console.error('❌ [PREMIUM] Error listing promo codes:', error);
+    res.status(500).json({ error: 'Failed to load promo codes' });
+  }
+});
+
+/**
+ * POST /api/premium/admin/codes
+ * Mint a promo code (lifetime, or durationDays of monthly premium)
+ */
+router.post('/admin/codes', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const validation = await validators.createPromoCode(req.body || {});
+    if (!validation.isValid) {
+      return res.status(400).json({ error: validation.message, code: 'INVALID_PROMO_CODE' });
+    }
+
+    const result = await premiumCodes.createPromoCode({ ...validation.value, createdBy: req.user.id });
+    if (result.error) {
+      return res.status(409).json({ error: 'A code with this name already exists', code: result.error });
+    }
+
+    console.log(`🎟️ [PREMIUM] ${req.user.id} minted promo code ${result.code.code} (${result.code.tier}, ${result.code.max_uses} uses)`);
+    res.status(201).json({ success: true, code: result.code });
+  } catch (error) {
+    console.error('❌ [PREMIUM] Error creating promo code:', error);
+    res.status(500).json({ error: 'Failed to create promo code' });
+  }
+});
+
+/**
+ * POST /api/premium/admin/codes/:codeId/disable
+ * Stop a promo code from being redeemed
+ */
+router.post('/admin/codes/:codeId/disable', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const code = await premiumCodes.disableCode(req.params.codeId);
+    if (!code) {
+      return res.status(404).json({ error: 'Code not found', code: 'CODE_NOT_FOUND' });
+    }
+
+    console.log(`🎟️ [PREMIUM] ${req.user.id} disabled code ${code.code}`);
+    res.json({ success: true, code });
+  } catch (error) {
+    console.error('❌ [PREMIUM] Error disabling promo code:', error);
+    res.status(500).json({ error: 'Failed to disable code' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,167 @@
+const express = require('express');
+const router = express.Router();
+const { supabaseAdmin } = require('../lib/supabase');
+const { requireAuth } = require('../middlewares/auth');
+const achievementService = require('../services/achievementService');
+
+const PROFILE_USER_FIELDS = 'id, username, display_name, avatar_url, avatar_style, avatar_seed, avatar_options, premium_tier, role, level, xp, bio, created_at, total_games_played, total_games_won, is_guest, privacy_settings';
+const RECENT_MATCHES_LIMIT = 10;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Missing keys count as public so older rows keep their current behaviour
+const getPrivacy = (user) => ({
+  profilePublic: user.privacy_settings?.profile_public !== false,
+  statsPublic: user.privacy_settings?.stats_public !== false,
+  historyPublic: user.privacy_settings?.history_public !== false
+});
+
+/**
+ * GET /api/profiles/:identifier
+ * Public, read-only player profile by username (or user id, used by the lobby)
+ */
+router.get('/:identifier', async (req, res) => {
+  try {
+    const { identifier } = req.params;
+
+    let query = supabaseAdmin.from('users').select(PROFILE_USER_FIELDS);
+    query = UUID_PATTERN.test(identifier) ? query.eq('id', identifier) : query.eq('username', identifier);
+    const { data: user, error } = await query.maybeSingle();
+
+    if (error) throw error;
+    // Guests have no persistent profile
+    if (!user || user.is_guest) {
+      return res.status(404).json({ error: 'Player not found', code: 'PROFILE_NOT_FOUND' });
+    }
+
+    const privacy = getPrivacy(user);
+    const profile = {
+      id: user.id,
+      username: user.username,
+      displayName: user.display_name || user.username,
+      avatarUrl: user.avatar_url,
+      avatarStyle: user.avatar_style,
+      avatarSeed: user.avatar_seed,
+      avatarOptions: user.avatar_options,
+      premiumTier: user.premium_tier || 'free',
+      role: user.role || 'user'
+    };
+
+    if (!privacy.profilePublic) {
+      return res.json({ profile, isPrivate: true, stats: null, recentMatches: null, achievements: null });
+    }
+
+    Object.assign(profile, {
+      level: user.level || 1,
+      xp: user.xp || 0,
+      bio: user.bio || null,
+      memberSince: user.created_at,
+      totalGamesPlayed: user.total_games_played || 0,
+      totalGamesWon: user.total_games_won || 0
+    });
+
+    let stats = null;
+    let achievements = null;
+    if (privacy.statsPublic) {
+      const { data: statRows, error: statsError } = await supabaseAdmin
+        .from('player_stats')
+        .select('game_id, games_played, games_won, games_lost, games_abandoned, win_rate, total_time_played_minutes, last_played_at, game:games(display_name, thumbnail_url)')
+        .eq('user_id', user.id)
+        .order('games_played', { ascending: false });
+
+      if (statsError) throw statsError;
+      stats = (statRows || []).map(row => ({
+        gameId: row.game_id,
+        gameName: row.game?.display_name || row.game_id,
+        thumbnailUrl: row.game?.thumbnail_url || null,
+        gamesPlayed: row.games_played,
+        gamesWon: row.games_won,
+        gamesLost: row.games_lost,
+        gamesAbandoned: row.games_abandoned,
+        winRate: Number(row.win_rate) || 0,
+        timePlayedMinutes: row.total_time_played_minutes,
+        lastPlayedAt: row.last_played_at
+      }));
+
+      achievements = (await achievementService.getUserAchievements(user.id))
+        .filter(a => a.earnedAt)
+        .map(({ id, name, description, iconUrl, rarity, earnedAt }) => ({ id, name, description, iconUrl, rarity, earnedAt }));
+    }
+
+    let recentMatches = null;
+    if (privacy.historyPublic) {
+      const { data: matchRows, error: matchesError } = await supabaseAdmin
+        .from('game_matches')
+        .select('id, game_id, ended_at, duration_minutes, total_players, players, game_mode, was_abandoned, game:games(display_name)')
+        .contains('players', [{ user_id: user.id }])
+        .order('ended_at', { ascending: false })
+        .limit(RECENT_MATCHES_LIMIT);
+
+      if (matchesError) throw matchesError;
+      recentMatches = (matchRows || []).map(match => {
+        const entry = (match.players || []).find(p => p.user_id === user.id) || {};
+        return {
+          id: match.id,
+          gameId: match.game_id,
+          gameName: match.game?.display_name || match.game_id,
+          endedAt: match.ended_at,
+          durationMinutes: match.duration_minutes,
+          totalPlayers: match.total_players,
+          gameMode: match.game_mode,
+          rank: entry.rank ?? null,
+          score: entry.score ?? null,
+          won: !!entry.is_winner,
+          abandoned: !!entry.abandoned || match.was_abandoned
+        };
+      });
+    }
+
+    res.json({ profile, isPrivate: false, stats, recentMatches, achievements });
+  } catch (error) {
+    console.error('❌ [PROFILES] Error loading profile:', error);
+    res.status(500).json({ error: 'Failed to load profile' });
+  }
+});
+
+/**
+ * PATCH /api/profiles/me/privacy
+ * Update who can see the signed-in user's profile, stats and match history
+ */
+router.patch('/me/privacy', requireAuth, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { profilePublic, statsPublic, historyPublic } = req.body || {};
+
+    const updates = { profile_public: profilePublic, stats_public: statsPublic, history_public: historyPublic };
+    if (Object.values(updates).some(value => value !== undefined && typeof value !== 'boolean')) {
+      return res.status(400).json({ error: 'Privacy settings must be true or false', code: 'INVALID_PRIVACY_SETTINGS' });
+    }
+
+    const { data: user, error } = await supabaseAdmin
+      .from('users')
+      .select('privacy_settings')
+      .eq('id', userId)
+      .single();
+
+    if (error) throw error;
+
+    const privacySettings = { ...(user.privacy_settings || {}) };
+    Object.entries(updates).forEach(([key, value]) => {
+      if (value !== undefined) privacySettings[key] = value;
+    });
+
+    const { error: updateError } = await supabaseAdmin
+      .from('users')
+      .update({ privacy_settings: privacySettings })
+      .eq('id', userId);
+
+    if (updateError) throw updateError;
+
+    console.log(`🔒 [PROFILES] ${userId} updated privacy settings`);
+    res.json({ success: true, privacy: getPrivacy({ privacy_settings: privacySettings }) });
+  } catch (error) {
+    console.error('❌ [PROFILES] Error updating privacy settings:', error);
+    res.status(500).json({ error: 'Failed to update privacy settings' });
+  }
+});
+
+module.exports = router;
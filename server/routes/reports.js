@@ -0,0 +1,126 @@
+const express = require('express');
+const router = express.Router();
+const { supabaseAdmin, db } = require('../lib/supabase');
+const { requireAuth } = require('../middlewares/auth');
+const { validators, rateLimits } = require('../lib/validation');
+const chatLog = require('../services/chatLog');
+
+const EVIDENCE_MESSAGE_COUNT = 20;
+const OPEN_STATUSES = ['pending', 'investigating'];
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * POST /api/reports
+ * Report a player. When reported from a lobby the room and the last chat
+ * messages (as recorded by the server) are attached as evidence.
+ */
+router.post('/', requireAuth, rateLimits.reports, async (req, res) => {
+  try {
+    const reporterId = req.user.id;
+
+    const validation = await validators.reportPlayer(req.body || {});
+    if (!validation.isValid) {
+      return res.status(400).json({ error: validation.message, code: 'INVALID_REPORT' });
+    }
+    const { reportedUserId, reason, description = '', roomCode } = validation.value;
+
+    if (reportedUserId === reporterId) {
+      return res.status(400).json({ error: 'You cannot report yourself', code: 'SELF_REPORT' });
+    }
+
+    const { data: reportedUser, error: userError } = await supabaseAdmin
+      .from('users')
+      .select('id, username, display_name')
+      .eq('id', reportedUserId)
+      .maybeSingle();
+
+    if (userError) throw userError;
+    if (!reportedUser) {
+      return res.status(404).json({ error: 'Player not found', code: 'USER_NOT_FOUND' });
+    }
+
+    const { data: existing, error: existingError } = await supabaseAdmin
+      .from('user_reports')
+      .select('id')
+      .eq('reported_by', reporterId)
+      .eq('reported_user_id', reportedUserId)
+      .in('status', OPEN_STATUSES)
+      .maybeSingle();
+
+    if (existingError) throw existingError;
+    if (existing) {
+      return res.status(409).json({
+        error: 'You already reported this player - our moderators are on it',
+        code: 'REPORT_ALREADY_FILED',
+        reportId: existing.id
+      });
+    }
+
+    let room = null;
+    const evidence = {};
+    if (roomCode) {
+      const { data: roomRow, error: roomError } = await supabaseAdmin
+        .from('rooms')
+        .select('id, room_code, current_game, room_members(user_id, custom_lobby_name)')
+        .eq('room_code', roomCode)
+        .maybeSingle();
+
+      if (roomError) throw roomError;
+      const memberIds = (roomRow?.room_members || []).map(m => m.user_id);
+      if (!roomRow || !memberIds.includes(reporterId)) {
+        return res.status(403).json({ error: 'You can only report players from your own room', code: 'NOT_IN_ROOM' });
+      }
+
+      room = roomRow;
+      evidence.room_code = roomRow.room_code;
+      evidence.current_game = roomRow.current_game;
+      evidence.reported_lobby_name = roomRow.room_members.find(m => m.user_id === reportedUserId)?.custom_lobby_name || null;
+      evidence.chat = chatLog.getRecent(roomRow.room_code, EVIDENCE_MESSAGE_COUNT).map(msg => ({
+        user_id: msg.userId,
+        player_name: msg.playerName,
+        message: msg.message,
+        sent_at: new Date(msg.timestamp).toISOString()
+      }));
+    }
+
+    const { data: report, error: insertError } = await supabaseAdmin
+      .from('user_reports')
+      .insert({
+        reported_user_id: reportedUserId,
+        reported_by: reporterId,
+        reason,
+        description,
+        occurred_in_room_id: room?.id || null,
+        evidence
+      })
+      .select('id, status, created_at')
+      .single();
+
+    if (insertError) {
+      // Two submits raced past the check above
+      if (insertError.code === UNIQUE_VIOLATION) {
+        return res.status(409).json({
+          error: 'You already reported this player - our moderators are on it',
+          code: 'REPORT_ALREADY_FILED'
+        });
+      }
+      throw insertError;
+    }
+
+    if (room) {
+      await db.logEvent(room.id, reporterId, 'player_reported', {
+        report_id: report.id,
+        reported_user_id: reportedUserId,
+        reason
+      });
+    }
+
+    console.log(`🚩 [REPORTS] ${reporterId} reported ${reportedUserId} for ${reason}${room ? ` in ${room.room_code}` : ''}`);
+    res.status(201).json({ success: true, report });
+  } catch (error) {
+    console.error('❌ [REPORTS] Error filing report:', error);
+    res.status(500).json({ error: 'Failed to submit report' });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,12 @@ const express = require('express');
 const stripe = require('../lib/stripe');
 const { supabaseAdmin } = require('../lib/supabase');
 const { requireAuth } = require('../middlewares/auth');
+const notificationService = require('../services/notificationService');
+const achievementService = require('../services/achievementService');
+const subscriptionEvents = require('../services/subscriptionEventService');
+const dunningService = require('../services/dunningService');
+const premiumCodes = require('../services/premiumCodeService');
+const { validators } = require('../lib/validation');
 const router = express.Router();
 
 // Configuration
@@ -146,6 +152,32 @@ fetchStripePrices()
     console.error('   Prices will be fetched on first payment request');
   });
 
+/**
+ * Stripe customer for a user, created (and saved) on first checkout
+ */
+async function getOrCreateCustomer(user) {
+  if (user.stripe_customer_id) return user.stripe_customer_id;
+
+  console.log('📝 [STRIPE] Creating new Stripe customer for user:', user.id);
+
+  const customer = await stripe.customers.create({
+    email: user.email,
+    metadata: {
+      supabase_user_id: user.id,
+      username: user.username
+    }
+  });
+
+  // Save customer ID to database
+  await supabaseAdmin
+    .from('users')
+    .update({ stripe_customer_id: customer.id })
+    .eq('id', user.id);
+
+  console.log('✅ [STRIPE] Created customer:', customer.id);
+  return customer.id;
+}
+
 /**
  * POST /api/stripe/create-checkout-session
  * Create a Stripe Checkout session for payment
@@ -240,29 +272,7 @@ router.post('/create-checkout-session', requireAuth, async (req, res) => {
     }
 
     // Get or create Stripe customer
-    let customerId = user.stripe_customer_id;
-
-    if (!customerId) {
-      console.log('📝 [STRIPE] Creating new Stripe customer for user:', userId);
-
-      const customer = await stripe.customers.create({
-        email: user.email,
-        metadata: {
-          supabase_user_id: userId,
-          username: user.username
-        }
-      });
-
-      customerId = customer.id;
-
-      // Save customer ID to database
-      await supabaseAdmin
-        .from('users')
-        .update({ stripe_customer_id: customerId })
-        .eq('id', userId);
-
-      console.log('✅ [STRIPE] Created customer:', customerId);
-    }
+    const customerId = await getOrCreateCustomer(user);
 
     // Create checkout session
     const sessionConfig = {
@@ -322,6 +332,79 @@ router.post('/create-checkout-session', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/stripe/create-gift-checkout
+ * Buy premium as a gift. A one-time payment for lifetime or 1-12 months of
+ * monthly premium; the webhook turns it into a redeemable code.
+ */
+router.post('/create-gift-checkout', requireAuth, async (req, res) => {
+  try {
+    const validation = await validators.giftCheckout(req.body || {});
+    if (!validation.isValid) {
+      return res.status(400).json({ error: validation.message, code: 'INVALID_GIFT' });
+    }
+    const { tier, months } = validation.value;
+
+    const prices = await fetchStripePrices();
+    const priceId = tier === 'lifetime' ? prices.lifetime : prices.monthly;
+
+    if (!priceId) {
+      console.error('❌ [STRIPE] Price ID not found for gift:', tier);
+      return res.status(500).json({
+        error: 'Payment configuration error',
+        details: 'Could not find price for the selected tier. Please contact support.'
+      });
+    }
+
+    const { data: user, error: userError } = await supabaseAdmin
+      .from('users')
+      .select('id, email, username, stripe_customer_id')
+      .eq('id', req.user.id)
+      .single();
+
+    if (userError || !user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // The monthly price is recurring, so a gift pays for the months up front
+    let lineItem = { price: priceId, quantity: 1 };
+    if (tier === 'monthly') {
+      const monthlyPrice = await stripe.prices.retrieve(priceId);
+      lineItem = {
+        price_data: {
+          currency: monthlyPrice.currency,
+          unit_amount: monthlyPrice.unit_amount,
+          product: typeof monthlyPrice.product === 'string' ? monthlyPrice.product : monthlyPrice.product.id
+        },
+        quantity: months
+      };
+    }
+
+    const session = await stripe.checkout.sessions.create({
+      customer: await getOrCreateCustomer(user),
+      line_items: [lineItem],
+      mode: 'payment',
+      success_url: `${CLIENT_URL}/premium?gift=purchased`,
+      cancel_url: `${CLIENT_URL}/premium`,
+      metadata: {
+        supabase_user_id: user.id,
+        gift: 'true',
+        premium_tier: tier,
+        gift_duration_days: tier === 'monthly' ? String(months * premiumCodes.giftMonthDays) : ''
+      }
+    });
+
+    console.log(`🎁 [STRIPE] Gift checkout created for ${user.id}: ${tier}${tier === 'monthly' ? ` x${months}` : ''}`);
+    res.json({ sessionId: session.id, url: session.url });
+  } catch (error) {
+    console.error('❌ [STRIPE] Gift checkout error:', error);
+    res.status(500).json({
+      error: 'Failed to create checkout session',
+      details: error.message
+    });
+  }
+});
+
 /**
  * GET /api/stripe/prices
  * Get current Stripe prices with product details
@@ -397,43 +480,82 @@ router.post('/webhook', async (req, res) => {
     return res.status(400).send(`Webhook Error: ${err.message}`);
   }
 
-  console.log('🔔 [STRIPE WEBHOOK] Received:', event.type);
+  console.log('🔔 [STRIPE WEBHOOK] Received:', event.type, event.id);
+
+  // Stripe retries deliveries - only apply each event once
+  let claim;
+  try {
+    claim = await subscriptionEvents.claimWebhookEvent(event);
+  } catch (error) {
+    console.error('❌ [STRIPE WEBHOOK] Failed to claim event:', error);
+    return res.status(500).json({ error: 'Webhook handler failed' });
+  }
+
+  if (!claim.claimed) {
+    if (claim.status === 'processed') {
+      console.log('♻️  [STRIPE WEBHOOK] Duplicate event ignored:', event.id);
+      return res.json({ received: true, duplicate: true });
+    }
+    // Still being handled by another request; let Stripe retry later
+    console.log('⏳ [STRIPE WEBHOOK] Event already in progress:', event.id);
+    return res.status(409).json({ error: 'Event is already being processed' });
+  }
 
   // Handle the event
   try {
     switch (event.type) {
       case 'checkout.session.completed':
-        await handleCheckoutCompleted(event.data.object);
+        await handleCheckoutCompleted(event.data.object, event);
         break;
 
       case 'customer.subscription.created':
       case 'customer.subscription.updated':
-        await handleSubscriptionUpdate(event.data.object);
+        await handleSubscriptionUpdate(event.data.object, event);
         break;
 
       case 'customer.subscription.deleted':
-        await handleSubscriptionDeleted(event.data.object);
+        await handleSubscriptionDeleted(event.data.object, event);
         break;
 
       case 'invoice.payment_succeeded':
-        await handlePaymentSucceeded(event.data.object);
+        await handlePaymentSucceeded(event.data.object, event);
         break;
 
       case 'invoice.payment_failed':
-        await handlePaymentFailed(event.data.object);
+        await handlePaymentFailed(event.data.object, event);
+        break;
+
+      case 'charge.refunded':
+        await handleChargeRefunded(event.data.object, event);
         break;
 
       default:
         console.log('ℹ️  [STRIPE WEBHOOK] Unhandled event type:', event.type);
     }
 
+    await subscriptionEvents.completeWebhookEvent(event.id);
     res.json({ received: true });
   } catch (error) {
     console.error('❌ [STRIPE WEBHOOK] Handler error:', error);
+    await subscriptionEvents.failWebhookEvent(event.id, error);
     res.status(500).json({ error: 'Webhook handler failed' });
   }
 });
 
+/**
+ * GET /api/stripe/billing-history
+ * The signed-in user's subscription and payment events, newest first
+ */
+router.get('/billing-history', requireAuth, async (req, res) => {
+  try {
+    const events = await subscriptionEvents.getHistory(req.user.id);
+    res.json({ events });
+  } catch (error) {
+    console.error('❌ [STRIPE] Billing history error:', error);
+    res.status(500).json({ error: 'Failed to load billing history' });
+  }
+});
+
 /**
  * POST /api/stripe/customer-portal
  * Create a customer portal session for subscription management
@@ -573,7 +695,7 @@ router.post('/cancel-subscription', requireAuth, async (req, res) => {
  * Handle checkout.session.completed
  * Payment completed successfully
  */
-async function handleCheckoutCompleted(session) {
+async function handleCheckoutCompleted(session, event) {
   console.log('✅ [STRIPE WEBHOOK] Checkout completed:', session.id);
 
   const userId = session.metadata.supabase_user_id;
@@ -585,6 +707,11 @@ async function handleCheckoutCompleted(session) {
     return;
   }
 
+  if (session.metadata.gift === 'true') {
+    await handleGiftPurchased(session, event);
+    return;
+  }
+
   // Handle Affiliate Logic
   if (affiliateId) {
     try {
@@ -617,10 +744,13 @@ async function handleCheckoutCompleted(session) {
         }).eq('id', affiliateId);
 
         // 3. Record referral link (ignore if already referred)
-        await supabaseAdmin.from('referrals').insert({
+        const { error: referralError } = await supabaseAdmin.from('referrals').insert({
           referred_user_id: userId,
           affiliate_id: affiliateId
-        }).catch(err => console.log('ℹ️ User already referred:', err.message)); // Safe ignore
+        });
+        if (referralError) {
+          console.log('ℹ️ User already referred:', referralError.message); // Safe ignore
+        }
 
         console.log(`💰 [STRIPE WEBHOOK] Commission recorded: +${commission}`);
       }
@@ -629,6 +759,13 @@ async function handleCheckoutCompleted(session) {
     }
   }
 
+  const { data: previousUser } = await supabaseAdmin
+    .from('users')
+    .select('premium_tier')
+    .eq('id', userId)
+    .single();
+  const oldTier = previousUser?.premium_tier || 'free';
+
   const updateData = {
     stripe_customer_id: session.customer,
     premium_tier: premiumTier,
@@ -656,13 +793,87 @@ async function handleCheckoutCompleted(session) {
     console.error('❌ [STRIPE WEBHOOK] Failed to update user:', error);
   } else {
     console.log('✅ [STRIPE WEBHOOK] User premium activated:', userId);
+    await subscriptionEvents.record({
+      userId,
+      eventType: oldTier !== 'free' && oldTier !== premiumTier ? 'upgraded' : 'created',
+      tier: premiumTier,
+      oldTier,
+      amount: (session.amount_total || 0) / 100,
+      currency: session.currency,
+      paymentStatus: session.payment_status,
+      stripeEventId: event.id,
+      metadata: {
+        checkout_session_id: session.id,
+        subscription_id: session.subscription || null,
+        affiliate_id: affiliateId || null
+      }
+    });
+    await notificationService.notify(userId, {
+      type: 'subscription',
+      title: premiumTier === 'lifetime' ? 'Lifetime Premium activated' : 'Premium activated',
+      message: 'Thanks for supporting GameBuddies! Your premium perks are now unlocked.',
+      actionUrl: '/account',
+      actionLabel: 'View',
+      metadata: { event: 'activated', tier: premiumTier }
+    });
+    await achievementService.track(userId, 'premium', { value: 1 });
   }
 }
 
+/**
+ * Handle a paid gift checkout: issue the code to the buyer
+ */
+async function handleGiftPurchased(session, event) {
+  const userId = session.metadata.supabase_user_id;
+  const tier = session.metadata.premium_tier;
+  const durationDays = tier === 'monthly' ? parseInt(session.metadata.gift_duration_days, 10) : null;
+
+  const { code, created } = await premiumCodes.createGiftCode({
+    purchasedBy: userId,
+    tier,
+    durationDays,
+    stripeSessionId: session.id
+  });
+
+  if (!created) {
+    console.log('ℹ️  [STRIPE WEBHOOK] Gift code already issued for session:', session.id);
+    return;
+  }
+
+  console.log(`🎁 [STRIPE WEBHOOK] Gift code issued to ${userId}: ${tier}${durationDays ? ` (${durationDays} days)` : ''}`);
+
+  const { data: buyer } = await supabaseAdmin
+    .from('users')
+    .select('premium_tier')
+    .eq('id', userId)
+    .single();
+
+  await subscriptionEvents.record({
+    userId,
+    eventType: 'gift_purchased',
+    tier: buyer?.premium_tier || 'free',
+    oldTier: buyer?.premium_tier || 'free',
+    amount: (session.amount_total || 0) / 100,
+    currency: session.currency,
+    paymentStatus: session.payment_status,
+    stripeEventId: event.id,
+    metadata: { checkout_session_id: session.id, code_id: code.id, gift_tier: tier, duration_days: durationDays }
+  });
+  await notificationService.notify(userId, {
+    type: 'subscription',
+    title: 'Your gift code is ready',
+    message: `Share ${code.code} with a friend - it unlocks ${tier === 'lifetime' ? 'lifetime premium' : `${durationDays} days of premium`}.`,
+    actionUrl: '/premium',
+    actionLabel: 'View gifts',
+    metadata: { event: 'gift_purchased', codeId: code.id }
+  });
+}
+
 /**
  * Handle subscription created/updated
+ * @param {object} [renewalInvoice] - the paid invoice when called for a renewal
  */
-async function handleSubscriptionUpdate(subscription) {
+async function handleSubscriptionUpdate(subscription, event, renewalInvoice = null) {
   console.log('🔄 [STRIPE WEBHOOK] Subscription updated:', subscription.id);
 
   const userId = subscription.metadata.supabase_user_id;
@@ -675,18 +886,41 @@ async function handleSubscriptionUpdate(subscription) {
   // Check if subscription is canceled (cancel_at_period_end = true)
   const isCanceled = subscription.cancel_at_period_end === true;
 
+  // Previous cancellation state, so we only notify on an actual change
+  const { data: previousUser } = await supabaseAdmin
+    .from('users')
+    .select('premium_tier, subscription_canceled_at')
+    .eq('id', userId)
+    .single();
+  const wasCanceled = !!previousUser?.subscription_canceled_at;
+
+  // A leftover monthly subscription must not overwrite lifetime premium
+  if (previousUser?.premium_tier === 'lifetime') {
+    console.log('ℹ️  [STRIPE WEBHOOK] User has lifetime premium, ignoring subscription update:', userId);
+    return;
+  }
+
   if (isCanceled) {
     console.log('⚠️  [STRIPE WEBHOOK] Subscription set to cancel at period end');
   }
 
+  const periodEnd = new Date(subscription.current_period_end * 1000).toISOString();
   const updateData = {
     stripe_subscription_id: subscription.id,
     premium_tier: 'monthly',
-    premium_expires_at: new Date(subscription.current_period_end * 1000).toISOString(),
+    premium_expires_at: periodEnd,
     // Track cancellation status
     subscription_canceled_at: isCanceled ? new Date().toISOString() : null
   };
 
+  // While Stripe retries a failed renewal the tier is owned by the dunning
+  // grace period - don't re-grant premium to a user it already downgraded
+  if (['past_due', 'unpaid'].includes(subscription.status)) {
+    console.log(`⏳ [STRIPE WEBHOOK] Subscription ${subscription.status}, leaving tier to the grace period`);
+    delete updateData.premium_tier;
+    delete updateData.premium_expires_at;
+  }
+
   const { error } = await supabaseAdmin
     .from('users')
     .update(updateData)
@@ -697,7 +931,51 @@ async function handleSubscriptionUpdate(subscription) {
   } else {
     console.log('✅ [STRIPE WEBHOOK] Subscription updated for user:', userId);
     if (isCanceled) {
-      console.log('📅 [STRIPE WEBHOOK] User will retain access until:', updateData.premium_expires_at);
+      console.log('📅 [STRIPE WEBHOOK] User will retain access until:', periodEnd);
+    }
+
+    if (renewalInvoice) {
+      await subscriptionEvents.record({
+        userId,
+        eventType: 'renewed',
+        tier: 'monthly',
+        oldTier: previousUser?.premium_tier,
+        amount: (renewalInvoice.amount_paid || 0) / 100,
+        currency: renewalInvoice.currency,
+        paymentStatus: renewalInvoice.status,
+        stripeEventId: event.id,
+        metadata: { invoice_id: renewalInvoice.id, subscription_id: subscription.id, period_end: periodEnd }
+      });
+    } else if (isCanceled !== wasCanceled) {
+      await subscriptionEvents.record({
+        userId,
+        eventType: isCanceled ? 'cancelled' : 'resumed',
+        tier: 'monthly',
+        oldTier: previousUser?.premium_tier,
+        stripeEventId: event.id,
+        reason: isCanceled ? subscription.cancellation_details?.reason || 'cancel_at_period_end' : null,
+        metadata: { subscription_id: subscription.id, access_until: periodEnd }
+      });
+    }
+
+    if (isCanceled && !wasCanceled) {
+      await notificationService.notify(userId, {
+        type: 'subscription',
+        title: 'Subscription cancelled',
+        message: `You keep premium until ${new Date(periodEnd).toLocaleDateString('en-US')}.`,
+        actionUrl: '/account',
+        actionLabel: 'Manage',
+        metadata: { event: 'cancel_scheduled', expiresAt: periodEnd }
+      });
+    } else if (!isCanceled && wasCanceled) {
+      await notificationService.notify(userId, {
+        type: 'subscription',
+        title: 'Subscription resumed',
+        message: 'Your premium subscription will renew as normal.',
+        actionUrl: '/account',
+        actionLabel: 'View',
+        metadata: { event: 'resumed' }
+      });
     }
   }
 }
@@ -706,7 +984,7 @@ async function handleSubscriptionUpdate(subscription) {
  * Handle subscription deleted
  * Note: Keep premium_expires_at for historical record of when subscription ended
  */
-async function handleSubscriptionDeleted(subscription) {
+async function handleSubscriptionDeleted(subscription, event) {
   console.log('🗑️  [STRIPE WEBHOOK] Subscription deleted:', subscription.id);
 
   const userId = subscription.metadata.supabase_user_id;
@@ -723,6 +1001,36 @@ async function handleSubscriptionDeleted(subscription) {
 
   console.log(`📅 [STRIPE WEBHOOK] Subscription ended at: ${expirationDate}`);
 
+  const { data: previousUser } = await supabaseAdmin
+    .from('users')
+    .select('premium_tier, grace_period_ends_at')
+    .eq('id', userId)
+    .single();
+
+  // Ending a monthly subscription after an upgrade must not drop lifetime premium
+  if (previousUser?.premium_tier === 'lifetime') {
+    console.log('ℹ️  [STRIPE WEBHOOK] User has lifetime premium, keeping it:', userId);
+    await supabaseAdmin.from('users').update({ stripe_subscription_id: null }).eq('id', userId);
+    return;
+  }
+
+  // Already downgraded when the grace period lapsed
+  if (previousUser?.premium_tier === 'free') {
+    await supabaseAdmin.from('users').update({ stripe_subscription_id: null }).eq('id', userId);
+    return;
+  }
+
+  // Stripe gave up retrying: premium stays until the grace period ends,
+  // then the dunning sweep downgrades the user
+  if (dunningService.isInGracePeriod(previousUser)) {
+    console.log(`⏳ [STRIPE WEBHOOK] User ${userId} keeps premium until grace period ends: ${previousUser.grace_period_ends_at}`);
+    await supabaseAdmin
+      .from('users')
+      .update({ stripe_subscription_id: null, premium_expires_at: previousUser.grace_period_ends_at })
+      .eq('id', userId);
+    return;
+  }
+
   const { error } = await supabaseAdmin
     .from('users')
     .update({
@@ -738,41 +1046,110 @@ async function handleSubscriptionDeleted(subscription) {
     console.error('❌ [STRIPE WEBHOOK] Failed to remove premium:', error);
   } else {
     console.log(`✅ [STRIPE WEBHOOK] Premium removed for user: ${userId}, expired at: ${expirationDate}`);
+    await subscriptionEvents.record({
+      userId,
+      eventType: 'expired',
+      tier: 'free',
+      oldTier: previousUser?.premium_tier,
+      stripeEventId: event.id,
+      reason: subscription.cancellation_details?.reason || null,
+      metadata: { subscription_id: subscription.id, ended_at: expirationDate }
+    });
+    await notificationService.notify(userId, {
+      type: 'subscription',
+      title: 'Premium has ended',
+      message: 'Your subscription has ended. You can resubscribe any time.',
+      actionUrl: '/premium',
+      actionLabel: 'Resubscribe',
+      metadata: { event: 'ended', endedAt: expirationDate }
+    });
   }
 }
 
 /**
  * Handle successful payment (for subscriptions)
  */
-async function handlePaymentSucceeded(invoice) {
+async function handlePaymentSucceeded(invoice, event) {
   console.log('💰 [STRIPE WEBHOOK] Payment succeeded:', invoice.id);
 
   if (invoice.subscription) {
-    // Renew subscription
+    // Renew subscription. The first invoice is already recorded as 'created' by checkout.
     const subscription = await stripe.subscriptions.retrieve(invoice.subscription);
-    await handleSubscriptionUpdate(subscription);
+    const isRenewal = invoice.billing_reason === 'subscription_cycle';
+    await handleSubscriptionUpdate(subscription, event, isRenewal ? invoice : null);
+    await dunningService.resolveGracePeriod(subscription.metadata.supabase_user_id);
   }
 }
 
 /**
  * Handle failed payment
+ * Opens the grace period (premium stays active, user is warned in-app and by email)
  */
-async function handlePaymentFailed(invoice) {
+async function handlePaymentFailed(invoice, event) {
   console.log('❌ [STRIPE WEBHOOK] Payment failed:', invoice.id);
 
-  // You could send an email to the user here
-  // Or update a "payment_status" field in the database
-
   if (invoice.subscription) {
     const subscription = await stripe.subscriptions.retrieve(invoice.subscription);
     const userId = subscription.metadata.supabase_user_id;
 
     if (userId) {
-      // Optionally mark the subscription as having payment issues
       console.warn('⚠️  [STRIPE WEBHOOK] Payment failed for user:', userId);
-      // You could add a payment_status field to track this
+      const { data: user } = await supabaseAdmin
+        .from('users')
+        .select('premium_tier')
+        .eq('id', userId)
+        .single();
+      await subscriptionEvents.record({
+        userId,
+        eventType: 'payment_failed',
+        tier: user?.premium_tier || 'free',
+        oldTier: user?.premium_tier || 'free',
+        amount: (invoice.amount_due || 0) / 100,
+        currency: invoice.currency,
+        paymentStatus: 'failed',
+        stripeEventId: event.id,
+        reason: invoice.last_finalization_error?.message || null,
+        metadata: {
+          invoice_id: invoice.id,
+          attempt_count: invoice.attempt_count,
+          next_payment_attempt: invoice.next_payment_attempt ? new Date(invoice.next_payment_attempt * 1000).toISOString() : null
+        }
+      });
+      await dunningService.startGracePeriod(userId, invoice);
     }
   }
 }
 
+/**
+ * Handle refunded charge
+ * Tier changes (if any) arrive as their own subscription events
+ */
+async function handleChargeRefunded(charge, event) {
+  console.log('↩️  [STRIPE WEBHOOK] Charge refunded:', charge.id);
+
+  const { data: user } = await supabaseAdmin
+    .from('users')
+    .select('id, premium_tier')
+    .eq('stripe_customer_id', charge.customer)
+    .maybeSingle();
+
+  if (!user) {
+    console.warn('⚠️  [STRIPE WEBHOOK] No user for refunded charge customer:', charge.customer);
+    return;
+  }
+
+  await subscriptionEvents.record({
+    userId: user.id,
+    eventType: 'refunded',
+    tier: user.premium_tier || 'free',
+    oldTier: user.premium_tier || 'free',
+    amount: (charge.amount_refunded || 0) / 100,
+    currency: charge.currency,
+    paymentStatus: charge.refunded ? 'refunded' : 'partially_refunded',
+    stripeEventId: event.id,
+    reason: charge.refunds?.data?.[0]?.reason || null,
+    metadata: { charge_id: charge.id, payment_intent: charge.payment_intent || null }
+  });
+}
+
 module.exports = router;
@@ -0,0 +1,413 @@
+#!/usr/bin/env node
+
+/**
+ * Game API contract check
+ *
+ * Runs the real /api/v2/game router (routes/gameApiV2.js) against an
+ * in-memory Supabase stand-in and validates every response against the
+ * schema lib/gameApiContract.js documents for that status code - the same
+ * schemas /api/v2/openapi.json is generated from. Exits with 1 when a
+ * response drifts from the contract, a route is missing from the contract
+ * (or the other way round), or a route has no passing example below.
+ *
+ * Usage: npm run check:api-contract
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { MemoryDatabase } = require('./memorySupabase');
+
+// ===== IN-MEMORY DATABASE =====
+
+const memory = new MemoryDatabase({
+  relations: {
+    'rooms.room_members': { on: [['id', 'room_id']], many: true },
+    'rooms.users!host_id': { on: [['host_id', 'id']] },
+    'room_members.users': { on: [['user_id', 'id']] },
+    'room_members.rooms': { on: [['room_id', 'id']] },
+    'room_members.player_sessions': { on: [['user_id', 'user_id'], ['room_id', 'room_id']], many: true },
+    'player_sessions.users': { on: [['user_id', 'id']] },
+    'player_sessions.rooms': { on: [['room_id', 'id']] },
+    'player_sessions.room_members': { on: [['user_id', 'user_id'], ['room_id', 'room_id']], many: true }
+  },
+  defaults: {
+    users: () => ({ xp: 0, level: 1, premium_tier: 'free', is_guest: false, avatar_url: null }),
+    room_members: () => ({ role: 'player', is_connected: true, is_ready: false, in_game: false, current_location: 'lobby', game_data: {}, custom_lobby_name: null, joined_at: new Date().toISOString(), last_ping: new Date().toISOString() }),
+    game_states: () => ({ created_by: null }),
+    api_keys: () => ({ rate_limit: null, daily_quota: null, last_used: null }),
+    webhook_deliveries: () => ({
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: new Date().toISOString(),
+      last_attempt_at: null,
+      last_status_code: null,
+      last_error: null,
+      delivered_at: null,
+      redelivery_of: null
+    })
+  },
+  unique: {
+    users: [['username']],
+    game_matches: [['game_id', 'session_id']]
+  },
+  functions: {
+    // Same result shape as ADD_LEVELING_SYSTEM.sql, with the Level * 1000 curve
+    add_xp: ({ p_user_id, p_amount }, database) => {
+      const user = database.rows('users').find(row => row.id === p_user_id);
+      if (!user) return { error: 'User not found' };
+      const oldLevel = user.level;
+      user.xp += p_amount;
+      while (user.xp >= user.level * 1000) user.level++;
+      return {
+        user_id: user.id,
+        old_level: oldLevel,
+        new_level: user.level,
+        current_xp: user.xp,
+        next_level_at: user.level * 1000,
+        leveled_up: user.level > oldLevel
+      };
+    },
+    // Match row only; player_stats aren't part of any response
+    record_game_match: ({ p_match }, database) => {
+      const existing = database.rows('game_matches')
+        .find(row => row.game_id === p_match.game_id && row.session_id === p_match.session_id);
+      const match = existing || database.insertRow('game_matches', p_match);
+      return { id: match.id, created_at: match.created_at, duplicate: Boolean(existing) };
+    },
+    record_legacy_api_call: () => null
+  }
+});
+
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://contract-check.invalid';
+process.env.SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY || 'contract-check';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'contract-check';
+// The check's webhook receiver listens on 127.0.0.1
+process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+
+// lib/supabase.js creates its clients at require time
+const supabaseModule = require.resolve('@supabase/supabase-js');
+require.cache[supabaseModule] = {
+  id: supabaseModule,
+  filename: supabaseModule,
+  loaded: true,
+  exports: { createClient: () => memory.client() }
+};
+
+const express = require('express');
+const { db } = require('../lib/supabase');
+const apiKeyService = require('../services/apiKeyService');
+const gameApiV2Router = require('../routes/gameApiV2');
+const { BASE_PATH, routes, responseSchemas } = require('../lib/gameApiContract');
+
+// ===== FIXTURES =====
+
+const GAME_ID = 'contract-game';
+const ROOM_CODE = 'CNTR01';
+// Lobby that hasn't picked a game yet
+const LOBBY_CODE = 'CNTR02';
+const SESSION_TOKEN = crypto.randomBytes(32).toString('hex');
+const ids = {
+  room: crypto.randomUUID(),
+  lobby: crypto.randomUUID(),
+  host: crypto.randomUUID(),
+  player: crypto.randomUUID(),
+  outsider: crypto.randomUUID(),
+  unknown: crypto.randomUUID()
+};
+
+function seed() {
+  const now = new Date().toISOString();
+  memory.seed('games', [{
+    id: GAME_ID,
+    name: 'Contract Game',
+    webhook_url: null,
+    webhook_secret: null,
+    webhook_events: null,
+    webhook_enabled: false
+  }]);
+  memory.seed('users', [
+    { id: ids.host, username: 'contract_host', display_name: 'Host' },
+    { id: ids.player, username: 'contract_player', display_name: 'Player', premium_tier: 'monthly' },
+    { id: ids.outsider, username: 'contract_outsider', display_name: 'Outsider' }
+  ]);
+  memory.seed('rooms', [{
+    id: ids.room,
+    room_code: ROOM_CODE,
+    host_id: ids.host,
+    status: 'in_game',
+    current_game: GAME_ID,
+    max_players: 4,
+    game_settings: {},
+    metadata: {},
+    game_started_at: now,
+    last_activity: now
+  }, {
+    id: ids.lobby,
+    room_code: LOBBY_CODE,
+    host_id: ids.outsider,
+    status: 'lobby',
+    current_game: null,
+    max_players: 4,
+    game_settings: {},
+    metadata: {},
+    last_activity: now
+  }]);
+  memory.seed('room_members', [
+    { room_id: ids.room, user_id: ids.host, role: 'host', in_game: true, current_location: 'game' },
+    { room_id: ids.room, user_id: ids.player, in_game: true, current_location: 'game', is_ready: true }
+  ]);
+  memory.seed('player_sessions', [{
+    user_id: ids.player,
+    room_id: ids.room,
+    session_token: SESSION_TOKEN,
+    status: 'active',
+    expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+  }]);
+}
+
+// ===== EXAMPLES =====
+
+// Run in order; later examples rely on the state earlier ones leave behind
+const room = (path = '') => `/rooms/${ROOM_CODE}${path}`;
+const examples = [
+  { operationId: 'health', path: '/health', expect: 200 },
+
+  { operationId: 'validateRoom', path: `${room('/validate')}?playerId=${ids.player}&sessionToken=${SESSION_TOKEN}`, expect: 200 },
+  { operationId: 'validateRoom', path: room('/validate'), key: null, expect: 401 },
+  { operationId: 'validateRoom', path: room('/validate'), key: 'readOnly', expect: 200 },
+  { operationId: 'validateRoom', path: `${room('/validate')}?playerName=${'x'.repeat(60)}`, expect: 400 },
+  { operationId: 'validateRoom', path: '/rooms/NOROOM/validate', expect: 404 },
+
+  { operationId: 'joinRoom', method: 'post', path: room('/join'), body: { playerName: 'contract_newbie' }, expect: 200 },
+  { operationId: 'joinRoom', method: 'post', path: room('/join'), body: { playerId: ids.player }, expect: 200 },
+  { operationId: 'joinRoom', method: 'post', path: room('/join'), body: {}, expect: 400 },
+  { operationId: 'joinRoom', method: 'post', path: room('/join'), body: { playerName: 'contract_newbie' }, key: 'readOnly', expect: 403 },
+  { operationId: 'joinRoom', method: 'post', path: `/rooms/${LOBBY_CODE}/join`, body: { playerName: 'contract_newbie' }, expect: 403 },
+
+  { operationId: 'saveGameState', method: 'post', path: room('/state'), body: { playerId: ids.host, gameState: { round: 1 } }, expect: 200 },
+  { operationId: 'saveGameState', method: 'post', path: room('/state'), body: { playerId: ids.unknown, gameState: {} }, expect: 403 },
+  { operationId: 'getGameState', path: room('/state'), expect: 200 },
+  { operationId: 'getGameState', path: `${room('/state')}?version=99`, expect: 404 },
+  { operationId: 'getGameState', path: `${room('/state')}?version=first`, expect: 400 },
+
+  { operationId: 'logGameEvent', method: 'post', path: room('/events'), body: { playerId: ids.player, eventType: 'round_won', eventData: { round: 1 } }, expect: 200 },
+  { operationId: 'logGameEvent', method: 'post', path: room('/events'), body: { eventData: {} }, expect: 400 },
+
+  // syncSession replaces the player's session token
+  {
+    operationId: 'updatePlayerStatus',
+    method: 'post',
+    path: room(`/players/${ids.player}/status`),
+    body: { status: 'in_game', location: 'game', syncSession: true },
+    expect: 200,
+    after: (context, payload) => { context.sessionToken = payload.sessionToken; }
+  },
+  { operationId: 'updatePlayerStatus', method: 'post', path: room(`/players/${ids.unknown}/status`), body: { status: 'in_game' }, expect: 404 },
+  { operationId: 'updatePlayerStatus', method: 'post', path: room(`/players/${ids.player}/status`), body: { status: 'teleported' }, expect: 400 },
+
+  { operationId: 'heartbeat', method: 'post', path: room(`/players/${ids.player}/heartbeat`), body: { metadata: { fps: 60 } }, expect: 200 },
+
+  { operationId: 'recoverSession', method: 'post', path: '/sessions/recover', body: ({ sessionToken }) => ({ sessionToken }), key: null, expect: 200 },
+  { operationId: 'recoverSession', method: 'post', path: '/sessions/recover', body: { sessionToken: SESSION_TOKEN }, key: null, expect: 401 },
+  { operationId: 'recoverSession', method: 'post', path: '/sessions/recover', body: { sessionToken: 'expired' }, key: null, expect: 401 },
+  { operationId: 'recoverSession', method: 'post', path: '/sessions/recover', body: {}, key: null, expect: 400 },
+
+  { operationId: 'syncRoom', method: 'post', path: room('/sync'), expect: 200 },
+
+  { operationId: 'awardXp', method: 'post', path: '/progress/event', body: { userId: ids.player, amount: 1200, source: 'contract' }, expect: 200 },
+  { operationId: 'awardXp', method: 'post', path: '/progress/event', body: { userId: ids.player, amount: 10, gameId: 'other-game' }, expect: 403 },
+  { operationId: 'awardXp', method: 'post', path: '/progress/event', body: { userId: 'not-a-uuid', amount: 10 }, expect: 400 },
+  { operationId: 'getProgress', path: `/progress/${ids.player}`, expect: 200 },
+  { operationId: 'getProgress', path: `/progress/${ids.unknown}`, expect: 404 },
+
+  { operationId: 'getWebhook', path: '/webhook', expect: 200 },
+  { operationId: 'configureWebhook', method: 'put', path: '/webhook', body: ({ webhookUrl }) => ({ url: webhookUrl, events: ['room.returned_to_lobby', 'host.transferred'] }), expect: 200 },
+  { operationId: 'configureWebhook', method: 'put', path: '/webhook', body: { url: 'not a url' }, expect: 400 },
+
+  { operationId: 'returnAllToLobby', method: 'post', path: room('/return-all'), expect: 200, after: waitForDelivery },
+  { operationId: 'returnAllToLobby', method: 'post', path: '/rooms/NOROOM/return-all', expect: 404 },
+
+  // The return-all grace window turns these disconnects into skips
+  { operationId: 'updatePlayerStatus', method: 'post', path: room(`/players/${ids.host}/status`), body: { status: 'disconnected' }, expect: 200 },
+  {
+    operationId: 'bulkUpdatePlayerStatus',
+    method: 'post',
+    path: room('/bulk-status'),
+    body: { players: [{ playerId: ids.player, location: 'game' }, { playerId: ids.host, location: 'disconnected' }], gameState: { round: 2 } },
+    expect: 200
+  },
+  { operationId: 'bulkUpdatePlayerStatus', method: 'post', path: room('/bulk-status'), body: { players: [] }, expect: 400 },
+  { operationId: 'bulkUpdatePlayerStatus', method: 'post', path: '/rooms/NOROOM/bulk-status', body: { players: [{ playerId: ids.player }] }, expect: 404 },
+
+  {
+    operationId: 'reportGameEnd',
+    method: 'post',
+    path: room('/game-end'),
+    body: { gameResult: { sessionId: 'contract-1', durationSeconds: 300, players: [{ userId: ids.player, rank: 1, score: 10, isWinner: true }, { userId: ids.host, rank: 2, score: 4 }] } },
+    expect: 200
+  },
+  {
+    operationId: 'reportGameEnd',
+    method: 'post',
+    path: room('/game-end'),
+    body: { gameResult: { sessionId: 'contract-1', durationSeconds: 300, players: [{ userId: ids.player }] } },
+    expect: 409
+  },
+  { operationId: 'reportGameEnd', method: 'post', path: room('/game-end'), body: { gameResult: {}, returnPlayers: false }, expect: 200 },
+  { operationId: 'reportGameEnd', method: 'post', path: room('/game-end'), body: { gameResult: { players: [] } }, expect: 400 },
+  {
+    operationId: 'reportGameEnd',
+    method: 'post',
+    path: room('/game-end'),
+    body: { gameResult: { sessionId: 'contract-2', durationSeconds: 300, players: [{ userId: ids.outsider, isWinner: true }] } },
+    expect: 400
+  },
+  { operationId: 'reportGameEnd', method: 'post', path: '/rooms/NOROOM/game-end', body: { returnPlayers: false }, expect: 404 },
+
+  { operationId: 'listWebhookDeliveries', path: '/webhook/deliveries?limit=10', expect: 200 },
+  { operationId: 'listWebhookDeliveries', path: '/webhook/deliveries?status=lost', expect: 400 },
+  { operationId: 'redeliverWebhook', method: 'post', path: ({ deliveryId }) => `/webhook/deliveries/${deliveryId}/redeliver`, expect: 202 },
+  { operationId: 'redeliverWebhook', method: 'post', path: `/webhook/deliveries/${ids.unknown}/redeliver`, expect: 404 },
+
+  { operationId: 'health', path: '/health', key: 'limited', expect: 200 },
+  { operationId: 'validateRoom', path: room('/validate'), key: 'limited', expect: 200 },
+  { operationId: 'validateRoom', path: room('/validate'), key: 'limited', expect: 429 }
+];
+
+// return-all sends its webhook in the background
+async function waitForDelivery(context) {
+  for (let i = 0; i < 50; i++) {
+    const delivery = memory.rows('webhook_deliveries').find(row => row.status === 'delivered');
+    if (delivery) {
+      context.deliveryId = delivery.id;
+      return;
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error('room.returned_to_lobby webhook was never delivered');
+}
+
+// ===== CHECKS =====
+
+function routerRoutes(router) {
+  return router.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => Object.keys(layer.route.methods).map(method => `${method.toUpperCase()} ${layer.route.path}`));
+}
+
+function checkRouteCoverage(router) {
+  const problems = [];
+  const served = new Set(routerRoutes(router));
+  const documented = new Set(routes.map(route => `${route.method.toUpperCase()} ${route.path}`));
+
+  served.forEach(route => {
+    if (!documented.has(route)) problems.push(`${route} is served but missing from lib/gameApiContract.js`);
+  });
+  documented.forEach(route => {
+    if (!served.has(route)) problems.push(`${route} is in lib/gameApiContract.js but not served`);
+  });
+  routes.forEach(route => {
+    if (!examples.some(example => example.operationId === route.operationId && example.expect < 300)) {
+      problems.push(`${route.operationId} has no successful example in scripts/check-api-contract.js`);
+    }
+  });
+  return problems;
+}
+
+async function runExample(example, context) {
+  const route = routes.find(candidate => candidate.operationId === example.operationId);
+  const method = (example.method || 'get').toUpperCase();
+  const path = typeof example.path === 'function' ? example.path(context) : example.path;
+  const body = typeof example.body === 'function' ? example.body(context) : example.body;
+  const key = example.key === undefined ? context.keys.full : context.keys[example.key];
+  const label = `${method} ${path.split('?')[0]} -> ${example.expect}`;
+
+  const response = await fetch(`${context.baseUrl}${BASE_PATH}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(key && { 'x-api-key': key })
+    },
+    ...(body !== undefined && { body: JSON.stringify(body) })
+  });
+  const payload = await response.json().catch(() => null);
+
+  const problems = [];
+  if (!route) {
+    problems.push(`unknown operation ${example.operationId}`);
+  } else if (response.status !== example.expect) {
+    problems.push(`expected status ${example.expect}, got ${response.status}: ${JSON.stringify(payload)}`);
+  } else {
+    const schemaName = route.responses[response.status];
+    if (!schemaName) {
+      problems.push(`status ${response.status} is not documented for ${route.operationId}`);
+    } else {
+      const { error } = responseSchemas[schemaName].validate(payload, { abortEarly: false });
+      error?.details.forEach(detail => problems.push(`${schemaName}: ${detail.message}`));
+    }
+  }
+
+  if (problems.length === 0 && example.after) {
+    await example.after(context, payload);
+  }
+  return { label, problems };
+}
+
+async function main() {
+  seed();
+
+  const webhookServer = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => res.end('ok'));
+  });
+  await new Promise(resolve => webhookServer.listen(0, '127.0.0.1', resolve));
+
+  const io = { to: () => ({ emit: () => {} }), emit: () => {} };
+  const router = gameApiV2Router(io, db, {});
+  const app = express();
+  app.use(express.json());
+  app.use(BASE_PATH, router);
+  const server = await new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+
+  const keyOptions = { name: 'Contract check', serviceName: GAME_ID };
+  const context = {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    webhookUrl: `http://127.0.0.1:${webhookServer.address().port}/webhooks`,
+    keys: {
+      full: (await apiKeyService.create(keyOptions)).apiKey,
+      readOnly: (await apiKeyService.create({ ...keyOptions, scopes: ['rooms:read'] })).apiKey,
+      limited: (await apiKeyService.create({ ...keyOptions, rateLimit: 1 })).apiKey
+    }
+  };
+
+  console.log('🧾 Checking the game API contract...\n');
+
+  const failures = checkRouteCoverage(router).map(problem => ({ label: 'routes', problems: [problem] }));
+  for (const example of examples) {
+    const result = await runExample(example, context);
+    console.log(`${result.problems.length ? '❌' : '✅'} ${result.label}`);
+    result.problems.forEach(problem => console.log(`     ${problem}`));
+    if (result.problems.length) failures.push(result);
+  }
+
+  server.close();
+  webhookServer.close();
+
+  if (failures.length > 0) {
+    console.log(`\n❌ ${failures.length} contract check(s) failed`);
+    failures.filter(failure => failure.label === 'routes').forEach(failure => console.log(`   ${failure.problems[0]}`));
+    return 1;
+  }
+  console.log(`\n✅ ${examples.length} examples match the contract`);
+  return 0;
+}
+
+// LobbyManager and StatusSyncManager keep intervals running, so exit explicitly
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('❌ Contract check crashed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+
+/**
+ * Legacy API key check
+ *
+ * Runs services/apiKeyService.js against an in-memory Supabase stand-in seeded
+ * with the key rows older deployments may still have after
+ * add_api_key_hashing_and_scopes.sql: plaintext keys without the gb_ prefix
+ * (the DDF key from CREATE_DDF_API_KEY.sql), unsalted SHA-256 hashes and
+ * salted keys. Every key must keep authenticating, including after it was
+ * salted on first use. Exits with 1 when a check fails.
+ *
+ * Usage: npm run check:legacy-api-keys
+ */
+
+const crypto = require('crypto');
+const { MemoryDatabase } = require('./memorySupabase');
+
+const memory = new MemoryDatabase({
+  defaults: {
+    api_keys: () => ({ key_salt: null, key_prefix: null, is_active: true, expires_at: null, rate_limit: null, daily_quota: null, last_used: null })
+  }
+});
+
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://legacy-key-check.invalid';
+process.env.SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY || 'legacy-key-check';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'legacy-key-check';
+
+// lib/supabase.js creates its clients at require time
+const supabaseModule = require.resolve('@supabase/supabase-js');
+require.cache[supabaseModule] = {
+  id: supabaseModule,
+  filename: supabaseModule,
+  loaded: true,
+  exports: { createClient: () => memory.client() }
+};
+
+const apiKeyService = require('../services/apiKeyService');
+
+// ===== FIXTURES =====
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Same shape as the DDF key: 64 hex characters, no gb_ prefix, stored as-is
+const DDF_KEY = crypto.randomBytes(32).toString('hex');
+const HASHED_KEY = crypto.randomBytes(32).toString('hex');
+const HASHED_GB_KEY = `gb_legacy_${crypto.randomBytes(20).toString('hex')}`;
+const INACTIVE_KEY = crypto.randomBytes(32).toString('hex');
+
+function seed() {
+  memory.seed('api_keys', [
+    { name: 'DDF', service_name: 'ddf', game_id: 'ddf', key_hash: DDF_KEY },
+    { name: 'Hashed', service_name: 'hashed', game_id: 'hashed', key_hash: sha256(HASHED_KEY) },
+    { name: 'Hashed gb_', service_name: 'legacy', game_id: 'legacy', key_hash: sha256(HASHED_GB_KEY) },
+    { name: 'Inactive', service_name: 'inactive', game_id: 'inactive', key_hash: INACTIVE_KEY, is_active: false }
+  ]);
+}
+
+const row = (name) => memory.rows('api_keys').find(key => key.name === name);
+
+// ===== CHECKS =====
+
+const checks = [
+  ['plaintext key without gb_ prefix authenticates', async () => {
+    const key = await apiKeyService.authenticate(DDF_KEY);
+    return key?.name === 'DDF' || `got ${key?.name ?? null}`;
+  }],
+  ['plaintext key is salted on first use', async () => {
+    const { key_hash: keyHash, key_salt: salt, key_prefix: prefix } = row('DDF');
+    if (keyHash === DDF_KEY) return 'key_hash is still the raw key';
+    return (Boolean(salt) && prefix === DDF_KEY.slice(0, 8)) || 'row was not upgraded';
+  }],
+  ['plaintext key authenticates again after salting', async () => {
+    const key = await apiKeyService.authenticate(DDF_KEY);
+    return key?.name === 'DDF' || `got ${key?.name ?? null}`;
+  }],
+  ['stored hash of an upgraded key is not accepted as the key', async () => {
+    const key = await apiKeyService.authenticate(row('DDF').key_hash);
+    return key === null || `got ${key.name}`;
+  }],
+  ['unsalted SHA-256 key authenticates', async () => {
+    const key = await apiKeyService.authenticate(HASHED_KEY);
+    return key?.name === 'Hashed' || `got ${key?.name ?? null}`;
+  }],
+  ['unsalted SHA-256 key authenticates again after salting', async () => {
+    const key = await apiKeyService.authenticate(HASHED_KEY);
+    return (key?.name === 'Hashed' && Boolean(row('Hashed').key_salt)) || `got ${key?.name ?? null}`;
+  }],
+  ['unsalted gb_ key authenticates and is salted on first use', async () => {
+    const key = await apiKeyService.authenticate(HASHED_GB_KEY);
+    if (key?.name !== 'Hashed gb_') return `got ${key?.name ?? null}`;
+    const { key_salt: salt, key_prefix: prefix } = row('Hashed gb_');
+    return (Boolean(salt) && prefix === apiKeyService.prefixOf(HASHED_GB_KEY)) || 'row was not upgraded';
+  }],
+  ['salted gb_ key authenticates by prefix', async () => {
+    const key = await apiKeyService.authenticate(HASHED_GB_KEY);
+    return key?.name === 'Hashed gb_' || `got ${key?.name ?? null}`;
+  }],
+  ['inactive plaintext key is rejected', async () => {
+    const key = await apiKeyService.authenticate(INACTIVE_KEY);
+    return key === null || `got ${key.name}`;
+  }],
+  ['unknown key is rejected', async () => {
+    const key = await apiKeyService.authenticate(crypto.randomBytes(32).toString('hex'));
+    return key === null || `got ${key.name}`;
+  }]
+];
+
+async function main() {
+  seed();
+
+  console.log('🔐 Checking legacy API keys...\n');
+
+  let failures = 0;
+  for (const [label, check] of checks) {
+    const result = await check();
+    if (result === true) {
+      console.log(`✅ ${label}`);
+    } else {
+      failures++;
+      console.log(`❌ ${label}\n     ${result}`);
+    }
+  }
+
+  if (failures > 0) {
+    console.log(`\n❌ ${failures} legacy key check(s) failed`);
+    return 1;
+  }
+  console.log(`\n✅ ${checks.length} legacy key checks passed`);
+  return 0;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('❌ Legacy key check crashed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,369 @@
+/**
+ * In-memory stand-in for the Supabase client
+ *
+ * Lets scripts run the real route handlers and services without a database
+ * (see check-api-contract.js). It implements the part of the PostgREST query
+ * builder this server uses: select with column lists and embedded relations
+ * (alias:table!hint(...), !inner), insert/update/upsert/delete with
+ * .select(), the eq/neq/gt/gte/lt/lte/is/in/not/or/filter filters, order,
+ * limit, single/maybeSingle, { count: 'exact', head: true } and rpc().
+ *
+ * Relations are not read from a schema; they are declared by the caller:
+ *   'rooms.room_members':  { on: [['id', 'room_id']], many: true }
+ *   'rooms.users!host_id': { on: [['host_id', 'id']] }
+ */
+
+const crypto = require('crypto');
+
+const NOT_FOUND = { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' };
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+// Split on commas that are not inside parentheses
+function splitTopLevel(source) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of source) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current) parts.push(current);
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+// "*, host:users!host_id(username), participants:room_members(*, user:users(*))"
+function parseSelect(columns = '*') {
+  return splitTopLevel(columns.replace(/\s+/g, '')).map((item) => {
+    const open = item.indexOf('(');
+    if (open === -1) {
+      if (item === '*') return { type: 'star' };
+      const [alias, name] = item.includes(':') ? item.split(':') : [item, item];
+      return { type: 'column', alias, name: name.split('::')[0] };
+    }
+
+    const head = item.slice(0, open);
+    const [alias, target] = head.includes(':') ? head.split(':') : [null, head];
+    const [table, ...hints] = target.split('!');
+    return {
+      type: 'embed',
+      alias: alias || table,
+      table,
+      inner: hints.includes('inner'),
+      hint: hints.find(hint => hint !== 'inner') || null,
+      children: parseSelect(item.slice(open + 1, item.lastIndexOf(')')))
+    };
+  });
+}
+
+const parseValue = (value) => {
+  if (value === 'null') return null;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return value;
+};
+
+const compare = (a, b) => {
+  if (typeof a === 'number' && typeof b !== 'number' && b !== null && !Number.isNaN(Number(b))) b = Number(b);
+  if (a === b) return 0;
+  return a > b ? 1 : -1;
+};
+
+const OPERATORS = {
+  eq: (a, b) => a !== null && a !== undefined && compare(a, b) === 0,
+  neq: (a, b) => a !== null && a !== undefined && compare(a, b) !== 0,
+  gt: (a, b) => a !== null && a !== undefined && compare(a, b) > 0,
+  gte: (a, b) => a !== null && a !== undefined && compare(a, b) >= 0,
+  lt: (a, b) => a !== null && a !== undefined && compare(a, b) < 0,
+  lte: (a, b) => a !== null && a !== undefined && compare(a, b) <= 0,
+  is: (a, b) => (a ?? null) === b,
+  in: (a, b) => b.includes(a)
+};
+
+const predicate = (column, operator, value) => {
+  const test = OPERATORS[operator];
+  if (!test) throw new Error(`memorySupabase: unsupported operator ${operator}`);
+  return row => test(row[column], value);
+};
+
+// PostgREST logic trees: "and(status.eq.pending,next_attempt_at.lte.2024-...),id.eq.1"
+function parseLogic(source, join = 'or') {
+  const conditions = splitTopLevel(source).map((part) => {
+    const group = part.match(/^(and|or)\((.*)\)$/);
+    if (group) return parseLogic(group[2], group[1]);
+
+    const [column, operator, ...rest] = part.split('.');
+    if (operator === 'not') {
+      const [innerOperator, ...innerRest] = rest;
+      const test = predicate(column, innerOperator, parseValue(innerRest.join('.')));
+      return row => !test(row);
+    }
+    return predicate(column, operator, parseValue(rest.join('.')));
+  });
+  return join === 'and'
+    ? row => conditions.every(test => test(row))
+    : row => conditions.some(test => test(row));
+}
+
+class QueryBuilder {
+  constructor(database, table) {
+    this.database = database;
+    this.table = table;
+    this.action = 'select';
+    this.columns = null;
+    this.filters = [];
+    this.orders = [];
+    this.limitCount = null;
+    this.countRequested = false;
+    this.head = false;
+    this.cardinality = null;
+  }
+
+  select(columns = '*', { count, head = false } = {}) {
+    this.columns = columns;
+    this.countRequested = count === 'exact';
+    this.head = head;
+    return this;
+  }
+
+  insert(values) {
+    this.action = 'insert';
+    this.values = [].concat(values);
+    return this;
+  }
+
+  upsert(values, { onConflict = 'id' } = {}) {
+    this.action = 'upsert';
+    this.values = [].concat(values);
+    this.conflictColumns = onConflict.split(',').map(column => column.trim());
+    return this;
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.values = values;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  eq(column, value) { return this.where(predicate(column, 'eq', value)); }
+  neq(column, value) { return this.where(predicate(column, 'neq', value)); }
+  gt(column, value) { return this.where(predicate(column, 'gt', value)); }
+  gte(column, value) { return this.where(predicate(column, 'gte', value)); }
+  lt(column, value) { return this.where(predicate(column, 'lt', value)); }
+  lte(column, value) { return this.where(predicate(column, 'lte', value)); }
+  is(column, value) { return this.where(predicate(column, 'is', value)); }
+  in(column, values) { return this.where(predicate(column, 'in', values)); }
+  filter(column, operator, value) { return this.where(predicate(column, operator, parseValue(value))); }
+  match(values) {
+    Object.entries(values).forEach(([column, value]) => this.eq(column, value));
+    return this;
+  }
+
+  not(column, operator, value) {
+    const test = predicate(column, operator, value);
+    return this.where(row => !test(row));
+  }
+
+  or(expression) {
+    return this.where(parseLogic(expression));
+  }
+
+  where(test) {
+    this.filters.push(test);
+    return this;
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.orders.push({ column, ascending });
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  single() {
+    this.cardinality = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.cardinality = 'maybeSingle';
+    return this;
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve()
+      .then(() => this.execute())
+      .catch(error => ({ data: null, error: { message: error.message, code: error.code } }))
+      .then(resolve, reject);
+  }
+
+  execute() {
+    const rows = this.database.rows(this.table);
+    const matching = () => rows.filter(row => this.filters.every(test => test(row)));
+    let affected;
+
+    switch (this.action) {
+      case 'insert':
+        affected = this.values.map(values => this.database.insertRow(this.table, values));
+        break;
+
+      case 'upsert':
+        affected = this.values.map((values) => {
+          const existing = rows.find(row => this.conflictColumns.every(column => row[column] === values[column]));
+          return existing ? Object.assign(existing, clone(values)) : this.database.insertRow(this.table, values);
+        });
+        break;
+
+      case 'update':
+        affected = matching();
+        affected.forEach(row => Object.assign(row, clone(this.values)));
+        break;
+
+      case 'delete':
+        affected = matching();
+        this.database.tables.set(this.table, rows.filter(row => !affected.includes(row)));
+        break;
+
+      default:
+        affected = matching();
+    }
+
+    // Mutations only return rows when .select() was chained
+    if (this.action !== 'select' && this.columns === null) {
+      return { data: null, error: null };
+    }
+
+    const select = parseSelect(this.columns || '*');
+    let result = affected
+      .map(row => this.database.project(this.table, row, select))
+      .filter(Boolean);
+
+    for (const { column, ascending } of [...this.orders].reverse()) {
+      result.sort((a, b) => {
+        if (a[column] == null) return b[column] == null ? 0 : 1;
+        if (b[column] == null) return -1;
+        return ascending ? compare(a[column], b[column]) : compare(b[column], a[column]);
+      });
+    }
+    const count = result.length;
+    if (this.limitCount !== null) result = result.slice(0, this.limitCount);
+
+    if (this.head) {
+      return { data: null, count, error: null };
+    }
+    if (this.cardinality === 'single' || this.cardinality === 'maybeSingle') {
+      if (result.length > 1 || (result.length === 0 && this.cardinality === 'single')) {
+        return { data: null, error: NOT_FOUND };
+      }
+      return { data: result[0] || null, error: null };
+    }
+    return { data: result, ...(this.countRequested && { count }), error: null };
+  }
+}
+
+class MemoryDatabase {
+  /**
+   * @param {object} options
+   * @param {object} options.relations - '<table>.<table>[!hint]' -> { on: [[parentColumn, childColumn]], many }
+   * @param {object} options.defaults - table -> () => column defaults for inserted rows
+   * @param {object} options.unique - table -> array of unique column lists
+   * @param {object} options.functions - rpc name -> (args, database) => data
+   */
+  constructor({ relations = {}, defaults = {}, unique = {}, functions = {} } = {}) {
+    this.tables = new Map();
+    this.relations = relations;
+    this.defaults = defaults;
+    this.unique = unique;
+    this.functions = functions;
+  }
+
+  rows(table) {
+    if (!this.tables.has(table)) this.tables.set(table, []);
+    return this.tables.get(table);
+  }
+
+  seed(table, rows) {
+    rows.forEach(row => this.insertRow(table, row));
+  }
+
+  insertRow(table, values) {
+    const row = {
+      id: crypto.randomUUID(),
+      created_at: new Date().toISOString(),
+      ...this.defaults[table]?.(),
+      ...clone(values)
+    };
+
+    for (const columns of this.unique[table] || []) {
+      if (this.rows(table).some(existing => columns.every(column => existing[column] === row[column]))) {
+        const error = new Error(`duplicate key value violates unique constraint on ${table} (${columns.join(', ')})`);
+        error.code = '23505';
+        throw error;
+      }
+    }
+
+    this.rows(table).push(row);
+    return row;
+  }
+
+  relation(parentTable, { table, hint }) {
+    const relation = (hint && this.relations[`${parentTable}.${table}!${hint}`]) || this.relations[`${parentTable}.${table}`];
+    if (!relation) throw new Error(`memorySupabase: no relation from ${parentTable} to ${table}`);
+    return relation;
+  }
+
+  // Build the selected shape of one row; null drops the row (failed !inner embed)
+  project(table, row, select) {
+    const result = {};
+    for (const item of select) {
+      if (item.type === 'star') {
+        Object.assign(result, clone(row));
+      } else if (item.type === 'column') {
+        result[item.alias] = clone(row[item.name]) ?? null;
+      } else {
+        const { on, many = false } = this.relation(table, item);
+        const related = this.rows(item.table)
+          .filter(candidate => on.every(([parentColumn, childColumn]) => candidate[childColumn] === row[parentColumn]))
+          .map(candidate => this.project(item.table, candidate, item.children))
+          .filter(Boolean);
+
+        if (item.inner && related.length === 0) return null;
+        result[item.alias] = many ? related : related[0] || null;
+      }
+    }
+    return result;
+  }
+
+  client() {
+    return {
+      from: table => new QueryBuilder(this, table),
+      rpc: async (name, args = {}) => {
+        const fn = this.functions[name];
+        if (!fn) {
+          return { data: null, error: { code: 'PGRST202', message: `Could not find the function ${name}` } };
+        }
+        try {
+          return { data: clone(await fn(args, this)) ?? null, error: null };
+        } catch (error) {
+          return { data: null, error: { message: error.message, code: error.code } };
+        }
+      }
+    };
+  }
+}
+
+module.exports = { MemoryDatabase, parseSelect };
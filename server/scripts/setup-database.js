@@ -283,61 +283,31 @@ async function setupDatabase() {
 }
 
 async function setupInitialAPIKeys() {
-  const { v4: uuidv4 } = require('uuid');
+  const apiKeyService = require('../services/apiKeyService');
   
   console.log('🔑 Setting up initial API keys...');
   
   const apiKeys = [
     {
-      service_name: 'ddf',
-      api_key: 'gb_ddf_' + uuidv4().replace(/-/g, ''),
-      game_id: 'ddf',
+      serviceName: 'ddf',
       name: 'DDF Game API Key',
-      description: 'API key for Der Dümmste Fliegt game integration',
-      permissions: ['create_room', 'join_room', 'sync_state'],
-      rate_limit: 1000
+      description: 'API key for Der Dümmste Fliegt game integration'
     },
     {
-      service_name: 'schooled', 
-      api_key: 'gb_schooled_' + uuidv4().replace(/-/g, ''),
-      game_id: 'schooled',
+      serviceName: 'schooled',
       name: 'Schooled Game API Key',
-      description: 'API key for Schooled game integration',
-      permissions: ['create_room', 'join_room', 'sync_state'],
-      rate_limit: 1000
+      description: 'API key for Schooled game integration'
     }
   ];
   
   for (const keyData of apiKeys) {
     try {
-      // Hash the API key
-      const keyHash = require('crypto')
-        .createHash('sha256')
-        .update(keyData.api_key)
-        .digest('hex');
-      
-      const { error } = await supabase
-        .from('api_keys')
-        .upsert({
-          key_hash: keyHash,
-          game_id: keyData.game_id,
-          name: keyData.name,
-          description: keyData.description,
-          permissions: keyData.permissions,
-          rate_limit: keyData.rate_limit,
-          is_active: true
-        }, { 
-          onConflict: 'key_hash'
-        });
-      
-      if (error) {
-        console.log(`⚠️  Could not create API key for ${keyData.service_name}:`, error.message);
-      } else {
-        console.log(`✅ API key created for ${keyData.service_name}: ${keyData.api_key}`);
-        console.log(`   Hash: ${keyHash}`);
-      }
+      // Only a salted hash is stored, so the key is printed this one time
+      const { key, apiKey } = await apiKeyService.create({ ...keyData, rateLimit: 1000 });
+      console.log(`✅ API key created for ${keyData.serviceName}: ${apiKey}`);
+      console.log(`   Prefix: ${key.key_prefix} (manage or rotate it via /api/admin/api-keys)`);
     } catch (keyError) {
-      console.error(`❌ Error creating API key for ${keyData.service_name}:`, keyError);
+      console.error(`❌ Error creating API key for ${keyData.serviceName}:`, keyError.message || keyError);
     }
   }
 }
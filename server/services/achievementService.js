@@ -0,0 +1,284 @@
+/**
+ * Achievement Service
+ *
+ * Evaluates achievements/user_achievements against server-side events.
+ * Each achievement is bound to an event through requirement_data.event:
+ *
+ * - game_played   count   +1 per finished game
+ * - game_won      count   +1 per win; 'streak' achievements reset on a loss
+ * - co_player     count   distinct players someone has played with
+ * - room_hosted   count   +1 per room created
+ * - friend_added  count   current number of accepted friends
+ * - level_reached condition  progress = current level
+ * - premium       condition  progress = 1 once premium is bought
+ *
+ * Unlocks award xp_reward through add_xp, create a notification and emit
+ * `achievement:unlocked` to the player's sockets (and their room, if any).
+ */
+
+const { supabaseAdmin } = require('../lib/supabase');
+const notificationService = require('./notificationService');
+
+const DEFINITIONS_CACHE_MS = 5 * 60 * 1000;
+
+class AchievementService {
+  constructor() {
+    this.io = null;
+    this.connectionManager = null;
+    this.definitions = null;
+    this.definitionsFetchedAt = 0;
+  }
+
+  /**
+   * Attach Socket.IO and the connection manager once they exist (server/index.js)
+   */
+  attach(io, connectionManager) {
+    this.io = io;
+    this.connectionManager = connectionManager;
+  }
+
+  async getDefinitions() {
+    if (this.definitions && Date.now() - this.definitionsFetchedAt < DEFINITIONS_CACHE_MS) {
+      return this.definitions;
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('achievements')
+      .select('*')
+      .order('display_order', { ascending: true });
+
+    if (error) throw error;
+
+    this.definitions = data || [];
+    this.definitionsFetchedAt = Date.now();
+    return this.definitions;
+  }
+
+  /**
+   * Award XP via add_xp, notify on level-up and evaluate level achievements
+   * @returns {Promise<{data: object|null, error: object|null}>} add_xp result
+   */
+  async awardXp(userId, amount, gameId, source) {
+    const { data, error } = await supabaseAdmin.rpc('add_xp', {
+      p_user_id: userId,
+      p_amount: amount,
+      p_game_id: gameId || null,
+      p_source: source
+    });
+
+    if (error) {
+      console.error('❌ [ACHIEVEMENTS] add_xp failed:', error);
+      return { data: null, error };
+    }
+
+    if (data?.leveled_up) {
+      await notificationService.notifyLevelUp(userId, data);
+      await this.track(userId, 'level_reached', { value: data.new_level });
+    }
+
+    return { data, error: null };
+  }
+
+  /**
+   * Advance every achievement bound to an event for one user. Never throws.
+   * @param {string} userId
+   * @param {string} event - requirement_data.event
+   * @param {object} options - { increment, value, success, coPlayerIds, roomId, roomCode, gameId }
+   * @returns {Promise<Array>} achievements unlocked by this event
+   */
+  async track(userId, event, options = {}) {
+    if (!userId) return [];
+
+    try {
+      const definitions = (await this.getDefinitions())
+        .filter(a => a.requirement_data?.event === event);
+      if (definitions.length === 0) return [];
+
+      const { data: user } = await supabaseAdmin
+        .from('users')
+        .select('id, is_guest, premium_tier, display_name, username')
+        .eq('id', userId)
+        .single();
+
+      // Guests have no persistent account to hold achievements
+      if (!user || user.is_guest) return [];
+
+      const isPremium = user.premium_tier && user.premium_tier !== 'free';
+      const eligible = definitions.filter(a => !a.premium_only || isPremium);
+
+      const { data: existingRows, error } = await supabaseAdmin
+        .from('user_achievements')
+        .select('*')
+        .eq('user_id', userId)
+        .in('achievement_id', eligible.map(a => a.id));
+
+      if (error) throw error;
+      const existingById = Object.fromEntries((existingRows || []).map(row => [row.achievement_id, row]));
+
+      const unlocked = [];
+      for (const achievement of eligible) {
+        const existing = existingById[achievement.id];
+        if (existing?.earned_at) continue;
+
+        const { progress, metadata } = this.computeProgress(achievement, existing, options);
+        const earned = progress >= (achievement.requirement_value || 0);
+
+        const { error: upsertError } = await supabaseAdmin
+          .from('user_achievements')
+          .upsert({
+            user_id: userId,
+            achievement_id: achievement.id,
+            progress,
+            metadata,
+            earned_at: earned ? new Date().toISOString() : null,
+            earned_in_room_id: earned ? options.roomId || null : null,
+            earned_in_game: earned ? options.gameId || null : null
+          }, { onConflict: 'user_id,achievement_id' });
+
+        if (upsertError) {
+          console.error(`❌ [ACHIEVEMENTS] Failed to save progress for ${achievement.id}:`, upsertError);
+          continue;
+        }
+
+        if (earned) {
+          unlocked.push(achievement);
+        }
+      }
+
+      for (const achievement of unlocked) {
+        await this.onUnlocked(user, achievement, options);
+      }
+
+      return unlocked;
+    } catch (error) {
+      console.error(`❌ [ACHIEVEMENTS] Failed to track ${event} for ${userId}:`, error);
+      return [];
+    }
+  }
+
+  computeProgress(achievement, existing, options) {
+    const current = existing?.progress || 0;
+    const metadata = existing?.metadata || {};
+
+    if (achievement.requirement_data?.event === 'co_player') {
+      const seen = new Set(metadata.coPlayerIds || []);
+      (options.coPlayerIds || []).forEach(id => seen.add(id));
+      // Only remember as many ids as the requirement needs
+      const coPlayerIds = Array.from(seen).slice(0, achievement.requirement_value);
+      return { progress: coPlayerIds.length, metadata: { ...metadata, coPlayerIds } };
+    }
+
+    switch (achievement.requirement_type) {
+      case 'streak':
+        return { progress: options.success === false ? 0 : current + (options.increment || 1), metadata };
+      case 'condition':
+        return { progress: Math.max(current, options.value || 0), metadata };
+      case 'count':
+      default:
+        // Callers that know the absolute total pass it as value
+        if (options.value !== undefined) return { progress: Math.max(current, options.value), metadata };
+        if (options.success === false) return { progress: current, metadata };
+        return { progress: current + (options.increment || 1), metadata };
+    }
+  }
+
+  async onUnlocked(user, achievement, options) {
+    console.log(`🏆 [ACHIEVEMENTS] ${user.id} unlocked ${achievement.id}`);
+
+    if (achievement.xp_reward > 0) {
+      await this.awardXp(user.id, achievement.xp_reward, options.gameId, `achievement:${achievement.id}`);
+    }
+
+    await notificationService.notify(user.id, {
+      type: 'achievement',
+      title: 'Achievement Unlocked!',
+      message: `You earned: ${achievement.name}`,
+      actionUrl: '/account',
+      actionLabel: 'View',
+      relatedAchievementId: achievement.id,
+      relatedRoomId: options.roomId,
+      priority: 'high'
+    });
+
+    if (!this.io || !this.connectionManager) return;
+
+    const payload = {
+      userId: user.id,
+      playerName: user.display_name || user.username,
+      achievement: {
+        id: achievement.id,
+        name: achievement.name,
+        description: achievement.description,
+        iconUrl: achievement.icon_url,
+        rarity: achievement.rarity,
+        xpReward: achievement.xp_reward
+      }
+    };
+
+    // Celebrate in the player's lobby if we know it, otherwise just on their own sockets
+    if (options.roomCode) {
+      this.io.to(options.roomCode).emit('achievement:unlocked', payload);
+    } else {
+      this.connectionManager.getUserConnections(user.id).forEach(conn => {
+        this.io.to(conn.socketId).emit('achievement:unlocked', payload);
+      });
+    }
+  }
+
+  /**
+   * Evaluate game-end achievements for every participant
+   * @param {object} params - { roomId, roomCode, gameId, participants: [{ userId, won }] }
+   */
+  async handleGameEnd({ roomId, roomCode, gameId, participants = [] }) {
+    const participantIds = participants.map(p => p.userId).filter(Boolean);
+
+    for (const participant of participants) {
+      if (!participant.userId) continue;
+      const context = { roomId, roomCode, gameId };
+
+      await this.track(participant.userId, 'game_played', context);
+      if (typeof participant.won === 'boolean') {
+        await this.track(participant.userId, 'game_won', { ...context, success: participant.won });
+      }
+      await this.track(participant.userId, 'co_player', {
+        ...context,
+        coPlayerIds: participantIds.filter(id => id !== participant.userId)
+      });
+    }
+  }
+
+  /**
+   * All achievements with the user's progress, for the Account page
+   */
+  async getUserAchievements(userId) {
+    const definitions = await this.getDefinitions();
+
+    const { data: rows, error } = await supabaseAdmin
+      .from('user_achievements')
+      .select('achievement_id, progress, earned_at, earned_in_game')
+      .eq('user_id', userId);
+
+    if (error) throw error;
+    const rowsById = Object.fromEntries((rows || []).map(row => [row.achievement_id, row]));
+
+    return definitions
+      // Hidden achievements stay secret until earned
+      .filter(a => !a.is_hidden || rowsById[a.id]?.earned_at)
+      .map(a => ({
+        id: a.id,
+        name: a.name,
+        description: a.description,
+        iconUrl: a.icon_url,
+        category: a.category,
+        rarity: a.rarity,
+        xpReward: a.xp_reward,
+        premiumOnly: a.premium_only,
+        requirementValue: a.requirement_value,
+        progress: Math.min(rowsById[a.id]?.progress || 0, a.requirement_value || 0),
+        earnedAt: rowsById[a.id]?.earned_at || null,
+        earnedInGame: rowsById[a.id]?.earned_in_game || null
+      }));
+  }
+}
+
+module.exports = new AchievementService();
@@ -0,0 +1,164 @@
+/**
+ * Affiliate Service
+ *
+ * Reads and settles the affiliate_earnings ledger written by the Stripe
+ * checkout webhook. Commissions start 'pending', are marked 'paid' in admin
+ * payout batches, and can be clawed back within CLAWBACK_WINDOW_DAYS of the
+ * purchase: a pending commission is cancelled, a paid one gets a negative
+ * 'clawback' entry that is netted against the next payout.
+ *
+ * affiliates.total_earnings stays the lifetime net commission.
+ */
+
+const { supabaseAdmin } = require('../lib/supabase');
+
+const CLAWBACK_WINDOW_DAYS = 30;
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+class AffiliateService {
+  /**
+   * Last moment a commission created at createdAt can be clawed back
+   */
+  clawbackDeadline(createdAt) {
+    return new Date(new Date(createdAt).getTime() + CLAWBACK_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  }
+
+  async getAffiliateForUser(userId) {
+    const { data, error } = await supabaseAdmin
+      .from('affiliates')
+      .select('id, code, commission_rate, total_earnings, status, created_at')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Dashboard data: totals, per-month breakdown, referred users and recent ledger entries
+   */
+  async getDashboard(affiliate) {
+    const [{ data: earnings, error: earningsError }, { data: referrals, error: referralsError }] = await Promise.all([
+      supabaseAdmin
+        .from('affiliate_earnings')
+        .select('id, entry_type, transaction_amount, commission_amount, status, created_at, paid_at, note')
+        .eq('affiliate_id', affiliate.id)
+        .order('created_at', { ascending: false }),
+      supabaseAdmin
+        .from('referrals')
+        .select('used_at, user:users!referred_user_id(id, username, display_name, avatar_style, avatar_seed, avatar_options, premium_tier)')
+        .eq('affiliate_id', affiliate.id)
+        .order('used_at', { ascending: false })
+    ]);
+
+    if (earningsError) throw earningsError;
+    if (referralsError) throw referralsError;
+
+    const totals = { pending: 0, paid: 0, cancelled: 0 };
+    const months = new Map();
+
+    for (const entry of earnings || []) {
+      const amount = Number(entry.commission_amount) || 0;
+      totals[entry.status] = (totals[entry.status] || 0) + amount;
+
+      const month = entry.created_at.slice(0, 7); // YYYY-MM
+      const bucket = months.get(month) || { month, sales: 0, revenue: 0, commission: 0, pending: 0, paid: 0 };
+      if (entry.entry_type === 'commission') {
+        bucket.sales += 1;
+        bucket.revenue += Number(entry.transaction_amount) || 0;
+      }
+      if (entry.status !== 'cancelled') {
+        bucket.commission += amount;
+        bucket[entry.status] += amount;
+      }
+      months.set(month, bucket);
+    }
+
+    return {
+      affiliate: {
+        code: affiliate.code,
+        commissionRate: Number(affiliate.commission_rate),
+        status: affiliate.status,
+        createdAt: affiliate.created_at
+      },
+      totals: {
+        pending: round(totals.pending),
+        paid: round(totals.paid),
+        cancelled: round(totals.cancelled),
+        lifetime: round(totals.pending + totals.paid)
+      },
+      monthly: [...months.values()]
+        .map(m => ({ ...m, revenue: round(m.revenue), commission: round(m.commission), pending: round(m.pending), paid: round(m.paid) })),
+      referrals: (referrals || []).map(r => ({ user: r.user, usedAt: r.used_at })),
+      recentEarnings: (earnings || []).slice(0, 20),
+      clawbackWindowDays: CLAWBACK_WINDOW_DAYS
+    };
+  }
+
+  /**
+   * Mark a batch of pending ledger entries (commissions and clawbacks) as paid
+   * @returns {Promise<{count: number, total: number, byAffiliate: object}>}
+   */
+  async markPaid(earningIds, payoutReference = null) {
+    const { data: paid, error } = await supabaseAdmin
+      .from('affiliate_earnings')
+      .update({
+        status: 'paid',
+        paid_at: new Date().toISOString(),
+        payout_reference: payoutReference
+      })
+      .in('id', earningIds)
+      .eq('status', 'pending')
+      .select('id, affiliate_id, commission_amount');
+
+    if (error) throw error;
+
+    const byAffiliate = {};
+    for (const entry of paid || []) {
+      byAffiliate[entry.affiliate_id] = round((byAffiliate[entry.affiliate_id] || 0) + Number(entry.commission_amount));
+    }
+
+    return {
+      count: paid?.length || 0,
+      total: round((paid || []).reduce((sum, e) => sum + Number(e.commission_amount), 0)),
+      byAffiliate
+    };
+  }
+
+  /**
+   * Reverse a commission after a refund or early cancellation
+   * @returns {Promise<{entry?: object, error?: string}>} error is an API error code
+   */
+  async clawback(earningId, reason) {
+    const { data: earning, error } = await supabaseAdmin
+      .from('affiliate_earnings')
+      .select('id, affiliate_id, source_user_id, stripe_session_id, commission_amount, status, created_at')
+      .eq('id', earningId)
+      .eq('entry_type', 'commission')
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!earning) return { error: 'EARNING_NOT_FOUND' };
+    if (earning.status === 'cancelled') return { error: 'ALREADY_CLAWED_BACK' };
+
+    if (new Date() > this.clawbackDeadline(earning.created_at)) return { error: 'CLAWBACK_WINDOW_EXPIRED' };
+
+    // Ledger entry and total_earnings change together (add_affiliate_payouts.sql)
+    const { data: result, error: clawbackError } = await supabaseAdmin.rpc('clawback_affiliate_earning', {
+      p_earning_id: earning.id,
+      p_reason: reason
+    });
+
+    if (clawbackError) throw clawbackError;
+    if (result.error) return { error: result.error };
+
+    return {
+      entry: result.entry,
+      affiliateId: result.affiliate_id,
+      amount: Number(result.amount)
+    };
+  }
+}
+
+module.exports = new AffiliateService();
@@ -0,0 +1,242 @@
+/**
+ * API Key Service
+ *
+ * Keys for external game servers look like gb_<service>_<secret>. Only a
+ * salted HMAC-SHA256 of the key is stored, next to a visible prefix
+ * (gb_<service>_<first 8 chars of the secret>) used to find the row. The raw
+ * key is returned exactly once, when it is created or rotated.
+ *
+ * Each key is bound to one service_name (game) and carries scopes that the
+ * V2 and legacy game APIs check per route (see requireApiScope in
+ * lib/validation.js).
+ */
+
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../lib/supabase');
+
+const API_KEY_SCOPES = ['rooms:read', 'rooms:write', 'status:write', 'progress:read', 'progress:write', 'webhooks:manage'];
+const PREFIX_SECRET_LENGTH = 8;
+const DEFAULT_ROTATION_OVERLAP_HOURS = 24;
+
+const LIST_FIELDS = 'id, name, description, service_name, game_id, key_prefix, scopes, rate_limit, daily_quota, is_active, last_used, expires_at, revoked_at, rotated_from_id, created_at, created_by';
+
+class ApiKeyService {
+  get scopes() {
+    return API_KEY_SCOPES;
+  }
+
+  generateKey(serviceName) {
+    return `gb_${serviceName}_${crypto.randomBytes(20).toString('hex')}`;
+  }
+
+  /**
+   * Visible part of a key, or null if it isn't shaped like one
+   */
+  prefixOf(rawKey) {
+    const secretStart = rawKey.lastIndexOf('_') + 1;
+    if (!rawKey.startsWith('gb_') || secretStart <= 3 || rawKey.length - secretStart < PREFIX_SECRET_LENGTH) return null;
+    return rawKey.slice(0, secretStart + PREFIX_SECRET_LENGTH);
+  }
+
+  /**
+   * Prefix a key's row is stored under: prefixOf() for gb_ keys, the first
+   * characters of the key for legacy keys that predate the gb_ format
+   */
+  lookupPrefix(rawKey) {
+    return this.prefixOf(rawKey) || (rawKey.length > PREFIX_SECRET_LENGTH ? rawKey.slice(0, PREFIX_SECRET_LENGTH) : null);
+  }
+
+  hashKey(rawKey, salt) {
+    return crypto.createHmac('sha256', salt).update(rawKey).digest('hex');
+  }
+
+  isUsable(keyRecord) {
+    return keyRecord.is_active && (!keyRecord.expires_at || new Date(keyRecord.expires_at) > new Date());
+  }
+
+  /**
+   * Find the active key record for a raw x-api-key header value
+   * @returns {Promise<object|null>}
+   */
+  async authenticate(rawKey) {
+    const prefix = this.lookupPrefix(rawKey);
+
+    if (prefix) {
+      const { data: candidates, error } = await supabaseAdmin
+        .from('api_keys')
+        .select('*')
+        .eq('key_prefix', prefix)
+        .not('key_salt', 'is', null);
+
+      if (error) throw error;
+
+      for (const candidate of candidates || []) {
+        const expected = Buffer.from(candidate.key_hash, 'hex');
+        const actual = Buffer.from(this.hashKey(rawKey, candidate.key_salt), 'hex');
+        if (expected.length === actual.length && crypto.timingSafeEqual(expected, actual)) {
+          return this.isUsable(candidate) ? candidate : null;
+        }
+      }
+    }
+
+    return this.authenticateLegacy(rawKey);
+  }
+
+  /**
+   * Keys stored before salting: an unsalted SHA-256 (setup-database.js) or the
+   * raw key itself (the old CREATE_DDF_API_KEY*.sql scripts, whose keys don't
+   * start with gb_ and so were not hashed by add_api_key_hashing_and_scopes.sql).
+   * A successful match is salted in place so it only happens once per key.
+   */
+  async authenticateLegacy(rawKey) {
+    const prefix = this.lookupPrefix(rawKey);
+    if (!prefix) return null;
+
+    const legacyHash = crypto.createHash('sha256').update(rawKey).digest('hex');
+
+    const { data: matches, error } = await supabaseAdmin
+      .from('api_keys')
+      .select('*')
+      .in('key_hash', [legacyHash, rawKey])
+      .is('key_salt', null)
+      .limit(1);
+
+    if (error) throw error;
+    const legacy = matches?.[0];
+    if (!legacy || !this.isUsable(legacy)) return null;
+
+    const salt = crypto.randomBytes(16).toString('hex');
+    const { error: upgradeError } = await supabaseAdmin
+      .from('api_keys')
+      .update({ key_salt: salt, key_hash: this.hashKey(rawKey, salt), key_prefix: prefix })
+      .eq('id', legacy.id)
+      .is('key_salt', null);
+
+    if (upgradeError) {
+      console.warn('[API KEYS] Failed to upgrade legacy key hash:', upgradeError.message);
+    } else {
+      console.log(`🔐 [API KEYS] Upgraded legacy key ${legacy.id} to a salted hash`);
+    }
+
+    return legacy;
+  }
+
+  /**
+   * Create a key. The raw key is only ever returned here.
+   * @returns {Promise<{key: object, apiKey: string}>}
+   */
+  async create({ name, serviceName, scopes = API_KEY_SCOPES, description = null, expiresAt = null, rateLimit, dailyQuota, createdBy = null, rotatedFromId = null }) {
+    const apiKey = this.generateKey(serviceName);
+    const salt = crypto.randomBytes(16).toString('hex');
+
+    const { data: key, error } = await supabaseAdmin
+      .from('api_keys')
+      .insert({
+        name,
+        description,
+        service_name: serviceName,
+        game_id: serviceName,
+        key_prefix: this.prefixOf(apiKey),
+        key_salt: salt,
+        key_hash: this.hashKey(apiKey, salt),
+        scopes,
+        ...(rateLimit && { rate_limit: rateLimit }),
+        ...(dailyQuota && { daily_quota: dailyQuota }),
+        expires_at: expiresAt,
+        created_by: createdBy,
+        rotated_from_id: rotatedFromId,
+        is_active: true
+      })
+      .select(LIST_FIELDS)
+      .single();
+
+    if (error) throw error;
+    return { key, apiKey };
+  }
+
+  /**
+   * Issue a replacement key with the same service and scopes. The old key
+   * keeps working for overlapHours so the game can be redeployed.
+   * @returns {Promise<{key?: object, apiKey?: string, previousKeyExpiresAt?: string, error?: string}>}
+   */
+  async rotate(keyId, { overlapHours = DEFAULT_ROTATION_OVERLAP_HOURS, rotatedBy = null } = {}) {
+    const { data: current, error } = await supabaseAdmin
+      .from('api_keys')
+      .select('*')
+      .eq('id', keyId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!current) return { error: 'API_KEY_NOT_FOUND' };
+    if (!this.isUsable(current)) return { error: 'API_KEY_INACTIVE' };
+
+    const { key, apiKey } = await this.create({
+      name: current.name,
+      serviceName: current.service_name,
+      scopes: current.scopes,
+      description: current.description,
+      rateLimit: current.rate_limit,
+      dailyQuota: current.daily_quota,
+      createdBy: rotatedBy,
+      rotatedFromId: current.id
+    });
+
+    // Never extend a key that was already due to expire sooner
+    const overlapEnd = new Date(Date.now() + overlapHours * 60 * 60 * 1000);
+    const previousKeyExpiresAt = current.expires_at && new Date(current.expires_at) < overlapEnd
+      ? current.expires_at
+      : overlapEnd.toISOString();
+
+    const { error: expireError } = await supabaseAdmin
+      .from('api_keys')
+      .update({ expires_at: previousKeyExpiresAt })
+      .eq('id', current.id);
+
+    if (expireError) throw expireError;
+
+    return { key, apiKey, previousKeyExpiresAt };
+  }
+
+  /**
+   * Change a key's per-minute (rateLimit) and/or per-day quota
+   */
+  async updateQuotas(keyId, { rateLimit, dailyQuota }) {
+    const { data, error } = await supabaseAdmin
+      .from('api_keys')
+      .update({
+        ...(rateLimit && { rate_limit: rateLimit }),
+        ...(dailyQuota && { daily_quota: dailyQuota })
+      })
+      .eq('id', keyId)
+      .select(LIST_FIELDS)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async revoke(keyId) {
+    const { data, error } = await supabaseAdmin
+      .from('api_keys')
+      .update({ is_active: false, revoked_at: new Date().toISOString() })
+      .eq('id', keyId)
+      .eq('is_active', true)
+      .select(LIST_FIELDS)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async list() {
+    const { data, error } = await supabaseAdmin
+      .from('api_keys')
+      .select(LIST_FIELDS)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  }
+}
+
+module.exports = new ApiKeyService();
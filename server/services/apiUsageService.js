@@ -0,0 +1,186 @@
+/**
+ * API Usage Service
+ *
+ * Per-API-key quotas and request logging for the game APIs. Each key has a
+ * per-minute quota (api_keys.rate_limit) and a per-UTC-day quota
+ * (api_keys.daily_quota). Counters live in memory like the IP rate limiters;
+ * the daily counter is seeded from api_requests the first time a key is seen
+ * each day, so a restart doesn't hand out a fresh daily allowance.
+ *
+ * Every call made with a key is written to api_requests once the response has
+ * finished, with its status code and latency. getUsage() reads them back
+ * through the api_usage_summary() database function.
+ *
+ * Calls to the deprecated /api/game endpoints are also counted per key and
+ * endpoint in legacy_api_usage (kept until they are removed).
+ */
+
+const { supabaseAdmin } = require('../lib/supabase');
+
+const DEFAULT_MINUTE_QUOTA = 1000;
+const DEFAULT_DAILY_QUOTA = 100000;
+const MINUTE_MS = 60 * 1000;
+
+class ApiUsageService {
+  constructor() {
+    // apiKeyId -> { minute, minuteCount, day, dayCount, daySeed }
+    this.counters = new Map();
+  }
+
+  limitsFor(keyRecord) {
+    return {
+      minute: keyRecord.rate_limit || DEFAULT_MINUTE_QUOTA,
+      day: keyRecord.daily_quota || DEFAULT_DAILY_QUOTA
+    };
+  }
+
+  async seedDailyCount(apiKeyId, day) {
+    const { count, error } = await supabaseAdmin
+      .from('api_requests')
+      .select('id', { count: 'exact', head: true })
+      .eq('api_key_id', apiKeyId)
+      .gte('requested_at', `${day}T00:00:00.000Z`)
+      .neq('status_code', 429);
+
+    if (error) {
+      console.warn('[API USAGE] Failed to seed daily quota counter:', error.message);
+      return 0;
+    }
+    return count || 0;
+  }
+
+  /**
+   * Count a call against the key's quotas
+   * @returns {Promise<{allowed: boolean, window: string, limit: number, remaining: number, resetAt: number}>}
+   *   window is the quota that is closest to running out (or was exceeded)
+   */
+  async consume(keyRecord) {
+    const now = Date.now();
+    const minute = Math.floor(now / MINUTE_MS);
+    const day = new Date(now).toISOString().slice(0, 10);
+    const limits = this.limitsFor(keyRecord);
+
+    let counter = this.counters.get(keyRecord.id);
+    if (!counter || counter.day !== day) {
+      counter = { minute, minuteCount: 0, day, dayCount: 0, daySeed: null };
+      counter.daySeed = this.seedDailyCount(keyRecord.id, day).then((count) => {
+        counter.dayCount += count;
+      });
+      this.counters.set(keyRecord.id, counter);
+    }
+    await counter.daySeed;
+
+    if (counter.minute !== minute) {
+      counter.minute = minute;
+      counter.minuteCount = 0;
+    }
+
+    const minuteWindow = {
+      window: 'minute',
+      limit: limits.minute,
+      used: counter.minuteCount,
+      resetAt: (minute + 1) * MINUTE_MS
+    };
+    const dayWindow = {
+      window: 'day',
+      limit: limits.day,
+      used: counter.dayCount,
+      resetAt: Date.parse(`${day}T00:00:00.000Z`) + 24 * 60 * MINUTE_MS
+    };
+
+    const exceeded = [dayWindow, minuteWindow].find((w) => w.used >= w.limit);
+    if (exceeded) {
+      return { allowed: false, window: exceeded.window, limit: exceeded.limit, remaining: 0, resetAt: exceeded.resetAt };
+    }
+
+    counter.minuteCount++;
+    counter.dayCount++;
+
+    const tightest = [minuteWindow, dayWindow]
+      .map((w) => ({ ...w, remaining: w.limit - w.used - 1 }))
+      .sort((a, b) => a.remaining - b.remaining)[0];
+
+    return { allowed: true, window: tightest.window, limit: tightest.limit, remaining: tightest.remaining, resetAt: tightest.resetAt };
+  }
+
+  /**
+   * Log the request to api_requests when the response finishes. Endpoints are
+   * stored as route patterns (/api/v2/rooms/:roomCode/...) so they group.
+   */
+  trackRequest(req, res, keyRecord) {
+    const startedAt = process.hrtime.bigint();
+    const requestedAt = new Date().toISOString();
+
+    res.on('finish', async () => {
+      const endpoint = req.route
+        ? `${req.baseUrl}${req.route.path}`
+        : req.originalUrl.split('?')[0];
+
+      const { error } = await supabaseAdmin
+        .from('api_requests')
+        .insert({
+          api_key_id: keyRecord.id,
+          method: req.method,
+          endpoint,
+          status_code: res.statusCode,
+          response_time_ms: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e6),
+          requested_at: requestedAt,
+          ip_address: req.ip,
+          user_agent: req.get('User-Agent') || ''
+        });
+
+      if (error) {
+        console.warn('[API USAGE] Failed to log API request:', error.message);
+      }
+    });
+  }
+
+  /**
+   * Calls by key, endpoint and status code with latency percentiles
+   */
+  async getUsage({ since, apiKeyId = null }) {
+    const { data, error } = await supabaseAdmin.rpc('api_usage_summary', {
+      p_since: since,
+      p_api_key_id: apiKeyId
+    });
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Count a call to a deprecated /api/game endpoint (fire-and-forget)
+   */
+  recordLegacyCall(keyRecord, endpoint) {
+    supabaseAdmin
+      .rpc('record_legacy_api_call', { p_api_key_id: keyRecord.id, p_endpoint: endpoint })
+      .then(({ error }) => {
+        if (error) console.warn('[API USAGE] Failed to count legacy API call:', error.message);
+      });
+  }
+
+  /**
+   * Deprecated endpoint usage per key, most recently used first
+   */
+  async getLegacyUsage() {
+    const { data, error } = await supabaseAdmin
+      .from('legacy_api_usage')
+      .select('endpoint, call_count, first_called_at, last_called_at, api_key:api_keys(id, name, service_name, key_prefix, is_active)')
+      .order('last_called_at', { ascending: false });
+
+    if (error) throw error;
+    return (data || []).map(row => ({
+      apiKeyId: row.api_key?.id,
+      name: row.api_key?.name,
+      serviceName: row.api_key?.service_name,
+      keyPrefix: row.api_key?.key_prefix,
+      isActive: row.api_key?.is_active,
+      endpoint: row.endpoint,
+      calls: row.call_count,
+      firstCalledAt: row.first_called_at,
+      lastCalledAt: row.last_called_at
+    }));
+  }
+}
+
+module.exports = new ApiUsageService();
@@ -0,0 +1,131 @@
+/**
+ * Ban Service
+ *
+ * Single source of truth for user_bans enforcement. requireAuth, the
+ * createRoom/joinRoom socket handlers and game-session lookups all ask
+ * getActiveBan() and answer with the same ACCOUNT_BANNED payload.
+ *
+ * 'warning' rows never block; they are shown to the user once and then
+ * acknowledged (metadata.acknowledged_at).
+ */
+
+const { supabaseAdmin } = require('../lib/supabase');
+
+const CACHE_MS = 30 * 1000;
+
+class BanService {
+  constructor() {
+    this.cache = new Map(); // userId -> { ban, fetchedAt }
+  }
+
+  /**
+   * Active temporary/permanent ban for a user, or null. Fails open - a
+   * database hiccup must not lock every player out.
+   */
+  async getActiveBan(userId) {
+    if (!userId) return null;
+
+    const cached = this.cache.get(userId);
+    if (cached && Date.now() - cached.fetchedAt < CACHE_MS) {
+      return cached.ban;
+    }
+
+    try {
+      const now = new Date().toISOString();
+      const { data, error } = await supabaseAdmin
+        .from('user_bans')
+        .select('id, ban_type, reason, banned_at, expires_at')
+        .eq('user_id', userId)
+        .eq('is_active', true)
+        .in('ban_type', ['temporary', 'permanent'])
+        .or(`expires_at.is.null,expires_at.gt.${now}`)
+        // Permanent bans (no expiry) first, then the one that lasts longest
+        .order('expires_at', { ascending: false, nullsFirst: true })
+        .limit(1);
+
+      if (error) throw error;
+
+      const ban = data?.[0] || null;
+      this.cache.set(userId, { ban, fetchedAt: Date.now() });
+      return ban;
+    } catch (error) {
+      console.error(`❌ [BANS] Failed to check bans for ${userId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Forget a cached result after a ban is issued or lifted
+   */
+  invalidate(userId) {
+    this.cache.delete(userId);
+  }
+
+  describe(ban) {
+    if (ban.ban_type === 'permanent' || !ban.expires_at) {
+      return 'Your account has been permanently banned.';
+    }
+    const until = new Date(ban.expires_at).toLocaleString('en-US', {
+      dateStyle: 'medium',
+      timeStyle: 'short',
+      timeZone: 'UTC'
+    });
+    return `Your account is suspended until ${until} UTC.`;
+  }
+
+  /**
+   * Body for REST responses and socket 'error' events
+   */
+  toErrorPayload(ban) {
+    return {
+      error: this.describe(ban),
+      message: this.describe(ban),
+      code: 'ACCOUNT_BANNED',
+      ban: {
+        type: ban.ban_type,
+        reason: ban.reason,
+        expiresAt: ban.expires_at
+      }
+    };
+  }
+
+  async getPendingWarnings(userId) {
+    const { data, error } = await supabaseAdmin
+      .from('user_bans')
+      .select('id, reason, banned_at, metadata')
+      .eq('user_id', userId)
+      .eq('ban_type', 'warning')
+      .eq('is_active', true)
+      .is('metadata->>acknowledged_at', null)
+      .order('banned_at', { ascending: true });
+
+    if (error) throw error;
+    return (data || []).map(({ id, reason, banned_at }) => ({ id, reason, issuedAt: banned_at }));
+  }
+
+  /**
+   * @returns {Promise<boolean>} false if the warning doesn't belong to the user
+   */
+  async acknowledgeWarning(userId, warningId) {
+    const { data: warning, error } = await supabaseAdmin
+      .from('user_bans')
+      .select('id, metadata')
+      .eq('id', warningId)
+      .eq('user_id', userId)
+      .eq('ban_type', 'warning')
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!warning) return false;
+
+    const { error: updateError } = await supabaseAdmin
+      .from('user_bans')
+      .update({ metadata: { ...(warning.metadata || {}), acknowledged_at: new Date().toISOString() } })
+      .eq('id', warningId);
+
+    if (updateError) throw updateError;
+    return true;
+  }
+}
+
+module.exports = new BanService();
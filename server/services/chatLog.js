@@ -0,0 +1,50 @@
+/**
+ * Chat Log
+ *
+ * Keeps the last few lobby chat messages per room in memory, tagged with the
+ * sender's user id from the connection manager (not the client-sent name), so
+ * player reports can attach trustworthy chat evidence.
+ */
+
+const MAX_MESSAGES_PER_ROOM = 50;
+
+class ChatLog {
+  constructor() {
+    this.rooms = new Map(); // roomCode -> { messages: [], lastActivity }
+  }
+
+  record(roomCode, message) {
+    if (!roomCode) return;
+
+    const entry = this.rooms.get(roomCode) || { messages: [], lastActivity: 0 };
+    entry.messages.push(message);
+    if (entry.messages.length > MAX_MESSAGES_PER_ROOM) {
+      entry.messages.splice(0, entry.messages.length - MAX_MESSAGES_PER_ROOM);
+    }
+    entry.lastActivity = Date.now();
+    this.rooms.set(roomCode, entry);
+  }
+
+  getRecent(roomCode, limit = MAX_MESSAGES_PER_ROOM) {
+    const entry = this.rooms.get(roomCode);
+    return entry ? entry.messages.slice(-limit) : [];
+  }
+
+  /**
+   * Drop rooms without chat activity (called from the periodic cleanup)
+   * @returns {number} rooms removed
+   */
+  pruneStale(maxIdleMs = 60 * 60 * 1000) {
+    const cutoff = Date.now() - maxIdleMs;
+    let removed = 0;
+    for (const [roomCode, entry] of this.rooms) {
+      if (entry.lastActivity < cutoff) {
+        this.rooms.delete(roomCode);
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+module.exports = new ChatLog();
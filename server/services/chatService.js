@@ -0,0 +1,245 @@
+/**
+ * Chat Service
+ *
+ * Persists lobby chat in room_chat_messages so players who join (or rejoin)
+ * see the recent conversation, and tracks host mutes in room_chat_mutes.
+ * Mutes are read on every message, so they are cached per room after the
+ * first lookup and kept in sync by mute()/unmute().
+ *
+ * Room lifecycle events (joins, kicks, game starts...) are posted as system
+ * messages through postSystemMessage(), so the history doubles as a timeline
+ * of what happened while someone was away.
+ *
+ * Messages are returned in the shape the client renders:
+ *   { id, userId, playerName, message, timestamp, type, filtered }
+ */
+
+const { supabaseAdmin } = require('../lib/supabase');
+
+const HISTORY_LIMIT = 50;
+const SYSTEM_SENDER = 'GameBuddies';
+
+const toClientMessage = (row) => ({
+  id: row.id,
+  userId: row.user_id,
+  playerName: row.player_name,
+  message: row.message,
+  timestamp: row.created_at,
+  type: row.message_type,
+  filtered: row.was_filtered
+});
+
+const isActiveMute = (mute) => !mute.muted_until || new Date(mute.muted_until).getTime() > Date.now();
+
+class ChatService {
+  constructor() {
+    this.io = null;
+    this.muteCache = new Map(); // roomId -> { mutes: Map<userId, mute>, lastActivity }
+    this.gameNames = new Map(); // gameId -> display name
+  }
+
+  /**
+   * Attach Socket.IO once it exists (server/index.js) so system messages reach the room
+   */
+  attach(io) {
+    this.io = io;
+  }
+
+  /**
+   * Store a message and return it in client shape
+   * @param {object} params
+   * @param {string} params.roomId
+   * @param {string|null} params.userId - null for system messages
+   * @param {string} params.playerName
+   * @param {string} params.message - sanitized and filtered text
+   * @param {'user'|'system'} [params.type]
+   * @param {boolean} [params.filtered]
+   */
+  async postMessage({ roomId, userId = null, playerName, message, type = 'user', filtered = false }) {
+    const { data, error } = await supabaseAdmin
+      .from('room_chat_messages')
+      .insert({
+        room_id: roomId,
+        user_id: userId,
+        player_name: playerName,
+        message,
+        message_type: type,
+        was_filtered: filtered
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return toClientMessage(data);
+  }
+
+  /**
+   * Post a system line to a room and broadcast it. Never throws: a room event
+   * must not fail because its chat line could not be stored.
+   * @param {{id: string, room_code: string}} room
+   * @param {string} message
+   */
+  async postSystemMessage(room, message) {
+    if (!room?.id) return null;
+
+    try {
+      const chatMessage = await this.postMessage({
+        roomId: room.id,
+        playerName: SYSTEM_SENDER,
+        message,
+        type: 'system'
+      });
+      this.io?.to(room.room_code).emit('chat:message', chatMessage);
+      return chatMessage;
+    } catch (error) {
+      console.error('❌ Failed to post system chat message:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Display name of a game for system messages, falling back to its id
+   */
+  async getGameName(gameId) {
+    if (!gameId) return 'a game';
+    if (this.gameNames.has(gameId)) return this.gameNames.get(gameId);
+
+    const { data } = await supabaseAdmin
+      .from('games')
+      .select('name')
+      .eq('id', gameId)
+      .maybeSingle();
+
+    const name = data?.name || gameId;
+    this.gameNames.set(gameId, name);
+    return name;
+  }
+
+  /**
+   * Last messages of a room that were not deleted, oldest first
+   */
+  async getHistory(roomId, limit = HISTORY_LIMIT) {
+    const { data, error } = await supabaseAdmin
+      .from('room_chat_messages')
+      .select('id, user_id, player_name, message, message_type, was_filtered, created_at')
+      .eq('room_id', roomId)
+      .is('deleted_at', null)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    return (data || []).reverse().map(toClientMessage);
+  }
+
+  /**
+   * Soft-delete a message of this room
+   * @returns {Promise<boolean>} false when the message is not in the room or already deleted
+   */
+  async deleteMessage(roomId, messageId, deletedBy) {
+    const { data, error } = await supabaseAdmin
+      .from('room_chat_messages')
+      .update({ deleted_at: new Date().toISOString(), deleted_by: deletedBy })
+      .eq('id', messageId)
+      .eq('room_id', roomId)
+      .is('deleted_at', null)
+      .select('id');
+
+    if (error) throw error;
+    return (data || []).length > 0;
+  }
+
+  async loadMutes(roomId) {
+    const cached = this.muteCache.get(roomId);
+    if (cached) {
+      cached.lastActivity = Date.now();
+      return cached.mutes;
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('room_chat_mutes')
+      .select('user_id, muted_by, muted_until')
+      .eq('room_id', roomId);
+
+    if (error) throw error;
+
+    const mutes = new Map((data || []).map(mute => [mute.user_id, mute]));
+    this.muteCache.set(roomId, { mutes, lastActivity: Date.now() });
+    return mutes;
+  }
+
+  /**
+   * Active mute of a player in a room, or null
+   * @returns {Promise<{userId: string, mutedUntil: string|null}|null>}
+   */
+  async getMute(roomId, userId) {
+    const mute = (await this.loadMutes(roomId)).get(userId);
+    if (!mute || !isActiveMute(mute)) return null;
+    return { userId, mutedUntil: mute.muted_until };
+  }
+
+  /**
+   * Active mutes of a room (sent with roomJoined so hosts see who is muted)
+   */
+  async getMutes(roomId) {
+    const mutes = await this.loadMutes(roomId);
+    return [...mutes.values()]
+      .filter(isActiveMute)
+      .map(mute => ({ userId: mute.user_id, mutedUntil: mute.muted_until }));
+  }
+
+  /**
+   * Mute a player; without a duration the mute lasts until unmuted
+   */
+  async mute(roomId, userId, mutedBy, durationMinutes = null) {
+    const mutedUntil = durationMinutes
+      ? new Date(Date.now() + durationMinutes * 60 * 1000).toISOString()
+      : null;
+
+    const { data, error } = await supabaseAdmin
+      .from('room_chat_mutes')
+      .upsert({
+        room_id: roomId,
+        user_id: userId,
+        muted_by: mutedBy,
+        muted_until: mutedUntil
+      }, { onConflict: 'room_id,user_id' })
+      .select('user_id, muted_by, muted_until')
+      .single();
+
+    if (error) throw error;
+
+    (await this.loadMutes(roomId)).set(userId, data);
+    return { userId, mutedUntil };
+  }
+
+  async unmute(roomId, userId) {
+    const { error } = await supabaseAdmin
+      .from('room_chat_mutes')
+      .delete()
+      .eq('room_id', roomId)
+      .eq('user_id', userId);
+
+    if (error) throw error;
+
+    (await this.loadMutes(roomId)).delete(userId);
+  }
+
+  /**
+   * Drop cached mutes of rooms without chat activity (called from the periodic cleanup)
+   * @returns {number} rooms removed
+   */
+  pruneStale(maxIdleMs = 60 * 60 * 1000) {
+    const cutoff = Date.now() - maxIdleMs;
+    let removed = 0;
+    for (const [roomId, entry] of this.muteCache) {
+      if (entry.lastActivity < cutoff) {
+        this.muteCache.delete(roomId);
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+module.exports = new ChatService();
+module.exports.HISTORY_LIMIT = HISTORY_LIMIT;
@@ -0,0 +1,230 @@
+/**
+ * Dunning Service
+ *
+ * Grace period for failed premium renewals. The first failed invoice opens a
+ * PREMIUM_GRACE_PERIOD_DAYS window in which premium stays active while Stripe
+ * retries the card; the user is warned in-app and by email, reminded shortly
+ * before the window closes, and downgraded by the periodic sweep
+ * (processGracePeriods) once it has lapsed. A successful payment closes it.
+ */
+
+const { supabaseAdmin } = require('../lib/supabase');
+const notificationService = require('./notificationService');
+const emailService = require('./emailService');
+const subscriptionEvents = require('./subscriptionEventService');
+
+const GRACE_PERIOD_DAYS = Number(process.env.PREMIUM_GRACE_PERIOD_DAYS) || 7; // Fractions allowed for testing
+const REMINDER_BEFORE_END_MS = 2 * 24 * 60 * 60 * 1000;
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+
+const USER_FIELDS = 'id, email, username, display_name, premium_tier, payment_failed_at, grace_period_ends_at, dunning_reminder_sent_at';
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+
+class DunningService {
+  get gracePeriodDays() {
+    return GRACE_PERIOD_DAYS;
+  }
+
+  isInGracePeriod(user) {
+    return !!user?.grace_period_ends_at && new Date(user.grace_period_ends_at) > new Date();
+  }
+
+  /**
+   * Open the grace window after a failed renewal. Stripe's retries of the
+   * same invoice don't extend it.
+   * @returns {Promise<{graceEndsAt: string, started: boolean}|null>} null when there is nothing to protect
+   */
+  async startGracePeriod(userId, invoice) {
+    const { data: user, error } = await supabaseAdmin
+      .from('users')
+      .select(USER_FIELDS)
+      .eq('id', userId)
+      .single();
+
+    if (error) throw error;
+    if (!user || user.premium_tier === 'free' || user.premium_tier === 'lifetime') return null;
+    if (user.grace_period_ends_at) return { graceEndsAt: user.grace_period_ends_at, started: false };
+
+    const now = new Date();
+    const graceEndsAt = new Date(now.getTime() + GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+    // Conditional so concurrent failure webhooks open the window only once
+    const { data: updated, error: updateError } = await supabaseAdmin
+      .from('users')
+      .update({
+        payment_failed_at: now.toISOString(),
+        grace_period_ends_at: graceEndsAt,
+        dunning_reminder_sent_at: null
+      })
+      .eq('id', userId)
+      .is('grace_period_ends_at', null)
+      .select('id')
+      .maybeSingle();
+
+    if (updateError) throw updateError;
+    if (!updated) return { graceEndsAt: user.grace_period_ends_at, started: false };
+
+    console.log(`⏳ [DUNNING] Grace period for ${userId} until ${graceEndsAt}`);
+    await this.warn(user, graceEndsAt, invoice?.id, false);
+    return { graceEndsAt, started: true };
+  }
+
+  /**
+   * Close the grace window after a successful payment
+   * @returns {Promise<boolean>} whether the user was in a grace period
+   */
+  async resolveGracePeriod(userId) {
+    if (!userId) return false;
+
+    const { data: resolved, error } = await supabaseAdmin
+      .from('users')
+      .update({ payment_failed_at: null, grace_period_ends_at: null, dunning_reminder_sent_at: null })
+      .eq('id', userId)
+      .not('grace_period_ends_at', 'is', null)
+      .select('id')
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!resolved) return false;
+
+    console.log(`✅ [DUNNING] Payment recovered for ${userId}`);
+    await notificationService.notify(userId, {
+      type: 'subscription',
+      title: 'Payment received',
+      message: 'Thanks! Your premium subscription is back in good standing.',
+      actionUrl: '/account',
+      actionLabel: 'View',
+      metadata: { event: 'payment_recovered' }
+    });
+    return true;
+  }
+
+  /**
+   * Periodic sweep: remind users whose window closes soon and downgrade those
+   * whose window has lapsed. Called from the cleanup interval in server/index.js.
+   */
+  async processGracePeriods() {
+    const now = new Date();
+    let reminded = 0;
+    let downgraded = 0;
+
+    const { data: dueForReminder, error: reminderError } = await supabaseAdmin
+      .from('users')
+      .select(USER_FIELDS)
+      .gt('grace_period_ends_at', now.toISOString())
+      .lte('grace_period_ends_at', new Date(now.getTime() + REMINDER_BEFORE_END_MS).toISOString())
+      .is('dunning_reminder_sent_at', null);
+
+    if (reminderError) throw reminderError;
+
+    for (const user of dueForReminder || []) {
+      const { data: claimed } = await supabaseAdmin
+        .from('users')
+        .update({ dunning_reminder_sent_at: now.toISOString() })
+        .eq('id', user.id)
+        .is('dunning_reminder_sent_at', null)
+        .select('id')
+        .maybeSingle();
+
+      if (!claimed) continue;
+      await this.warn(user, user.grace_period_ends_at, null, true);
+      reminded++;
+    }
+
+    const { data: lapsed, error: lapsedError } = await supabaseAdmin
+      .from('users')
+      .select(USER_FIELDS)
+      .lte('grace_period_ends_at', now.toISOString());
+
+    if (lapsedError) throw lapsedError;
+
+    for (const user of lapsed || []) {
+      if (await this.downgrade(user)) downgraded++;
+    }
+
+    if (reminded > 0 || downgraded > 0) {
+      console.log(`⏳ [DUNNING] ${reminded} reminders sent, ${downgraded} users downgraded`);
+    }
+    return { reminded, downgraded };
+  }
+
+  async downgrade(user) {
+    // Bought lifetime (or already lost premium) during the window: just close it
+    const nothingToDowngrade = user.premium_tier === 'lifetime' || user.premium_tier === 'free';
+
+    const { data: updated, error } = await supabaseAdmin
+      .from('users')
+      .update({
+        ...(nothingToDowngrade ? {} : { premium_tier: 'free', premium_expires_at: user.grace_period_ends_at }),
+        payment_failed_at: null,
+        grace_period_ends_at: null,
+        dunning_reminder_sent_at: null
+      })
+      .eq('id', user.id)
+      .eq('grace_period_ends_at', user.grace_period_ends_at)
+      .select('id')
+      .maybeSingle();
+
+    if (error) {
+      console.error(`❌ [DUNNING] Failed to downgrade ${user.id}:`, error);
+      return false;
+    }
+    if (!updated || nothingToDowngrade) return false;
+
+    console.log(`⬇️ [DUNNING] Grace period lapsed, ${user.id} downgraded to free`);
+    await subscriptionEvents.record({
+      userId: user.id,
+      eventType: 'downgraded',
+      tier: 'free',
+      oldTier: user.premium_tier,
+      reason: 'payment_grace_period_expired',
+      metadata: { payment_failed_at: user.payment_failed_at, grace_period_ended_at: user.grace_period_ends_at }
+    });
+    await notificationService.notify(user.id, {
+      type: 'subscription',
+      title: 'Premium has ended',
+      message: 'We still could not collect your renewal, so your account is now on the free plan.',
+      actionUrl: '/premium',
+      actionLabel: 'Resubscribe',
+      priority: 'high',
+      metadata: { event: 'grace_period_expired' }
+    });
+    await emailService.send({
+      to: user.email,
+      subject: 'Your GameBuddies Premium has ended',
+      template: 'premium-downgraded',
+      variables: { DisplayName: user.display_name || user.username || 'there', ActionURL: `${CLIENT_URL}/premium` }
+    });
+    return true;
+  }
+
+  async warn(user, graceEndsAt, invoiceId, isReminder) {
+    const endDate = formatDate(graceEndsAt);
+
+    await notificationService.notify(user.id, {
+      type: 'subscription',
+      title: isReminder ? 'Premium ends soon' : 'Payment failed',
+      message: `We could not process your premium renewal. Update your payment method before ${endDate} to keep premium.`,
+      actionUrl: '/account',
+      actionLabel: 'Fix payment',
+      priority: 'high',
+      expiresAt: graceEndsAt,
+      metadata: { event: isReminder ? 'grace_period_reminder' : 'payment_failed', invoiceId, graceEndsAt }
+    });
+    await emailService.send({
+      to: user.email,
+      subject: isReminder
+        ? `Reminder: your GameBuddies Premium ends on ${endDate}`
+        : 'Action needed: your GameBuddies Premium payment failed',
+      template: 'payment-failed',
+      variables: {
+        DisplayName: user.display_name || user.username || 'there',
+        GraceEndDate: endDate,
+        ActionURL: `${CLIENT_URL}/account`
+      }
+    });
+  }
+}
+
+module.exports = new DunningService();
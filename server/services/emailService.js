@@ -0,0 +1,86 @@
+/**
+ * Email Service
+ *
+ * Transactional emails rendered from the HTML files in /email-templates
+ * (the same look as the Supabase Auth emails). Placeholders use the Supabase
+ * syntax, e.g. {{ .ActionURL }}.
+ *
+ * Sent through the Resend HTTP API when RESEND_API_KEY is set; otherwise the
+ * email is only logged. Like notifications, sending never throws.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TEMPLATE_DIR = path.join(__dirname, '..', '..', 'email-templates');
+const RESEND_API_URL = 'https://api.resend.com/emails';
+const EMAIL_FROM = process.env.EMAIL_FROM || 'GameBuddies.io <noreply@gamebuddies.io>';
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+class EmailService {
+  constructor() {
+    this.templates = new Map();
+  }
+
+  get isConfigured() {
+    return !!process.env.RESEND_API_KEY;
+  }
+
+  loadTemplate(name) {
+    if (!this.templates.has(name)) {
+      this.templates.set(name, fs.readFileSync(path.join(TEMPLATE_DIR, `${name}.html`), 'utf8'));
+    }
+    return this.templates.get(name);
+  }
+
+  render(name, variables = {}) {
+    return this.loadTemplate(name).replace(/\{\{\s*\.(\w+)\s*\}\}/g, (match, key) =>
+      key in variables ? escapeHtml(variables[key]) : match
+    );
+  }
+
+  /**
+   * Send a templated email
+   * @param {object} params - { to, subject, template, variables }
+   * @returns {Promise<boolean>} whether the email was handed to the provider
+   */
+  async send({ to, subject, template, variables }) {
+    if (!to) return false;
+
+    try {
+      const html = this.render(template, variables);
+
+      if (!this.isConfigured) {
+        console.log(`📧 [EMAIL] Not configured, skipping "${template}" to ${to}`);
+        return false;
+      }
+
+      const response = await fetch(RESEND_API_URL, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${process.env.RESEND_API_KEY}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ from: EMAIL_FROM, to: [to], subject, html })
+      });
+
+      if (!response.ok) {
+        throw new Error(`Provider responded ${response.status}: ${await response.text()}`);
+      }
+
+      console.log(`📧 [EMAIL] Sent "${template}" to ${to}`);
+      return true;
+    } catch (error) {
+      console.error(`❌ [EMAIL] Failed to send "${template}" to ${to}:`, error);
+      return false;
+    }
+  }
+}
+
+module.exports = new EmailService();
@@ -0,0 +1,114 @@
+/**
+ * Match Service
+ *
+ * Persists validated game results (schemas.gameResult) reported through the
+ * V2 game-end API: one game_matches row per session plus per-game
+ * player_stats, written together by record_game_match so a failed stats
+ * update never leaves a match behind that a retry would bounce off.
+ *
+ * game_matches has a unique (game_id, session_id) index, so a game server
+ * retrying the same result gets the original match back as a duplicate
+ * instead of counting the game twice.
+ */
+
+const { supabaseAdmin } = require('../lib/supabase');
+
+class MatchService {
+  async findBySession(gameId, sessionId) {
+    const { data, error } = await supabaseAdmin
+      .from('game_matches')
+      .select('id, created_at')
+      .eq('game_id', gameId)
+      .eq('session_id', sessionId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Store a match and update every player's stats
+   * Only players who are members of the room count, so an API key can't hand
+   * wins and stats to arbitrary accounts.
+   * @param {object} params - { roomId, gameId, gameSettings, result } where result passed schemas.gameResult
+   * @returns {Promise<{match: object, duplicate: boolean, unknownPlayerIds?: string[], playersNotInRoom?: string[]}>}
+   */
+  async recordMatch({ roomId, gameId, gameSettings, result }) {
+    const existing = await this.findBySession(gameId, result.sessionId);
+    if (existing) {
+      return { match: existing, duplicate: true };
+    }
+
+    const playerIds = result.players.map(p => p.userId);
+    const { data: users, error: usersError } = await supabaseAdmin
+      .from('users')
+      .select('id, username, display_name')
+      .in('id', playerIds);
+
+    if (usersError) throw usersError;
+    const usersById = Object.fromEntries((users || []).map(u => [u.id, u]));
+    const unknownPlayerIds = playerIds.filter(id => !usersById[id]);
+    if (unknownPlayerIds.length > 0) {
+      return { match: null, duplicate: false, unknownPlayerIds };
+    }
+
+    const { data: members, error: membersError } = await supabaseAdmin
+      .from('room_members')
+      .select('user_id')
+      .eq('room_id', roomId)
+      .in('user_id', playerIds);
+
+    if (membersError) throw membersError;
+    const memberIds = new Set((members || []).map(m => m.user_id));
+    const playersNotInRoom = playerIds.filter(id => !memberIds.has(id));
+    if (playersNotInRoom.length > 0) {
+      return { match: null, duplicate: false, playersNotInRoom };
+    }
+
+    const endedAt = result.endedAt || new Date();
+    const startedAt = result.durationSeconds
+      ? new Date(endedAt.getTime() - result.durationSeconds * 1000)
+      : result.startedAt;
+    const durationMinutes = Math.round((endedAt - startedAt) / 60000);
+
+    const winners = result.players.filter(p => p.isWinner && !p.abandoned);
+
+    const { data: recorded, error } = await supabaseAdmin.rpc('record_game_match', {
+      p_match: {
+        room_id: roomId,
+        game_id: gameId,
+        session_id: result.sessionId,
+        started_at: startedAt.toISOString(),
+        ended_at: endedAt.toISOString(),
+        total_players: result.players.length,
+        players: result.players.map(p => ({
+          user_id: p.userId,
+          username: usersById[p.userId].display_name || usersById[p.userId].username,
+          rank: p.rank ?? null,
+          score: p.score ?? null,
+          is_winner: p.isWinner,
+          abandoned: p.abandoned
+        })),
+        // A single winner gets the column; ties stay in players[].is_winner
+        winner_id: winners.length === 1 ? winners[0].userId : null,
+        final_scores: Object.fromEntries(
+          result.players.filter(p => p.score !== undefined).map(p => [p.userId, p.score])
+        ),
+        game_mode: result.gameMode || null,
+        game_settings: gameSettings || {},
+        was_abandoned: result.wasAbandoned
+      },
+      p_duration_minutes: durationMinutes
+    });
+
+    if (error) throw error;
+    const match = { id: recorded.id, created_at: recorded.created_at };
+    // Lost a race against a concurrent retry of the same session
+    if (recorded.duplicate) return { match, duplicate: true };
+
+    console.log(`📊 [MATCHES] Recorded ${gameId} match ${match.id} (${result.players.length} players, session ${result.sessionId})`);
+    return { match, duplicate: false };
+  }
+}
+
+module.exports = new MatchService();
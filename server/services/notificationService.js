@@ -0,0 +1,124 @@
+/**
+ * Notification Service
+ *
+ * Persists user notifications to the notifications table and pushes them
+ * to any sockets the user currently has open.
+ *
+ * Producers (routes, webhook handlers, socket handlers) call notify();
+ * delivery over Socket.IO is best effort - the bell in the header also
+ * polls /api/notifications so nothing is lost while a user has no socket.
+ */
+
+const { supabaseAdmin } = require('../lib/supabase');
+
+class NotificationService {
+  constructor() {
+    this.io = null;
+    this.connectionManager = null;
+  }
+
+  /**
+   * Attach Socket.IO and the connection manager once they exist (server/index.js)
+   */
+  attach(io, connectionManager) {
+    this.io = io;
+    this.connectionManager = connectionManager;
+  }
+
+  /**
+   * Create a notification for a user. Never throws - notifications must not
+   * break the flow that produced them.
+   * @param {string} userId
+   * @param {object} notification - { type, title, message, actionUrl, actionLabel, relatedUserId, relatedRoomId, relatedAchievementId, priority, expiresAt, metadata }
+   * @returns {Promise<object|null>} the stored notification
+   */
+  async notify(userId, notification) {
+    if (!userId) return null;
+
+    try {
+      const { data, error } = await supabaseAdmin
+        .from('notifications')
+        .insert({
+          user_id: userId,
+          type: notification.type,
+          title: notification.title,
+          message: notification.message || null,
+          action_url: notification.actionUrl || null,
+          action_label: notification.actionLabel || null,
+          related_user_id: notification.relatedUserId || null,
+          related_room_id: notification.relatedRoomId || null,
+          related_achievement_id: notification.relatedAchievementId || null,
+          priority: notification.priority || 'normal',
+          expires_at: notification.expiresAt || null,
+          metadata: notification.metadata || {}
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      console.log(`🔔 [NOTIFICATIONS] ${notification.type} → ${userId}`);
+      await this.push(userId, 'notification:new', { notification: data });
+      return data;
+    } catch (error) {
+      console.error('❌ [NOTIFICATIONS] Failed to create notification:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Count unread, unexpired notifications for a user
+   */
+  async getUnreadCount(userId) {
+    const { count, error } = await supabaseAdmin
+      .from('notifications')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', userId)
+      .eq('is_read', false)
+      .or(`expires_at.is.null,expires_at.gt.${new Date().toISOString()}`);
+
+    if (error) throw error;
+    return count || 0;
+  }
+
+  /**
+   * Push an event plus the fresh unread count to the user's open sockets
+   */
+  async push(userId, event, payload = {}) {
+    if (!this.io || !this.connectionManager) return;
+
+    const connections = this.connectionManager.getUserConnections(userId);
+    if (connections.length === 0) return;
+
+    try {
+      const unreadCount = await this.getUnreadCount(userId);
+      connections.forEach(conn => {
+        this.io.to(conn.socketId).emit(event, { ...payload, unreadCount });
+      });
+    } catch (error) {
+      console.error('❌ [NOTIFICATIONS] Failed to push to sockets:', error);
+    }
+  }
+
+  /**
+   * Notify a user about a level-up from an add_xp result
+   * @param {string} userId
+   * @param {object} xpResult - jsonb returned by the add_xp function
+   */
+  async notifyLevelUp(userId, xpResult) {
+    if (!xpResult?.leveled_up) return null;
+
+    return this.notify(userId, {
+      type: 'level_up',
+      title: `Level ${xpResult.new_level} reached!`,
+      message: xpResult.is_max_level
+        ? 'You hit the maximum level. Legendary!'
+        : `You levelled up from ${xpResult.old_level} to ${xpResult.new_level}.`,
+      actionUrl: '/account',
+      actionLabel: 'View',
+      metadata: { oldLevel: xpResult.old_level, newLevel: xpResult.new_level }
+    });
+  }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,249 @@
+/**
+ * Premium Code Service
+ *
+ * Gift and promo codes for premium. Gift codes are issued by the Stripe
+ * webhook when someone buys premium as a gift (single use); promo codes are
+ * minted by admins with a use limit and an optional expiry. Redeeming grants
+ * lifetime premium or extends monthly premium by the code's duration.
+ *
+ * Monthly premium from a code has no Stripe subscription behind it, so
+ * expireCodePremium() (periodic cleanup) moves it back to free when it ends.
+ */
+
+const crypto = require('crypto');
+const stripe = require('../lib/stripe');
+const { supabaseAdmin } = require('../lib/supabase');
+const notificationService = require('./notificationService');
+const subscriptionEvents = require('./subscriptionEventService');
+
+const GIFT_MONTH_DAYS = 30;
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I
+const UNIQUE_VIOLATION = '23505';
+
+const CODE_FIELDS = 'id, code, kind, tier, duration_days, max_uses, use_count, expires_at, is_active, note, created_at';
+
+class PremiumCodeService {
+  get giftMonthDays() {
+    return GIFT_MONTH_DAYS;
+  }
+
+  generateCode(prefix) {
+    const block = () => Array.from({ length: 4 }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('');
+    return `${prefix}-${block()}-${block()}`;
+  }
+
+  /**
+   * Issue the code for a paid gift checkout. Idempotent per checkout session.
+   */
+  async createGiftCode({ purchasedBy, tier, durationDays, stripeSessionId }) {
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const { data, error } = await supabaseAdmin
+        .from('premium_codes')
+        .insert({
+          code: this.generateCode('GIFT'),
+          kind: 'gift',
+          tier,
+          duration_days: tier === 'monthly' ? durationDays : null,
+          max_uses: 1,
+          purchased_by: purchasedBy,
+          stripe_session_id: stripeSessionId
+        })
+        .select(CODE_FIELDS)
+        .single();
+
+      if (!error) return { code: data, created: true };
+      if (error.code !== UNIQUE_VIOLATION) throw error;
+
+      // Either the webhook was retried or the random code collided
+      const { data: existing, error: fetchError } = await supabaseAdmin
+        .from('premium_codes')
+        .select(CODE_FIELDS)
+        .eq('stripe_session_id', stripeSessionId)
+        .maybeSingle();
+
+      if (fetchError) throw fetchError;
+      if (existing) return { code: existing, created: false };
+    }
+
+    throw new Error('Could not generate a unique gift code');
+  }
+
+  /**
+   * Mint a promo code
+   * @returns {Promise<{code?: object, error?: string}>} error is an API error code
+   */
+  async createPromoCode({ code, tier, durationDays, maxUses, expiresAt, note, createdBy }) {
+    const { data, error } = await supabaseAdmin
+      .from('premium_codes')
+      .insert({
+        code: code || this.generateCode('PROMO'),
+        kind: 'promo',
+        tier,
+        duration_days: tier === 'monthly' ? durationDays : null,
+        max_uses: maxUses,
+        expires_at: expiresAt || null,
+        note: note || null,
+        created_by: createdBy
+      })
+      .select(CODE_FIELDS)
+      .single();
+
+    if (error) {
+      if (error.code === UNIQUE_VIOLATION) return { error: 'CODE_TAKEN' };
+      throw error;
+    }
+    return { code: data };
+  }
+
+  async listPromoCodes(limit = 200) {
+    const { data, error } = await supabaseAdmin
+      .from('premium_codes')
+      .select(`${CODE_FIELDS}, creator:users!created_by(id, username, display_name)`)
+      .eq('kind', 'promo')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  async disableCode(codeId) {
+    const { data, error } = await supabaseAdmin
+      .from('premium_codes')
+      .update({ is_active: false })
+      .eq('id', codeId)
+      .select(CODE_FIELDS)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Gift codes a user bought, with who redeemed them
+   */
+  async listGiftsForUser(userId) {
+    const { data, error } = await supabaseAdmin
+      .from('premium_codes')
+      .select(`${CODE_FIELDS}, redemptions:premium_code_redemptions(redeemed_at, user:users!user_id(username, display_name))`)
+      .eq('purchased_by', userId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Redeem a code for a user
+   * @returns {Promise<{tier?: string, expiresAt?: string|null, error?: string}>} error is an API error code
+   */
+  async redeem(userId, rawCode) {
+    const { data: code, error: codeError } = await supabaseAdmin
+      .from('premium_codes')
+      .select(`${CODE_FIELDS}, purchased_by`)
+      .eq('code', rawCode.trim().toUpperCase())
+      .maybeSingle();
+
+    if (codeError) throw codeError;
+    if (!code || !code.is_active) return { error: 'CODE_NOT_FOUND' };
+
+    // Claims the code and grants premium in one transaction (see add_premium_codes.sql)
+    const { data: claim, error: claimError } = await supabaseAdmin.rpc('redeem_premium_code', {
+      p_code_id: code.id,
+      p_user_id: userId
+    });
+
+    if (claimError) throw claimError;
+    if (claim.result !== 'ok') return { error: claim.result };
+
+    const oldTier = claim.old_tier;
+    const expiresAt = claim.premium_expires_at ? new Date(claim.premium_expires_at).toISOString() : null;
+    const subscriptionId = claim.stripe_subscription_id;
+
+    // Lifetime replaces a running monthly subscription
+    if (code.tier === 'lifetime' && subscriptionId) {
+      try {
+        await stripe.subscriptions.cancel(subscriptionId);
+      } catch (error) {
+        console.error(`⚠️  [PREMIUM CODES] Failed to cancel subscription ${subscriptionId}:`, error.message);
+      }
+    }
+
+    console.log(`🎁 [PREMIUM CODES] ${userId} redeemed ${code.kind} code ${code.code} (${code.tier})`);
+
+    await subscriptionEvents.record({
+      userId,
+      eventType: 'redeemed',
+      tier: code.tier,
+      oldTier,
+      reason: code.kind,
+      metadata: { code_id: code.id, duration_days: code.duration_days, expires_at: expiresAt }
+    });
+    await notificationService.notify(userId, {
+      type: 'subscription',
+      title: code.tier === 'lifetime' ? 'Lifetime Premium activated' : 'Premium activated',
+      message: code.tier === 'lifetime'
+        ? 'Your code unlocked lifetime premium. Enjoy!'
+        : `Your code unlocked premium until ${new Date(expiresAt).toLocaleDateString('en-US')}.`,
+      actionUrl: '/account',
+      actionLabel: 'View',
+      metadata: { event: 'code_redeemed', tier: code.tier }
+    });
+    if (code.kind === 'gift' && code.purchased_by && code.purchased_by !== userId) {
+      await notificationService.notify(code.purchased_by, {
+        type: 'subscription',
+        title: 'Your gift was redeemed',
+        message: `Gift code ${code.code} has been redeemed. Thanks for sharing GameBuddies Premium!`,
+        actionUrl: '/premium',
+        actionLabel: 'View gifts',
+        relatedUserId: userId,
+        metadata: { event: 'gift_redeemed', codeId: code.id }
+      });
+    }
+
+    return { tier: code.tier, expiresAt };
+  }
+
+  /**
+   * Move users whose code-granted monthly premium has run out back to free.
+   * Users in a payment grace period are left to the dunning sweep.
+   */
+  async expireCodePremium() {
+    const { data: expired, error } = await supabaseAdmin
+      .from('users')
+      .update({ premium_tier: 'free' })
+      .eq('premium_tier', 'monthly')
+      .is('stripe_subscription_id', null)
+      .is('grace_period_ends_at', null)
+      .lte('premium_expires_at', new Date().toISOString())
+      .select('id, premium_expires_at');
+
+    if (error) throw error;
+
+    for (const user of expired || []) {
+      await subscriptionEvents.record({
+        userId: user.id,
+        eventType: 'expired',
+        tier: 'free',
+        oldTier: 'monthly',
+        reason: 'code_period_ended',
+        metadata: { ended_at: user.premium_expires_at }
+      });
+      await notificationService.notify(user.id, {
+        type: 'subscription',
+        title: 'Premium has ended',
+        message: 'The premium time from your code has run out. You can subscribe any time.',
+        actionUrl: '/premium',
+        actionLabel: 'Get premium',
+        metadata: { event: 'ended', endedAt: user.premium_expires_at }
+      });
+    }
+
+    if (expired?.length > 0) {
+      console.log(`🎁 [PREMIUM CODES] ${expired.length} code-granted memberships expired`);
+    }
+    return expired?.length || 0;
+  }
+}
+
+module.exports = new PremiumCodeService();
@@ -0,0 +1,125 @@
+/**
+ * Subscription Event Service
+ *
+ * Webhook idempotency and the subscription_events audit trail.
+ *
+ * Each Stripe event is claimed in stripe_webhook_events before its handler
+ * runs. A retry of an event that was already processed is acknowledged
+ * without touching the user again; a failed (or stuck) one is re-claimed and
+ * processed once more.
+ */
+
+const { supabaseAdmin } = require('../lib/supabase');
+
+const UNIQUE_VIOLATION = '23505';
+const STALE_PROCESSING_MS = 5 * 60 * 1000; // A crashed worker's claim expires after 5 minutes
+const HISTORY_LIMIT = 50;
+
+class SubscriptionEventService {
+  /**
+   * Claim a Stripe event for processing
+   * @returns {Promise<{claimed: boolean, status?: 'processed'|'processing'}>}
+   */
+  async claimWebhookEvent(event) {
+    const { error } = await supabaseAdmin
+      .from('stripe_webhook_events')
+      .insert({ id: event.id, event_type: event.type, status: 'processing' });
+
+    if (!error) return { claimed: true };
+
+    if (error.code !== UNIQUE_VIOLATION) {
+      // Don't drop payments because the ledger is unavailable
+      console.error('⚠️  [STRIPE WEBHOOK] Could not claim event, processing anyway:', error.message);
+      return { claimed: true };
+    }
+
+    const { data: existing, error: fetchError } = await supabaseAdmin
+      .from('stripe_webhook_events')
+      .select('status, attempts, last_attempt_at')
+      .eq('id', event.id)
+      .single();
+
+    if (fetchError) throw fetchError;
+    if (existing.status === 'processed') return { claimed: false, status: 'processed' };
+
+    const isStale = Date.now() - new Date(existing.last_attempt_at).getTime() > STALE_PROCESSING_MS;
+    if (existing.status === 'processing' && !isStale) return { claimed: false, status: 'processing' };
+
+    // Conditional on the state we just read, so two retries can't both win
+    const { data: reclaimed, error: reclaimError } = await supabaseAdmin
+      .from('stripe_webhook_events')
+      .update({
+        status: 'processing',
+        attempts: existing.attempts + 1,
+        last_attempt_at: new Date().toISOString()
+      })
+      .eq('id', event.id)
+      .eq('status', existing.status)
+      .eq('attempts', existing.attempts)
+      .select('id')
+      .maybeSingle();
+
+    if (reclaimError) throw reclaimError;
+    return reclaimed ? { claimed: true } : { claimed: false, status: 'processing' };
+  }
+
+  async completeWebhookEvent(eventId) {
+    const { error } = await supabaseAdmin
+      .from('stripe_webhook_events')
+      .update({ status: 'processed', processed_at: new Date().toISOString(), last_error: null })
+      .eq('id', eventId);
+
+    if (error) console.error('⚠️  [STRIPE WEBHOOK] Failed to mark event processed:', error.message);
+  }
+
+  async failWebhookEvent(eventId, err) {
+    const { error } = await supabaseAdmin
+      .from('stripe_webhook_events')
+      .update({ status: 'failed', last_error: String(err?.message || err).slice(0, 1000) })
+      .eq('id', eventId);
+
+    if (error) console.error('⚠️  [STRIPE WEBHOOK] Failed to mark event failed:', error.message);
+  }
+
+  /**
+   * Append a lifecycle event. Never throws - the audit trail must not fail a webhook.
+   * @param {object} params - { userId, eventType, tier, oldTier, amount, currency, paymentStatus, stripeEventId, reason, metadata }
+   */
+  async record({ userId, eventType, tier, oldTier = null, amount = null, currency = null, paymentStatus = null, stripeEventId = null, reason = null, metadata = {} }) {
+    try {
+      const { error } = await supabaseAdmin
+        .from('subscription_events')
+        .insert({
+          user_id: userId,
+          event_type: eventType,
+          tier,
+          old_tier: oldTier,
+          amount,
+          currency: currency ? currency.toUpperCase() : undefined,
+          payment_status: paymentStatus,
+          stripe_event_id: stripeEventId,
+          reason,
+          metadata
+        });
+
+      if (error && error.code !== UNIQUE_VIOLATION) throw error;
+      console.log(`🧾 [BILLING] ${eventType} recorded for ${userId}${oldTier && oldTier !== tier ? ` (${oldTier} → ${tier})` : ''}`);
+    } catch (error) {
+      console.error(`❌ [BILLING] Failed to record ${eventType} for ${userId}:`, error);
+    }
+  }
+
+  async getHistory(userId, limit = HISTORY_LIMIT) {
+    const { data, error } = await supabaseAdmin
+      .from('subscription_events')
+      .select('id, event_type, tier, old_tier, amount, currency, payment_status, reason, created_at')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    return data || [];
+  }
+}
+
+module.exports = new SubscriptionEventService();
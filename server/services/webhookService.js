@@ -0,0 +1,414 @@
+/**
+ * Webhook Service
+ *
+ * Pushes room events to external games that registered a webhook (games.
+ * webhook_url / webhook_secret), so they don't have to poll endpoints like
+ * /api/v2/rooms/:roomCode/return-status.
+ *
+ * Each request is a JSON POST signed like Stripe's webhooks:
+ *   X-GameBuddies-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256(secret, "<t>.<body>")>
+ *   X-GameBuddies-Event:     player.joined
+ *   X-GameBuddies-Delivery:  <delivery id>
+ * The body's `id` is the event id, which stays the same on retries and
+ * redeliveries.
+ *
+ * Deliveries are logged in webhook_deliveries. A non-2xx response or a network
+ * error is retried with exponential backoff by processDueDeliveries(), which
+ * the server runs every 30 seconds. Emitting never throws and never blocks the
+ * caller. Only the status code and error of a response are kept, never its body.
+ *
+ * Webhook URLs must resolve to public addresses, checked when a game registers
+ * one and again before every request, so a game can't point the server at
+ * internal services (loopback, private networks, cloud metadata...). Set
+ * WEBHOOK_ALLOW_PRIVATE_URLS=true to test against a game server on localhost.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+const { supabaseAdmin } = require('../lib/supabase');
+
+const WEBHOOK_EVENTS = ['player.joined', 'player.left', 'player.kicked', 'host.transferred', 'room.returned_to_lobby', 'room.closed'];
+const MAX_ATTEMPTS = 8;
+const BASE_RETRY_DELAY_MS = 30 * 1000; // 30s, 1m, 2m, 4m ... ~1 hour in total
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const STALE_DELIVERY_MS = 5 * 60 * 1000; // 'delivering' rows left behind by a restart
+const CONFIG_CACHE_MS = 60 * 1000;
+
+// Addresses a webhook may not resolve to
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8, 'ipv4'], // "this" network
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'], // carrier-grade NAT
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'], // link-local, including cloud metadata (169.254.169.254)
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'], // benchmarking
+  ['224.0.0.0', 3, 'ipv4'], // multicast and reserved
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['fc00::', 7, 'ipv6'], // unique local
+  ['fe80::', 10, 'ipv6'], // link-local
+  ['ff00::', 8, 'ipv6'] // multicast
+].forEach(([address, prefix, type]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, type));
+
+class WebhookUrlError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WebhookUrlError';
+    this.code = 'WEBHOOK_URL_NOT_ALLOWED';
+  }
+}
+
+const isBlockedAddress = (address) => {
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as the IPv4 address it maps to
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+const DELIVERY_FIELDS = 'id, event_id, game_id, event_type, room_code, url, status, attempts, next_attempt_at, last_attempt_at, last_status_code, last_error, delivered_at, redelivery_of, created_at';
+
+class WebhookService {
+  constructor() {
+    // gameId -> { config, loadedAt }
+    this.configCache = new Map();
+  }
+
+  get events() {
+    return WEBHOOK_EVENTS;
+  }
+
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * Throw unless every address the URL's host resolves to is public
+   * @throws {WebhookUrlError}
+   */
+  async assertPublicUrl(url) {
+    if (process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true') return;
+
+    const { hostname } = new URL(url);
+    const host = hostname.replace(/^\[|\]$/g, '');
+
+    let addresses;
+    try {
+      addresses = net.isIP(host)
+        ? [{ address: host }]
+        : await dns.lookup(host, { all: true, verbatim: true });
+    } catch (error) {
+      throw new WebhookUrlError(`Webhook host ${host} could not be resolved`);
+    }
+
+    if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+      throw new WebhookUrlError(`Webhook host ${host} resolves to a private or reserved address`);
+    }
+  }
+
+  async loadConfig(gameId) {
+    const cached = this.configCache.get(gameId);
+    if (cached && Date.now() - cached.loadedAt < CONFIG_CACHE_MS) {
+      return cached.config;
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('games')
+      .select('id, webhook_url, webhook_secret, webhook_events, webhook_enabled')
+      .eq('id', gameId)
+      .maybeSingle();
+
+    if (error) throw error;
+    this.configCache.set(gameId, { config: data, loadedAt: Date.now() });
+    return data;
+  }
+
+  /**
+   * Webhook settings for a game, without the secret
+   */
+  async getConfig(gameId) {
+    const config = await this.loadConfig(gameId);
+    if (!config) return null;
+
+    return {
+      url: config.webhook_url,
+      events: config.webhook_events,
+      enabled: config.webhook_enabled,
+      hasSecret: Boolean(config.webhook_secret)
+    };
+  }
+
+  /**
+   * Register or change a game's webhook. A secret is generated when the game
+   * has none and didn't send one; it is only returned when it changed.
+   * @returns {Promise<object|null>} null if the game doesn't exist
+   * @throws {WebhookUrlError} when the URL resolves to a private address
+   */
+  async configure(gameId, { url, secret, events, enabled = true }) {
+    const current = await this.loadConfig(gameId);
+    if (!current) return null;
+
+    await this.assertPublicUrl(url);
+
+    const newSecret = secret || (current.webhook_secret ? null : this.generateSecret());
+
+    const { data, error } = await supabaseAdmin
+      .from('games')
+      .update({
+        webhook_url: url,
+        ...(newSecret && { webhook_secret: newSecret }),
+        ...(events && { webhook_events: events }),
+        webhook_enabled: enabled,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', gameId)
+      .select('id, webhook_url, webhook_secret, webhook_events, webhook_enabled')
+      .single();
+
+    if (error) throw error;
+    this.configCache.set(gameId, { config: data, loadedAt: Date.now() });
+
+    return {
+      url: data.webhook_url,
+      events: data.webhook_events,
+      enabled: data.webhook_enabled,
+      hasSecret: true,
+      ...(newSecret && { secret: newSecret })
+    };
+  }
+
+  /**
+   * Queue and send an event for the game a room is playing. Fire and forget.
+   */
+  roomEvent(room, eventType, data = {}) {
+    if (!room?.current_game || room.current_game === 'lobby') return;
+
+    this.emit(room.current_game, eventType, { roomCode: room.room_code, ...data });
+  }
+
+  async emit(gameId, eventType, data) {
+    try {
+      const config = await this.loadConfig(gameId);
+      if (!config?.webhook_enabled || !config.webhook_url || !config.webhook_secret) return;
+      if (!config.webhook_events?.includes(eventType)) return;
+
+      const eventId = crypto.randomUUID();
+      const payload = {
+        id: eventId,
+        event: eventType,
+        gameId,
+        createdAt: new Date().toISOString(),
+        data
+      };
+
+      const { data: delivery, error } = await supabaseAdmin
+        .from('webhook_deliveries')
+        .insert({
+          event_id: eventId,
+          game_id: gameId,
+          event_type: eventType,
+          room_code: data.roomCode || null,
+          url: config.webhook_url,
+          payload
+        })
+        .select('*')
+        .single();
+
+      if (error) throw error;
+
+      await this.attempt(delivery);
+    } catch (error) {
+      console.error(`❌ [WEBHOOKS] Failed to emit ${eventType} for ${gameId}:`, error.message || error);
+    }
+  }
+
+  /**
+   * Claim a queued delivery and POST it once. Claiming compares the attempt
+   * count so two servers can't send the same attempt.
+   * @returns {Promise<object|null>} the updated delivery, or null if it was claimed elsewhere
+   */
+  async attempt(delivery) {
+    const { data: claimed, error: claimError } = await supabaseAdmin
+      .from('webhook_deliveries')
+      .update({
+        status: 'delivering',
+        attempts: delivery.attempts + 1,
+        last_attempt_at: new Date().toISOString()
+      })
+      .eq('id', delivery.id)
+      .eq('status', delivery.status)
+      .eq('attempts', delivery.attempts)
+      .select('*')
+      .maybeSingle();
+
+    if (claimError) throw claimError;
+    if (!claimed) return null;
+
+    const config = await this.loadConfig(claimed.game_id);
+    const result = await this.send(claimed, config?.webhook_secret);
+
+    let update;
+    if (result.ok) {
+      update = { status: 'delivered', delivered_at: new Date().toISOString(), next_attempt_at: null };
+    } else if (claimed.attempts >= MAX_ATTEMPTS || !config?.webhook_secret) {
+      update = { status: 'failed', next_attempt_at: null };
+      console.warn(`⚠️  [WEBHOOKS] Giving up on ${claimed.event_type} delivery ${claimed.id} to ${claimed.game_id} after ${claimed.attempts} attempts`);
+    } else {
+      const delay = BASE_RETRY_DELAY_MS * 2 ** (claimed.attempts - 1);
+      update = { status: 'pending', next_attempt_at: new Date(Date.now() + delay).toISOString() };
+    }
+
+    const { data: finished, error: finishError } = await supabaseAdmin
+      .from('webhook_deliveries')
+      .update({
+        ...update,
+        last_status_code: result.statusCode,
+        last_error: result.error
+      })
+      .eq('id', claimed.id)
+      .select(DELIVERY_FIELDS)
+      .single();
+
+    if (finishError) throw finishError;
+    return finished;
+  }
+
+  async send(delivery, secret) {
+    if (!secret) {
+      return { ok: false, statusCode: null, error: 'Webhook secret is not configured' };
+    }
+
+    // DNS may have changed since the URL was registered
+    try {
+      await this.assertPublicUrl(delivery.url);
+    } catch (error) {
+      return { ok: false, statusCode: null, error: error.message };
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    try {
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'GameBuddies-Webhooks/1.0',
+          'X-GameBuddies-Event': delivery.event_type,
+          'X-GameBuddies-Delivery': delivery.id,
+          'X-GameBuddies-Signature': `t=${timestamp},v1=${this.sign(secret, timestamp, body)}`
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+
+      // The body is never stored or shown, so don't read it
+      await response.body?.cancel();
+      return {
+        ok: response.ok,
+        statusCode: response.status,
+        error: response.ok ? null : `Endpoint responded ${response.status}`
+      };
+    } catch (error) {
+      return { ok: false, statusCode: null, error: error.message };
+    }
+  }
+
+  /**
+   * Retry deliveries whose backoff has elapsed (periodic)
+   */
+  async processDueDeliveries(limit = 50) {
+    const now = Date.now();
+    const { data: due, error } = await supabaseAdmin
+      .from('webhook_deliveries')
+      .select('*')
+      .or(`and(status.eq.pending,next_attempt_at.lte.${new Date(now).toISOString()}),and(status.eq.delivering,last_attempt_at.lt.${new Date(now - STALE_DELIVERY_MS).toISOString()})`)
+      .order('next_attempt_at', { ascending: true })
+      .limit(limit);
+
+    if (error) throw error;
+
+    let delivered = 0;
+    for (const delivery of due || []) {
+      try {
+        const result = await this.attempt(delivery);
+        if (result?.status === 'delivered') delivered++;
+      } catch (attemptError) {
+        console.error(`❌ [WEBHOOKS] Retry of delivery ${delivery.id} failed:`, attemptError.message || attemptError);
+      }
+    }
+
+    if (due?.length > 0) {
+      console.log(`🪝 [WEBHOOKS] Retried ${due.length} deliveries, ${delivered} delivered`);
+    }
+    return due?.length || 0;
+  }
+
+  async listDeliveries(gameId, { status, eventType, limit = 50 } = {}) {
+    let query = supabaseAdmin
+      .from('webhook_deliveries')
+      .select(DELIVERY_FIELDS)
+      .eq('game_id', gameId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (status) query = query.eq('status', status);
+    if (eventType) query = query.eq('event_type', eventType);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Send an earlier event again to the game's current URL, as a new delivery
+   * with the same event id
+   * @returns {Promise<{delivery?: object, error?: string}>} error is an API error code
+   */
+  async redeliver(gameId, deliveryId) {
+    const { data: original, error } = await supabaseAdmin
+      .from('webhook_deliveries')
+      .select('*')
+      .eq('id', deliveryId)
+      .eq('game_id', gameId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!original) return { error: 'DELIVERY_NOT_FOUND' };
+
+    const config = await this.loadConfig(gameId);
+    if (!config?.webhook_url || !config.webhook_secret) return { error: 'WEBHOOK_NOT_CONFIGURED' };
+
+    const { data: copy, error: insertError } = await supabaseAdmin
+      .from('webhook_deliveries')
+      .insert({
+        event_id: original.event_id,
+        game_id: gameId,
+        event_type: original.event_type,
+        room_code: original.room_code,
+        url: config.webhook_url,
+        payload: original.payload,
+        redelivery_of: original.id
+      })
+      .select('*')
+      .single();
+
+    if (insertError) throw insertError;
+
+    console.log(`🪝 [WEBHOOKS] Redelivering ${original.event_type} (${original.id}) to ${gameId}`);
+    const delivery = await this.attempt(copy);
+    return { delivery };
+  }
+}
+
+module.exports = new WebhookService();
+module.exports.WebhookUrlError = WebhookUrlError;
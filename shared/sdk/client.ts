@@ -0,0 +1,253 @@
+/**
+ * GameBuddiesClient
+ *
+ * One client for everything an external game does with the platform:
+ * resolving the session a player arrives with (?session=<token>), room
+ * validation, heartbeats, status updates, game-end reporting, XP events and
+ * returning players to the lobby. It talks to the V2 API only.
+ *
+ * Everything except resolveSession() needs an API key, so run the client on
+ * your game server. Failed calls throw GameBuddiesApiError.
+ *
+ * Usage:
+ * const gb = new GameBuddiesClient({ baseUrl: 'https://gamebuddies.io', gameId: 'ddf', apiKey: process.env.GAMEBUDDIES_API_KEY });
+ * const session = await gb.resolveSession(token);
+ * const stop = gb.startHeartbeats(session.roomCode, session.playerId);
+ * await gb.reportGameEnd(session.roomCode, { gameResult });
+ * stop();
+ */
+
+import { GameBuddiesApiError } from './errors';
+import { SDK_VERSION } from './version';
+import type {
+  FetchLike,
+  GameBuddiesClientOptions,
+  GameEndOptions,
+  GameEndResponse,
+  GameSession,
+  HeartbeatResponse,
+  PlayerProgress,
+  ReturnToLobbyOptions,
+  ReturnToLobbyResponse,
+  RoomValidation,
+  StatusUpdate,
+  StatusUpdateResponse,
+  ValidateRoomOptions,
+  XpEvent,
+  XpEventResponse
+} from './types';
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_HEARTBEAT_MS = 30000;
+
+type RequestOptions = {
+  method?: 'GET' | 'POST' | 'PUT';
+  body?: any;
+  query?: Record<string, string | undefined>;
+  auth?: boolean;
+};
+
+export class GameBuddiesClient {
+  readonly gameId: string;
+  private readonly baseUrl: string;
+  private readonly apiKey?: string;
+  private readonly fetchImpl: FetchLike;
+  private readonly timeoutMs: number;
+
+  constructor({ baseUrl, apiKey, gameId, fetch: fetchImpl, timeoutMs = DEFAULT_TIMEOUT_MS }: GameBuddiesClientOptions) {
+    if (!baseUrl) throw new Error('GameBuddiesClient: baseUrl is required');
+    if (!gameId) throw new Error('GameBuddiesClient: gameId is required');
+
+    const globalFetch = typeof fetch === 'function' ? (fetch as unknown as FetchLike) : undefined;
+    const resolvedFetch = fetchImpl || globalFetch;
+    if (!resolvedFetch) throw new Error('GameBuddiesClient: no fetch implementation available, pass options.fetch');
+
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.gameId = gameId;
+    this.fetchImpl = resolvedFetch;
+    this.timeoutMs = timeoutMs;
+  }
+
+  // ===== SESSIONS =====
+
+  /**
+   * Look up the session token a player arrived with
+   *
+   * @param token - the ?session= query parameter of the game URL
+   */
+  resolveSession(token: string): Promise<GameSession> {
+    return this.request(`/api/game-sessions/${encodeURIComponent(token)}`, { auth: false });
+  }
+
+  /**
+   * Read the session token from a URL (defaults to the current page)
+   */
+  static sessionTokenFromUrl(url?: string): string | null {
+    const href = url ?? (typeof window !== 'undefined' ? window.location.href : '');
+    if (!href) return null;
+    try {
+      return new URL(href).searchParams.get('session');
+    } catch {
+      return null;
+    }
+  }
+
+  // ===== ROOMS =====
+
+  validateRoom(roomCode: string, { playerId, playerName, sessionToken }: ValidateRoomOptions = {}): Promise<RoomValidation> {
+    return this.request(`/api/v2/game/rooms/${encodeURIComponent(roomCode)}/validate`, {
+      query: { playerId, playerName, sessionToken }
+    });
+  }
+
+  // ===== STATUS =====
+
+  heartbeat(roomCode: string, playerId: string, metadata: Record<string, any> = {}): Promise<HeartbeatResponse> {
+    return this.request(this.playerPath(roomCode, playerId, 'heartbeat'), {
+      method: 'POST',
+      body: { metadata }
+    });
+  }
+
+  /**
+   * Send heartbeats on the interval the platform asks for until the returned
+   * function is called. Failures are passed to onError and don't stop the loop.
+   */
+  startHeartbeats(
+    roomCode: string,
+    playerId: string,
+    { metadata, onError }: { metadata?: () => Record<string, any>; onError?: (error: GameBuddiesApiError) => void } = {}
+  ): () => void {
+    let stopped = false;
+    let timer: ReturnType<typeof setTimeout> | null = null;
+
+    const beat = async () => {
+      let delay = DEFAULT_HEARTBEAT_MS;
+      try {
+        const response = await this.heartbeat(roomCode, playerId, metadata ? metadata() : {});
+        delay = response.nextHeartbeat || DEFAULT_HEARTBEAT_MS;
+      } catch (error) {
+        onError?.(error as GameBuddiesApiError);
+      }
+      if (!stopped) timer = setTimeout(beat, delay);
+    };
+
+    beat();
+
+    return () => {
+      stopped = true;
+      if (timer) clearTimeout(timer);
+    };
+  }
+
+  updateStatus(roomCode: string, playerId: string, update: StatusUpdate): Promise<StatusUpdateResponse> {
+    return this.request(this.playerPath(roomCode, playerId, 'status'), {
+      method: 'POST',
+      body: update
+    });
+  }
+
+  // ===== GAME END =====
+
+  /**
+   * Report the end of a match. With a gameResult the match is recorded for
+   * stats, leaderboards and achievements; each sessionId is only accepted once.
+   */
+  reportGameEnd(roomCode: string, { gameResult, returnPlayers = true }: GameEndOptions = {}): Promise<GameEndResponse> {
+    return this.request(`/api/v2/game/rooms/${encodeURIComponent(roomCode)}/game-end`, {
+      method: 'POST',
+      body: { gameResult: gameResult || {}, returnPlayers }
+    });
+  }
+
+  // ===== PROGRESS =====
+
+  awardXp({ userId, amount, source, metadata }: XpEvent): Promise<XpEventResponse> {
+    return this.request('/api/v2/game/progress/event', {
+      method: 'POST',
+      body: { userId, amount, source, metadata, gameId: this.gameId }
+    });
+  }
+
+  getProgress(userId: string): Promise<PlayerProgress> {
+    return this.request(`/api/v2/game/progress/${encodeURIComponent(userId)}`);
+  }
+
+  // ===== RETURN TO LOBBY =====
+
+  /**
+   * Send players back to the GameBuddies lobby. Redirect them to returnUrl.
+   */
+  returnToLobby(roomCode: string, { playerId, returnAll = true, reason, metadata }: ReturnToLobbyOptions = {}): Promise<ReturnToLobbyResponse> {
+    return this.request('/api/v2/external/return', {
+      method: 'POST',
+      body: { roomCode, playerId, returnAll, reason, metadata, initiatedBy: this.gameId }
+    });
+  }
+
+  // ===== INTERNALS =====
+
+  private playerPath(roomCode: string, playerId: string, action: string): string {
+    return `/api/v2/game/rooms/${encodeURIComponent(roomCode)}/players/${encodeURIComponent(playerId)}/${action}`;
+  }
+
+  private async request<T>(path: string, { method = 'GET', body, query, auth = true }: RequestOptions = {}): Promise<T> {
+    const headers: Record<string, string> = {};
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    if (auth) {
+      if (!this.apiKey) {
+        throw new GameBuddiesApiError(`${method} ${path} needs an API key`, { code: 'API_KEY_REQUIRED' });
+      }
+      headers['x-api-key'] = this.apiKey;
+      headers['X-GameBuddies-SDK'] = `js/${SDK_VERSION}`;
+    }
+
+    const search = query
+      ? Object.entries(query)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value as string)}`)
+        .join('&')
+      : '';
+    const url = `${this.baseUrl}${path}${search ? `?${search}` : ''}`;
+
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const timeout = controller ? setTimeout(() => controller.abort(), this.timeoutMs) : null;
+
+    let response;
+    try {
+      response = await this.fetchImpl(url, {
+        method,
+        headers,
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal: controller?.signal
+      });
+    } catch (error: any) {
+      const timedOut = error?.name === 'AbortError';
+      throw new GameBuddiesApiError(
+        timedOut ? `${method} ${path} timed out after ${this.timeoutMs}ms` : `${method} ${path} failed: ${error?.message || error}`,
+        { code: timedOut ? 'TIMEOUT' : 'NETWORK_ERROR' }
+      );
+    } finally {
+      if (timeout) clearTimeout(timeout);
+    }
+
+    const text = await response.text();
+    let data: any = null;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch {
+      data = { error: text };
+    }
+
+    if (!response.ok) {
+      throw new GameBuddiesApiError(data?.error || `${method} ${path} responded ${response.status}`, {
+        status: response.status,
+        code: data?.code || `HTTP_${response.status}`,
+        details: data
+      });
+    }
+
+    return data as T;
+  }
+}
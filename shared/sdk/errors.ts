@@ -0,0 +1,30 @@
+/**
+ * GameBuddiesApiError
+ *
+ * Thrown by GameBuddiesClient for any non-2xx response, a timeout or a
+ * network failure. `code` is the platform's error code (e.g. ROOM_NOT_FOUND,
+ * INSUFFICIENT_SCOPE, QUOTA_EXCEEDED) or NETWORK_ERROR / TIMEOUT.
+ */
+
+export class GameBuddiesApiError extends Error {
+  readonly status: number | null;
+  readonly code: string;
+  readonly details: any;
+
+  constructor(message: string, { status = null, code = 'UNKNOWN_ERROR', details = null }: {
+    status?: number | null;
+    code?: string;
+    details?: any;
+  } = {}) {
+    super(message);
+    this.name = 'GameBuddiesApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+
+  /** Rate limited or a temporary server/network problem - safe to try again later */
+  get isRetryable(): boolean {
+    return this.status === null || this.status === 429 || this.status >= 500;
+  }
+}
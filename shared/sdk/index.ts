@@ -0,0 +1,16 @@
+/**
+ * GameBuddies JavaScript SDK
+ *
+ * Browser- and Node-safe entry point. The Node-only helpers live in their own
+ * modules so they don't end up in browser bundles:
+ * - './webhooks'   verify signed webhooks on your game server
+ * - './mockServer' an offline GameBuddies server for integration tests
+ *
+ * Usage:
+ * import { GameBuddiesClient } from '@shared/sdk';
+ */
+
+export { GameBuddiesClient } from './client';
+export { GameBuddiesApiError } from './errors';
+export { SDK_VERSION } from './version';
+export * from './types';
@@ -0,0 +1,464 @@
+/**
+ * Mock GameBuddies server (Node only)
+ *
+ * An in-memory stand-in for the platform endpoints GameBuddiesClient uses, so
+ * games can run integration tests offline. Responses have the same shape and
+ * error codes as the real API, including API key checks and the rule that a
+ * key may only touch rooms playing its own game. Every request is recorded in
+ * `calls` for assertions.
+ *
+ * Usage:
+ * const mock = createMockGameBuddiesServer({ gameId: 'ddf' });
+ * const { baseUrl } = await mock.start();
+ * mock.addRoom({ roomCode: 'ABC123', players: [{ id: hostId, name: 'Host', isHost: true }] });
+ * const token = mock.addSession({ roomCode: 'ABC123', playerId: hostId });
+ * const gb = new GameBuddiesClient({ baseUrl, gameId: 'ddf', apiKey: mock.apiKey });
+ * ...
+ * expect(mock.calls.map(c => c.path)).toContain('/api/v2/game/rooms/ABC123/game-end');
+ * await mock.stop();
+ */
+
+import { createServer, IncomingMessage, Server, ServerResponse } from 'http';
+import { randomBytes, randomUUID } from 'crypto';
+import { signWebhookPayload } from './webhooks';
+import type { GameResult, PlayerLocation, WebhookEventType } from './types';
+
+export interface MockPlayer {
+  id: string;
+  name: string;
+  isHost?: boolean;
+  location?: PlayerLocation;
+  xp?: number;
+  level?: number;
+}
+
+export interface MockRoom {
+  id: string;
+  roomCode: string;
+  gameType: string;
+  status: 'lobby' | 'in_game' | 'returning' | 'abandoned';
+  maxPlayers: number;
+  settings: Record<string, any>;
+  streamerMode: boolean;
+  players: MockPlayer[];
+  pendingReturn: boolean;
+  results: GameResult[];
+}
+
+export interface MockCall {
+  method: string;
+  path: string;
+  query: Record<string, string>;
+  body: any;
+  status: number;
+}
+
+export interface MockServerOptions {
+  gameId: string;
+  /** Defaults to a random gb_<gameId>_... key, readable as mock.apiKey */
+  apiKey?: string;
+  /** Scopes granted to the key; all by default */
+  scopes?: string[];
+}
+
+const ALL_SCOPES = ['rooms:read', 'rooms:write', 'status:write', 'progress:read', 'progress:write', 'webhooks:manage'];
+const SESSION_TTL_MS = 3 * 60 * 60 * 1000;
+
+type Handler = (ctx: {
+  params: Record<string, string>;
+  query: Record<string, string>;
+  body: any;
+}) => [number, any];
+
+export function createMockGameBuddiesServer({ gameId, apiKey, scopes = ALL_SCOPES }: MockServerOptions) {
+  const key = apiKey || `gb_${gameId}_${randomBytes(20).toString('hex')}`;
+  const rooms = new Map<string, MockRoom>();
+  const sessions = new Map<string, { roomCode: string; playerId: string | null; expiresAt: string }>();
+  const usedResultSessions = new Set<string>();
+  const calls: MockCall[] = [];
+  let server: Server | null = null;
+  let baseUrl = '';
+
+  const findRoom = (roomCode: string) => rooms.get(roomCode);
+  const findPlayer = (playerId: string) => {
+    for (const room of rooms.values()) {
+      const player = room.players.find(p => p.id === playerId);
+      if (player) return player;
+    }
+    return undefined;
+  };
+  const notFound = (): [number, any] => [404, { error: 'Room not found', code: 'ROOM_NOT_FOUND' }];
+
+  const createSession = (roomCode: string, playerId: string | null) => {
+    const token = randomBytes(32).toString('hex');
+    sessions.set(token, { roomCode, playerId, expiresAt: new Date(Date.now() + SESSION_TTL_MS).toISOString() });
+    return token;
+  };
+
+  const returnPlayers = (room: MockRoom) => {
+    let returned = 0;
+    for (const player of room.players) {
+      if (player.location === 'game') {
+        player.location = 'lobby';
+        returned++;
+      }
+    }
+    room.status = 'lobby';
+    return returned;
+  };
+
+  // [method, pattern, scope (null = no API key), handler]
+  const routes: Array<[string, string, string | null, Handler]> = [
+    ['GET', '/api/game-sessions/:token', null, ({ params }) => {
+      const session = sessions.get(params.token);
+      if (!session || new Date(session.expiresAt) < new Date()) {
+        return [404, { error: 'Session not found or expired' }];
+      }
+      const room = findRoom(session.roomCode);
+      const player = session.playerId ? findPlayer(session.playerId) : undefined;
+      return [200, {
+        success: true,
+        roomCode: session.roomCode,
+        gameType: room?.gameType || gameId,
+        streamerMode: room?.streamerMode || false,
+        playerId: session.playerId,
+        playerName: player?.name || null,
+        settings: room?.settings || {},
+        metadata: {},
+        expiresAt: session.expiresAt
+      }];
+    }],
+
+    ['GET', '/api/v2/game/rooms/:roomCode/validate', 'rooms:read', ({ params, query }) => {
+      const room = findRoom(params.roomCode);
+      if (!room) return [404, { valid: false, error: 'Room not found', code: 'ROOM_NOT_FOUND' }];
+
+      const player = room.players.find(p => p.id === query.playerId || p.name === query.playerName);
+      const connected = room.players.filter(p => p.location !== 'disconnected');
+      return [200, {
+        valid: true,
+        version: '2.0',
+        room: {
+          id: room.id,
+          code: room.roomCode,
+          gameType: room.gameType,
+          status: room.status,
+          currentPlayers: connected.length,
+          maxPlayers: room.maxPlayers,
+          settings: room.settings,
+          metadata: {},
+          createdAt: new Date().toISOString(),
+          startedAt: null,
+          lastActivity: new Date().toISOString()
+        },
+        participant: player ? {
+          id: player.id,
+          role: player.isHost ? 'host' : 'player',
+          isHost: Boolean(player.isHost),
+          isConnected: player.location !== 'disconnected',
+          currentLocation: player.location,
+          inGame: player.location === 'game',
+          isReady: false,
+          sessionValid: Boolean(query.sessionToken && sessions.has(query.sessionToken)),
+          gameData: null
+        } : null,
+        participants: connected.map(p => ({
+          id: p.id,
+          name: p.name,
+          role: p.isHost ? 'host' : 'player',
+          isHost: Boolean(p.isHost),
+          isReady: false,
+          currentLocation: p.location,
+          inGame: p.location === 'game',
+          lastPing: new Date().toISOString(),
+          premiumTier: 'free',
+          avatarUrl: null,
+          avatarStyle: null,
+          avatarSeed: null,
+          avatarOptions: null
+        })),
+        gameState: null,
+        sessionInfo: query.sessionToken ? { valid: sessions.has(query.sessionToken) } : null
+      }];
+    }],
+
+    ['POST', '/api/v2/game/rooms/:roomCode/players/:playerId/heartbeat', 'status:write', ({ params }) => {
+      if (!findRoom(params.roomCode)) return notFound();
+      return [200, { success: true, nextHeartbeat: 30000 }];
+    }],
+
+    ['POST', '/api/v2/game/rooms/:roomCode/players/:playerId/status', 'status:write', ({ params, body }) => {
+      const room = findRoom(params.roomCode);
+      if (!room) return notFound();
+
+      const validStatuses = ['connected', 'disconnected', 'in_game', 'returning', 'lobby'];
+      if (!validStatuses.includes(body?.status)) {
+        const message = `"status" must be one of [${validStatuses.join(', ')}]`;
+        return [400, { error: message, code: 'INVALID_REQUEST', details: [{ field: 'status', message }] }];
+      }
+
+      const player = room.players.find(p => p.id === params.playerId);
+      if (!player) return [404, { error: 'Player not found in room', code: 'PLAYER_NOT_FOUND' }];
+
+      const statusLocation: PlayerLocation = body.status === 'disconnected' ? 'disconnected'
+        : ['lobby', 'returning'].includes(body.status) ? 'lobby' : 'game';
+      const location: PlayerLocation = body.location || statusLocation;
+      player.location = location;
+
+      return [200, {
+        success: true,
+        updated: { status: body.status, location, timestamp: new Date().toISOString() },
+        conflicts: [],
+        sessionToken: body.syncSession ? createSession(room.roomCode, params.playerId) : null,
+        queued: false
+      }];
+    }],
+
+    ['POST', '/api/v2/game/rooms/:roomCode/game-end', 'rooms:write', ({ params, body }) => {
+      const room = findRoom(params.roomCode);
+      if (!room) return notFound();
+
+      const result: GameResult | undefined = body?.gameResult && Object.keys(body.gameResult).length > 0 ? body.gameResult : undefined;
+      let matchId: string | null = null;
+      if (result) {
+        if (!result.sessionId || !Array.isArray(result.players) || result.players.length === 0) {
+          return [400, { error: 'sessionId and players are required', code: 'INVALID_GAME_RESULT' }];
+        }
+        if (!result.durationSeconds && !result.startedAt) {
+          return [400, { error: 'Either durationSeconds or startedAt is required', code: 'INVALID_GAME_RESULT' }];
+        }
+        // The mock only knows room members, so anyone else is reported as not in the room
+        const playersNotInRoom = result.players.map(p => p.userId).filter(id => !room.players.some(p => p.id === id));
+        if (playersNotInRoom.length > 0) {
+          return [400, { error: 'Game result contains players who are not in this room', code: 'PLAYERS_NOT_IN_ROOM', playerIds: playersNotInRoom }];
+        }
+        if (usedResultSessions.has(result.sessionId)) {
+          return [409, { error: 'A result for this session was already recorded', code: 'DUPLICATE_GAME_RESULT' }];
+        }
+        usedResultSessions.add(result.sessionId);
+        room.results.push(result);
+        matchId = randomUUID();
+      }
+
+      const inGame = room.players.filter(p => p.location === 'game').map(p => p.id);
+      const playersReturned = body?.returnPlayers === false ? 0 : returnPlayers(room);
+      return [200, { success: true, playersReturned, players: playersReturned ? inGame : undefined, matchId }];
+    }],
+
+    ['POST', '/api/v2/game/progress/event', 'progress:write', ({ body }) => {
+      if (!body?.userId || !body?.amount) return [400, { error: 'Missing userId or amount' }];
+      if (body.gameId && body.gameId !== gameId) {
+        return [403, { error: 'API key is not allowed to award XP for this game', code: 'GAME_MISMATCH' }];
+      }
+
+      const player = findPlayer(body.userId);
+      if (!player) return [500, { error: 'Failed to add XP', details: 'User not found' }];
+
+      const oldLevel = player.level || 1;
+      player.xp = (player.xp || 0) + Number(body.amount);
+      // Same curve as the platform: level N needs N * 1000 XP
+      let level = oldLevel;
+      while (player.xp >= level * 1000) level++;
+      player.level = level;
+
+      return [200, {
+        success: true,
+        progress: {
+          user_id: player.id,
+          old_level: oldLevel,
+          new_level: level,
+          current_xp: player.xp,
+          next_level_at: level * 1000,
+          leveled_up: level > oldLevel
+        }
+      }];
+    }],
+
+    ['GET', '/api/v2/game/progress/:userId', 'progress:read', ({ params }) => {
+      const player = findPlayer(params.userId);
+      if (!player) return [404, { error: 'User not found' }];
+
+      const level = player.level || 1;
+      const xp = player.xp || 0;
+      return [200, {
+        userId: player.id,
+        level,
+        xp,
+        nextLevelXp: level * 1000,
+        progressPercent: Math.min(100, Math.floor((xp / (level * 1000)) * 100))
+      }];
+    }],
+
+    ['POST', '/api/v2/external/return', 'rooms:write', ({ body }) => {
+      if (!body?.roomCode) return [400, { success: false, error: 'Room code is required', code: 'MISSING_ROOM_CODE' }];
+      const room = findRoom(body.roomCode);
+      if (!room) return [404, { success: false, error: 'Room not found', code: 'ROOM_NOT_FOUND' }];
+
+      room.pendingReturn = true;
+      const returnAll = body.returnAll !== false;
+      const sessionToken = body.playerId || (room.streamerMode && returnAll)
+        ? createSession(room.roomCode, body.playerId || null)
+        : null;
+      const playersReturned = returnAll ? returnPlayers(room) : 0;
+
+      const returnUrl = room.streamerMode && sessionToken
+        ? `${baseUrl}/lobby?session=${sessionToken}`
+        : sessionToken
+          ? `${baseUrl}/lobby/${room.roomCode}?session=${sessionToken}`
+          : `${baseUrl}/lobby/${room.roomCode}`;
+
+      return [200, {
+        success: true,
+        message: 'Return to lobby initiated',
+        roomCode: room.roomCode,
+        returnUrl,
+        sessionToken,
+        playersReturned,
+        pendingReturn: true,
+        pollEndpoint: `/api/v2/rooms/${room.roomCode}/return-status`
+      }];
+    }]
+  ];
+
+  const matchRoute = (method: string, path: string) => {
+    for (const [routeMethod, pattern, scope, handler] of routes) {
+      if (routeMethod !== method) continue;
+      const patternParts = pattern.split('/');
+      const pathParts = path.split('/');
+      if (patternParts.length !== pathParts.length) continue;
+
+      const params: Record<string, string> = {};
+      const matches = patternParts.every((part, i) => {
+        if (part.startsWith(':')) {
+          params[part.slice(1)] = decodeURIComponent(pathParts[i]);
+          return true;
+        }
+        return part === pathParts[i];
+      });
+      if (matches) return { scope, handler, params };
+    }
+    return null;
+  };
+
+  const readBody = (req: IncomingMessage) => new Promise<any>((resolve) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : {});
+      } catch {
+        resolve(undefined);
+      }
+    });
+  });
+
+  const handle = async (req: IncomingMessage, res: ServerResponse) => {
+    const url = new URL(req.url || '/', baseUrl);
+    const method = req.method || 'GET';
+    const query = Object.fromEntries(url.searchParams.entries());
+    const body = await readBody(req);
+
+    const respond = (status: number, payload: any) => {
+      calls.push({ method, path: url.pathname, query, body, status });
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    };
+
+    if (body === undefined) return respond(400, { error: 'Invalid JSON body' });
+
+    const route = matchRoute(method, url.pathname);
+    if (!route) return respond(404, { error: `No mock for ${method} ${url.pathname}`, code: 'NOT_MOCKED' });
+
+    if (route.scope) {
+      const headerKey = req.headers['x-api-key'];
+      if (!headerKey) return respond(401, { success: false, error: 'API key required', code: 'API_KEY_REQUIRED' });
+      if (headerKey !== key) return respond(401, { success: false, error: 'Invalid API key', code: 'INVALID_API_KEY' });
+      if (!scopes.includes(route.scope)) {
+        return respond(403, { success: false, error: `API key is missing the ${route.scope} scope`, code: 'INSUFFICIENT_SCOPE', requiredScope: route.scope });
+      }
+
+      const room = findRoom(route.params.roomCode || body?.roomCode);
+      if (room && room.gameType !== gameId) {
+        return respond(403, { success: false, error: 'API key is not allowed to access this room', code: 'ROOM_GAME_MISMATCH', expectedGame: gameId, actualGame: room.gameType });
+      }
+    }
+
+    const [status, payload] = route.handler({ params: route.params, query, body });
+    respond(status, payload);
+  };
+
+  return {
+    apiKey: key,
+    rooms,
+    calls,
+
+    get baseUrl() {
+      return baseUrl;
+    },
+
+    async start(port = 0): Promise<{ baseUrl: string }> {
+      server = createServer((req, res) => {
+        handle(req, res).catch(error => {
+          res.writeHead(500, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: error.message, code: 'MOCK_ERROR' }));
+        });
+      });
+      await new Promise<void>(resolve => server!.listen(port, '127.0.0.1', resolve));
+      const address = server.address();
+      baseUrl = `http://127.0.0.1:${typeof address === 'object' && address ? address.port : port}`;
+      return { baseUrl };
+    },
+
+    async stop(): Promise<void> {
+      if (!server) return;
+      await new Promise<void>(resolve => server!.close(() => resolve()));
+      server = null;
+    },
+
+    addRoom({ roomCode, gameType = gameId, status = 'in_game', maxPlayers = 10, settings = {}, streamerMode = false, players = [] }: Partial<Omit<MockRoom, 'players'>> & { roomCode: string; players?: MockPlayer[] }): MockRoom {
+      const room: MockRoom = {
+        id: randomUUID(),
+        roomCode,
+        gameType,
+        status,
+        maxPlayers,
+        settings,
+        streamerMode,
+        players: players.map(p => ({ location: 'game', xp: 0, level: 1, ...p })),
+        pendingReturn: false,
+        results: []
+      };
+      rooms.set(roomCode, room);
+      return room;
+    },
+
+    /** Create the ?session= token a player would arrive with */
+    addSession({ roomCode, playerId = null }: { roomCode: string; playerId?: string | null }): string {
+      return createSession(roomCode, playerId);
+    },
+
+    /** POST a signed webhook to your game's endpoint, exactly as the platform would */
+    async sendWebhook(url: string, secret: string, event: WebhookEventType, data: Record<string, any>) {
+      const body = JSON.stringify({ id: randomUUID(), event, gameId, createdAt: new Date().toISOString(), data });
+      return fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-GameBuddies-Event': event,
+          'X-GameBuddies-Delivery': randomUUID(),
+          'X-GameBuddies-Signature': signWebhookPayload(body, secret)
+        },
+        body
+      });
+    },
+
+    reset() {
+      rooms.clear();
+      sessions.clear();
+      usedResultSessions.clear();
+      calls.length = 0;
+    }
+  };
+}
+
+export type MockGameBuddiesServer = ReturnType<typeof createMockGameBuddiesServer>;
@@ -0,0 +1,245 @@
+/**
+ * GameBuddies SDK types
+ *
+ * Request and response shapes of the platform endpoints wrapped by
+ * GameBuddiesClient. Field names match the JSON the server sends.
+ */
+
+export type FetchLike = (input: string, init?: {
+  method?: string;
+  headers?: Record<string, string>;
+  body?: string;
+  signal?: AbortSignal;
+}) => Promise<{
+  ok: boolean;
+  status: number;
+  json: () => Promise<any>;
+  text: () => Promise<string>;
+}>;
+
+export interface GameBuddiesClientOptions {
+  /** e.g. https://gamebuddies.io (no trailing slash needed) */
+  baseUrl: string;
+  /** gb_<game>_<secret> - keep it on your game server, never ship it to browsers */
+  apiKey?: string;
+  /** Your game's id in the games table; the API key is bound to it */
+  gameId: string;
+  /** Defaults to the global fetch (Node 18+, browsers) */
+  fetch?: FetchLike;
+  /** Per-request timeout, default 10 seconds */
+  timeoutMs?: number;
+}
+
+// ===== SESSIONS =====
+
+export interface GameSession {
+  success: true;
+  roomCode: string;
+  gameType: string;
+  streamerMode: boolean;
+  playerId: string | null;
+  playerName: string | null;
+  /** Settings the host picked in the lobby, validated against your game's settings_schema */
+  settings: Record<string, any>;
+  metadata: Record<string, any>;
+  expiresAt: string;
+}
+
+// ===== ROOMS =====
+
+export type PlayerLocation = 'game' | 'lobby' | 'disconnected';
+export type PlayerStatus = 'connected' | 'disconnected' | 'in_game' | 'returning' | 'lobby';
+
+export interface RoomParticipant {
+  id: string;
+  name: string;
+  role: string;
+  isHost: boolean;
+  isReady: boolean;
+  currentLocation: PlayerLocation | null;
+  inGame: boolean;
+  lastPing: string | null;
+  premiumTier: string;
+  avatarUrl: string | null;
+  avatarStyle: string | null;
+  avatarSeed: string | null;
+  avatarOptions: Record<string, any> | null;
+}
+
+export interface RoomValidation {
+  valid: boolean;
+  version: string;
+  room: {
+    id: string;
+    code: string;
+    gameType: string | null;
+    status: string;
+    currentPlayers: number;
+    maxPlayers: number;
+    settings: Record<string, any>;
+    metadata: Record<string, any>;
+    createdAt: string;
+    startedAt: string | null;
+    lastActivity: string;
+  };
+  participant: {
+    id: string;
+    role: string;
+    isHost: boolean;
+    isConnected: boolean;
+    currentLocation: PlayerLocation | null;
+    inGame: boolean;
+    isReady: boolean;
+    sessionValid: boolean;
+    gameData: Record<string, any> | null;
+  } | null;
+  participants: RoomParticipant[];
+  gameState: {
+    id: string;
+    data: Record<string, any>;
+    version: number;
+    createdAt: string;
+  } | null;
+  sessionInfo: { valid: boolean } | null;
+}
+
+export interface ValidateRoomOptions {
+  playerId?: string;
+  playerName?: string;
+  sessionToken?: string;
+}
+
+// ===== STATUS =====
+
+export interface HeartbeatResponse {
+  success: boolean;
+  /** Milliseconds until the platform expects the next heartbeat */
+  nextHeartbeat: number;
+}
+
+export interface StatusUpdate {
+  status: PlayerStatus;
+  location?: PlayerLocation;
+  metadata?: Record<string, any>;
+  /** Ask for a fresh player session token */
+  syncSession?: boolean;
+}
+
+export interface StatusUpdateResponse {
+  success: boolean;
+  /** Set when a disconnect was ignored because the player is (being) returned to the lobby */
+  skipped?: boolean;
+  reason?: 'return_in_progress' | 'recent_lobby_state';
+  updated: { status: PlayerStatus; location: PlayerLocation | null; timestamp: string };
+  conflicts: any[];
+  sessionToken: string | null;
+  queued: boolean;
+}
+
+// ===== GAME END =====
+
+export interface GameResultPlayer {
+  userId: string;
+  rank?: number;
+  score?: number;
+  isWinner?: boolean;
+  abandoned?: boolean;
+}
+
+export interface GameResult {
+  /** Unique per match - a second report with the same id is rejected as a duplicate */
+  sessionId: string;
+  startedAt?: string;
+  endedAt?: string;
+  /** Either durationSeconds or startedAt is required */
+  durationSeconds?: number;
+  gameMode?: string;
+  wasAbandoned?: boolean;
+  players: GameResultPlayer[];
+}
+
+export interface GameEndOptions {
+  gameResult?: GameResult;
+  /** Send everyone still in the game back to the lobby (default true) */
+  returnPlayers?: boolean;
+}
+
+export interface GameEndResponse {
+  success: boolean;
+  playersReturned: number;
+  players?: string[];
+  matchId: string | null;
+}
+
+// ===== PROGRESS =====
+
+export interface XpEvent {
+  userId: string;
+  amount: number;
+  /** Shown in the player's XP history, e.g. 'round_won' */
+  source?: string;
+  metadata?: Record<string, any>;
+}
+
+export interface XpEventResponse {
+  success: true;
+  progress: {
+    user_id: string;
+    old_level: number;
+    new_level: number;
+    current_xp: number;
+    next_level_at: number;
+    leveled_up: boolean;
+    is_max_level?: boolean;
+  };
+}
+
+export interface PlayerProgress {
+  userId: string;
+  level: number;
+  xp: number;
+  nextLevelXp: number;
+  progressPercent: number;
+}
+
+// ===== RETURN TO LOBBY =====
+
+export interface ReturnToLobbyOptions {
+  /** Creates a session token for this player so they land back in the lobby signed in */
+  playerId?: string;
+  /** Return everyone still in the game (default true); pass false to return only playerId */
+  returnAll?: boolean;
+  reason?: string;
+  metadata?: Record<string, any>;
+}
+
+export interface ReturnToLobbyResponse {
+  success: true;
+  message: string;
+  roomCode: string;
+  /** Send players here - it hides the room code in streamer mode */
+  returnUrl: string;
+  sessionToken: string | null;
+  playersReturned: number;
+  pendingReturn: boolean;
+  pollEndpoint: string;
+}
+
+// ===== WEBHOOKS =====
+
+export type WebhookEventType =
+  | 'player.joined'
+  | 'player.left'
+  | 'player.kicked'
+  | 'host.transferred'
+  | 'room.returned_to_lobby'
+  | 'room.closed';
+
+export interface WebhookEvent<T = Record<string, any>> {
+  /** Same for retries and redeliveries of one event */
+  id: string;
+  event: WebhookEventType;
+  gameId: string;
+  createdAt: string;
+  data: T & { roomCode: string };
+}
@@ -0,0 +1,9 @@
+/**
+ * GameBuddies SDK version
+ *
+ * Follows semver: breaking changes to the client's method signatures bump the
+ * major version. Sent with every API-key request as X-GameBuddies-SDK so the
+ * platform can tell which SDK release a game is on.
+ */
+
+export const SDK_VERSION = '1.0.0';
@@ -0,0 +1,71 @@
+/**
+ * Webhook signature verification (Node only)
+ *
+ * GameBuddies signs every webhook with the secret from PUT /api/v2/webhook:
+ *   X-GameBuddies-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256(secret, "<t>.<raw body>")>
+ * Verify against the raw request body, before JSON parsing.
+ *
+ * Usage (Express):
+ * app.post('/gamebuddies/webhook', express.raw({ type: 'application/json' }), (req, res) => {
+ *   const event = constructWebhookEvent(req.body, req.get('X-GameBuddies-Signature'), process.env.GAMEBUDDIES_WEBHOOK_SECRET);
+ *   if (!event) return res.sendStatus(400);
+ *   // handle event.event / event.data, de-duplicate on event.id
+ *   res.sendStatus(200);
+ * });
+ */
+
+import { createHmac, timingSafeEqual } from 'crypto';
+import type { WebhookEvent } from './types';
+
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+export function signWebhookPayload(payload: string, secret: string, timestamp = Math.floor(Date.now() / 1000)): string {
+  const signature = createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * @param toleranceSeconds - reject signatures older than this (replay protection)
+ */
+export function verifyWebhookSignature(
+  payload: string | Buffer,
+  header: string | undefined | null,
+  secret: string,
+  toleranceSeconds = DEFAULT_TOLERANCE_SECONDS
+): boolean {
+  if (!header || !secret) return false;
+
+  const parts = Object.fromEntries(
+    header.split(',').map(part => {
+      const [key, ...rest] = part.trim().split('=');
+      return [key, rest.join('=')];
+    })
+  );
+  const timestamp = Number(parts.t);
+  if (!Number.isFinite(timestamp) || !parts.v1) return false;
+  if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(
+    createHmac('sha256', secret).update(`${timestamp}.${payload.toString()}`).digest('hex'),
+    'hex'
+  );
+  const actual = Buffer.from(parts.v1, 'hex');
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+/**
+ * Verify and parse a webhook body; null if the signature doesn't match
+ */
+export function constructWebhookEvent(
+  payload: string | Buffer,
+  header: string | undefined | null,
+  secret: string,
+  toleranceSeconds = DEFAULT_TOLERANCE_SECONDS
+): WebhookEvent | null {
+  if (!verifyWebhookSignature(payload, header, secret, toleranceSeconds)) return null;
+  try {
+    return JSON.parse(payload.toString()) as WebhookEvent;
+  } catch {
+    return null;
+  }
+}